@@ -0,0 +1,183 @@
+// § 556 Abs. 3 BGB: the statement has to reach the tenant by the end of the twelfth
+// month after the billing period ends; afterwards the landlord can no longer claim a
+// Nachzahlung. Decided here in code for the free preview and the full analysis alike —
+// the model's date arithmetic is not reliable enough for a verdict that goes to a landlord.
+
+const { parseGermanDate, parsePeriod, formatDateDE, makeDate, addDays } = require('./german-date');
+
+// Only the Erstelldatum is known: a statement dated this close to the deadline may well
+// have arrived after it, so we don't call it "fristgerecht" without the Zugang date.
+const ZUGANG_PUFFER_TAGE = 3;
+
+// "Frist überschritten" goes into a letter to the landlord; a period we partly guessed
+// (bare year, start and end without "bis") is not enough for that.
+const MIN_PERIOD_CONFIDENCE = 0.8;
+
+const WEEKDAY_NAMES = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+// Anonymous Gregorian algorithm.
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month, day);
+}
+
+// Nationwide holidays only. State holidays depend on the tenant's Bundesland, which we
+// don't know — ignoring them can only make the computed deadline stricter by a day.
+function nationalHolidays(year) {
+    const easter = easterSunday(year);
+    return new Map([
+        [formatDateDE(new Date(year, 0, 1)), 'Neujahr'],
+        [formatDateDE(addDays(easter, -2)), 'Karfreitag'],
+        [formatDateDE(addDays(easter, 1)), 'Ostermontag'],
+        [formatDateDE(new Date(year, 4, 1)), 'Tag der Arbeit'],
+        [formatDateDE(addDays(easter, 39)), 'Christi Himmelfahrt'],
+        [formatDateDE(addDays(easter, 50)), 'Pfingstmontag'],
+        [formatDateDE(new Date(year, 9, 3)), 'Tag der Deutschen Einheit'],
+        [formatDateDE(new Date(year, 11, 25)), '1. Weihnachtstag'],
+        [formatDateDE(new Date(year, 11, 26)), '2. Weihnachtstag'],
+    ]);
+}
+
+function nonWorkingDayReason(date) {
+    const holiday = nationalHolidays(date.getFullYear()).get(formatDateDE(date));
+    if (holiday) return holiday;
+    const weekday = date.getDay();
+    return weekday === 0 || weekday === 6 ? WEEKDAY_NAMES[weekday] : null;
+}
+
+// End of the twelfth month after the period (§§ 187, 188 BGB), moved to the next
+// working day when it falls on a weekend or public holiday (§ 193 BGB).
+function computeFristende(periodEnd) {
+    // Twelve months from the day after the period: 31.12.2024 → 31.12.2025, 28.02.2023 → 29.02.2024.
+    // A start day missing in the target month (29.02. → 2025) rolls to the 1st of the next (§ 188 Abs. 3 BGB).
+    const dayAfter = addDays(periodEnd, 1);
+    const target = makeDate(dayAfter.getFullYear() + 1, dayAfter.getMonth(), dayAfter.getDate())
+        || new Date(dayAfter.getFullYear() + 1, dayAfter.getMonth() + 1, 1);
+    const regulaer = addDays(target, -1);
+
+    let fristende = regulaer;
+    const verschiebung = [];
+    let reason = nonWorkingDayReason(fristende);
+    while (reason) {
+        verschiebung.push(`${formatDateDE(fristende)} (${reason})`);
+        fristende = addDays(fristende, 1);
+        reason = nonWorkingDayReason(fristende);
+    }
+    return { regulaer, fristende, verschiebung };
+}
+
+function monthsBetween(start, end) {
+    const dayAfter = addDays(end, 1);
+    return (dayAfter.getFullYear() - start.getFullYear()) * 12 + (dayAfter.getMonth() - start.getMonth())
+        + (dayAfter.getDate() - start.getDate()) / 30;
+}
+
+function guardUncertainPeriod(out, period) {
+    if (out.status !== 'frist_ueberschritten' || period.confidence >= MIN_PERIOD_CONFIDENCE) return out;
+    return {
+        ...out,
+        status: 'nicht_ermittelbar',
+        erklaerung: `Der Abrechnungszeitraum ist in der Abrechnung nicht eindeutig angegeben (angenommen: bis ${out.zeitraum_ende}). ${out.erklaerung} Bitte prüfen Sie das Ende des Zeitraums, bevor Sie sich auf die Frist berufen.`,
+        rechenweg: out.rechenweg.replace(/Frist überschritten\.$/, `Frist überschritten, falls der Zeitraum am ${out.zeitraum_ende} endet.`),
+    };
+}
+
+function toDate(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    return parseGermanDate(value || '');
+}
+
+// Returns the fristcheck object shown in the preview, the full report and the PDF:
+//   status — fristgerecht | frist_ueberschritten | nicht_ermittelbar
+//   grundlage — 'zugang' when the tenant told us when the statement arrived,
+//               'erstelldatum' when only the date printed on the statement is known
+function computeAbrechnungsfrist({ zeitraum, abrechnungsdatum, zugangsdatum } = {}) {
+    const period = parsePeriod(zeitraum);
+    const erstellt = toDate(abrechnungsdatum);
+    const zugang = toDate(zugangsdatum);
+
+    const out = {
+        zeitraum_beginn: period?.start ? formatDateDE(period.start) : null,
+        zeitraum_ende: period ? formatDateDE(period.end) : null,
+        zeitraum_monate: period?.start ? Math.round(monthsBetween(period.start, period.end)) : null,
+        zeitraum_konfidenz: period ? period.confidence : null,
+        fristende_regulaer: null,
+        fristende: null,
+        fristverschiebung: null,
+        abrechnungsdatum: erstellt ? formatDateDE(erstellt) : null,
+        zugangsdatum: zugang ? formatDateDE(zugang) : null,
+        grundlage: null,
+        status: 'nicht_ermittelbar',
+        erklaerung: '',
+        rechenweg: '',
+    };
+
+    if (!period) {
+        out.erklaerung = zeitraum
+            ? 'Abrechnungszeitraum erkannt, aber Fristende konnte nicht sicher bestimmt werden.'
+            : 'Abrechnungszeitraum nicht erkannt — Frist nicht berechenbar.';
+        return out;
+    }
+
+    const { regulaer, fristende, verschiebung } = computeFristende(period.end);
+    out.fristende_regulaer = formatDateDE(regulaer);
+    out.fristende = formatDateDE(fristende);
+    const rechenweg = [`Ende Abrechnungszeitraum ${out.zeitraum_ende} + 12 Monate = ${out.fristende_regulaer}`];
+    if (verschiebung.length > 0) {
+        out.fristverschiebung = `Fristende fällt auf ${verschiebung.join(', ')} — verschoben auf ${WEEKDAY_NAMES[fristende.getDay()]}, ${out.fristende} (§ 193 BGB).`;
+        rechenweg.push(`§ 193 BGB: ${verschiebung.map((v) => v.split(' ')[0]).join(', ')} kein Werktag → ${out.fristende}`);
+    }
+
+    if (zugang) {
+        out.grundlage = 'zugang';
+        rechenweg.push(`Zugang beim Mieter ${out.zugangsdatum}`);
+        if (zugang <= fristende) {
+            out.status = 'fristgerecht';
+            out.erklaerung = `Die Abrechnung ist am ${out.zugangsdatum} zugegangen, vor Ablauf der Frist am ${out.fristende}.`;
+        } else {
+            out.status = 'frist_ueberschritten';
+            out.erklaerung = `Die Abrechnung ist erst am ${out.zugangsdatum} zugegangen, die Frist endete am ${out.fristende}. Eine Nachzahlung kann der Vermieter dann nicht mehr verlangen, es sei denn, er hat die Verspätung nicht zu vertreten (§ 556 Abs. 3 Satz 3 BGB).`;
+        }
+        out.rechenweg = `${rechenweg.join('. ')}. ${out.status === 'fristgerecht' ? 'Frist eingehalten' : 'Frist überschritten'}.`;
+        return guardUncertainPeriod(out, period);
+    }
+
+    if (erstellt) {
+        out.grundlage = 'erstelldatum';
+        rechenweg.push(`Abrechnung erstellt am ${out.abrechnungsdatum}`);
+        if (erstellt > fristende) {
+            // Can't have arrived before it was written.
+            out.status = 'frist_ueberschritten';
+            out.erklaerung = `Die Abrechnung ist auf den ${out.abrechnungsdatum} datiert und damit nach dem Fristende am ${out.fristende} erstellt. Eine Nachzahlung kann der Vermieter dann nicht mehr verlangen, es sei denn, er hat die Verspätung nicht zu vertreten (§ 556 Abs. 3 Satz 3 BGB).`;
+        } else if (erstellt <= addDays(fristende, -ZUGANG_PUFFER_TAGE)) {
+            out.status = 'fristgerecht';
+            out.erklaerung = `Die Abrechnung ist auf den ${out.abrechnungsdatum} datiert, Fristende ist der ${out.fristende}. Maßgeblich ist der Zugang bei Ihnen — ist sie erst nach dem ${out.fristende} angekommen, wäre die Frist trotzdem überschritten.`;
+        } else {
+            out.erklaerung = `Die Abrechnung ist auf den ${out.abrechnungsdatum} datiert, nur kurz vor Fristende am ${out.fristende}. Entscheidend ist, wann sie bei Ihnen angekommen ist — ist das nach dem ${out.fristende} passiert, ist die Frist überschritten.`;
+        }
+        out.rechenweg = `${rechenweg.join('. ')}. ${out.status === 'fristgerecht' ? 'Frist eingehalten' : out.status === 'frist_ueberschritten' ? 'Frist überschritten' : 'Zugang entscheidet'}.`;
+        return guardUncertainPeriod(out, period);
+    }
+
+    out.erklaerung = `Fristende ist der ${out.fristende}, aber ein Abrechnungs- oder Zugangsdatum wurde nicht sicher erkannt.`;
+    out.rechenweg = `${rechenweg.join('. ')}.`;
+    return out;
+}
+
+module.exports = {
+    computeAbrechnungsfrist,
+    computeFristende,
+};
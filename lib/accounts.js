@@ -0,0 +1,128 @@
+// Customer accounts without passwords: the email address is the account. Login goes through a
+// signed, single-use magic link; the browser then holds a signed session token in a cookie.
+// Paid reports are kept per address (only when the customer opted in at checkout), so the
+// "Meine Prüfungen" page works on any device and after the one-hour result cache is gone.
+//
+// Collections (all keyed without the plain address, which would otherwise end up in file names):
+//   accounts — hashed address → { email, sessionIds, createdAt = last report }
+//   reports  — session id → { email, plan, result, createdAt }
+//   logins   — login nonce → { email, createdAt }; deleted when the link is used
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signed-token');
+
+const LOGIN_LINK_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_REPORTS = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(value) {
+    if (typeof value !== 'string') return null;
+    const email = value.trim().toLowerCase();
+    return email.length <= 200 && EMAIL_PATTERN.test(email) ? email : null;
+}
+
+// What the report list shows; the full result is only loaded for a single report.
+function reportSummary(sessionId, report) {
+    const result = report.result || {};
+    return {
+        session_id: sessionId,
+        erstellt_am: new Date(report.createdAt).toISOString(),
+        plan: report.plan || 'basic',
+        abrechnungszeitraum: result.abrechnungszeitraum || result.extraktion?.kopfdaten?.abrechnungszeitraum || null,
+        fehler_anzahl: result.fehler_anzahl || 0,
+        warnungen_anzahl: result.warnungen_anzahl || 0,
+        potenzielle_ersparnis_gesamt: result.potenzielle_ersparnis_gesamt || 0,
+        widerspruchsbrief: Boolean(result.widerspruchsbrief),
+        belegeinsicht_brief: Boolean(result.belegeinsicht_brief),
+    };
+}
+
+function createAccountService({ accounts, reports, logins, secret, now: clock = () => Date.now() }) {
+    const enabled = Boolean(secret);
+
+    function accountKey(email) {
+        return crypto.createHmac('sha256', secret || '').update(email).digest('hex');
+    }
+
+    // Returns { ok: true, token, email } — the caller mails the link — or { ok: false, error }.
+    function createLoginLink(rawEmail) {
+        if (!enabled) return { ok: false, error: 'Das Kundenkonto ist derzeit nicht verfügbar.' };
+        const email = normalizeEmail(rawEmail);
+        if (!email) return { ok: false, error: 'Bitte geben Sie eine gültige E-Mail-Adresse an.' };
+        const now = clock();
+        const nonce = crypto.randomBytes(18).toString('base64url');
+        logins.set(nonce, { email, createdAt: now });
+        return { ok: true, email, token: signToken({ typ: 'login', n: nonce, exp: now + LOGIN_LINK_TTL_MS }, secret) };
+    }
+
+    // Single use: the nonce is deleted on the first try, valid or not.
+    function redeemLoginLink(token) {
+        if (!enabled) return { ok: false, error: 'Das Kundenkonto ist derzeit nicht verfügbar.' };
+        const now = clock();
+        const payload = verifyToken(token, secret, { typ: 'login', now });
+        const login = payload ? logins.get(payload.n) : null;
+        if (!login) return { ok: false, error: 'Der Anmeldelink ist abgelaufen oder wurde bereits verwendet.' };
+        logins.delete(payload.n);
+        return {
+            ok: true,
+            email: login.email,
+            sessionToken: signToken({ typ: 'session', e: login.email, exp: now + SESSION_TTL_MS }, secret),
+            maxAgeMs: SESSION_TTL_MS,
+        };
+    }
+
+    // Email of the logged-in customer, or null.
+    function verifySession(token) {
+        if (!enabled || !token) return null;
+        const payload = verifyToken(token, secret, { typ: 'session', now: clock() });
+        return payload ? normalizeEmail(payload.e) : null;
+    }
+
+    function addReport(rawEmail, sessionId, result, { plan = 'basic' } = {}) {
+        const email = normalizeEmail(rawEmail);
+        if (!enabled || !email || !result) return false;
+        const now = clock();
+        reports.set(sessionId, { email, plan, result, createdAt: now });
+        const key = accountKey(email);
+        const account = accounts.get(key) || { email, sessionIds: [] };
+        account.sessionIds = [sessionId, ...account.sessionIds.filter((id) => id !== sessionId)].slice(0, MAX_REPORTS);
+        // createdAt doubles as "last activity": the TTL sweep drops accounts without new reports.
+        accounts.set(key, { ...account, createdAt: now });
+        return true;
+    }
+
+    // Newest first; reports removed by their TTL simply drop out.
+    function listReports(email) {
+        const account = enabled && email ? accounts.get(accountKey(email)) : null;
+        if (!account) return [];
+        return account.sessionIds
+            .map((sessionId) => [sessionId, reports.get(sessionId)])
+            .filter(([, report]) => report && report.email === email)
+            .map(([sessionId, report]) => reportSummary(sessionId, report));
+    }
+
+    function getReport(email, sessionId) {
+        const report = enabled && email ? reports.get(sessionId) : null;
+        return report && report.email === email ? report : null;
+    }
+
+    // For data requests (lib/data-protection.js): the account record, and its removal.
+    function getAccount(rawEmail) {
+        const email = normalizeEmail(rawEmail);
+        return enabled && email ? accounts.get(accountKey(email)) || null : null;
+    }
+
+    function deleteAccount(rawEmail) {
+        const email = normalizeEmail(rawEmail);
+        return Boolean(enabled && email && accounts.delete(accountKey(email)));
+    }
+
+    return { enabled, createLoginLink, redeemLoginLink, verifySession, addReport, listReports, getReport, getAccount, deleteAccount };
+}
+
+module.exports = {
+    createAccountService,
+    normalizeEmail,
+    LOGIN_LINK_TTL_MS,
+};
@@ -0,0 +1,155 @@
+// Durable analysis queue on top of a job-store collection.
+//
+// Job lifecycle: queued → running → (deleted on success | queued again with backoff | dead)
+// Only one process should call start(): either the web process (ANALYSIS_WORKER=inline)
+// or the dedicated worker (`npm run worker`). Other processes just enqueue and read.
+
+const POLL_INTERVAL_MS = 1000;
+
+function createAnalysisQueue({
+    store,
+    handler,
+    isRetryable = () => true,
+    onDeadLetter = () => {},
+    concurrency = 2,
+    maxAttempts = 4,
+    baseDelayMs = 5000,
+    maxDelayMs = 2 * 60 * 1000,
+    now = Date.now,
+    random = Math.random,
+}) {
+    const running = new Set();
+    let timer = null;
+
+    // Exponential backoff with jitter: somewhere between half and all of min(max, base · 2^(attempt-1)).
+    function backoffDelay(attempt) {
+        const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(cap / 2 + random() * (cap / 2));
+    }
+
+    // FIFO by creation time; session id breaks ties for jobs enqueued in the same millisecond.
+    function byAge(a, b) {
+        return a.createdAt - b.createdAt || (a.sessionId < b.sessionId ? -1 : a.sessionId > b.sessionId ? 1 : 0);
+    }
+
+    function listJobs() {
+        return Array.from(store).map(([, job]) => job);
+    }
+
+    function enqueue(sessionId) {
+        const existing = store.get(sessionId);
+        if (existing && existing.status !== 'dead') return false;
+        const createdAt = now();
+        store.set(sessionId, {
+            sessionId,
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: createdAt,
+            lastError: null,
+            createdAt,
+        });
+        return true;
+    }
+
+    function getJob(sessionId) {
+        return store.get(sessionId) || null;
+    }
+
+    // 0 = currently running, n = n-th in line, null = not queued.
+    function position(sessionId) {
+        const job = store.get(sessionId);
+        if (!job || job.status === 'dead') return null;
+        if (job.status === 'running') return 0;
+        const ahead = listJobs()
+            .filter((j) => j.status === 'queued' && byAge(j, job) < 0)
+            .length;
+        return ahead + 1;
+    }
+
+    function remove(sessionId) {
+        store.delete(sessionId);
+    }
+
+    async function runJob(job) {
+        running.add(job.sessionId);
+        const attempt = job.attempts + 1;
+        store.set(job.sessionId, { ...job, status: 'running', attempts: attempt, startedAt: now() });
+
+        try {
+            await handler(job.sessionId);
+            store.delete(job.sessionId);
+        } catch (err) {
+            const retry = isRetryable(err) && attempt < maxAttempts;
+            if (retry) {
+                const delay = backoffDelay(attempt);
+                console.log(`  Queue: retry ${attempt}/${maxAttempts - 1} for ${job.sessionId} in ${(delay / 1000).toFixed(1)}s (${err.message})`);
+                store.set(job.sessionId, {
+                    ...job,
+                    status: 'queued',
+                    attempts: attempt,
+                    nextAttemptAt: now() + delay,
+                    lastError: err.message,
+                });
+            } else {
+                console.error(`  Queue: ${job.sessionId} moved to dead letter after ${attempt} attempt(s): ${err.message}`);
+                store.set(job.sessionId, {
+                    ...job,
+                    status: 'dead',
+                    attempts: attempt,
+                    lastError: err.message,
+                    failedAt: now(),
+                });
+                try {
+                    await onDeadLetter(job.sessionId, err);
+                } catch (deadErr) {
+                    console.error(`  Queue: dead-letter handler failed for ${job.sessionId}:`, deadErr.message);
+                }
+            }
+        } finally {
+            running.delete(job.sessionId);
+        }
+    }
+
+    // Starts what is due; the promise settles when those jobs are done (the poll ignores it).
+    function tick() {
+        if (running.size >= concurrency) return Promise.resolve();
+        const due = now();
+        const ready = listJobs()
+            .filter((j) => j.status === 'queued' && j.nextAttemptAt <= due && !running.has(j.sessionId))
+            .sort(byAge);
+        return Promise.all(ready.slice(0, concurrency - running.size).map(runJob));
+    }
+
+    function start() {
+        if (timer) return;
+        // A job left "running" belongs to a process that died mid-analysis.
+        for (const job of listJobs()) {
+            if (job.status === 'running') {
+                store.set(job.sessionId, { ...job, status: 'queued', nextAttemptAt: now() });
+            }
+        }
+        timer = setInterval(tick, POLL_INTERVAL_MS);
+        tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function stats() {
+        const jobs = listJobs();
+        return {
+            concurrency,
+            running: jobs.filter((j) => j.status === 'running').length,
+            queued: jobs.filter((j) => j.status === 'queued').length,
+            dead: jobs
+                .filter((j) => j.status === 'dead')
+                .map((j) => ({ session_id: j.sessionId, attempts: j.attempts, last_error: j.lastError, failed_at: j.failedAt })),
+        };
+    }
+
+    return { enqueue, getJob, position, remove, start, stop, tick, stats };
+}
+
+module.exports = { createAnalysisQueue };
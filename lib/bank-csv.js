@@ -0,0 +1,174 @@
+// Bank exports (CSV) and hand-entered payments for the Vorauszahlungen check.
+// Every German bank has its own CSV dialect: semicolons or commas, a preamble above the
+// header, Windows-1252 encoding, "Soll"/"Haben" instead of a signed amount. Columns are
+// found by their header name, so a bank that renames a column only needs a new alias here.
+// Fixtures: test/fixtures/bank-csv.json.
+
+const { parseGermanNumber, roundCents } = require('./german-number');
+const { parseGermanDate, findDates, formatDateDE, makeDate } = require('./german-date');
+
+const MAX_BUCHUNGEN = 2000;
+const HEADER_SEARCH_ROWS = 30;
+const DELIMITERS = [';', '\t', ','];
+
+// Header names after normalizeHeader(), in order of preference.
+const COLUMN_ALIASES = {
+    datum: ['buchungstag', 'buchungsdatum', 'buchung', 'datum', 'date', 'bookingdate', 'wertstellung', 'valuta', 'valutadatum'],
+    betrag: ['betrag', 'betrageur', 'betragineur', 'umsatzineur', 'umsatz', 'amount', 'amounteur'],
+    soll: ['soll', 'sollineur'],
+    haben: ['haben', 'habenineur'],
+    empfaenger: [
+        'beguenstigterzahlungspflichtiger', 'begünstigterzahlungspflichtiger', 'zahlungsempfängerin', 'zahlungsempfänger',
+        'auftraggeberbegünstigter', 'begünstigterauftraggeber', 'auftraggeberempfänger', 'empfänger', 'payee', 'name',
+    ],
+    verwendungszweck: ['verwendungszweck', 'paymentreference', 'buchungstext', 'vorgangverwendungszweck', 'buchungsdetails'],
+};
+
+// Recognised exports, checked in order; `merkmale` are header names only that bank uses.
+const FORMATS = [
+    { id: 'sparkasse', label: 'Sparkasse', merkmale: ['auftragskonto', 'beguenstigterzahlungspflichtiger'] },
+    { id: 'dkb', label: 'DKB', merkmale: ['zahlungsempfängerin'] },
+    { id: 'dkb', label: 'DKB', merkmale: ['auftraggeberbegünstigter'] },
+    { id: 'ing', label: 'ING', merkmale: ['auftraggeberempfänger', 'saldo'] },
+    { id: 'deutsche_bank', label: 'Deutsche Bank / Postbank', merkmale: ['begünstigterauftraggeber', 'soll', 'haben'] },
+    { id: 'comdirect', label: 'comdirect', merkmale: ['umsatzineur'] },
+    { id: 'commerzbank', label: 'Commerzbank', merkmale: ['umsatzart', 'ibanauftraggeberkonto'] },
+    { id: 'n26', label: 'N26', merkmale: ['payee', 'amounteur'] },
+];
+
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[^a-zäöüß]/g, '');
+}
+
+// Most exports are Windows-1252; UTF-8 only when it decodes cleanly.
+function decodeCsvBuffer(buffer) {
+    const utf8 = buffer.toString('utf8');
+    const text = utf8.includes('\ufffd') ? buffer.toString('latin1') : utf8;
+    return text.replace(/^\ufeff/, '');
+}
+
+// RFC 4180 with a configurable delimiter; quoted fields may contain delimiters and line breaks.
+function parseRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.map((r) => r.map((cell) => cell.trim()));
+}
+
+function findColumn(headers, aliases) {
+    for (const alias of aliases) {
+        const index = headers.indexOf(alias);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+function mapColumns(headerRow) {
+    const headers = headerRow.map(normalizeHeader);
+    const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, findColumn(headers, aliases)]));
+    const hasAmount = columns.betrag !== -1 || (columns.soll !== -1 && columns.haben !== -1);
+    if (columns.datum === -1 || !hasAmount) return null;
+    const format = FORMATS.find((f) => f.merkmale.every((m) => headers.includes(m)));
+    return { columns, format: format ? format.id : 'unbekannt', label: format ? format.label : 'CSV-Export' };
+}
+
+function betragFor(row, columns) {
+    const betrag = columns.betrag !== -1 ? parseGermanNumber(row[columns.betrag]) : null;
+    if (betrag !== null || columns.soll === -1 || columns.haben === -1) return betrag;
+    // Deutsche Bank leaves "Betrag" empty and fills "Soll" or "Haben".
+    // "Soll" is printed with or without a minus; either way it is money going out.
+    const soll = parseGermanNumber(row[columns.soll]);
+    const haben = parseGermanNumber(row[columns.haben]);
+    if (soll) return -Math.abs(soll);
+    return haben === null ? null : Math.abs(haben);
+}
+
+// Returns { format, label, buchungen: [{ datum: "TT.MM.JJJJ", betrag (signed), empfaenger, verwendungszweck }] }
+// or null when no header with a date and an amount column was found.
+function parseBankCsv(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    for (const delimiter of DELIMITERS) {
+        const rows = parseRows(text, delimiter);
+        const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex((row) => row.length > 2 && mapColumns(row));
+        if (headerIndex === -1) continue;
+
+        const { columns, format, label } = mapColumns(rows[headerIndex]);
+        const buchungen = [];
+        for (const row of rows.slice(headerIndex + 1)) {
+            const datum = parseGermanDate(row[columns.datum] || '');
+            const betrag = betragFor(row, columns);
+            // Footer lines ("Kontostand", "Alter Kontostand") have no date or no amount.
+            if (!datum || betrag === null) continue;
+            buchungen.push({
+                datum: formatDateDE(datum),
+                betrag: roundCents(betrag),
+                empfaenger: columns.empfaenger !== -1 ? (row[columns.empfaenger] || null) : null,
+                verwendungszweck: columns.verwendungszweck !== -1 ? (row[columns.verwendungszweck] || null) : null,
+            });
+            if (buchungen.length >= MAX_BUCHUNGEN) break;
+        }
+        return { format, label, buchungen };
+    }
+    return null;
+}
+
+// One payment per line: "03.01.2024 850,00", "01/2024: 850", "2024-02 850 €".
+// A month without a day counts as paid on the 1st.
+function parseManualZahlungen(text) {
+    if (typeof text !== 'string') return [];
+    const zahlungen = [];
+    for (const line of text.split(/\r?\n/).slice(0, 60)) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        const found = findDates(trimmed)[0];
+        let datum = found ? found.date : null;
+        let rest = found ? trimmed.slice(found.end) : trimmed;
+        if (!datum) {
+            const m = trimmed.match(/^(\d{1,2})[./](\d{4})|^(\d{4})-(\d{2})(?!-)/);
+            if (!m) continue;
+            datum = m[1] ? makeDate(Number(m[2]), Number(m[1]) - 1, 1) : makeDate(Number(m[3]), Number(m[4]) - 1, 1);
+            rest = trimmed.slice(m[0].length);
+        }
+        const betrag = parseGermanNumber(rest.replace(/^[\s:;=-]+/, ''));
+        if (!datum || betrag === null || betrag === 0) continue;
+        zahlungen.push({ datum: formatDateDE(datum), betrag: roundCents(Math.abs(betrag)), manuell: true });
+    }
+    return zahlungen;
+}
+
+module.exports = {
+    decodeCsvBuffer,
+    parseBankCsv,
+    parseManualZahlungen,
+};
@@ -0,0 +1,233 @@
+// Dispute case after the Widerspruch, on top of a job-store collection (key: session id).
+// It records when and how the letter went out, the deadline for the landlord's answer, one
+// reminder email when the deadline passes unanswered, the landlord's reply and its follow-up
+// check (lib/follow-up.js, run by the follow-up queue in server.js).
+//
+// Case lifecycle: versendet → antwort_erhalten → abgeschlossen
+// Follow-up per reply: laeuft → fertig | fehlgeschlagen; a new reply resets it.
+// The case keeps a snapshot of the checked result: completedResults expires after an hour,
+// a dispute runs for weeks. Only the process that runs the analysis queue should call start().
+
+const { cleanText } = require('./extraction');
+const { parseGermanDate, formatDateDE, addDays } = require('./german-date');
+const { FRIST_TAGE } = require('./letters');
+
+const KANAELE = {
+    einschreiben: 'Einschreiben mit Rückschein',
+    einwurf_einschreiben: 'Einwurf-Einschreiben',
+    brief: 'Brief',
+    email: 'E-Mail',
+    fax: 'Fax',
+    persoenlich: 'Persönlich übergeben',
+};
+const MAX_ANTWORT_DATEIEN = 5;
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Midnight after the given day: the deadline day itself still counts.
+function endOfDay(date) {
+    return addDays(date, 1).getTime();
+}
+
+function verlaufEintrag(ereignis, text, now) {
+    return { am: new Date(now).toISOString(), ereignis, text };
+}
+
+// What the client may see: no result snapshot, no reply file contents.
+function publicCase(kase) {
+    if (!kase) return null;
+    const befunde = (kase.result?.ergebnisse || []).filter((e) => e.status === 'fehler' || e.status === 'warnung');
+    return {
+        status: kase.status,
+        abrechnungszeitraum: kase.result?.abrechnungszeitraum || null,
+        befunde_anzahl: befunde.length,
+        potenzielle_ersparnis_gesamt: kase.result?.potenzielle_ersparnis_gesamt || 0,
+        versand: kase.versand ? { ...kase.versand, kanal_label: KANAELE[kase.versand.kanal] } : null,
+        antwort_bis: kase.antwort_bis,
+        erinnerung: Boolean(kase.email),
+        erinnert_am: kase.erinnert_am || null,
+        antwort: kase.antwort
+            ? { eingegangen_am: kase.antwort.eingegangen_am, dateien: kase.antwort.dateien.map((f) => f.originalname) }
+            : null,
+        nachpruefung: kase.nachpruefung || null,
+        verlauf: kase.verlauf,
+    };
+}
+
+// Reminder email as the mailer gets it: case view plus the session id for the link.
+function reminderPayload(sessionId, kase) {
+    return { sessionId, email: kase.email, fall: publicCase(kase) };
+}
+
+function createCaseService({ store, sendReminder = async () => {}, now: clock = () => Date.now() }) {
+    let timer = null;
+
+    function get(sessionId) {
+        return store.get(sessionId) || null;
+    }
+
+    // Opens the case on first use (needs the checked result) and records how the letter was sent.
+    // Returns { ok: true, fall } or { ok: false, error }.
+    function recordVersand(sessionId, { result = null, datum, kanal, sendungsnummer, antwort_bis: antwortBis, email } = {}) {
+        const now = clock();
+        const existing = get(sessionId);
+        if (!existing && !result) return { ok: false, error: 'Kein Ergebnis gefunden.' };
+        if (existing && existing.status !== 'versendet') return { ok: false, error: 'Für diesen Fall liegt bereits eine Antwort vor.' };
+
+        const versandDatum = parseGermanDate(cleanText(datum, 20) || '');
+        if (!versandDatum) return { ok: false, error: 'Bitte geben Sie das Versanddatum an.' };
+        if (versandDatum.getTime() > now) return { ok: false, error: 'Das Versanddatum liegt in der Zukunft.' };
+        if (!KANAELE[kanal]) return { ok: false, error: 'Bitte wählen Sie aus, wie Sie den Brief verschickt haben.' };
+        const frist = antwortBis ? parseGermanDate(cleanText(antwortBis, 20) || '') : addDays(versandDatum, FRIST_TAGE);
+        if (!frist || frist <= versandDatum) return { ok: false, error: 'Die Antwortfrist muss nach dem Versanddatum liegen.' };
+        const mail = cleanText(email, 200);
+        if (mail && !EMAIL_PATTERN.test(mail)) return { ok: false, error: 'Bitte geben Sie eine gültige E-Mail-Adresse an.' };
+
+        const versand = {
+            datum: formatDateDE(versandDatum),
+            kanal,
+            sendungsnummer: kanal.includes('einschreiben') ? (cleanText(sendungsnummer, 40) || '').replace(/[^A-Za-z0-9 -]/g, '') || null : null,
+        };
+        const kase = existing || {
+            sessionId,
+            createdAt: now,
+            result,
+            verlauf: [],
+            erinnert_am: null,
+            antwort: null,
+        };
+        Object.assign(kase, {
+            status: 'versendet',
+            versand,
+            antwort_bis: formatDateDE(frist),
+            email: mail || null,
+            // A new deadline earns a new reminder.
+            erinnert_am: existing && existing.antwort_bis === formatDateDE(frist) ? existing.erinnert_am : null,
+        });
+        kase.verlauf.push(verlaufEintrag(
+            existing ? 'versand_geaendert' : 'versendet',
+            `${KANAELE[kanal]} am ${versand.datum}${versand.sendungsnummer ? ` (Sendungsnummer ${versand.sendungsnummer})` : ''}; Antwort erwartet bis ${kase.antwort_bis}.`,
+            now,
+        ));
+        store.set(sessionId, kase);
+        return { ok: true, fall: kase };
+    }
+
+    // `dateien` are multer files (buffer, originalname, mimetype, size).
+    function recordAntwort(sessionId, { dateien, eingegangen_am: eingegangenAm } = {}) {
+        const now = clock();
+        const kase = get(sessionId);
+        if (!kase) return { ok: false, error: 'Kein Fall gefunden.' };
+        if (kase.status === 'abgeschlossen') return { ok: false, error: 'Dieser Fall ist bereits abgeschlossen.' };
+        if (!Array.isArray(dateien) || dateien.length === 0) return { ok: false, error: 'Bitte laden Sie die Antwort Ihres Vermieters hoch.' };
+        const eingang = eingegangenAm ? parseGermanDate(cleanText(eingegangenAm, 20) || '') : new Date(now);
+        if (!eingang) return { ok: false, error: 'Das Eingangsdatum ist ungültig.' };
+
+        kase.status = 'antwort_erhalten';
+        kase.antwort = {
+            eingegangen_am: formatDateDE(eingang),
+            dateien: dateien.slice(0, MAX_ANTWORT_DATEIEN).map((f) => ({
+                originalname: f.originalname,
+                mimetype: f.mimetype,
+                size: f.size,
+                buffer: f.buffer,
+            })),
+        };
+        kase.nachpruefung = null;
+        kase.verlauf.push(verlaufEintrag('antwort', `Antwort des Vermieters vom ${kase.antwort.eingegangen_am} hochgeladen.`, now));
+        store.set(sessionId, kase);
+        return { ok: true, fall: kase };
+    }
+
+    // One follow-up check per reply; a failed one may be started again.
+    function startFollowUp(sessionId) {
+        const kase = get(sessionId);
+        if (!kase) return { ok: false, error: 'Kein Fall gefunden.' };
+        if (kase.status !== 'antwort_erhalten' || !kase.antwort) return { ok: false, error: 'Bitte laden Sie zuerst die Antwort Ihres Vermieters hoch.' };
+        if (kase.nachpruefung && kase.nachpruefung.status !== 'fehlgeschlagen') return { ok: false, error: 'Diese Antwort wurde bereits geprüft.' };
+        kase.nachpruefung = { status: 'laeuft', gestartet_am: new Date(clock()).toISOString() };
+        store.set(sessionId, kase);
+        return { ok: true, fall: kase };
+    }
+
+    // `ergebnis` is normalizeFollowUp() output, `brief` the Nachfassbrief text or null.
+    function recordFollowUp(sessionId, { ergebnis, brief = null }) {
+        const kase = get(sessionId);
+        if (!kase || kase.nachpruefung?.status !== 'laeuft') return { ok: false, error: 'Keine laufende Prüfung.' };
+        const now = clock();
+        kase.nachpruefung = { status: 'fertig', gestartet_am: kase.nachpruefung.gestartet_am, ergebnis, brief };
+        const offen = ergebnis.abgelehnt_anzahl + ergebnis.offen_anzahl;
+        kase.verlauf.push(verlaufEintrag(
+            'nachpruefung',
+            `Antwort geprüft — Einwände angenommen: ${ergebnis.angenommen_anzahl}, abgelehnt: ${ergebnis.abgelehnt_anzahl}, offen: ${ergebnis.offen_anzahl}.`
+                + (offen > 0 && brief ? ' Nachfassbrief erstellt.' : ''),
+            now,
+        ));
+        store.set(sessionId, kase);
+        return { ok: true, fall: kase };
+    }
+
+    function failFollowUp(sessionId, error) {
+        const kase = get(sessionId);
+        if (!kase || kase.nachpruefung?.status !== 'laeuft') return;
+        kase.nachpruefung = { status: 'fehlgeschlagen', gestartet_am: kase.nachpruefung.gestartet_am, fehler: error };
+        store.set(sessionId, kase);
+    }
+
+    function close(sessionId) {
+        const kase = get(sessionId);
+        if (!kase) return { ok: false, error: 'Kein Fall gefunden.' };
+        if (kase.status !== 'abgeschlossen') {
+            kase.status = 'abgeschlossen';
+            kase.verlauf.push(verlaufEintrag('abgeschlossen', 'Fall abgeschlossen.', clock()));
+            store.set(sessionId, kase);
+        }
+        return { ok: true, fall: kase };
+    }
+
+    // Cases still waiting for the landlord after the deadline day, not yet reminded.
+    function dueReminders(now = clock()) {
+        return Array.from(store)
+            .filter(([, kase]) => kase.status === 'versendet' && kase.email && !kase.erinnert_am)
+            .filter(([, kase]) => {
+                const frist = parseGermanDate(kase.antwort_bis);
+                return frist && now >= endOfDay(frist);
+            });
+    }
+
+    // Marks before sending: a failed send is logged, never retried into a second email.
+    async function runReminders() {
+        for (const [sessionId, kase] of dueReminders()) {
+            const now = clock();
+            kase.erinnert_am = new Date(now).toISOString();
+            kase.verlauf.push(verlaufEintrag('erinnert', `Erinnerung per E-Mail: keine Antwort bis ${kase.antwort_bis}.`, now));
+            store.set(sessionId, kase);
+            try {
+                await sendReminder(reminderPayload(sessionId, kase));
+            } catch (err) {
+                console.error(`Case reminder for ${sessionId} failed:`, err.message);
+            }
+        }
+    }
+
+    function start(intervalMs = REMINDER_INTERVAL_MS) {
+        if (timer) return;
+        timer = setInterval(() => {
+            runReminders().catch((err) => console.error('Case reminders failed:', err.message));
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { get, recordVersand, recordAntwort, startFollowUp, recordFollowUp, failFollowUp, close, dueReminders, runReminders, start, stop };
+}
+
+module.exports = {
+    createCaseService,
+    publicCase,
+    KANAELE,
+};
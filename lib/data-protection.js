@@ -0,0 +1,271 @@
+// Personal data on request and on schedule: find, export (Art. 15/20 DSGVO) and erase
+// (Art. 17) everything kept about one email address or checkout session, and the retention
+// periods promised in public/datenschutz.html. Used by the admin routes in server.js and by
+// scripts/personal-data.js.
+//
+// Where personal data lives:
+//   job store — uploads, results, queue jobs, cases, follow-up jobs, saved reports and report
+//               links (keyed by session ID), accounts and login links (keyed by email hash / nonce)
+//   orders    — data/orders.jsonl; kept for the tax record, so erasure pseudonymises the
+//               session ID and removes the address instead of deleting the order
+//   events    — data/events.jsonl; pseudonymised the same way, so funnel counts stay intact
+//   reminders — data/reminders.json, the yearly reminder opt-in
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { rewriteLog } = require('./event-store');
+const { normalizeEmail, LOGIN_LINK_TTL_MS } = require('./accounts');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Section numbers refer to public/datenschutz.html.
+const RETENTION = {
+    files: 30 * MINUTE_MS,        // § 4 (2) uploads
+    results: 60 * MINUTE_MS,      // § 4 (3) results, and the queue jobs that produce them
+    cases: 365 * DAY_MS,          // § 4a (3) dispute cases
+    reports: 365 * DAY_MS,        // § 4a (1) saved reports, their accounts and report links
+    logins: LOGIN_LINK_TTL_MS,    // § 4a (2) login links
+    orderEmail: 30 * DAY_MS,      // § 4b (1) address on a voucher order
+    orders: 10 * 365 * DAY_MS,    // § 4b (1) order records (§ 147 AO)
+    reminders: 395 * DAY_MS,      // § 4b (2) reminder opt-in: 12 months plus one to send it
+    events: 730 * DAY_MS,         // § 4b (3) funnel events
+};
+const RETENTION_INTERVAL_MS = DAY_MS;
+
+function sameEmail(value, email) {
+    return typeof value === 'string' && value.trim().toLowerCase() === email;
+}
+
+// Uploads are Buffers; an export lists them instead of dumping the bytes.
+function withoutFiles(value) {
+    if (Buffer.isBuffer(value)) return `[Datei, ${value.length} Bytes]`;
+    if (Array.isArray(value)) return value.map(withoutFiles);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, withoutFiles(v)]));
+    }
+    return value;
+}
+
+function readJsonl(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter((line) => line.trim()).flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch (err) {
+            return [];
+        }
+    });
+}
+
+function recordTime(record) {
+    return new Date(record.updated_at || record.created_at || 0).getTime();
+}
+
+function createDataProtection({
+    collections,
+    accountService,
+    reportTokens,
+    eventsFile,
+    ordersFile,
+    remindersFile,
+    now: clock = () => Date.now(),
+}) {
+    const { pending, results, queue, cases, followUps, reports, accounts, logins, reportLinks } = collections;
+    // Everything keyed by session ID, under the name it has in an export.
+    const perSession = { upload: pending, ergebnis: results, warteschlange: queue, fall: cases, nachpruefung: followUps, gespeicherter_bericht: reports };
+
+    function readReminders() {
+        if (!fs.existsSync(remindersFile)) return [];
+        const parsed = JSON.parse(fs.readFileSync(remindersFile, 'utf8'));
+        return Array.isArray(parsed) ? parsed : [];
+    }
+
+    function writeReminders(reminders) {
+        const tmpPath = `${remindersFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(reminders, null, 2));
+        fs.renameSync(tmpPath, remindersFile);
+    }
+
+    function foldedOrders() {
+        const orders = new Map();
+        for (const patch of readJsonl(ordersFile)) {
+            if (patch && patch.session_id) orders.set(patch.session_id, { ...(orders.get(patch.session_id) || {}), ...patch });
+        }
+        return orders;
+    }
+
+    // Returns { ok: true, email, sessionIds } or { ok: false, error }. An address also finds
+    // the sessions it was used for; a session ID finds just that session.
+    function find({ email: rawEmail, sessionId: rawSessionId } = {}) {
+        const email = rawEmail ? normalizeEmail(rawEmail) : null;
+        const sessionId = typeof rawSessionId === 'string' && rawSessionId.trim() ? rawSessionId.trim() : null;
+        if (rawEmail && !email) return { ok: false, error: 'Ungültige E-Mail-Adresse.' };
+        if (!email && !sessionId) return { ok: false, error: 'E-Mail-Adresse oder Session-ID angeben.' };
+
+        const sessionIds = new Set(sessionId ? [sessionId] : []);
+        if (email) {
+            for (const collection of [pending, cases, reports]) {
+                for (const [id, value] of collection) {
+                    if (sameEmail(value.email, email)) sessionIds.add(id);
+                }
+            }
+            for (const id of accountService.getAccount(email)?.sessionIds || []) sessionIds.add(id);
+            for (const order of foldedOrders().values()) {
+                if (sameEmail(order.customer_email, email)) sessionIds.add(order.session_id);
+            }
+        }
+        return { ok: true, email, sessionIds: Array.from(sessionIds) };
+    }
+
+    function exportData(query) {
+        const found = find(query);
+        if (!found.ok) return found;
+        const { email, sessionIds } = found;
+        const orders = foldedOrders();
+        const events = readJsonl(eventsFile);
+
+        const sitzungen = sessionIds.map((sessionId) => {
+            const entry = { session_id: sessionId, bestellung: orders.get(sessionId) || null };
+            for (const [name, collection] of Object.entries(perSession)) {
+                entry[name] = withoutFiles(collection.get(sessionId) || null);
+            }
+            entry.berichtslinks = reportTokens.recordFor(sessionId)?.tokens || [];
+            entry.ereignisse = events.filter((event) => event.session_id === sessionId);
+            return entry;
+        });
+        const account = email ? accountService.getAccount(email) : null;
+
+        return {
+            ok: true,
+            data: {
+                erstellt_am: new Date(clock()).toISOString(),
+                anfrage: { email, session_id: query.sessionId || null },
+                konto: account ? { email: account.email, berichte: account.sessionIds, letzte_aktivitaet: new Date(account.createdAt).toISOString() } : null,
+                offene_anmeldelinks: email ? Array.from(logins).filter(([, login]) => sameEmail(login.email, email)).length : 0,
+                erinnerung: email ? readReminders().filter((r) => sameEmail(r.email, email)) : [],
+                sitzungen,
+                hinweis: 'Zahlungsdaten verarbeitet Stripe; sie sind dort abzufragen.',
+            },
+        };
+    }
+
+    // Deletes what can go and pseudonymises orders and events. Returns counts per store.
+    function erase(query) {
+        const found = find(query);
+        if (!found.ok) return found;
+        const { email, sessionIds } = found;
+        const geloescht = { berichtslinks: 0, konto: 0, anmeldelinks: 0, erinnerungen: 0 };
+
+        for (const sessionId of sessionIds) {
+            for (const [name, collection] of Object.entries(perSession)) {
+                if (collection.delete(sessionId)) geloescht[name] = (geloescht[name] || 0) + 1;
+            }
+            if (reportTokens.forget(sessionId)) geloescht.berichtslinks++;
+        }
+        if (email) {
+            if (accountService.deleteAccount(email)) geloescht.konto++;
+            for (const [nonce, login] of Array.from(logins)) {
+                if (sameEmail(login.email, email) && logins.delete(nonce)) geloescht.anmeldelinks++;
+            }
+            const reminders = readReminders();
+            const rest = reminders.filter((r) => !sameEmail(r.email, email));
+            if (rest.length !== reminders.length) {
+                writeReminders(rest);
+                geloescht.erinnerungen = reminders.length - rest.length;
+            }
+        }
+
+        // A random stand-in per session: the counts stay, the link to the Stripe session goes.
+        const pseudonyms = new Map(sessionIds.map((id) => [id, `geloescht_${crypto.randomBytes(9).toString('base64url')}`]));
+        const orders = rewriteLog(ordersFile, (record) => {
+            const matches = pseudonyms.has(record.session_id) || (email && sameEmail(record.customer_email, email));
+            if (!matches) return record;
+            const { customer_email: _, ...rest } = record;
+            return { ...rest, session_id: pseudonyms.get(record.session_id) || record.session_id };
+        });
+        const events = rewriteLog(eventsFile, (record) => (
+            pseudonyms.has(record.session_id) ? { ...record, session_id: pseudonyms.get(record.session_id) } : record
+        ));
+
+        return {
+            ok: true,
+            email,
+            sitzungen: sessionIds.length,
+            geloescht,
+            pseudonymisiert: { bestellungen: orders.changed, ereignisse: events.changed },
+        };
+    }
+
+    // The job store's short periods; cheap, so server.js runs this every few minutes.
+    function sweepJobStore(now = clock()) {
+        pending.deleteOlderThan(RETENTION.files, now);
+        results.deleteOlderThan(RETENTION.results, now);
+        queue.deleteOlderThan(RETENTION.results, now);
+        followUps.deleteOlderThan(RETENTION.results, now);
+        cases.deleteOlderThan(RETENTION.cases, now);
+        reports.deleteOlderThan(RETENTION.reports, now);
+        accounts.deleteOlderThan(RETENTION.reports, now);
+        // As long as the saved report: dropping the record would reopen raw session-ID access.
+        reportLinks.deleteOlderThan(RETENTION.reports, now);
+        logins.deleteOlderThan(RETENTION.logins, now);
+    }
+
+    // Everything, including the rewrite of the log files. Returns what changed.
+    function applyRetention() {
+        const now = clock();
+        sweepJobStore(now);
+
+        const orders = rewriteLog(ordersFile, (record) => {
+            const age = now - recordTime(record);
+            if (age > RETENTION.orders) return null;
+            if (age <= RETENTION.orderEmail || !record.customer_email) return record;
+            const { customer_email: _, ...rest } = record;
+            return rest;
+        });
+        const events = rewriteLog(eventsFile, (record) => (now - recordTime(record) > RETENTION.events ? null : record));
+
+        const reminders = readReminders();
+        const rest = reminders.filter((r) => now - new Date(r.createdAt).getTime() <= RETENTION.reminders);
+        if (rest.length !== reminders.length) writeReminders(rest);
+
+        return {
+            bestellungen_geloescht: orders.dropped,
+            bestellungen_ohne_email: orders.changed,
+            ereignisse_geloescht: events.dropped,
+            erinnerungen_geloescht: reminders.length - rest.length,
+        };
+    }
+
+    let timer = null;
+
+    function runRetention() {
+        try {
+            const outcome = applyRetention();
+            if (Object.values(outcome).some((n) => n > 0)) console.log('Retention:', outcome);
+        } catch (err) {
+            console.error('Retention failed:', err.message);
+        }
+    }
+
+    // Only the process that runs the analysis queue should call start(): the log rewrite
+    // must not run in two processes at once.
+    function start(intervalMs = RETENTION_INTERVAL_MS) {
+        if (timer) return;
+        runRetention();
+        timer = setInterval(runRetention, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { find, exportData, erase, sweepJobStore, applyRetention, start, stop };
+}
+
+module.exports = {
+    createDataProtection,
+    RETENTION,
+};
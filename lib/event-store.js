@@ -0,0 +1,207 @@
+// Append-only storage for funnel events and orders (data/*.jsonl).
+//
+// Every write is a single appended line, so concurrent requests (and the separate
+// analysis worker) never overwrite each other. Each process keeps an in-memory copy
+// with indexes and picks up lines written by other processes by reading the file
+// tail from the last known offset before every lookup.
+//
+// Orders are stored as patch records and folded per session_id on read, which keeps
+// upsertOrder append-only as well.
+
+const fs = require('fs');
+const path = require('path');
+
+function createAppendLog(filePath, { onRecord, onReset }) {
+    let offset = 0;
+    let leftover = '';
+    let inode = null;
+
+    function refresh() {
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (err) {
+            return; // Nothing written yet.
+        }
+        const size = stat.size;
+        if (size < offset || (inode !== null && stat.ino !== inode)) {
+            // File was rewritten (restore from backup, compaction) — rebuild from scratch.
+            onReset();
+            offset = 0;
+            leftover = '';
+        }
+        inode = stat.ino;
+        if (size === offset) return;
+
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const chunk = Buffer.alloc(size - offset);
+            fs.readSync(fd, chunk, 0, chunk.length, offset);
+            offset = size;
+            const text = leftover + chunk.toString('utf8');
+            const lines = text.split('\n');
+            // A line without trailing newline is still being written by another process.
+            leftover = lines.pop();
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    onRecord(JSON.parse(line));
+                } catch (err) {
+                    console.error(`Skipping unreadable line in ${path.basename(filePath)}:`, err.message);
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function append(record) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+        refresh();
+    }
+
+    return { append, refresh };
+}
+
+function createEventStore({ eventsFile, ordersFile }) {
+    const events = [];
+    const eventsBySession = new Map();   // session_id → event[]
+    const sessionsByEvent = new Map();   // event_name → Set<session_id>
+    const orders = new Map();            // session_id → folded order (insertion order = first seen)
+
+    const eventLog = createAppendLog(eventsFile, {
+        onRecord(event) {
+            events.push(event);
+            if (event.session_id) {
+                if (!eventsBySession.has(event.session_id)) eventsBySession.set(event.session_id, []);
+                eventsBySession.get(event.session_id).push(event);
+            }
+            if (!sessionsByEvent.has(event.event_name)) sessionsByEvent.set(event.event_name, new Set());
+            sessionsByEvent.get(event.event_name).add(event.session_id);
+        },
+        onReset() {
+            events.length = 0;
+            eventsBySession.clear();
+            sessionsByEvent.clear();
+        },
+    });
+
+    const orderLog = createAppendLog(ordersFile, {
+        onRecord(patch) {
+            if (!patch || !patch.session_id) return;
+            orders.set(patch.session_id, { ...(orders.get(patch.session_id) || {}), ...patch });
+        },
+        onReset() {
+            orders.clear();
+        },
+    });
+
+    return {
+        appendEvent(event) {
+            eventLog.append(event);
+        },
+        hasEvent(sessionId, eventName) {
+            eventLog.refresh();
+            return Boolean(sessionsByEvent.get(eventName)?.has(sessionId));
+        },
+        listEvents() {
+            eventLog.refresh();
+            return events.slice();
+        },
+        eventsForSession(sessionId) {
+            eventLog.refresh();
+            return (eventsBySession.get(sessionId) || []).slice();
+        },
+        upsertOrder(patch) {
+            orderLog.refresh();
+            const record = orders.has(patch.session_id) ? patch : { created_at: patch.updated_at, ...patch };
+            orderLog.append(record);
+            return orders.get(patch.session_id);
+        },
+        getOrder(sessionId) {
+            orderLog.refresh();
+            return orders.get(sessionId) || null;
+        },
+        listOrders() {
+            orderLog.refresh();
+            return Array.from(orders.values());
+        },
+    };
+}
+
+// Rewrites a JSONL log through `mapRecord` (return null to drop the record, the same object
+// to keep it, a new one to replace it) — for erasure requests and retention. The file is
+// replaced by rename, which the readers above notice by its new inode. Lines appended by
+// another process while the rewrite runs are carried over; only a line written in the last
+// moment before the rename could be lost, so this runs rarely and from one process.
+function rewriteLog(filePath, mapRecord) {
+    const counts = { kept: 0, changed: 0, dropped: 0 };
+    if (!fs.existsSync(filePath)) return counts;
+
+    const mapLines = (text) => text.split('\n').filter((line) => line.trim()).map((line) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            counts.kept++;
+            return line;
+        }
+        const mapped = mapRecord(record);
+        if (mapped === null) {
+            counts.dropped++;
+            return null;
+        }
+        if (mapped === record) {
+            counts.kept++;
+            return line;
+        }
+        counts.changed++;
+        return JSON.stringify(mapped);
+    }).filter((line) => line !== null);
+
+    // A last line without newline is still being written; it is picked up with the tail.
+    const original = fs.readFileSync(filePath);
+    const end = original.lastIndexOf(10) + 1;
+    const lines = mapLines(original.subarray(0, end).toString('utf8'));
+    if (counts.changed === 0 && counts.dropped === 0) return counts;
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+    const size = fs.statSync(filePath).size;
+    if (size > end) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const tail = Buffer.alloc(size - end);
+            fs.readSync(fd, tail, 0, tail.length, end);
+            const tailLines = mapLines(tail.toString('utf8'));
+            if (tailLines.length) fs.appendFileSync(tmpPath, `${tailLines.join('\n')}\n`);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+    fs.renameSync(tmpPath, filePath);
+    return counts;
+}
+
+// One-time import of the old events.json / orders.json arrays. Skips a file when its
+// JSONL counterpart already has content, so running it twice doesn't duplicate data.
+function migrateJsonArrays({ from, to }) {
+    if (!fs.existsSync(from)) return { status: 'missing', count: 0 };
+    if (fs.existsSync(to) && fs.statSync(to).size > 0) return { status: 'skipped', count: 0 };
+
+    const parsed = JSON.parse(fs.readFileSync(from, 'utf-8'));
+    const records = Array.isArray(parsed) ? parsed : [];
+    const body = records.map((record) => JSON.stringify(record)).join('\n');
+    const tmpPath = `${to}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, body ? `${body}\n` : '');
+    fs.renameSync(tmpPath, to);
+    fs.renameSync(from, `${from}.migrated`);
+    return { status: 'migrated', count: records.length };
+}
+
+module.exports = {
+    createEventStore,
+    migrateJsonArrays,
+    rewriteLog,
+};
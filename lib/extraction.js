@@ -0,0 +1,173 @@
+// Typed line-item table produced by the extraction stage. The assessment stage and the
+// rule engine only ever see this normalized shape, never the raw document.
+
+const { parseGermanNumber, parseSaldo, formatNumberDE, formatEuro } = require('./german-number');
+
+const MAX_KOSTENPOSTEN = 60;
+const VALIDIERUNG_VALUES = ['ok', 'nicht_lesbar', 'keine_abrechnung', 'unvollstaendig'];
+
+function cleanText(value, maxLen = 200) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (!trimmed || trimmed === 'null') return null;
+    return trimmed.slice(0, maxLen);
+}
+
+function cleanNumber(value) {
+    const num = parseGermanNumber(value);
+    return num === null ? null : Math.round(num * 1000) / 1000;
+}
+
+function normalizeKostenposten(row, index) {
+    const posten = cleanText(row?.posten, 120);
+    if (!posten) return null;
+    return {
+        index,
+        posten,
+        gesamtkosten: cleanNumber(row.gesamtkosten),
+        verteilerschluessel: cleanText(row.verteilerschluessel, 80),
+        gesamteinheiten: cleanNumber(row.gesamteinheiten),
+        anteil_mieter: cleanNumber(row.anteil_mieter),
+        einheit: cleanText(row.einheit, 30),
+        betrag: cleanNumber(row.betrag),
+        vorwegabzug_gewerbe: cleanNumber(row.vorwegabzug_gewerbe),
+        zitat: cleanText(row.zitat, 300),
+    };
+}
+
+const HEIZKOSTEN_NUMBER_FIELDS = [
+    'kosten_gesamt',
+    'grundkosten_gesamt',
+    'verbrauchskosten_gesamt',
+    'flaeche_gesamt_qm',
+    'flaeche_mieter_qm',
+    'verbrauchseinheiten_gesamt',
+    'verbrauchseinheiten_mieter',
+    'kosten_mieter',
+    'energieverbrauch_kwh',
+    'co2_emissionen_kg',
+    'co2_kg_pro_qm',
+    'co2_kosten_gesamt',
+    'co2_kosten_mieter',
+    'co2_vermieteranteil_prozent',
+    'co2_vermieteranteil_eur',
+];
+
+function normalizeHeizkosten(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const out = Object.fromEntries(HEIZKOSTEN_NUMBER_FIELDS.map((field) => [field, cleanNumber(safe[field])]));
+    out.warmwasser_ermittlung = ['waermezaehler', 'formel'].includes(safe.warmwasser_ermittlung) ? safe.warmwasser_ermittlung : null;
+    out.ohne_verbrauchserfassung = typeof safe.ohne_verbrauchserfassung === 'boolean' ? safe.ohne_verbrauchserfassung : null;
+    out.zitat = cleanText(safe.zitat, 300);
+    return out;
+}
+
+function normalizeGewerbe(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    return {
+        gewerbe_vorhanden: typeof safe.gewerbe_vorhanden === 'boolean' ? safe.gewerbe_vorhanden : null,
+        gewerbe_flaeche_qm: cleanNumber(safe.gewerbe_flaeche_qm),
+        gewerbe_einheiten: cleanNumber(safe.gewerbe_einheiten),
+        gesamtflaeche_qm: cleanNumber(safe.gesamtflaeche_qm),
+        einheiten_gesamt: cleanNumber(safe.einheiten_gesamt),
+        zitat: cleanText(safe.zitat, 300),
+    };
+}
+
+function normalizeExtraction(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const kopf = safe.kopfdaten && typeof safe.kopfdaten === 'object' ? safe.kopfdaten : {};
+    const heizung = safe.heizkosten_aufteilung && typeof safe.heizkosten_aufteilung === 'object'
+        ? safe.heizkosten_aufteilung
+        : {};
+    // Without saldo_art a negative saldo ("-123,45") is a Guthaben.
+    const saldo = parseSaldo(kopf.saldo, kopf.saldo_art);
+
+    const kostenposten = [];
+    for (const row of (Array.isArray(safe.kostenposten) ? safe.kostenposten : []).slice(0, MAX_KOSTENPOSTEN)) {
+        const normalized = normalizeKostenposten(row, kostenposten.length);
+        if (normalized) kostenposten.push(normalized);
+    }
+
+    return {
+        validierung: VALIDIERUNG_VALUES.includes(safe.validierung) ? safe.validierung : 'ok',
+        validierung_grund: cleanText(safe.validierung_grund, 300),
+        kopfdaten: {
+            abrechnungszeitraum: cleanText(kopf.abrechnungszeitraum, 80),
+            abrechnungsdatum: cleanText(kopf.abrechnungsdatum, 40),
+            wohnflaeche_qm: cleanNumber(kopf.wohnflaeche_qm),
+            vorauszahlungen: cleanNumber(kopf.vorauszahlungen),
+            saldo: saldo ? saldo.betrag : null,
+            saldo_art: saldo ? saldo.art : null,
+            gesamtkosten_mieter: cleanNumber(kopf.gesamtkosten_mieter),
+            heizart: cleanText(kopf.heizart, 20),
+            bundesland: cleanText(kopf.bundesland, 2),
+            ortsgroesse: cleanText(kopf.ortsgroesse, 20),
+        },
+        heizkosten_aufteilung: {
+            verbrauch_prozent: cleanNumber(heizung.verbrauch_prozent),
+            grundkosten_prozent: cleanNumber(heizung.grundkosten_prozent),
+        },
+        heizkosten: normalizeHeizkosten(safe.heizkosten),
+        gewerbe: normalizeGewerbe(safe.gewerbe),
+        kostenposten,
+        hinweise_dokument: (Array.isArray(safe.hinweise_dokument) ? safe.hinweise_dokument : [])
+            .map((h) => cleanText(h, 300))
+            .filter(Boolean)
+            .slice(0, 10),
+    };
+}
+
+function normalizePostenName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-zäöüß0-9]/g, '');
+}
+
+function findKostenposten(extraction, item) {
+    const list = extraction?.kostenposten || [];
+    const idx = Number(item?.posten_index);
+    if (Number.isInteger(idx) && list[idx]) return list[idx];
+    const wanted = normalizePostenName(item?.posten);
+    if (!wanted) return null;
+    return list.find((row) => normalizePostenName(row.posten) === wanted) || null;
+}
+
+// Fill each assessed item with the extracted numbers so the rule engine recomputes
+// E2 on clean values instead of whatever the assessment model echoed back.
+function attachExtractedNumbers(result, extraction) {
+    if (!result || !Array.isArray(result.ergebnisse)) return result;
+    const unitSuffix = (row) => (row.einheit ? ` ${row.einheit}` : '');
+
+    const ergebnisse = result.ergebnisse.map((item) => {
+        const row = findKostenposten(extraction, item);
+        if (!row) return item;
+        const out = { ...item };
+        if (row.betrag !== null) out.betrag = formatEuro(row.betrag);
+        if (row.gesamtkosten !== null && row.gesamteinheiten && row.anteil_mieter !== null) {
+            out.berechnung = {
+                gesamtkosten: formatEuro(row.gesamtkosten),
+                gesamtverteiler: `${formatNumberDE(row.gesamteinheiten, 0, 3)}${unitSuffix(row)}`,
+                anteil: `${formatNumberDE(row.anteil_mieter, 0, 3)}${unitSuffix(row)}`,
+            };
+        } else {
+            delete out.berechnung;
+        }
+        return out;
+    });
+
+    return {
+        ...result,
+        ergebnisse,
+        heizkosten_aufteilung: extraction?.heizkosten_aufteilung || null,
+        saldo: extraction?.kopfdaten
+            ? { betrag: extraction.kopfdaten.saldo, art: extraction.kopfdaten.saldo_art }
+            : null,
+    };
+}
+
+module.exports = {
+    normalizeExtraction,
+    attachExtractedNumbers,
+    findKostenposten,
+    normalizePostenName,
+    cleanText,
+};
@@ -0,0 +1,107 @@
+// Follow-up on the landlord's answer: every objection from the original result (each fehler and
+// warnung, the same list the Widerspruch is built from) is matched against the landlord's reply
+// or corrected statement. The model reads the new document; the rules here decide what may be
+// reported as settled:
+//   - "angenommen" needs a quote from the document, otherwise the objection stays open
+//   - a fehler counts as accepted only when most of the estimated amount was corrected
+//   - objections the model skipped are open ("nicht erwähnt")
+
+const { cleanText } = require('./extraction');
+const { parseEuro, roundCents } = require('./german-number');
+const { parseGermanDate, formatDateDE } = require('./german-date');
+const { widerspruchBefunde } = require('./letters');
+
+const BEWERTUNGEN = ['angenommen', 'abgelehnt', 'offen'];
+const DOKUMENTARTEN = ['antwortschreiben', 'korrigierte_abrechnung', 'beides'];
+// Our amounts are estimates; a correction within 10 % of them settles the objection.
+const TEIL_KORREKTUR_ANTEIL = 0.9;
+const MAX_ZUGESTANDEN_EUR = 10000;
+
+// What the model gets to match against: one entry per objection, keyed by the index into
+// the original `ergebnisse`.
+function einwaendeFor(result) {
+    return widerspruchBefunde(result).map(({ item, index }) => ({
+        einwand_index: index,
+        posten: item.posten,
+        betrag: item.betrag || null,
+        status: item.status,
+        fehlercode: item.fehlercode || null,
+        titel: item.titel || null,
+        erklaerung: item.erklaerung || null,
+        ersparnis_geschaetzt: item.ersparnis_geschaetzt || 0,
+    }));
+}
+
+function einwandFor(item, index, entry) {
+    const ersparnis = item.status === 'fehler' ? item.ersparnis_geschaetzt || 0 : 0;
+    const zugestanden = Math.min(MAX_ZUGESTANDEN_EUR, Math.max(0, roundCents(parseEuro(entry?.zugestanden_eur) ?? 0)));
+    const out = {
+        index,
+        posten: item.posten,
+        betrag: item.betrag || null,
+        status: item.status,
+        bewertung: BEWERTUNGEN.includes(entry?.bewertung) ? entry.bewertung : 'offen',
+        begruendung_vermieter: cleanText(entry?.begruendung_vermieter, 600),
+        beleg: cleanText(entry?.beleg, 600),
+        zugestanden_eur: zugestanden,
+        noch_strittig_eur: 0,
+        erklaerung: cleanText(entry?.erklaerung, 600) || (entry ? null : 'Im Schreiben des Vermieters nicht erwähnt.'),
+        hinweis: null,
+    };
+
+    if (out.bewertung === 'angenommen' && !out.beleg) {
+        out.bewertung = 'offen';
+        out.hinweis = 'Eine Korrektur ist im Dokument nicht belegt.';
+    } else if (out.bewertung === 'angenommen' && ersparnis > 0) {
+        // "Accepted" without an amount means the item was corrected as asked.
+        if (out.zugestanden_eur === 0) out.zugestanden_eur = ersparnis;
+        if (out.zugestanden_eur < ersparnis * TEIL_KORREKTUR_ANTEIL) {
+            out.bewertung = 'offen';
+            out.hinweis = 'Nur teilweise korrigiert.';
+        }
+    }
+    if (out.bewertung === 'abgelehnt' && !out.begruendung_vermieter) {
+        out.begruendung_vermieter = 'Ohne Begründung abgelehnt.';
+    }
+    if (out.bewertung !== 'angenommen') out.noch_strittig_eur = roundCents(Math.max(0, ersparnis - out.zugestanden_eur));
+    return out;
+}
+
+// Returns:
+//   einwaende — one entry per objection, in the order of the original result
+//   *_anzahl, zugestanden_gesamt, noch_strittig_gesamt — totals over `einwaende`
+//   neuer_saldo — the balance of a corrected statement, when there is one
+function normalizeFollowUp(raw, result) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const antworten = new Map();
+    for (const entry of Array.isArray(safe.einwaende) ? safe.einwaende : []) {
+        if (Number.isInteger(entry?.einwand_index) && !antworten.has(entry.einwand_index)) antworten.set(entry.einwand_index, entry);
+    }
+    const einwaende = widerspruchBefunde(result).map(({ item, index }) => einwandFor(item, index, antworten.get(index)));
+    const anzahl = (bewertung) => einwaende.filter((e) => e.bewertung === bewertung).length;
+    const summe = (feld) => roundCents(einwaende.reduce((sum, e) => sum + e[feld], 0));
+
+    const saldo = safe.neuer_saldo && typeof safe.neuer_saldo === 'object' ? safe.neuer_saldo : {};
+    const saldoBetrag = parseEuro(saldo.betrag);
+    const datum = parseGermanDate(cleanText(safe.dokumentdatum, 20) || '');
+    return {
+        validierung: ['ok', 'nicht_lesbar', 'keine_antwort'].includes(safe.validierung) ? safe.validierung : 'ok',
+        dokumentart: DOKUMENTARTEN.includes(safe.dokumentart) ? safe.dokumentart : 'antwortschreiben',
+        dokumentdatum: datum ? formatDateDE(datum) : null,
+        zusammenfassung: cleanText(safe.zusammenfassung, 1000),
+        neuer_saldo: ['nachzahlung', 'guthaben'].includes(saldo.art) && saldoBetrag !== null
+            ? { art: saldo.art, betrag: roundCents(Math.abs(saldoBetrag)) }
+            : null,
+        einwaende,
+        angenommen_anzahl: anzahl('angenommen'),
+        abgelehnt_anzahl: anzahl('abgelehnt'),
+        offen_anzahl: anzahl('offen'),
+        zugestanden_gesamt: summe('zugestanden_eur'),
+        noch_strittig_gesamt: summe('noch_strittig_eur'),
+    };
+}
+
+module.exports = {
+    einwaendeFor,
+    normalizeFollowUp,
+};
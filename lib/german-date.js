@@ -0,0 +1,185 @@
+// Date and billing-period parsing for the formats landlords and Hausverwaltungen actually
+// print: "31.12.24", "01.01.–31.12.2024", "Jan–Dez 2024", "Abrechnungsjahr 2024",
+// ISO dates, abbreviated months ("Dez."). Fixtures: test/fixtures/german-dates.json.
+//
+// parsePeriod returns a confidence between 0 and 1 — 1 when both dates are printed in
+// full, lower the more we had to infer (missing start year, month names, a bare year).
+
+const MONTHS = {
+    januar: 0, jan: 0, jänner: 0,
+    februar: 1, feb: 1,
+    märz: 2, maerz: 2, mär: 2, mrz: 2, mar: 2,
+    april: 3, apr: 3,
+    mai: 4,
+    juni: 5, jun: 5,
+    juli: 6, jul: 6,
+    august: 7, aug: 7,
+    september: 8, sep: 8, sept: 8,
+    oktober: 9, okt: 9,
+    november: 10, nov: 10,
+    dezember: 11, dez: 11,
+};
+
+const MONTH_NAME = '(januar|jänner|jan|februar|feb|märz|maerz|mär|mrz|mar|april|apr|mai|juni|jun|juli|jul|august|aug|september|sept|sep|oktober|okt|november|nov|dezember|dez)(?![a-zäöüß])\\.?';
+const YEAR = '(\\d{4}|\\d{2})(?!\\d)';
+const NUMERIC_DATE = `(\\d{1,2})\\.\\s?(\\d{1,2})\\.\\s?${YEAR}`;
+const WORD_DATE = `(\\d{1,2})\\.\\s*${MONTH_NAME}\\s+${YEAR}`;
+const ISO_DATE = '(\\d{4})-(\\d{2})-(\\d{2})(?!\\d)';
+const SEP = '\\s*(?:-|–|—|bis\\s+einschl(?:\\.|ießlich)|bis(?:\\s+zum)?)\\s*';
+
+const DATE_PATTERNS = [
+    { re: new RegExp(ISO_DATE), build: (m) => [m[1], m[2], m[3]] },
+    { re: new RegExp(NUMERIC_DATE), build: (m) => [m[3], m[2], m[1]] },
+    { re: new RegExp(WORD_DATE, 'i'), build: (m) => [m[3], MONTHS[m[2].toLowerCase()] + 1, m[1]] },
+];
+
+function expandYear(value) {
+    const year = Number(value);
+    if (String(value).length === 4) return year;
+    // Two-digit years: statements are from this century unless that would put them in the future.
+    const pivot = (new Date().getFullYear() % 100) + 1;
+    return year <= pivot ? 2000 + year : 1900 + year;
+}
+
+function makeDate(y, m, d) {
+    const dt = new Date(y, m, d);
+    return dt.getFullYear() === y && dt.getMonth() === m && dt.getDate() === d ? dt : null;
+}
+
+function buildDate(yearRaw, monthRaw, dayRaw) {
+    const month = Number(monthRaw) - 1;
+    if (!Number.isInteger(month) || month < 0 || month > 11) return null;
+    return makeDate(expandYear(yearRaw), month, Number(dayRaw));
+}
+
+function lastDayOfMonth(y, m) {
+    return new Date(y, m + 1, 0);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Every full date in the text, in reading order.
+function findDates(text) {
+    const found = [];
+    for (const { re, build } of DATE_PATTERNS) {
+        const global = new RegExp(re.source, `${re.flags}g`);
+        let m;
+        while ((m = global.exec(text)) !== null) {
+            const date = buildDate(...build(m));
+            if (date && !found.some((f) => m.index < f.end && f.index < m.index + m[0].length)) {
+                found.push({ date, index: m.index, end: m.index + m[0].length });
+            }
+        }
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+function parseGermanDate(dateText) {
+    if (dateText instanceof Date) return Number.isNaN(dateText.getTime()) ? null : dateText;
+    if (typeof dateText !== 'string') return null;
+    const first = findDates(dateText.trim())[0];
+    return first ? first.date : null;
+}
+
+function extractDateFromText(text) {
+    return parseGermanDate(text);
+}
+
+function formatDateDE(dateObj) {
+    if (!(dateObj instanceof Date) || Number.isNaN(dateObj.getTime())) return null;
+    const dd = String(dateObj.getDate()).padStart(2, '0');
+    const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const yyyy = String(dateObj.getFullYear());
+    return `${dd}.${mm}.${yyyy}`;
+}
+
+function period(start, end, confidence, format) {
+    if (start && end && start >= end) return null;
+    return { start, end, confidence, format };
+}
+
+// "01.01.–31.12.2024", "01.07.-30.06.24": the start borrows the end's year, or the one
+// before when the period runs across New Year.
+function matchOpenStart(text) {
+    const m = text.match(new RegExp(`(\\d{1,2})\\.\\s?(\\d{1,2})\\.(?!\\s?\\d)${SEP}${NUMERIC_DATE}`));
+    if (!m) return null;
+    const end = buildDate(m[5], m[4], m[3]);
+    if (!end) return null;
+    let start = makeDate(end.getFullYear(), Number(m[2]) - 1, Number(m[1]));
+    if (start && start >= end) start = makeDate(end.getFullYear() - 1, Number(m[2]) - 1, Number(m[1]));
+    return start ? period(start, end, 0.95, 'tag_ohne_jahr') : null;
+}
+
+// "Jan–Dez 2024", "Juli 2023 bis Juni 2024", "07/2023 - 06/2024", "01/24–12/24".
+function matchMonthRange(text) {
+    const monthToken = `(?:\\b${MONTH_NAME}|\\b(\\d{1,2})\\s*/\\s*)`;
+    const re = new RegExp(`${monthToken}\\s*(?:${YEAR})?${SEP}${monthToken}\\s*${YEAR}`, 'i');
+    const m = text.match(re);
+    if (!m) return null;
+    const monthOf = (name, num) => (name ? MONTHS[name.toLowerCase()] : Number(num) - 1);
+    const startMonth = monthOf(m[1], m[2]);
+    const endMonth = monthOf(m[4], m[5]);
+    if (!(startMonth >= 0 && startMonth <= 11 && endMonth >= 0 && endMonth <= 11)) return null;
+    const endYear = expandYear(m[6]);
+    let startYear = m[3] ? expandYear(m[3]) : endYear;
+    if (!m[3] && startMonth > endMonth) startYear -= 1;
+    return period(new Date(startYear, startMonth, 1), lastDayOfMonth(endYear, endMonth), 0.9, 'monate');
+}
+
+// "Abrechnungsjahr 2024", "Kalenderjahr 2024", "Betriebskosten 2024" or just "2024".
+function matchYear(text) {
+    // "2023/2024" or "2023/24" is usually a heating season whose months aren't stated.
+    if (/\b(?:19|20)\d{2}\s*\/\s*(?:(?:19|20)?\d{2})\b/.test(text)) return null;
+    const labelled = text.match(/\b(?:abrechnungs|kalender|wirtschafts|betriebskosten|nebenkosten)?jahr\s*:?\s*((?:19|20)\d{2})\b/i);
+    if (labelled) {
+        const y = Number(labelled[1]);
+        return period(new Date(y, 0, 1), new Date(y, 11, 31), 0.85, 'jahr');
+    }
+    const years = text.match(/\b(?:19|20)\d{2}\b/g);
+    if (years && new Set(years).size === 1) {
+        const y = Number(years[0]);
+        return period(new Date(y, 0, 1), new Date(y, 11, 31), 0.6, 'jahr');
+    }
+    return null;
+}
+
+// Returns { start, end, confidence, format } or null. `start` is null when the text only
+// names the last day ("bis 31.12.2024").
+function parsePeriod(periodText) {
+    if (typeof periodText !== 'string' || !periodText.trim()) return null;
+    const text = periodText.trim().replace(/\s+/g, ' ');
+
+    const openStart = matchOpenStart(text);
+    if (openStart) return openStart;
+
+    const dates = findDates(text);
+    const separator = new RegExp(`^${SEP}$`, 'i');
+    for (let i = 0; i + 1 < dates.length; i++) {
+        const between = text.slice(dates[i].end, dates[i + 1].index);
+        if (separator.test(between)) return period(dates[i].date, dates[i + 1].date, 1, 'daten');
+    }
+    if (dates.length >= 2) {
+        // Several dates without "bis"/"–" between them — first and last is a guess.
+        return period(dates[0].date, dates[dates.length - 1].date, 0.7, 'daten');
+    }
+
+    const months = matchMonthRange(text);
+    if (months) return months;
+
+    if (dates.length === 1) {
+        return { start: null, end: dates[0].date, confidence: 0.5, format: 'nur_ende' };
+    }
+    return matchYear(text);
+}
+
+module.exports = {
+    parseGermanDate,
+    parsePeriod,
+    extractDateFromText,
+    findDates,
+    formatDateDE,
+    makeDate,
+    addDays,
+};
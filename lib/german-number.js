@@ -0,0 +1,142 @@
+// German number and currency handling for every amount the server reads or prints.
+// The model returns amounts as strings ("2.450,00 €", "EUR 80,-", "Guthaben 123,45"),
+// statements use thousands dots and trailing minus signs, users type "72,5".
+// Fixtures: test/fixtures/german-numbers.json.
+
+// One number token: space-grouped thousands ("1 234,56") first, then anything made of
+// digits, dots and commas. Signs are handled around the token.
+const NUMBER_TOKEN = /(\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?:,\d+)?(?![\d.,])|\d[\d.,]*\d|\d)/;
+// A minus sign counts when it touches the number or opens the value; "Hausmeister - 280,00"
+// and "Hausmeister – 280,00" are separators.
+const LEADING_MINUS = /(?:^\s*[-−]\s?|[-−])$/;
+const TRAILING_MINUS = /^-(?![\d-])/;
+
+const GUTHABEN_PATTERN = /guthaben|erstattung|gutschrift|zu ihren gunsten|rückzahlung/i;
+const NACHZAHLUNG_PATTERN = /nachzahlung|nachforderung|zu ihren lasten|zu zahlen|fehlbetrag/i;
+
+function normalizeDigits(token) {
+    let raw = token.replace(/[ \u00a0\u202f]/g, '');
+    const lastDot = raw.lastIndexOf('.');
+    const lastComma = raw.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        // Both present: whichever comes last is the decimal separator ("2.450,00", "2,450.00").
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        raw = raw.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+        // "1,234,567" is an English grouping; a single comma is always a German decimal.
+        raw = /^\d{1,3}(,\d{3}){2,}$/.test(raw) ? raw.replace(/,/g, '') : raw.replace(',', '.');
+    } else if (lastDot !== -1) {
+        // "1.234" / "12.345.678" are thousands; "12.5" is a decimal the model wrote in English.
+        if (/^\d{1,3}(\.\d{3})+$/.test(raw)) raw = raw.replace(/\./g, '');
+    }
+    // "80,-" leaves a dangling separator.
+    raw = raw.replace(/\.$/, '');
+    return /^\d+(\.\d+)?$/.test(raw) ? Number(raw) : null;
+}
+
+// First number in the value, signed. Accepts numbers as they are.
+function parseGermanNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const m = value.match(NUMBER_TOKEN);
+    if (!m) return null;
+    const num = normalizeDigits(m[1]);
+    if (num === null) return null;
+    const before = value.slice(0, m.index);
+    const after = value.slice(m.index + m[1].length).replace(/^,-/, '');
+    const negative = LEADING_MINUS.test(before) || TRAILING_MINUS.test(after.replace(/^\s*(€|eur(o)?)?\s*/i, ''));
+    return negative ? -num : num;
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Euro amount rounded to cents; "€", "EUR", "Euro" anywhere around the number are ignored.
+function parseEuro(value) {
+    const num = parseGermanNumber(value);
+    return num === null ? null : roundCents(num);
+}
+
+// True when the value is nothing but an amount ("2.450,00 €", "EUR 80,-", "-12,50"),
+// so reformatting it loses nothing.
+function isAmountOnly(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value !== 'string') return false;
+    const stripped = value.trim().replace(/^(?:€|eur(?:o)?)\s?/i, '').replace(/\s?(?:€|eur(?:o)?)\s*-?$/i, '');
+    return new RegExp(`^[-−]?${NUMBER_TOKEN.source}(?:,-)?-?$`).test(stripped);
+}
+
+// Balance of a statement as { betrag, art } with a positive betrag. "-123,45" and
+// "Guthaben 123,45" are both credits for the tenant; an explicit `artHint` wins.
+function parseSaldo(value, artHint = null) {
+    const num = parseEuro(value);
+    if (num === null) return null;
+    let art = artHint === 'guthaben' || artHint === 'nachzahlung' ? artHint : null;
+    if (!art && typeof value === 'string') {
+        if (GUTHABEN_PATTERN.test(value)) art = 'guthaben';
+        else if (NACHZAHLUNG_PATTERN.test(value)) art = 'nachzahlung';
+    }
+    if (!art) art = num < 0 ? 'guthaben' : 'nachzahlung';
+    return { betrag: Math.abs(num), art };
+}
+
+// All amounts in free text that are marked as euro ("… 2.450,00 €", "EUR 80,-").
+function findEuroAmounts(text) {
+    if (typeof text !== 'string') return [];
+    const token = `[-−]?${NUMBER_TOKEN.source}(?:,-)?`;
+    const pattern = new RegExp(`(?:€|\\beur(?:o)?)\\s?(${token})|(${token})\\s?(?:€|eur(?:o)?\\b)`, 'gi');
+    const amounts = [];
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+        const num = parseEuro(m[1] || m[3]);
+        if (num !== null) amounts.push(num);
+    }
+    return amounts;
+}
+
+const numberFormats = new Map();
+function numberFormat(minDigits, maxDigits) {
+    const key = `${minDigits}:${maxDigits}`;
+    if (!numberFormats.has(key)) {
+        numberFormats.set(key, new Intl.NumberFormat('de-DE', {
+            minimumFractionDigits: minDigits,
+            maximumFractionDigits: maxDigits,
+        }));
+    }
+    return numberFormats.get(key);
+}
+
+// `maxFractionDigits` above `fractionDigits` keeps meter readings like "1.234,567" intact.
+function formatNumberDE(value, fractionDigits = 2, maxFractionDigits = fractionDigits) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    return numberFormat(fractionDigits, maxFractionDigits).format(value);
+}
+
+// "2.450,00 €"; `sign: true` prints "+12,00 €" for increases.
+function formatEuro(value, { fractionDigits = 2, sign = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const prefix = sign && value > 0 ? '+' : '';
+    return `${prefix}${formatNumberDE(value, fractionDigits)} €`;
+}
+
+// "+40 %", "-1,7 %".
+function formatPercentDE(value, { sign = true } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const prefix = sign && value > 0 ? '+' : '';
+    return `${prefix}${numberFormat(0, 1).format(value)} %`;
+}
+
+module.exports = {
+    parseGermanNumber,
+    parseEuro,
+    parseSaldo,
+    isAmountOnly,
+    findEuroAmounts,
+    roundCents,
+    formatNumberDE,
+    formatEuro,
+    formatPercentDE,
+};
@@ -0,0 +1,157 @@
+// Commercial units in the building (E4). Costs that the shop, office or restaurant causes must
+// not end up with the residential tenants: either the commercial area/units are part of the
+// distribution key, or the landlord deducts their share before allocating (Vorwegabzug).
+// For Grundsteuer, Versicherung, Müll and Wasser we recompute the tenant's share as it would
+// be with the commercial part taken out and report the euro difference with its Rechenweg.
+//
+// Whether a Vorwegabzug was legally required depends on how much extra cost the commercial use
+// causes, which the statement doesn't tell us — the result is an estimate, never a "fehler".
+
+const { roundCents, formatEuro, formatNumberDE } = require('./german-number');
+
+// Below this the difference isn't worth a line in the letter.
+const MIN_DIFFERENZ_EUR = 1;
+// A key total within 1 % of the building total already contains the commercial part.
+const TOTAL_TOLERANCE = 0.01;
+
+const KATEGORIEN = [
+    { id: 'grundsteuer', label: 'Grundsteuer', pattern: /grundsteuer|grundbesitzabgabe/i },
+    { id: 'versicherung', label: 'Versicherung', pattern: /versicherung/i },
+    { id: 'muell', label: 'Müll', pattern: /müll|muell|abfall/i },
+    { id: 'wasser', label: 'Wasser', pattern: /^(?!.*warmwasser).*(wasser|entwässerung|kanal)/i },
+];
+
+const eur = (v) => formatEuro(v);
+const num = (v) => formatNumberDE(v, 0, 2);
+
+function keyType(row) {
+    const key = `${row.verteilerschluessel || ''} ${row.einheit || ''}`.toLowerCase();
+    if (/verbrauch|zähler|zaehler|m³|m3|kwh/.test(key)) return 'verbrauch';
+    if (/person|kopf|bewohner/.test(key)) return 'personen';
+    if (/einheit|wohnung|whg|nutzer/.test(key)) return 'einheiten';
+    if (/m²|qm|fläche|flaeche|wfl/.test(key)) return 'flaeche';
+    return null;
+}
+
+// Share of the building that is commercial, for the key the item uses. `imSchluessel` is true
+// when the key total already counts the commercial area or units. The building total is the
+// divisor when the statement gives one: the key total may leave out more than the commercial
+// part (a vacant flat, the caretaker's unit). Without it, key total plus commercial part is
+// only a guess at the building.
+function gewerbeQuote(type, row, gewerbe) {
+    if (type === 'flaeche' && gewerbe.gewerbe_flaeche_qm) {
+        const gesamt = gewerbe.gesamtflaeche_qm;
+        if (gesamt && row.gesamteinheiten >= gesamt * (1 - TOTAL_TOLERANCE)) return { imSchluessel: true };
+        if (gesamt) {
+            return {
+                quote: gewerbe.gewerbe_flaeche_qm / gesamt,
+                sicher: true,
+                basis: `${num(gewerbe.gewerbe_flaeche_qm)} m² Gewerbe ÷ ${num(gesamt)} m² Gesamtfläche`,
+            };
+        }
+        return {
+            quote: gewerbe.gewerbe_flaeche_qm / (row.gesamteinheiten + gewerbe.gewerbe_flaeche_qm),
+            sicher: false,
+            basis: `${num(gewerbe.gewerbe_flaeche_qm)} m² Gewerbe ÷ (${num(row.gesamteinheiten)} m² + ${num(gewerbe.gewerbe_flaeche_qm)} m²)`,
+        };
+    }
+    if (type === 'einheiten' && gewerbe.gewerbe_einheiten) {
+        const gesamt = gewerbe.einheiten_gesamt;
+        if (gesamt && row.gesamteinheiten >= gesamt) return { imSchluessel: true };
+        if (gesamt) {
+            return {
+                quote: gewerbe.gewerbe_einheiten / gesamt,
+                sicher: true,
+                basis: `${num(gewerbe.gewerbe_einheiten)} Gewerbeeinheit(en) ÷ ${num(gesamt)} Einheiten im Haus`,
+            };
+        }
+        return {
+            quote: gewerbe.gewerbe_einheiten / (row.gesamteinheiten + gewerbe.gewerbe_einheiten),
+            sicher: false,
+            basis: `${num(gewerbe.gewerbe_einheiten)} Gewerbeeinheit(en) ÷ (${num(row.gesamteinheiten)} + ${num(gewerbe.gewerbe_einheiten)} Einheiten)`,
+        };
+    }
+    // Persons never include the commercial unit — take its share of the floor area instead.
+    if (type === 'personen' && gewerbe.gewerbe_flaeche_qm && gewerbe.gesamtflaeche_qm) {
+        return {
+            quote: gewerbe.gewerbe_flaeche_qm / gewerbe.gesamtflaeche_qm,
+            sicher: true,
+            basis: `${num(gewerbe.gewerbe_flaeche_qm)} m² Gewerbe ÷ ${num(gewerbe.gesamtflaeche_qm)} m² Gesamtfläche`,
+        };
+    }
+    return null;
+}
+
+function computeZeile(row, kategorie, gewerbe) {
+    const zeile = {
+        posten: row.posten,
+        posten_index: row.index,
+        kategorie: kategorie.id,
+        schluessel: keyType(row),
+        gesamtkosten: row.gesamtkosten,
+        betrag: row.betrag,
+        bewertung: 'nicht_berechenbar',
+        differenz: null,
+        rechenweg: null,
+    };
+
+    if (row.vorwegabzug_gewerbe) {
+        zeile.bewertung = 'abgezogen';
+        zeile.rechenweg = `Vorwegabzug für Gewerbe laut Abrechnung: ${eur(row.vorwegabzug_gewerbe)}`;
+        return zeile;
+    }
+    if (zeile.schluessel === 'verbrauch') {
+        zeile.bewertung = 'nach_verbrauch';
+        zeile.rechenweg = 'Nach gemessenem Verbrauch verteilt — der Verbrauch des Gewerbes ist dann nicht bei Ihnen enthalten.';
+        return zeile;
+    }
+    if (row.gesamtkosten === null || !row.gesamteinheiten || row.anteil_mieter === null) return zeile;
+
+    const quote = gewerbeQuote(zeile.schluessel, row, gewerbe);
+    if (!quote) return zeile;
+    if (quote.imSchluessel) {
+        zeile.bewertung = 'im_schluessel';
+        zeile.rechenweg = `Der Verteilerschlüssel (${num(row.gesamteinheiten)}) enthält das Gewerbe bereits — es trägt seinen Anteil selbst.`;
+        return zeile;
+    }
+
+    const ist = roundCents((row.gesamtkosten / row.gesamteinheiten) * row.anteil_mieter);
+    const abzug = roundCents(row.gesamtkosten * quote.quote);
+    const soll = roundCents(((row.gesamtkosten - abzug) / row.gesamteinheiten) * row.anteil_mieter);
+    zeile.gewerbeanteil_prozent = Math.round(quote.quote * 1000) / 10;
+    zeile.abzug_soll = abzug;
+    zeile.betrag_soll = soll;
+    zeile.differenz = roundCents(ist - soll);
+    zeile.bewertung = quote.sicher ? 'abzug_fehlt' : 'abzug_vermutlich_fehlt';
+    zeile.rechenweg = `Gewerbeanteil ${quote.basis} = ${formatNumberDE(zeile.gewerbeanteil_prozent, 0, 1)} %; `
+        + `Vorwegabzug ${eur(row.gesamtkosten)} × ${formatNumberDE(zeile.gewerbeanteil_prozent, 0, 1)} % = ${eur(abzug)}; `
+        + `Ihr Anteil (${eur(row.gesamtkosten)} − ${eur(abzug)}) ÷ ${num(row.gesamteinheiten)} × ${num(row.anteil_mieter)} = ${eur(soll)} statt ${eur(ist)}`;
+    return zeile;
+}
+
+// Returns null when the statement doesn't mention commercial units. Otherwise:
+//   zeilen — one per Grundsteuer/Versicherung/Müll/Wasser item with bewertung
+//            abzug_fehlt | abzug_vermutlich_fehlt | im_schluessel | abgezogen | nach_verbrauch | nicht_berechenbar
+//   differenz_summe — what the tenant pays too much if the commercial share was not deducted
+function computeGewerbeanteil(extraction) {
+    const gewerbe = extraction?.gewerbe;
+    if (!gewerbe || !(gewerbe.gewerbe_vorhanden || gewerbe.gewerbe_flaeche_qm || gewerbe.gewerbe_einheiten)) return null;
+
+    const zeilen = [];
+    for (const row of extraction.kostenposten || []) {
+        const kategorie = KATEGORIEN.find((k) => k.pattern.test(row.posten));
+        if (kategorie) zeilen.push(computeZeile(row, kategorie, gewerbe));
+    }
+    const relevant = zeilen.filter((z) => z.differenz !== null && z.differenz >= MIN_DIFFERENZ_EUR);
+    return {
+        gewerbe,
+        zeilen,
+        differenz_summe: roundCents(relevant.reduce((sum, z) => sum + z.differenz, 0)),
+        auffaellig_anzahl: relevant.length,
+    };
+}
+
+module.exports = {
+    computeGewerbeanteil,
+    MIN_DIFFERENZ_EUR,
+};
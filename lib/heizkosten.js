@@ -0,0 +1,331 @@
+// Heating costs: the distribution under the HeizkostenV (§ 7 split, § 9 hot water, § 12
+// Kürzungsrecht) and the landlord's CO2 share under the CO2KostAufG. Works on the `heizkosten`
+// block of the extraction. Every finding carries its Rechenweg, so the tenant can redo the
+// numbers from their Heizkostenabrechnung; the rule engine merges the findings into `ergebnisse`.
+
+const { parsePeriod } = require('./german-date');
+const { roundCents, formatEuro, formatNumberDE } = require('./german-number');
+
+const MIN_FEHLER_SAVINGS_EUR = 5;
+const TOLERANCE_EUR = 0.05;
+// Grund- plus Verbrauchskosten have to add up to the total before we recompute the tenant's
+// share — otherwise hot water was split separately and one pair of keys doesn't describe it.
+const SPLIT_SUM_TOLERANCE = 0.01;
+
+// § 12 Abs. 1 Satz 1 HeizkostenV: costs not distributed by consumption.
+const KUERZUNG_OHNE_VERBRAUCH_PROZENT = 15;
+// § 7 Abs. 4 CO2KostAufG: the statement doesn't show the CO2 split.
+const KUERZUNG_OHNE_CO2_ANGABEN_PROZENT = 3;
+// The CO2KostAufG covers billing periods starting on or after 01.01.2023.
+const CO2KOSTAUFG_AB = new Date(2023, 0, 1);
+
+// Stufenmodell for residential buildings (Anlage zum CO2KostAufG):
+// kg CO2 per m² living area and year → tenant's share in percent.
+const CO2_STUFEN = [
+    { bis: 12, mieter: 100 },
+    { bis: 17, mieter: 90 },
+    { bis: 22, mieter: 80 },
+    { bis: 27, mieter: 70 },
+    { bis: 32, mieter: 60 },
+    { bis: 37, mieter: 50 },
+    { bis: 42, mieter: 40 },
+    { bis: 47, mieter: 30 },
+    { bis: 52, mieter: 20 },
+    { bis: Infinity, mieter: 5 },
+];
+
+const eur = (v) => formatEuro(v);
+const num = (v, digits = 2) => formatNumberDE(v, 0, digits);
+
+function co2Stufe(kgProQm) {
+    const index = CO2_STUFEN.findIndex((s) => kgProQm < s.bis);
+    return {
+        stufe: index + 1,
+        von_kg: index === 0 ? 0 : CO2_STUFEN[index - 1].bis,
+        bis_kg: Number.isFinite(CO2_STUFEN[index].bis) ? CO2_STUFEN[index].bis : null,
+        mieter_prozent: CO2_STUFEN[index].mieter,
+        vermieter_prozent: 100 - CO2_STUFEN[index].mieter,
+    };
+}
+
+function stufeText(stufe) {
+    return stufe.bis_kg === null ? `ab ${stufe.von_kg} kg` : `${stufe.von_kg} bis unter ${stufe.bis_kg} kg`;
+}
+
+function deriveAufteilung(h, declared) {
+    if (declared && typeof declared.verbrauch_prozent === 'number') {
+        return {
+            verbrauch_prozent: declared.verbrauch_prozent,
+            grundkosten_prozent: typeof declared.grundkosten_prozent === 'number' ? declared.grundkosten_prozent : 100 - declared.verbrauch_prozent,
+            quelle: 'abrechnung',
+        };
+    }
+    if (h.grundkosten_gesamt === null || h.verbrauchskosten_gesamt === null) return null;
+    const summe = h.grundkosten_gesamt + h.verbrauchskosten_gesamt;
+    if (summe <= 0) return null;
+    const verbrauch = Math.round((h.verbrauchskosten_gesamt / summe) * 1000) / 10;
+    return { verbrauch_prozent: verbrauch, grundkosten_prozent: roundCents(100 - verbrauch), quelle: 'berechnet' };
+}
+
+// === Tenant's share: Grundkosten by area + Verbrauchskosten by units ===
+function checkVerteilung(h) {
+    const complete = h.grundkosten_gesamt !== null && h.flaeche_gesamt_qm && h.flaeche_mieter_qm !== null
+        && h.verbrauchskosten_gesamt !== null && h.verbrauchseinheiten_gesamt && h.verbrauchseinheiten_mieter !== null
+        && h.kosten_mieter !== null;
+    if (!complete) return null;
+    if (h.kosten_gesamt !== null) {
+        const summe = h.grundkosten_gesamt + h.verbrauchskosten_gesamt;
+        if (Math.abs(summe - h.kosten_gesamt) > h.kosten_gesamt * SPLIT_SUM_TOLERANCE) return null;
+    }
+
+    const grund = roundCents((h.grundkosten_gesamt / h.flaeche_gesamt_qm) * h.flaeche_mieter_qm);
+    const verbrauch = roundCents((h.verbrauchskosten_gesamt / h.verbrauchseinheiten_gesamt) * h.verbrauchseinheiten_mieter);
+    const soll = roundCents(grund + verbrauch);
+    return {
+        grundkosten_mieter: grund,
+        verbrauchskosten_mieter: verbrauch,
+        soll,
+        ist: h.kosten_mieter,
+        differenz: roundCents(h.kosten_mieter - soll),
+        rechenweg: `Grundkosten ${eur(h.grundkosten_gesamt)} ÷ ${num(h.flaeche_gesamt_qm)} m² × ${num(h.flaeche_mieter_qm)} m² = ${eur(grund)}; `
+            + `Verbrauchskosten ${eur(h.verbrauchskosten_gesamt)} ÷ ${num(h.verbrauchseinheiten_gesamt, 3)} × ${num(h.verbrauchseinheiten_mieter, 3)} Einheiten = ${eur(verbrauch)}; `
+            + `zusammen ${eur(soll)}, abgerechnet ${eur(h.kosten_mieter)}`,
+    };
+}
+
+function verteilungBefund(verteilung) {
+    if (!verteilung || verteilung.differenz <= TOLERANCE_EUR) return null;
+    const base = {
+        id: 'verteilung',
+        posten: 'Heizkostenverteilung nachgerechnet',
+        fehlercode: 'E2',
+        beweis: verteilung.rechenweg,
+    };
+    if (verteilung.differenz >= MIN_FEHLER_SAVINGS_EUR) {
+        return {
+            ...base,
+            status: 'fehler',
+            titel: 'Rechenfehler bei den Heizkosten',
+            erklaerung: `Nach den Zahlen der Heizkostenabrechnung ergibt sich ein Anteil von ${eur(verteilung.soll)}, abgerechnet wurden ${eur(verteilung.ist)}. Die Differenz von ${eur(verteilung.differenz)} geht zu Lasten des Mieters.`,
+            betrag: eur(verteilung.ist),
+            ersparnis_geschaetzt: verteilung.differenz,
+        };
+    }
+    return {
+        ...base,
+        status: 'warnung',
+        titel: 'Geringe Abweichung bei den Heizkosten',
+        erklaerung: `Nachgerechnet ergibt sich ${eur(verteilung.soll)}, abgerechnet wurden ${eur(verteilung.ist)} (Differenz ${eur(verteilung.differenz)}).`,
+        betrag: eur(verteilung.ist),
+        ersparnis_geschaetzt: 0,
+    };
+}
+
+// === § 12 Abs. 1 HeizkostenV: 15 % off when consumption wasn't recorded ===
+function checkKuerzung12(h, aufteilung) {
+    const ohneVerbrauch = h.ohne_verbrauchserfassung === true || (aufteilung && aufteilung.verbrauch_prozent === 0);
+    if (!ohneVerbrauch) return null;
+    const betrag = h.kosten_mieter !== null ? roundCents((h.kosten_mieter * KUERZUNG_OHNE_VERBRAUCH_PROZENT) / 100) : null;
+    return {
+        grund: h.ohne_verbrauchserfassung === true ? 'ohne Verbrauchserfassung' : '0 % nach Verbrauch',
+        basis: h.kosten_mieter,
+        betrag,
+        rechenweg: betrag !== null ? `${eur(h.kosten_mieter)} × ${KUERZUNG_OHNE_VERBRAUCH_PROZENT} % = ${eur(betrag)}` : null,
+    };
+}
+
+function kuerzung12Befund(kuerzung, zitat) {
+    if (!kuerzung) return null;
+    const erklaerung = `Die Heizkosten wurden nicht nach Verbrauch verteilt (${kuerzung.grund}). Nach § 12 Abs. 1 HeizkostenV dürfen Sie Ihren Anteil dann um ${KUERZUNG_OHNE_VERBRAUCH_PROZENT} % kürzen, sofern keine Ausnahme nach § 11 HeizkostenV vorliegt`;
+    const base = { id: 'kuerzung_12', posten: 'Heizkosten ohne Verbrauchserfassung (§ 12 HeizkostenV)', fehlercode: 'E5' };
+    if (kuerzung.betrag !== null && kuerzung.betrag >= MIN_FEHLER_SAVINGS_EUR && zitat) {
+        return {
+            ...base,
+            status: 'fehler',
+            titel: `Kürzungsrecht ${KUERZUNG_OHNE_VERBRAUCH_PROZENT} % bei den Heizkosten`,
+            erklaerung: `${erklaerung}: ${kuerzung.rechenweg}.`,
+            beweis: `${zitat} — ${kuerzung.rechenweg}`,
+            betrag: eur(kuerzung.basis),
+            ersparnis_geschaetzt: kuerzung.betrag,
+        };
+    }
+    return {
+        ...base,
+        status: 'warnung',
+        titel: 'Heizkosten nicht nach Verbrauch verteilt',
+        erklaerung: `${erklaerung}${kuerzung.rechenweg ? `: ${kuerzung.rechenweg}` : ''}. Bitte prüfen Sie die Stelle in der Heizkostenabrechnung.`,
+        beweis: zitat || kuerzung.rechenweg,
+        betrag: kuerzung.basis !== null ? eur(kuerzung.basis) : '',
+        ersparnis_geschaetzt: 0,
+    };
+}
+
+// === CO2KostAufG: landlord's share of the CO2 costs by Stufenmodell ===
+function checkCo2(h, { zeitraum, heizart }) {
+    const hasCo2Data = [h.co2_emissionen_kg, h.co2_kg_pro_qm, h.co2_kosten_gesamt, h.co2_kosten_mieter].some((v) => v !== null);
+    if (!hasCo2Data && h.kosten_mieter === null) return null;
+
+    const period = parsePeriod(zeitraum);
+    if (heizart === 'waermepumpe') {
+        return { anwendbar: false, grund: 'Wärmepumpe — es fallen keine CO2-Kosten nach dem Brennstoffemissionshandelsgesetz an.' };
+    }
+    if (period?.start && period.start < CO2KOSTAUFG_AB) {
+        return { anwendbar: false, grund: 'Der Abrechnungszeitraum beginnt vor dem 01.01.2023 — das CO2KostAufG gilt noch nicht.' };
+    }
+
+    // null: period start unknown, so we can't tell whether the law applies yet.
+    const out = { anwendbar: period?.start ? true : null, angaben_vorhanden: hasCo2Data };
+    if (!hasCo2Data) {
+        out.kuerzung_betrag = roundCents((h.kosten_mieter * KUERZUNG_OHNE_CO2_ANGABEN_PROZENT) / 100);
+        out.rechenweg = `${eur(h.kosten_mieter)} × ${KUERZUNG_OHNE_CO2_ANGABEN_PROZENT} % = ${eur(out.kuerzung_betrag)}`;
+        return out;
+    }
+
+    // Computed from house totals when possible — that is the number the tenant can check.
+    if (h.co2_emissionen_kg !== null && h.flaeche_gesamt_qm) {
+        out.kg_pro_qm = Math.round((h.co2_emissionen_kg / h.flaeche_gesamt_qm) * 10) / 10;
+        out.kg_rechenweg = `${num(h.co2_emissionen_kg, 0)} kg CO2 ÷ ${num(h.flaeche_gesamt_qm)} m² = ${num(out.kg_pro_qm, 1)} kg/m²`;
+    } else if (h.co2_kg_pro_qm !== null) {
+        out.kg_pro_qm = h.co2_kg_pro_qm;
+        out.kg_rechenweg = `laut Abrechnung ${num(out.kg_pro_qm, 1)} kg CO2/m²`;
+    } else {
+        out.kg_pro_qm = null;
+        return out;
+    }
+    Object.assign(out, co2Stufe(out.kg_pro_qm));
+
+    let co2Mieter = h.co2_kosten_mieter;
+    if (co2Mieter === null && h.co2_kosten_gesamt !== null && h.kosten_gesamt && h.kosten_mieter !== null) {
+        // Without a stated tenant share the CO2 costs follow the heating cost split.
+        co2Mieter = roundCents((h.co2_kosten_gesamt * h.kosten_mieter) / h.kosten_gesamt);
+    }
+    if (co2Mieter === null) return out;
+
+    out.co2_kosten_mieter = co2Mieter;
+    out.vermieteranteil_soll = roundCents((co2Mieter * out.vermieter_prozent) / 100);
+    if (h.co2_vermieteranteil_eur !== null) {
+        out.vermieteranteil_ist = h.co2_vermieteranteil_eur;
+    } else if (h.co2_vermieteranteil_prozent !== null) {
+        out.vermieteranteil_ist = roundCents((co2Mieter * h.co2_vermieteranteil_prozent) / 100);
+    } else {
+        out.vermieteranteil_ist = 0;
+    }
+    out.differenz = roundCents(out.vermieteranteil_soll - out.vermieteranteil_ist);
+    out.rechenweg = `${out.kg_rechenweg} → Stufe ${out.stufe} (${stufeText(out)}): Vermieter trägt ${out.vermieter_prozent} %. `
+        + `${eur(co2Mieter)} CO2-Kosten × ${out.vermieter_prozent} % = ${eur(out.vermieteranteil_soll)}, abgezogen ${eur(out.vermieteranteil_ist)}`;
+    return out;
+}
+
+function co2Befund(co2, kostenMieter) {
+    if (!co2 || co2.anwendbar === false) return null;
+    const base = { id: 'co2', posten: 'CO2-Kostenaufteilung (CO2KostAufG)', fehlercode: 'E5' };
+
+    if (!co2.angaben_vorhanden) {
+        return {
+            ...base,
+            status: 'warnung',
+            titel: 'CO2-Kosten nicht ausgewiesen',
+            erklaerung: `Seit 2023 muss der Vermieter die CO2-Kosten nach dem Stufenmodell zwischen sich und dem Mieter aufteilen und in der Abrechnung angeben. In Ihrer Abrechnung haben wir dazu keine Angaben gefunden. Wird mit Gas, Öl oder fossiler Fernwärme geheizt, dürfen Sie Ihren Heizkostenanteil dann um ${KUERZUNG_OHNE_CO2_ANGABEN_PROZENT} % kürzen (§ 7 Abs. 4 CO2KostAufG): ${co2.rechenweg}.`,
+            beweis: co2.rechenweg,
+            betrag: eur(kostenMieter),
+            ersparnis_geschaetzt: 0,
+        };
+    }
+    if (co2.kg_pro_qm === null || co2.differenz === undefined) {
+        return {
+            ...base,
+            status: 'unklar',
+            titel: 'CO2-Einstufung nicht nachprüfbar',
+            erklaerung: 'Die Abrechnung nennt CO2-Kosten, aber nicht alle Werte, um die Stufe und den Vermieteranteil nachzurechnen (CO2-Ausstoß pro m² bzw. Ihr Anteil an den CO2-Kosten). Fordern Sie die Angaben beim Vermieter an.',
+            beweis: co2.kg_rechenweg || null,
+            betrag: '',
+            ersparnis_geschaetzt: 0,
+        };
+    }
+    if (co2.differenz <= TOLERANCE_EUR) {
+        return {
+            ...base,
+            status: 'ok',
+            titel: 'CO2-Kosten korrekt aufgeteilt',
+            erklaerung: `Der Vermieteranteil an den CO2-Kosten entspricht dem Stufenmodell: ${co2.rechenweg}.`,
+            beweis: co2.rechenweg,
+            betrag: eur(co2.co2_kosten_mieter),
+            ersparnis_geschaetzt: 0,
+        };
+    }
+    const erklaerung = `Nach dem Stufenmodell des CO2KostAufG trägt der Vermieter bei Ihrem Gebäude ${co2.vermieter_prozent} % der CO2-Kosten: ${co2.rechenweg}. Es fehlen ${eur(co2.differenz)} zu Ihren Gunsten.`;
+    if (co2.differenz >= MIN_FEHLER_SAVINGS_EUR && co2.anwendbar) {
+        return {
+            ...base,
+            status: 'fehler',
+            titel: 'CO2-Vermieteranteil zu niedrig',
+            erklaerung,
+            beweis: co2.rechenweg,
+            betrag: eur(co2.co2_kosten_mieter),
+            ersparnis_geschaetzt: co2.differenz,
+        };
+    }
+    return {
+        ...base,
+        status: 'warnung',
+        titel: 'CO2-Vermieteranteil prüfen',
+        erklaerung: co2.anwendbar ? erklaerung : `${erklaerung} Ob das CO2KostAufG für Ihren Abrechnungszeitraum gilt, konnten wir nicht sicher feststellen (gilt ab Zeiträumen, die 2023 oder später beginnen).`,
+        beweis: co2.rechenweg,
+        betrag: eur(co2.co2_kosten_mieter),
+        ersparnis_geschaetzt: 0,
+    };
+}
+
+// === § 9 Abs. 2 HeizkostenV: hot-water heat has to be measured ===
+function warmwasserBefund(h) {
+    if (h.warmwasser_ermittlung !== 'formel') return null;
+    return {
+        id: 'warmwasser',
+        posten: 'Wärmemenge Warmwasser (§ 9 HeizkostenV)',
+        fehlercode: 'E5',
+        status: 'warnung',
+        titel: 'Warmwasser-Wärmemenge nur berechnet',
+        erklaerung: 'Die Wärmemenge für das Warmwasser wurde nach einer Formel ermittelt statt gemessen. Nach § 9 Abs. 2 HeizkostenV ist sie grundsätzlich mit einem Wärmezähler zu erfassen — fragen Sie nach dem Grund.',
+        beweis: h.zitat,
+        betrag: '',
+        ersparnis_geschaetzt: 0,
+    };
+}
+
+// Returns the heizkostencheck attached to the result:
+//   aufteilung / verteilung / kuerzung_12 / co2 — the computed numbers (null when not computable)
+//   befunde — findings in the shape of an `ergebnisse` item plus `id`, merged by the rule engine
+function checkHeizkosten(extraction) {
+    const h = extraction?.heizkosten;
+    if (!h) return null;
+    const kopf = extraction.kopfdaten || {};
+
+    const aufteilung = deriveAufteilung(h, extraction.heizkosten_aufteilung);
+    const verteilung = checkVerteilung(h);
+    const kuerzung12 = checkKuerzung12(h, aufteilung);
+    const co2 = checkCo2(h, { zeitraum: kopf.abrechnungszeitraum, heizart: kopf.heizart });
+    const energie = h.energieverbrauch_kwh !== null && h.flaeche_gesamt_qm
+        ? Math.round(h.energieverbrauch_kwh / h.flaeche_gesamt_qm)
+        : null;
+
+    const befunde = [
+        verteilungBefund(verteilung),
+        kuerzung12Befund(kuerzung12, h.zitat),
+        co2Befund(co2, h.kosten_mieter),
+        warmwasserBefund(h),
+    ].filter(Boolean);
+
+    return {
+        aufteilung,
+        verteilung,
+        kuerzung_12: kuerzung12,
+        co2,
+        energie_kwh_pro_qm: energie,
+        befunde,
+    };
+}
+
+module.exports = {
+    checkHeizkosten,
+    co2Stufe,
+};
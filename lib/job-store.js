@@ -0,0 +1,153 @@
+// Persistent storage for paid-session state (uploads, running jobs, finished results).
+// Each collection behaves like a Map so call sites stay the same; the backend decides
+// whether entries survive a restart.
+//
+// Backends:
+//   fs     — one file per entry under <dir>/<collection>/, AES-256-GCM encrypted
+//   memory — plain Maps (previous behaviour, used when no secret is configured)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_SALT = 'nebenkostenretter-job-store';
+
+// JSON can't carry Buffers efficiently (Buffer#toJSON expands to a number array),
+// so uploads are converted to base64 before stringifying.
+function encodeValue(value) {
+    if (Buffer.isBuffer(value)) return { __buffer: value.toString('base64') };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = encodeValue(v);
+        return out;
+    }
+    return value;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (value && typeof value === 'object') {
+        if (typeof value.__buffer === 'string') return Buffer.from(value.__buffer, 'base64');
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = decodeValue(v);
+        return out;
+    }
+    return value;
+}
+
+function createMemoryCollection() {
+    const map = new Map();
+    return {
+        get: (key) => map.get(key),
+        set: (key, value) => { map.set(key, value); },
+        has: (key) => map.has(key),
+        delete: (key) => map.delete(key),
+        keys: () => Array.from(map.keys()),
+        deleteOlderThan(ttlMs, now = Date.now()) {
+            for (const [key, value] of map) {
+                if (now - (value.createdAt || 0) > ttlMs) map.delete(key);
+            }
+        },
+        [Symbol.iterator]: () => map.entries(),
+    };
+}
+
+function createFsCollection(dir, encryptionKey) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    const fileFor = (key) => path.join(dir, `${Buffer.from(String(key)).toString('base64url')}.job`);
+    const keyFor = (fileName) => Buffer.from(fileName.replace(/\.job$/, ''), 'base64url').toString();
+
+    function encrypt(plain) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+        const body = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), body]);
+    }
+
+    function decrypt(payload) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, payload.subarray(0, 12));
+        decipher.setAuthTag(payload.subarray(12, 28));
+        return Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]).toString('utf8');
+    }
+
+    function read(key) {
+        const filePath = fileFor(key);
+        if (!fs.existsSync(filePath)) return undefined;
+        try {
+            return decodeValue(JSON.parse(decrypt(fs.readFileSync(filePath))));
+        } catch (err) {
+            console.error(`Job store: unreadable entry ${path.basename(filePath)} (${err.message}), removing.`);
+            fs.rmSync(filePath, { force: true });
+            return undefined;
+        }
+    }
+
+    function keys() {
+        return fs.readdirSync(dir).filter((f) => f.endsWith('.job')).map(keyFor);
+    }
+
+    return {
+        get: read,
+        set(key, value) {
+            const filePath = fileFor(key);
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, encrypt(JSON.stringify(encodeValue(value))), { mode: 0o600 });
+            fs.renameSync(tmpPath, filePath);
+            // File mtime mirrors createdAt so TTL sweeps don't need to decrypt every entry.
+            if (value && value.createdAt) {
+                const createdAt = new Date(value.createdAt);
+                fs.utimesSync(filePath, createdAt, createdAt);
+            }
+        },
+        has: (key) => fs.existsSync(fileFor(key)),
+        delete(key) {
+            const filePath = fileFor(key);
+            if (!fs.existsSync(filePath)) return false;
+            fs.rmSync(filePath, { force: true });
+            return true;
+        },
+        keys,
+        deleteOlderThan(ttlMs, now = Date.now()) {
+            for (const fileName of fs.readdirSync(dir)) {
+                const filePath = path.join(dir, fileName);
+                try {
+                    if (now - fs.statSync(filePath).mtimeMs > ttlMs) fs.rmSync(filePath, { force: true });
+                } catch (err) {
+                    // Removed concurrently — nothing to do.
+                }
+            }
+        },
+        *[Symbol.iterator]() {
+            for (const key of keys()) {
+                const value = read(key);
+                if (value !== undefined) yield [key, value];
+            }
+        },
+    };
+}
+
+function createJobStore({ backend = 'fs', dir, secret } = {}) {
+    let effectiveBackend = backend === 'memory' ? 'memory' : 'fs';
+    if (effectiveBackend === 'fs' && !secret) {
+        console.warn('  ⚠  JOB_STORE_SECRET nicht gesetzt — Job-Daten werden nur im Arbeitsspeicher gehalten.');
+        effectiveBackend = 'memory';
+    }
+    const encryptionKey = effectiveBackend === 'fs' ? crypto.scryptSync(secret, KEY_SALT, 32) : null;
+    const collections = new Map();
+
+    return {
+        backend: effectiveBackend,
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, effectiveBackend === 'fs'
+                    ? createFsCollection(path.join(dir, name), encryptionKey)
+                    : createMemoryCollection());
+            }
+            return collections.get(name);
+        },
+    };
+}
+
+module.exports = { createJobStore };
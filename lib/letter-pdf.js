@@ -0,0 +1,99 @@
+// Printable letter (DIN 5008, Form B) for the structured letters from lib/letters.js.
+// Positions are in millimetres from the top-left corner of an A4 page; the address field fits
+// a DL window envelope, the fold marks a Z-fold into thirds.
+
+const PDFDocument = require('pdfkit');
+
+const MM = 72 / 25.4;
+const LAYOUT = {
+    randLinks: 25,
+    randRechts: 20,
+    randUnten: 20,
+    folgeseiteOben: 20,
+    absenderOben: 18,
+    // Anschriftfeld 85 × 45 mm at 45 mm: 17.7 mm Rücksendeangabe, then the address.
+    anschriftOben: 45,
+    anschriftBreite: 85,
+    ruecksendeHoehe: 17.7,
+    infoLinks: 125,
+    infoOben: 50,
+    betreffOben: 98.46,
+    falzmarken: [105, 210],
+    lochmarke: 148.5,
+};
+const SCHRIFT = 'Helvetica';
+const SCHRIFT_FETT = 'Helvetica-Bold';
+const GROESSE = 11;
+
+const mm = (v) => v * MM;
+
+function markierungen(doc) {
+    doc.save().lineWidth(0.5).strokeColor('#999999');
+    for (const y of LAYOUT.falzmarken) doc.moveTo(mm(3), mm(y)).lineTo(mm(8), mm(y)).stroke();
+    doc.moveTo(mm(3), mm(LAYOUT.lochmarke)).lineTo(mm(10), mm(LAYOUT.lochmarke)).stroke();
+    doc.restore();
+}
+
+function generateLetterPDF(letter) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            bufferPages: true,
+            margins: { top: mm(LAYOUT.folgeseiteOben), bottom: mm(LAYOUT.randUnten), left: mm(LAYOUT.randLinks), right: mm(LAYOUT.randRechts) },
+            info: { Title: letter.betreff },
+        });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const breite = doc.page.width - mm(LAYOUT.randLinks) - mm(LAYOUT.randRechts);
+        const links = mm(LAYOUT.randLinks);
+        markierungen(doc);
+        doc.on('pageAdded', () => markierungen(doc));
+
+        // Briefkopf: the sender, right-aligned above the address field.
+        doc.font(SCHRIFT_FETT).fontSize(GROESSE).fillColor('#000000')
+            .text(letter.absender[0], links, mm(LAYOUT.absenderOben), { width: breite, align: 'right' });
+        doc.font(SCHRIFT).fontSize(9).text(letter.absender.slice(1).join('\n'), { width: breite, align: 'right' });
+
+        // Rücksendeangabe at the bottom of its zone, then the recipient.
+        const ruecksendung = letter.absender.join(' · ');
+        doc.font(SCHRIFT).fontSize(7).fillColor('#555555')
+            .text(ruecksendung, links, mm(LAYOUT.anschriftOben + LAYOUT.ruecksendeHoehe) - 10, { width: mm(LAYOUT.anschriftBreite), lineBreak: false, ellipsis: true });
+        doc.font(SCHRIFT).fontSize(GROESSE).fillColor('#000000')
+            .text(letter.empfaenger.join('\n'), links, mm(LAYOUT.anschriftOben + LAYOUT.ruecksendeHoehe), { width: mm(LAYOUT.anschriftBreite) });
+
+        // Informationsblock: the date.
+        doc.font(SCHRIFT).fontSize(9).fillColor('#555555').text('Datum', mm(LAYOUT.infoLinks), mm(LAYOUT.infoOben));
+        doc.font(SCHRIFT).fontSize(GROESSE).fillColor('#000000').text(letter.datum, mm(LAYOUT.infoLinks));
+
+        doc.font(SCHRIFT_FETT).fontSize(GROESSE).text(letter.betreff, links, mm(LAYOUT.betreffOben), { width: breite });
+        doc.moveDown(2);
+        doc.font(SCHRIFT).fontSize(GROESSE);
+        for (const absatz of [letter.anrede, ...letter.absaetze]) {
+            doc.text(absatz, links, doc.y, { width: breite, lineGap: 2 });
+            doc.moveDown(1);
+        }
+        doc.text(letter.gruss, links, doc.y, { width: breite });
+        // Room for the signature.
+        doc.moveDown(3);
+        doc.text(letter.unterschrift, links, doc.y, { width: breite });
+
+        const { start, count } = doc.bufferedPageRange();
+        if (count > 1) {
+            for (let i = start; i < start + count; i++) {
+                doc.switchToPage(i);
+                // Below the bottom margin; without this pdfkit would start a new page.
+                doc.page.margins.bottom = 0;
+                doc.font(SCHRIFT).fontSize(8).fillColor('#555555')
+                    .text(`Seite ${i - start + 1} von ${count}`, links, doc.page.height - mm(LAYOUT.randUnten) + 4, { width: breite, align: 'right', lineBreak: false });
+            }
+        }
+        doc.end();
+    });
+}
+
+module.exports = {
+    generateLetterPDF,
+};
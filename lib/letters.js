@@ -0,0 +1,314 @@
+// Letters the tenant sends to the landlord, assembled from the checked result (after the rule
+// engine), so they name exactly the findings (and amounts) they are built from:
+//   - the Belegeinsicht request (§ 259 BGB) for the items that stayed "unklar"
+//   - the Widerspruch for every fehler and warnung, or the ones the tenant picked in the letter builder
+//   - the Nachfassbrief for the objections the landlord's answer left open (lib/follow-up.js)
+// All come out as a structured letter (sender, recipient, Betreff, paragraphs) that renders as
+// copyable text (letterText) or as a DIN 5008 PDF (lib/letter-pdf.js).
+
+const { cleanText } = require('./extraction');
+const { roundCents, formatEuro } = require('./german-number');
+const { formatDateDE, addDays } = require('./german-date');
+const { isFristItem, totalSavings } = require('./rule-engine');
+
+// Same two weeks the blog template suggests.
+const FRIST_TAGE = 14;
+const LETTER_ARTEN = ['widerspruch', 'belegeinsicht', 'nachfass'];
+const HINWEIS_KEINE_RECHTSBERATUNG = 'Dieses Schreiben wurde mit Unterstützung einer softwaregestützten Plausibilitätsprüfung erstellt und stellt keine Rechtsberatung dar.';
+
+// Documents to ask for, by item name. First match wins.
+const UNTERLAGEN = [
+    { pattern: /sonstig/i, text: 'eine Aufschlüsselung nach einzelnen Kostenarten mit den zugehörigen Rechnungen' },
+    { pattern: /heiz|warmwasser|wärme|waerme|brennstoff|co2/i, text: 'die Heizkostenabrechnung des Messdienstes, die Brennstoff- bzw. Wärmerechnungen und die Ableseprotokolle' },
+    { pattern: /hauswart|hausmeister/i, text: 'den Hausmeistervertrag mit Leistungsbeschreibung und die Aufteilung in umlagefähige und nicht umlagefähige Tätigkeiten' },
+    { pattern: /grundsteuer|grundbesitzabgabe/i, text: 'den Grundsteuerbescheid' },
+    { pattern: /versicherung/i, text: 'die Versicherungsscheine und Beitragsrechnungen' },
+    { pattern: /wasser|abwasser|entwässerung|kanal/i, text: 'die Gebührenbescheide bzw. Versorgerrechnungen und die Zählerstände' },
+    { pattern: /müll|muell|abfall|straßenreinigung|strassenreinigung/i, text: 'die Gebührenbescheide bzw. Rechnungen des Entsorgers' },
+    { pattern: /strom|beleuchtung/i, text: 'die Stromrechnungen für den Allgemeinstrom' },
+    { pattern: /aufzug|fahrstuhl|wartung/i, text: 'den Wartungsvertrag und die Rechnungen' },
+    { pattern: /vorauszahlung/i, text: 'eine Aufstellung der angerechneten Vorauszahlungen' },
+];
+const DEFAULT_UNTERLAGEN = 'die Rechnungen und Verträge, die diesem Posten zugrunde liegen';
+
+// Legal basis named in the Widerspruch, by fehlercode. A Rechenfehler needs none; items
+// without a code get theirs from the rule that produced them (see rechtsgrundlageFor).
+const RECHTSGRUNDLAGEN = {
+    E1: '§ 556 Abs. 1 BGB i. V. m. §§ 1, 2 BetrKV',
+    E3: '§ 556a Abs. 1 BGB',
+    E4: '§ 556a Abs. 1 BGB',
+    E6: '§ 556 Abs. 1 BGB',
+};
+
+function unterlagenFor(posten) {
+    const hit = UNTERLAGEN.find(({ pattern }) => pattern.test(posten));
+    return hit ? hit.text : DEFAULT_UNTERLAGEN;
+}
+
+function rechtsgrundlageFor(item) {
+    if (isFristItem(item)) return '§ 556 Abs. 3 Satz 3 BGB';
+    if ((item.regelpruefung || []).some((r) => r.regel === 'PLAUSI')) return 'Wirtschaftlichkeitsgebot, § 556 Abs. 3 Satz 1 BGB';
+    if (item.fehlercode === 'E5') {
+        if (/co2/i.test(item.posten)) return 'CO2KostAufG';
+        if (/§\s*12/.test(item.posten)) return '§ 12 Abs. 1 HeizkostenV';
+        if (/§\s*9/.test(item.posten)) return '§ 9 HeizkostenV';
+        return '§§ 7, 8 HeizkostenV';
+    }
+    return RECHTSGRUNDLAGEN[item.fehlercode] || null;
+}
+
+function significantWords(text) {
+    return String(text || '').toLowerCase().split(/[^a-zäöüß]+/).filter((w) => w.length >= 5);
+}
+
+// "Hauswart-Rechnung für Aufschlüsselung nötig" is covered by the line for the item "Hauswart";
+// marks every check that names an open item so it isn't asked twice.
+function markCovered(item, pruefungen, used) {
+    const words = significantWords(item.posten);
+    pruefungen.forEach((p, i) => {
+        if (words.some((w) => p.toLowerCase().includes(w))) used.add(i);
+    });
+}
+
+// Sender, recipient and selected findings as sent by the letter builder.
+// Missing parts of an address stay placeholders; `befunde` null means "all".
+function normalizeLetterInput(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const adresse = (value) => {
+        const a = value && typeof value === 'object' ? value : {};
+        return { name: cleanText(a.name, 80), strasse: cleanText(a.strasse, 80), plz_ort: cleanText(a.plz_ort, 80) };
+    };
+    const befunde = Array.isArray(safe.befunde)
+        ? [...new Set(safe.befunde.map(Number).filter((i) => Number.isInteger(i) && i >= 0))].slice(0, 60)
+        : null;
+    return {
+        art: LETTER_ARTEN.includes(safe.art) ? safe.art : 'widerspruch',
+        absender: adresse(safe.absender),
+        empfaenger: adresse(safe.empfaenger),
+        befunde,
+    };
+}
+
+function adressZeilen(adresse, platzhalterName, platzhalterAdresse) {
+    const a = adresse || {};
+    const zeilen = [a.strasse, a.plz_ort].filter(Boolean);
+    return [a.name || platzhalterName, ...(zeilen.length > 0 ? zeilen : [platzhalterAdresse])];
+}
+
+function abrechnungLabel(result, extraction) {
+    const kopf = extraction?.kopfdaten || {};
+    const zeitraum = kopf.abrechnungszeitraum || result?.abrechnungszeitraum || null;
+    const text = [
+        zeitraum ? `für den Zeitraum ${zeitraum}` : null,
+        kopf.abrechnungsdatum ? `vom ${kopf.abrechnungsdatum}` : null,
+    ].filter(Boolean).join(' ');
+    return { zeitraum, text: text ? ` ${text}` : '' };
+}
+
+function baseLetter(input, heute, datum) {
+    return {
+        absender: adressZeilen(input?.absender, '[IHR NAME]', '[IHRE ADRESSE]'),
+        empfaenger: adressZeilen(input?.empfaenger, '[VERMIETER NAME]', '[VERMIETER ADRESSE]'),
+        datum: datum || '[DATUM]',
+        anrede: 'Sehr geehrte Damen und Herren,',
+        gruss: 'Mit freundlichen Grüßen',
+        unterschrift: input?.absender?.name || '[IHR NAME]',
+        frist: formatDateDE(addDays(heute, FRIST_TAGE)),
+    };
+}
+
+// Options for all letters:
+//   heute — the date the deadline suggestion counts from
+//   datum — fills the date line (placeholder otherwise)
+//   input — normalizeLetterInput() output with sender, recipient and selected findings
+
+// Returns the Belegeinsicht letter, or null when nothing is open.
+function belegeinsichtLetter(result, extraction, { heute = new Date(), datum = null, input = null } = {}) {
+    const offen = (result?.ergebnisse || []).filter((item) => item.status === 'unklar' && !isFristItem(item));
+    // When the statement arrived is the tenant's to know, not something the landlord's receipts show.
+    const pruefungen = (Array.isArray(result?.unklar_pruefungen) ? result.unklar_pruefungen : [])
+        .filter((p) => !isFristItem({ posten: p }));
+    if (offen.length === 0 && pruefungen.length === 0) return null;
+
+    const used = new Set();
+    const posten = offen.map((item, i) => {
+        markCovered(item, pruefungen, used);
+        const betrag = item.betrag ? ` (${item.betrag})` : '';
+        return `${i + 1}. ${item.posten}${betrag}: ${unterlagenFor(item.posten)}`;
+    });
+    const weitere = pruefungen.filter((_, i) => !used.has(i)).map((p) => `- ${p}`);
+
+    const kopf = extraction?.kopfdaten || {};
+    const abrechnung = abrechnungLabel(result, extraction);
+    const letter = baseLetter(input, heute, datum);
+    const nachzahlung = kopf.saldo_art === 'nachzahlung' && kopf.saldo
+        ? `Bis ich die Belege einsehen konnte, halte ich die Nachzahlung von ${formatEuro(kopf.saldo)} zurück (§ 273 BGB). Nach der Einsicht melde ich mich umgehend.`
+        : null;
+
+    return {
+        ...letter,
+        art: 'belegeinsicht',
+        betreff: `Belegeinsicht zur Betriebskostenabrechnung${abrechnung.zeitraum ? ` ${abrechnung.zeitraum}` : ''}`,
+        absaetze: [
+            `zu Ihrer Betriebskostenabrechnung${abrechnung.text} bitte ich um Einsicht in die Originalbelege (§ 259 BGB). `
+                + 'Um die Abrechnung prüfen zu können, benötige ich zu folgenden Positionen die Belege und die Aufteilung nach dem Verteilerschlüssel:',
+            posten.length > 0 ? posten.join('\n') : null,
+            weitere.length > 0 ? `${posten.length > 0 ? 'Außerdem bitte ich um Klärung folgender Punkte:\n' : ''}${weitere.join('\n')}` : null,
+            `Bitte nennen Sie mir bis zum ${letter.frist} einen Termin zur Einsichtnahme oder stellen Sie mir die Unterlagen digital bzw. als Kopie zur Verfügung. `
+                + 'Die Kosten für Kopien übernehme ich gegen Nachweis.',
+            nachzahlung,
+            HINWEIS_KEINE_RECHTSBERATUNG,
+        ].filter(Boolean),
+    };
+}
+
+function saldoSatz(kopf, summe) {
+    if (!kopf.saldo_art || typeof kopf.saldo !== 'number') return null;
+    if (kopf.saldo_art === 'guthaben') {
+        return `Ihr Guthaben erhöht sich damit von ${formatEuro(kopf.saldo)} auf ${formatEuro(roundCents(kopf.saldo + summe))}.`;
+    }
+    const rest = roundCents(kopf.saldo - summe);
+    if (rest > 0) return `Die Nachzahlung verringert sich damit von ${formatEuro(kopf.saldo)} auf ${formatEuro(rest)}.`;
+    if (rest === 0) return `Die Nachzahlung von ${formatEuro(kopf.saldo)} entfällt damit.`;
+    return `Statt einer Nachzahlung von ${formatEuro(kopf.saldo)} ergibt sich damit ein Guthaben von ${formatEuro(-rest)}.`;
+}
+
+function befundZeile(item, nummer) {
+    const betrag = item.betrag ? ` (${item.betrag})` : '';
+    const grundlage = rechtsgrundlageFor(item);
+    const titel = (item.titel || (item.status === 'fehler' ? 'Fehlerhaft abgerechnet' : 'Bitte prüfen')).replace(/[.\s]+$/, '');
+    let zeile = `${nummer}. ${item.posten}${betrag}: ${titel}${grundlage ? ` (${grundlage})` : ''}.`;
+    if (item.status === 'fehler' && item.ersparnis_geschaetzt > 0) zeile += ` Zu viel berechnet: ${formatEuro(item.ersparnis_geschaetzt)}.`;
+    if (item.beweis) zeile += `\n   Nachweis: ${item.beweis}`;
+    return zeile;
+}
+
+// Findings a Widerspruch can name: every fehler and warnung, with its index into `ergebnisse`.
+function widerspruchBefunde(result) {
+    return (result?.ergebnisse || [])
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.status === 'fehler' || item.status === 'warnung');
+}
+
+// Returns the Widerspruch for the selected findings, or null when none is selected.
+// `summe` is what the selected fehler add up to — the figure the report uses for the savings.
+function widerspruchLetter(result, extraction, { heute = new Date(), datum = null, input = null } = {}) {
+    const waehlbar = widerspruchBefunde(result);
+    const gewaehlt = Array.isArray(input?.befunde) ? waehlbar.filter(({ index }) => input.befunde.includes(index)) : waehlbar;
+    if (gewaehlt.length === 0) return null;
+
+    const items = gewaehlt.map(({ item }) => item);
+    const fehler = items.filter((item) => item.status === 'fehler');
+    const summe = totalSavings(fehler);
+    const abrechnung = abrechnungLabel(result, extraction);
+    const letter = baseLetter(input, heute, datum);
+    const korrektur = fehler.length > 0;
+
+    return {
+        ...letter,
+        art: 'widerspruch',
+        befunde: gewaehlt.map(({ index }) => index),
+        summe,
+        betreff: `Betriebskostenabrechnung${abrechnung.zeitraum ? ` ${abrechnung.zeitraum}` : ''} — ${korrektur ? 'Bitte um Korrektur' : 'Bitte um Erläuterung'}`,
+        absaetze: [
+            `vielen Dank für Ihre Betriebskostenabrechnung${abrechnung.text}. Bei der Durchsicht sind mir folgende Punkte aufgefallen, `
+                + (korrektur ? 'die ich Sie bitte zu prüfen:' : 'zu denen ich Sie um eine kurze Erläuterung bitte:'),
+            items.map((item, i) => befundZeile(item, i + 1)).join('\n'),
+            summe > 0 ? [`Zusammen sind das ${formatEuro(summe)} zu meinen Gunsten.`, saldoSatz(extraction?.kopfdaten || {}, summe)].filter(Boolean).join(' ') : null,
+            korrektur
+                ? `Ich bitte Sie, die Abrechnung in diesen Punkten zu korrigieren und mir bis zum ${letter.frist} eine berichtigte Abrechnung zuzusenden.`
+                : `Für eine Rückmeldung bis zum ${letter.frist} wäre ich Ihnen dankbar.`,
+            HINWEIS_KEINE_RECHTSBERATUNG,
+        ].filter(Boolean),
+    };
+}
+
+// Returns the second letter for the objections still open after the landlord's answer, or null
+// when every objection was accepted. Extra options: `versandDatum` of the first letter and
+// `antwortDatum` of the landlord's answer.
+function nachfassLetter(result, followUp, extraction, { heute = new Date(), datum = null, input = null, versandDatum = null, antwortDatum = null } = {}) {
+    const einwaende = followUp?.einwaende || [];
+    const item = (e) => result.ergebnisse[e.index];
+    const abgelehnt = einwaende.filter((e) => e.bewertung === 'abgelehnt' && item(e));
+    const offen = einwaende.filter((e) => e.bewertung === 'offen' && item(e));
+    if (abgelehnt.length === 0 && offen.length === 0) return null;
+
+    const angenommen = einwaende.filter((e) => e.bewertung === 'angenommen');
+    const abrechnung = abrechnungLabel(result, extraction);
+    const letter = baseLetter(input, heute, datum);
+    let nummer = 0;
+    const abgelehntZeilen = abgelehnt.map((e) => `${befundZeile(item(e), ++nummer)}\n   Ihre Begründung: „${e.begruendung_vermieter}“`);
+    const offenZeilen = offen.map((e) => {
+        const teilweise = e.zugestanden_eur > 0 ? `\n   Korrigiert haben Sie bisher ${formatEuro(e.zugestanden_eur)}.` : '';
+        return `${befundZeile(item(e), ++nummer)}${teilweise}`;
+    });
+    const saldo = followUp.neuer_saldo || (extraction?.kopfdaten?.saldo_art ? { art: extraction.kopfdaten.saldo_art } : null);
+    const bezug = [
+        antwortDatum ? `Ihr Schreiben vom ${antwortDatum}` : 'Ihre Antwort',
+        versandDatum ? ` auf mein Schreiben vom ${versandDatum}` : '',
+    ].join('');
+
+    return {
+        ...letter,
+        art: 'nachfass',
+        befunde: [...abgelehnt, ...offen].map((e) => e.index),
+        summe: followUp.noch_strittig_gesamt || 0,
+        betreff: `Betriebskostenabrechnung${abrechnung.zeitraum ? ` ${abrechnung.zeitraum}` : ''} — noch offene Punkte`,
+        absaetze: [
+            `vielen Dank für ${bezug} zur Betriebskostenabrechnung${abrechnung.text}.`,
+            angenommen.length > 0
+                ? `Dass Sie ${angenommen.length === 1 ? 'den folgenden Punkt' : 'die folgenden Punkte'} korrigiert haben, nehme ich gern zur Kenntnis: `
+                    + `${angenommen.map((e) => e.posten).join(', ')}.`
+                : null,
+            abgelehntZeilen.length > 0
+                ? `Bei ${abgelehntZeilen.length === 1 ? 'folgendem Punkt' : 'folgenden Punkten'} überzeugt mich Ihre Begründung noch nicht. `
+                    + `Ich bitte Sie, ${abgelehntZeilen.length === 1 ? 'ihn' : 'sie'} noch einmal zu prüfen oder mir die zugrunde liegenden Belege zu zeigen (§ 259 BGB):\n${abgelehntZeilen.join('\n')}`
+                : null,
+            offenZeilen.length > 0
+                ? `Zu ${offenZeilen.length === 1 ? 'folgendem Punkt' : 'folgenden Punkten'} habe ich noch keine abschließende Antwort erhalten:\n${offenZeilen.join('\n')}`
+                : null,
+            followUp.noch_strittig_gesamt > 0 ? `Strittig sind damit noch ${formatEuro(followUp.noch_strittig_gesamt)}.` : null,
+            `Ich bitte Sie, mir bis zum ${letter.frist} eine berichtigte Abrechnung zuzusenden oder Ihre Ablehnung nachvollziehbar zu begründen.`
+                + (saldo?.art === 'nachzahlung' ? ' Den strittigen Teil der Nachzahlung halte ich bis zur Klärung zurück.' : ''),
+            'Ich bin an einer einvernehmlichen Lösung interessiert und stehe für Rückfragen gern zur Verfügung.',
+            HINWEIS_KEINE_RECHTSBERATUNG,
+        ].filter(Boolean),
+    };
+}
+
+// Plain-text layout: sender, recipient, date, Betreff, Anrede, paragraphs, Grußformel.
+function letterText(letter) {
+    return [
+        letter.absender.join('\n'),
+        letter.empfaenger.join('\n'),
+        letter.datum,
+        `Betreff: ${letter.betreff}`,
+        letter.anrede,
+        ...letter.absaetze,
+        `${letter.gruss}\n\n${letter.unterschrift}`,
+    ].join('\n\n');
+}
+
+// Text of the Belegeinsicht letter with placeholders, as stored with the result.
+function buildBelegeinsichtBrief(result, extraction, options = {}) {
+    const letter = belegeinsichtLetter(result, extraction, options);
+    return letter ? letterText(letter) : null;
+}
+
+// Text of the Widerspruch with placeholders and every finding, as stored with the result.
+function buildWiderspruchsbrief(result, extraction, options = {}) {
+    const letter = widerspruchLetter(result, extraction, options);
+    return letter ? letterText(letter) : null;
+}
+
+module.exports = {
+    buildBelegeinsichtBrief,
+    buildWiderspruchsbrief,
+    belegeinsichtLetter,
+    widerspruchLetter,
+    widerspruchBefunde,
+    nachfassLetter,
+    letterText,
+    normalizeLetterInput,
+    FRIST_TAGE,
+};
@@ -0,0 +1,196 @@
+// Lease cross-check (E6). Operating costs are only allocable when the Mietvertrag says so
+// (§ 556 Abs. 1 BGB): either item by item or by referring to § 2 BetrKV. "Sonstige
+// Betriebskosten" (§ 2 Nr. 17 BetrKV) are never covered by the reference alone — each kind has
+// to be named in the contract. Every row of the statement is matched against the clauses read
+// from the uploaded lease; each result names the clause it relied on.
+//
+// The tenant may have uploaded only an excerpt of the lease. A missing item is only reported as
+// certain when the contract lists its costs explicitly and the item's § 2 BetrKV number is absent.
+
+const { cleanText, normalizePostenName } = require('./extraction');
+const { roundCents } = require('./german-number');
+
+const MAX_KLAUSELN = 20;
+const MAX_KOSTENARTEN = 40;
+const UMLAGE_VALUES = ['vorauszahlung', 'pauschale', 'inklusivmiete'];
+
+// § 2 BetrKV numbers by item name. First match wins, so the specific entries come first
+// ("Warmwasser" is not Nr. 2, "Schornsteinreinigung" not Nr. 9).
+const BETRKV_NUMMERN = [
+    { nr: 17, pattern: /sonstig/i },
+    { nr: 5, pattern: /warmwasser/i },
+    { nr: 12, pattern: /schornstein|kaminkehr|immissionsmessung/i },
+    { nr: 8, pattern: /straßenreinigung|strassenreinigung|müll|muell|abfall|winterdienst/i },
+    { nr: 3, pattern: /abwasser|entwässerung|entwaesserung|kanal|siel|niederschlag/i },
+    { nr: 2, pattern: /wasser/i },
+    { nr: 4, pattern: /heiz|wärme|waerme|brennstoff/i },
+    { nr: 1, pattern: /grundsteuer|grundbesitzabgabe/i },
+    { nr: 7, pattern: /aufzug|fahrstuhl|personenlift/i },
+    { nr: 9, pattern: /reinigung|ungeziefer|schädling|schaedling/i },
+    { nr: 10, pattern: /garten|grünanlage|gruenanlage|grünfläche|spielplatz/i },
+    { nr: 11, pattern: /beleuchtung|allgemeinstrom|hausstrom|\bstrom/i },
+    { nr: 13, pattern: /versicherung/i },
+    { nr: 14, pattern: /hauswart|hausmeister/i },
+    { nr: 15, pattern: /antenne|kabel|breitband|fernseh|satellit/i },
+    { nr: 16, pattern: /wäsche|waesche|waschküche|waschkueche|trockner/i },
+];
+// Contracts often name these together ("Heizung und Warmwasser", "Wasser und Abwasser").
+const BETRKV_GRUPPEN = [[2, 3], [4, 5, 6]];
+// Words that say nothing about which kind of cost is meant.
+const GENERIC_WORDS = new Set([
+    'kosten', 'betriebskosten', 'sonstige', 'sonstiges', 'wartung', 'prüfung', 'pruefung', 'reinigung',
+    'gebühren', 'gebuehren', 'anlage', 'anlagen', 'umlage', 'allgemein', 'gebäude', 'gebaeude', 'laufende',
+]);
+const BETRKV_VERWEIS_PATTERN = /betrkv|betriebskostenverordnung|§\s*27\s*ii|anlage 3/i;
+
+function betrkvNr(name) {
+    const hit = BETRKV_NUMMERN.find(({ pattern }) => pattern.test(String(name || '')));
+    return hit ? hit.nr : null;
+}
+
+function gruppe(nr) {
+    return BETRKV_GRUPPEN.find((g) => g.includes(nr)) || [nr];
+}
+
+function significantWords(name) {
+    return String(name || '').toLowerCase().split(/[^a-zäöüß]+/)
+        .filter((w) => w.length >= 5 && !GENERIC_WORDS.has(w));
+}
+
+// "Dachrinnenreinigung" and "Reinigung der Dachrinnen" share "dachrinnen".
+function sameKind(posten, bezeichnung) {
+    const a = significantWords(posten);
+    const b = significantWords(bezeichnung);
+    return a.some((x) => b.some((y) => x.includes(y) || y.includes(x)));
+}
+
+function normalizeMietvertrag(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const klauseln = (Array.isArray(safe.klauseln) ? safe.klauseln : [])
+        .map((k) => ({ fundstelle: cleanText(k?.fundstelle, 80), zitat: cleanText(k?.zitat, 600) }))
+        .filter((k) => k.fundstelle && k.zitat)
+        .slice(0, MAX_KLAUSELN);
+    const kostenarten = (Array.isArray(safe.kostenarten) ? safe.kostenarten : [])
+        .map((k) => {
+            const bezeichnung = cleanText(k?.bezeichnung, 120);
+            const nr = Number(k?.betrkv_nr);
+            return {
+                bezeichnung,
+                betrkv_nr: Number.isInteger(nr) && nr >= 1 && nr <= 17 ? nr : betrkvNr(bezeichnung),
+                fundstelle: cleanText(k?.fundstelle, 80),
+            };
+        })
+        .filter((k) => k.bezeichnung)
+        .slice(0, MAX_KOSTENARTEN);
+    return {
+        validierung: ['ok', 'nicht_lesbar', 'kein_mietvertrag'].includes(safe.validierung) ? safe.validierung : 'ok',
+        validierung_grund: cleanText(safe.validierung_grund, 300),
+        umlagevereinbarung: UMLAGE_VALUES.includes(safe.umlagevereinbarung) ? safe.umlagevereinbarung : null,
+        verweis_betrkv: typeof safe.verweis_betrkv === 'boolean' ? safe.verweis_betrkv : null,
+        klauseln,
+        kostenarten,
+    };
+}
+
+function klausel(mietvertrag, fundstelle) {
+    return mietvertrag.klauseln.find((k) => k.fundstelle === fundstelle)
+        || { fundstelle: fundstelle || mietvertrag.klauseln[0]?.fundstelle || null, zitat: null };
+}
+
+function verweisKlausel(mietvertrag) {
+    return mietvertrag.klauseln.find((k) => BETRKV_VERWEIS_PATTERN.test(k.zitat)) || mietvertrag.klauseln[0] || null;
+}
+
+function vereinbart(zeile, k, grund) {
+    return { ...zeile, bewertung: 'vereinbart', fundstelle: k?.fundstelle || null, zitat: k?.zitat || null, grund };
+}
+
+function nichtVereinbart(zeile, k, sicher, grund) {
+    return { ...zeile, bewertung: 'nicht_vereinbart', sicher, fundstelle: k?.fundstelle || null, zitat: k?.zitat || null, grund };
+}
+
+function checkZeile(row, mietvertrag) {
+    const nr = betrkvNr(row.posten);
+    const zeile = { posten: row.posten, posten_index: row.index, betrag: row.betrag, betrkv_nr: nr };
+    const sonstige = nr === 17 || nr === null;
+    const liste = mietvertrag.kostenarten;
+    const ort = (k) => klausel(mietvertrag, k.fundstelle);
+
+    if (!sonstige) {
+        const treffer = liste.find((k) => gruppe(nr).includes(k.betrkv_nr)) || liste.find((k) => sameKind(row.posten, k.bezeichnung));
+        if (treffer) return vereinbart(zeile, ort(treffer), `Im Mietvertrag vereinbart: „${treffer.bezeichnung}".`);
+        if (mietvertrag.verweis_betrkv) {
+            return vereinbart(zeile, verweisKlausel(mietvertrag), `Der Mietvertrag verweist auf § 2 BetrKV; „${row.posten}" fällt unter § 2 Nr. ${nr} BetrKV.`);
+        }
+        if (liste.length === 0) return { ...zeile, bewertung: 'nicht_feststellbar', fundstelle: null, zitat: null, grund: null };
+        const k = ort(liste[0]);
+        return nichtVereinbart(zeile, k, true,
+            `„${row.posten}" (§ 2 Nr. ${nr} BetrKV) steht nicht in der Aufzählung der umlagefähigen Kosten (${k.fundstelle}). Umlegen darf der Vermieter nur, was im Mietvertrag vereinbart ist (§ 556 Abs. 1 BGB).`);
+    }
+
+    const benannt = liste.filter((k) => k.betrkv_nr === 17 || k.betrkv_nr === null);
+    const treffer = benannt.find((k) => sameKind(row.posten, k.bezeichnung));
+    if (treffer) return vereinbart(zeile, ort(treffer), `Als sonstige Betriebskosten im Mietvertrag benannt: „${treffer.bezeichnung}".`);
+
+    const k = benannt[0] ? ort(benannt[0]) : verweisKlausel(mietvertrag);
+    if (!k) return { ...zeile, bewertung: 'nicht_feststellbar', fundstelle: null, zitat: null, grund: null };
+    // An unexplained "Sonstige" line against a contract that names no sonstige kind is clear-cut;
+    // anything else may be a name our table doesn't know or a clause outside the excerpt.
+    const sicher = nr === 17 && benannt.length === 0;
+    const grund = nr === 17
+        ? `Sonstige Betriebskosten (§ 2 Nr. 17 BetrKV) sind nur umlagefähig, wenn der Mietvertrag sie einzeln benennt — ${benannt.length === 0 ? `${k.fundstelle} benennt keine` : `aus ${k.fundstelle} geht nicht hervor, welche gemeint sind`}.`
+        : `„${row.posten}" ist in ${k.fundstelle} nicht genannt. Kosten, die nicht in § 2 Nr. 1–16 BetrKV aufgezählt sind, müssen im Mietvertrag einzeln vereinbart sein (§ 2 Nr. 17 BetrKV).`;
+    return nichtVereinbart(zeile, k, sicher, grund);
+}
+
+// Returns:
+//   zeilen — one per cost row with bewertung vereinbart | nicht_vereinbart | keine_umlage | nicht_feststellbar,
+//            the Fundstelle and Wortlaut of the clause relied on, and `sicher` for nicht_vereinbart
+//   nicht_vereinbart_summe — tenant share of all rows that are not agreed
+//   hinweis — set when the lease has no usable cost clause or agrees a Pauschale
+function checkMietvertrag(extraction, mietvertrag) {
+    const out = {
+        umlagevereinbarung: mietvertrag.umlagevereinbarung,
+        verweis_betrkv: mietvertrag.verweis_betrkv,
+        klauseln: mietvertrag.klauseln,
+        zeilen: [],
+        nicht_vereinbart_summe: 0,
+        auffaellig_anzahl: 0,
+        hinweis: null,
+    };
+    const rows = extraction?.kostenposten || [];
+
+    if (mietvertrag.umlagevereinbarung === 'pauschale' || mietvertrag.umlagevereinbarung === 'inklusivmiete') {
+        const k = mietvertrag.klauseln[0] || null;
+        out.hinweis = mietvertrag.umlagevereinbarung === 'pauschale'
+            ? 'Laut Mietvertrag ist eine Betriebskostenpauschale vereinbart — über eine Pauschale wird nicht abgerechnet, eine Nachforderung ist ausgeschlossen.'
+            : 'Laut Mietvertrag sind die Betriebskosten in der Miete enthalten — eine Abrechnung mit Nachforderung ist ausgeschlossen.';
+        out.zeilen = rows.map((row) => ({
+            posten: row.posten,
+            posten_index: row.index,
+            betrag: row.betrag,
+            betrkv_nr: betrkvNr(row.posten),
+            bewertung: 'keine_umlage',
+            fundstelle: k?.fundstelle || null,
+            zitat: k?.zitat || null,
+            grund: out.hinweis,
+        }));
+        return out;
+    }
+    if (mietvertrag.klauseln.length === 0 && mietvertrag.kostenarten.length === 0) {
+        out.hinweis = 'Im hochgeladenen Mietvertrag wurde keine Vereinbarung zu den Betriebskosten gefunden. Bitte laden Sie die Seite mit der Betriebskostenklausel hoch.';
+        return out;
+    }
+
+    out.zeilen = rows.map((row) => checkZeile(row, mietvertrag));
+    const auffaellig = out.zeilen.filter((z) => z.bewertung === 'nicht_vereinbart' && z.betrag > 0);
+    out.auffaellig_anzahl = auffaellig.length;
+    out.nicht_vereinbart_summe = roundCents(auffaellig.reduce((sum, z) => sum + z.betrag, 0));
+    return out;
+}
+
+module.exports = {
+    normalizeMietvertrag,
+    checkMietvertrag,
+    betrkvNr,
+};
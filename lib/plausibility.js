@@ -0,0 +1,126 @@
+// Cost-per-m² plausibility check against the benchmark table in benchmarks/betriebskosten.json.
+// Items are grouped into benchmark categories by name, summed, divided by the living area and
+// compared with the category's range. A result above the range is a hint for the tenant, never
+// a "fehler" — the rule engine turns it into a "warnung" that cites the table's source and year.
+//
+// The table is data: ranges per category plus optional `anpassungen` that replace a category's
+// range for one Bundesland (ISO code, e.g. "BE"), Ortsgröße or Heizart. Bump `version` on every change.
+
+const { normalizePostenName } = require('./extraction');
+const { roundCents } = require('./german-number');
+const DEFAULT_BENCHMARKS = require('./benchmarks/betriebskosten.json');
+
+const MERKMALE = ['bundesland', 'ortsgroesse', 'heizart'];
+// Falls back to the item names when the extraction didn't classify the heating.
+const HEIZART_PATTERNS = [
+    ['fernwaerme', /fernwärme|fernwaerme|nahwärme/i],
+    ['waermepumpe', /wärmepumpe|waermepumpe/i],
+    ['oel', /heizöl|heizoel|(?:^|[^a-zäöüß])öl(?![a-zäöüß])/i],
+    ['gas', /erdgas|\bgas\b|gasheizung/i],
+];
+
+function inferHeizart(extraction) {
+    const declared = extraction?.kopfdaten?.heizart;
+    if (declared) return declared;
+    const names = (extraction?.kostenposten || []).map((row) => row.posten).join(' ');
+    const hit = HEIZART_PATTERNS.find(([, re]) => re.test(names));
+    return hit ? hit[0] : null;
+}
+
+function findKategorie(benchmarks, postenName) {
+    const name = normalizePostenName(postenName);
+    if (!name) return null;
+    // First match wins — "Warmwasser" is heating, not water.
+    return benchmarks.kategorien.find((k) => k.muster.some((m) => name.includes(normalizePostenName(m)))) || null;
+}
+
+// Category ranges after all `anpassungen` whose Merkmal matches; later entries win.
+function rangesFor(benchmarks, merkmale) {
+    const ranges = new Map(benchmarks.kategorien.map((k) => [k.id, { min: k.min, max: k.max, angepasst: null }]));
+    for (const anpassung of benchmarks.anpassungen || []) {
+        const value = merkmale[anpassung.merkmal];
+        if (!value || !anpassung.werte.includes(value)) continue;
+        for (const [id, range] of Object.entries(anpassung.kategorien)) {
+            if (ranges.has(id)) ranges.set(id, { min: range.min, max: range.max, angepasst: `${anpassung.merkmal}: ${value}` });
+        }
+    }
+    return ranges;
+}
+
+function resolveWohnflaeche(extraction, livingAreaSqm) {
+    const fromDocument = Number(extraction?.kopfdaten?.wohnflaeche_qm);
+    if (Number.isFinite(fromDocument) && fromDocument > 0) return { qm: fromDocument, quelle: 'abrechnung' };
+    const fromUser = Number(livingAreaSqm);
+    if (Number.isFinite(fromUser) && fromUser > 0) return { qm: fromUser, quelle: 'nutzer' };
+    return { qm: null, quelle: null };
+}
+
+function bewertung(proQm, range) {
+    if (proQm > range.max) return 'ueber';
+    if (proQm < range.min) return 'unter';
+    return 'im_rahmen';
+}
+
+// Returns the table shown in the report:
+//   zeilen — one per benchmark category that occurs in the statement, with
+//            bewertung ueber | im_rahmen | unter
+//   hinweis — set when no check was possible (no living area)
+function checkPlausibility(extraction, { livingAreaSqm = null, benchmarks = DEFAULT_BENCHMARKS } = {}) {
+    const wohnflaeche = resolveWohnflaeche(extraction, livingAreaSqm);
+    const merkmale = {
+        bundesland: extraction?.kopfdaten?.bundesland || null,
+        ortsgroesse: extraction?.kopfdaten?.ortsgroesse || null,
+        heizart: inferHeizart(extraction),
+    };
+    const out = {
+        version: benchmarks.version,
+        quelle: benchmarks.quelle,
+        jahr: benchmarks.jahr,
+        wohnflaeche_qm: wohnflaeche.qm,
+        wohnflaeche_quelle: wohnflaeche.quelle,
+        merkmale: Object.fromEntries(MERKMALE.map((m) => [m, merkmale[m]])),
+        zeilen: [],
+        auffaellig_anzahl: 0,
+        hinweis: null,
+    };
+    if (!wohnflaeche.qm) {
+        out.hinweis = 'Keine Wohnfläche bekannt — Kosten pro m² nicht berechenbar.';
+        return out;
+    }
+
+    const ranges = rangesFor(benchmarks, merkmale);
+    const groups = new Map();
+    for (const row of extraction?.kostenposten || []) {
+        if (typeof row.betrag !== 'number' || row.betrag <= 0) continue;
+        const kategorie = findKategorie(benchmarks, row.posten);
+        if (!kategorie) continue;
+        if (!groups.has(kategorie.id)) groups.set(kategorie.id, { kategorie, posten: [], posten_indices: [], betrag: 0 });
+        const group = groups.get(kategorie.id);
+        group.posten.push(row.posten);
+        group.posten_indices.push(row.index);
+        group.betrag += row.betrag;
+    }
+
+    for (const { kategorie, posten, posten_indices, betrag } of groups.values()) {
+        const range = ranges.get(kategorie.id);
+        const proQm = roundCents(betrag / wohnflaeche.qm);
+        out.zeilen.push({
+            kategorie: kategorie.id,
+            label: kategorie.label,
+            posten,
+            posten_indices,
+            betrag: roundCents(betrag),
+            pro_qm: proQm,
+            min: range.min,
+            max: range.max,
+            angepasst: range.angepasst,
+            bewertung: bewertung(proQm, range),
+        });
+    }
+    out.auffaellig_anzahl = out.zeilen.filter((z) => z.bewertung === 'ueber').length;
+    return out;
+}
+
+module.exports = {
+    checkPlausibility,
+};
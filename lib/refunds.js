@@ -0,0 +1,28 @@
+// Refunds for analyses that end without a report (unusable document, dead letter). Stripe
+// leaves the checkout session "paid" after a refund, so the order's refund_status is the only
+// record that the money already went back: a retry that fails again must neither refund nor
+// promise a refund a second time.
+
+const { parseEuro } = require('./german-number');
+
+// getOrder(sessionId) → order record or null; issueRefund(sessionId, reason) → true when Stripe
+// refunded; onManualRefund is called when it didn't and someone has to do it by hand.
+function createRefundService({ getOrder, issueRefund, onManualRefund = () => {} }) {
+    // erstattung: null (nothing was paid) | 'bereits' (refunded after an earlier failure)
+    //             | 'erstattet' | 'manuell' (Stripe refused, flagged for a manual refund)
+    // `manual: false` skips the flag — for callers that only refund as a courtesy.
+    async function refundFailedAnalysis(sessionId, { reason, fallbackEur = 0, manual = true }) {
+        const order = getOrder(sessionId);
+        const paidEur = parseEuro(order?.gross_eur) ?? fallbackEur;
+        if (!(paidEur > 0)) return { erstattung: null, paidEur };
+        if (order?.refund_status === 'refunded') return { erstattung: 'bereits', paidEur };
+        if (await issueRefund(sessionId, reason)) return { erstattung: 'erstattet', paidEur };
+        if (!manual) return { erstattung: null, paidEur };
+        onManualRefund(sessionId, { reason, paidEur });
+        return { erstattung: 'manuell', paidEur };
+    }
+
+    return { refundFailedAnalysis };
+}
+
+module.exports = { createRefundService };
@@ -0,0 +1,121 @@
+// Signed links to a report, so the Stripe session ID (which sits in URLs, localStorage and the
+// success_url) is no longer enough to read a result. Two kinds of token:
+//   owner — issued at checkout and in the result email; may create and revoke share links
+//   share — created by the owner for someone else, scoped to `view` and optionally `pdf`
+//
+// Tokens carry only a per-session reference (an HMAC of the session ID) and their own id, so a
+// shared link doesn't reveal the session ID. The record behind the reference decides scope and
+// revocation; once a session has one, raw session-ID access is refused (see isLocked).
+//
+// Collection: reference → { sessionId, tokens: [{ id, art, scopes, exp, createdAt, revokedAt }],
+// createdAt = last issue }
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signed-token');
+
+const SCOPES = ['view', 'pdf'];
+const OWNER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SHARE_TTL_TAGE = [7, 30];
+const MAX_SHARES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createReportTokenService({ store, secret, now: clock = () => Date.now() }) {
+    const enabled = Boolean(secret);
+
+    function reference(sessionId) {
+        return crypto.createHmac('sha256', secret || '').update(`report:${sessionId}`).digest('base64url').slice(0, 32);
+    }
+
+    function issue(sessionId, art, scopes, ttlMs) {
+        const now = clock();
+        const ref = reference(sessionId);
+        const record = store.get(ref) || { sessionId, tokens: [] };
+        const id = crypto.randomBytes(9).toString('base64url');
+        const exp = now + ttlMs;
+        // Expired tokens are of no use to anyone; drop them whenever the record is written.
+        const tokens = record.tokens.filter((t) => t.exp > now);
+        store.set(ref, { sessionId, tokens: [...tokens, { id, art, scopes, exp, createdAt: now, revokedAt: null }], createdAt: now });
+        return { id, exp, token: signToken({ typ: 'report', r: ref, id, exp }, secret) };
+    }
+
+    // Returns null when tokens are off (no secret): the caller keeps using the session ID.
+    function issueOwnerToken(sessionId) {
+        if (!enabled || !sessionId) return null;
+        return issue(sessionId, 'owner', SCOPES, OWNER_TTL_MS).token;
+    }
+
+    // Returns { ok: true, id, token, exp } or { ok: false, error }.
+    function createShare(sessionId, { pdf = false, tage = SHARE_TTL_TAGE[0] } = {}) {
+        if (!enabled) return { ok: false, error: 'Das Teilen von Berichten ist derzeit nicht verfügbar.' };
+        if (!SHARE_TTL_TAGE.includes(tage)) return { ok: false, error: 'Bitte wählen Sie eine gültige Laufzeit.' };
+        if (listShares(sessionId).length >= MAX_SHARES) {
+            return { ok: false, error: `Es sind bereits ${MAX_SHARES} Links aktiv. Bitte widerrufen Sie zuerst einen davon.` };
+        }
+        return { ok: true, ...issue(sessionId, 'share', pdf ? SCOPES : ['view'], tage * DAY_MS) };
+    }
+
+    // { ok: true, sessionId, art, scopes } or { ok: false, error } for a forged, expired,
+    // revoked or under-scoped token.
+    function resolve(token, scope) {
+        const payload = enabled ? verifyToken(token, secret, { typ: 'report', now: clock() }) : null;
+        const record = payload ? store.get(payload.r) : null;
+        const entry = record ? record.tokens.find((t) => t.id === payload.id) : null;
+        if (!entry || entry.revokedAt) {
+            return { ok: false, error: 'Dieser Link ist abgelaufen oder wurde widerrufen.' };
+        }
+        if (scope && !entry.scopes.includes(scope)) {
+            return { ok: false, error: 'Dieser Link berechtigt nicht zu diesem Zugriff.' };
+        }
+        return { ok: true, sessionId: record.sessionId, art: entry.art, scopes: entry.scopes };
+    }
+
+    // Once any token was issued for a session, its bare ID no longer opens the report.
+    function isLocked(sessionId) {
+        return enabled && store.has(reference(sessionId));
+    }
+
+    // Active share links, newest first.
+    function listShares(sessionId) {
+        const record = enabled ? store.get(reference(sessionId)) : null;
+        if (!record) return [];
+        const now = clock();
+        return record.tokens
+            .filter((t) => t.art === 'share' && !t.revokedAt && t.exp > now)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map((t) => ({
+                id: t.id,
+                pdf: t.scopes.includes('pdf'),
+                erstellt_am: new Date(t.createdAt).toISOString(),
+                gueltig_bis: new Date(t.exp).toISOString(),
+            }));
+    }
+
+    // Owner tokens can't be revoked here: they are what the owner revokes with.
+    function revokeShare(sessionId, id) {
+        const ref = reference(sessionId);
+        const record = enabled ? store.get(ref) : null;
+        const entry = record ? record.tokens.find((t) => t.id === id && t.art === 'share' && !t.revokedAt) : null;
+        if (!entry) return false;
+        store.set(ref, {
+            ...record,
+            tokens: record.tokens.map((t) => (t === entry ? { ...t, revokedAt: clock() } : t)),
+        });
+        return true;
+    }
+
+    // For data requests (lib/data-protection.js). The record holds token ids, not the tokens.
+    function recordFor(sessionId) {
+        return enabled ? store.get(reference(sessionId)) || null : null;
+    }
+
+    function forget(sessionId) {
+        return Boolean(enabled && store.delete(reference(sessionId)));
+    }
+
+    return { enabled, issueOwnerToken, createShare, resolve, isLocked, listShares, revokeShare, recordFor, forget };
+}
+
+module.exports = {
+    createReportTokenService,
+    SHARE_TTL_TAGE,
+};
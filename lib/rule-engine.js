@@ -0,0 +1,603 @@
+// Deterministic re-check of the model's verdicts (E1, E2, E4, E5, E6, heating, Abrechnungsfrist, Vorauszahlungen, cost per m² + the hard
+// "fehler" rules from SYSTEM_PROMPT). The model reads the document; this module decides whether a
+// finding is solid enough to be sent to a landlord.
+
+const { parseGermanNumber, roundCents, formatEuro, formatNumberDE } = require('./german-number');
+const { normalizePostenName } = require('./extraction');
+const { MIN_DIFFERENZ_EUR: MIN_GEWERBE_DIFFERENZ_EUR } = require('./gewerbeanteil');
+
+const E2_TOLERANCE_EUR = 0.05;
+const MIN_FEHLER_SAVINGS_EUR = 5;
+const HEATING_CONSUMPTION_MIN = 50;
+const HEATING_CONSUMPTION_MAX = 70;
+
+// § 2 BetrKV — names that are never allocable when they appear as a separate item.
+const NON_ALLOCABLE_KEYWORDS = [
+    'verwaltungskosten',
+    'hausverwaltung',
+    'verwaltung',
+    'instandhaltungsrücklage',
+    'instandhaltung',
+    'instandsetzung',
+    'reparatur',
+    'bankgebühren',
+    'kontoführung',
+    'porto',
+    'rücklage',
+    'leerstandskosten',
+];
+
+// Items where a keyword alone is not enough (prompt: "Sonderregeln").
+const SPECIAL_CASE_PATTERN = /hausmeister|hauswart|sonstige/i;
+// "Wartung (ohne Reparatur)" must not trigger E1.
+const NEGATION_PATTERN = /\b(ohne|exkl\.?|exklusive|abzgl\.?|abzüglich|nicht enthalten)\b/i;
+// "Aufzug Wartung inkl. Reparatur" is a mixed item — only the repair share would be refundable.
+const MIXED_ITEM_PATTERN = /\binkl\.?|\binklusive\b|wartung/i;
+const HEATING_PATTERN = /heiz|wärme|warmwasser/i;
+const SPLIT_TOPIC_PATTERN = /verbrauch|grundkosten|aufteilung|festkosten/i;
+const FRIST_TOPIC_PATTERN = /abrechnungsfrist|\bfrist|556\s*abs\.?\s*3|verspätet|zugang der abrechnung/i;
+const FRIST_POSTEN = 'Abrechnungsfrist (§ 556 Abs. 3 BGB)';
+// Model items on the same topic as a computed heating finding take over its verdict.
+const HEIZ_BEFUND_TOPICS = {
+    co2: /co2|co₂|kohlendioxid/i,
+    kuerzung_12: /§\s*12 heizkostenv|kürzungsrecht|ohne verbrauchserfassung|nicht nach verbrauch/i,
+    warmwasser: /§\s*9 heizkostenv|wärmemenge/i,
+    verteilung: null,
+};
+// A model warning that argues with averages ("deutlich über Durchschnitt") — overruled by the benchmark table.
+const PLAUSI_TOPIC_PATTERN = /durchschnitt|pro m²|je m²|\/m²|quadratmeter|plausib|überdurchschnittlich|vergleichswert/i;
+const MIETVERTRAG_POSTEN = 'Betriebskostenvereinbarung (Mietvertrag)';
+const VORAUSZAHLUNG_TOPIC_PATTERN = /vorauszahlung|abschlagszahlung|abschläge/i;
+
+function findNonAllocableKeyword(postenName) {
+    const name = String(postenName || '').toLowerCase();
+    if (!name || SPECIAL_CASE_PATTERN.test(name) || NEGATION_PATTERN.test(name) || MIXED_ITEM_PATTERN.test(name)) return null;
+    return NON_ALLOCABLE_KEYWORDS.find((kw) => name.includes(kw)) || null;
+}
+
+function setStatus(item, status, regel, grund, patch = {}) {
+    if (item.status === status && Object.keys(patch).length === 0) return;
+    item.regelpruefung = [
+        ...(item.regelpruefung || []),
+        { regel, von: item.status, nach: status, grund },
+    ];
+    Object.assign(item, patch, { status });
+}
+
+// === E1: non-allocable cost types ===
+function checkE1(item, betrag) {
+    const keyword = findNonAllocableKeyword(item.posten);
+
+    if (keyword && betrag !== null && betrag >= MIN_FEHLER_SAVINGS_EUR) {
+        if (item.status !== 'fehler' || item.fehlercode !== 'E1') {
+            setStatus(item, 'fehler', 'E1', `Postenname enthält „${keyword}" — nach § 2 BetrKV nicht umlagefähig.`, {
+                fehlercode: 'E1',
+                titel: 'Nicht umlagefähiger Posten',
+                erklaerung: `„${item.posten}" gehört nach § 2 BetrKV nicht zu den umlagefähigen Betriebskosten. Der Mieteranteil von ${item.betrag} ist nicht geschuldet.`,
+                ersparnis_geschaetzt: roundCents(betrag),
+                beweis: item.beweis || `Posten „${item.posten}" mit ${item.betrag} in der Abrechnung`,
+            });
+        }
+        return;
+    }
+
+    if (item.status === 'fehler' && item.fehlercode === 'E1' && !keyword) {
+        setStatus(item, 'unklar', 'E1', 'Postenname enthält keinen eindeutig nicht umlagefähigen Begriff — Aufschlüsselung nötig.', {
+            titel: 'Aufschlüsselung des Postens nötig',
+            ersparnis_geschaetzt: 0,
+        });
+    }
+}
+
+// === E2: arithmetic (Gesamtkosten ÷ Gesamtverteiler × Anteil) ===
+function checkE2(item, betrag) {
+    if (item.status === 'fehler' && item.fehlercode === 'E1') return;
+
+    const calc = item.berechnung && typeof item.berechnung === 'object' ? item.berechnung : null;
+    const gesamtkosten = calc ? parseGermanNumber(calc.gesamtkosten) : null;
+    const gesamtverteiler = calc ? parseGermanNumber(calc.gesamtverteiler) : null;
+    const anteil = calc ? parseGermanNumber(calc.anteil) : null;
+    const computable = gesamtkosten !== null && gesamtverteiler && anteil !== null && betrag !== null;
+
+    if (!computable) {
+        if (item.status === 'fehler' && item.fehlercode === 'E2') {
+            setStatus(item, 'unklar', 'E2', 'Rechenweg aus dem Dokument nicht vollständig ablesbar — Nachrechnen nicht möglich.', {
+                titel: 'Rechenweg nicht nachprüfbar',
+                ersparnis_geschaetzt: 0,
+            });
+        }
+        return;
+    }
+
+    const expected = roundCents((gesamtkosten / gesamtverteiler) * anteil);
+    const diff = roundCents(betrag - expected);
+    const rechenweg = `${calc.gesamtkosten} ÷ ${calc.gesamtverteiler} × ${calc.anteil} = ${formatEuro(expected)}, abgerechnet ${item.betrag}`;
+
+    if (diff <= E2_TOLERANCE_EUR) {
+        if (item.fehlercode === 'E2' && item.status !== 'ok') {
+            setStatus(item, 'ok', 'E2', `Nachgerechnet: ${rechenweg} — innerhalb der Toleranz oder zugunsten des Mieters.`, {
+                fehlercode: null,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+        return;
+    }
+
+    if (diff >= MIN_FEHLER_SAVINGS_EUR) {
+        if (item.status !== 'fehler' || item.fehlercode !== 'E2' || item.ersparnis_geschaetzt !== diff) {
+            setStatus(item, 'fehler', 'E2', `Nachgerechnet: ${rechenweg} — Differenz ${formatEuro(diff)} zum Nachteil des Mieters.`, {
+                fehlercode: 'E2',
+                titel: 'Rechenfehler bei der Umlage',
+                erklaerung: `Nach dem Verteilerschlüssel ergibt sich ${formatEuro(expected)}, abgerechnet wurden ${item.betrag}. Die Differenz von ${formatEuro(diff)} geht zu Lasten des Mieters.`,
+                ersparnis_geschaetzt: diff,
+                beweis: item.beweis || rechenweg,
+            });
+        }
+        return;
+    }
+
+    if (item.status === 'ok' || item.status === 'fehler') {
+        setStatus(item, 'warnung', 'E2', `Nachgerechnet: ${rechenweg} — Abweichung unter ${MIN_FEHLER_SAVINGS_EUR} €.`, {
+            fehlercode: 'E2',
+            titel: 'Geringe Rechenabweichung',
+            ersparnis_geschaetzt: 0,
+        });
+    }
+}
+
+// === E5: HeizkostenV consumption share ===
+function checkE5(item, split) {
+    if (!HEATING_PATTERN.test(String(item.posten || ''))) {
+        if (item.status === 'fehler' && item.fehlercode === 'E5') {
+            setStatus(item, 'warnung', 'E5', 'Kein Heiz-/Warmwasserposten — HeizkostenV-Verstoß nicht eindeutig belegbar.', {
+                titel: 'Heizkostenverteilung prüfen',
+                ersparnis_geschaetzt: 0,
+            });
+        }
+        return;
+    }
+
+    if (!split) {
+        if (item.status === 'fehler' && item.fehlercode === 'E5') {
+            setStatus(item, 'warnung', 'E5', 'Aufteilung Verbrauch/Grundkosten nicht aus dem Dokument ablesbar.', {
+                titel: 'Heizkostenverteilung prüfen',
+                ersparnis_geschaetzt: 0,
+            });
+        }
+        return;
+    }
+
+    const inRange = split.verbrauch >= HEATING_CONSUMPTION_MIN && split.verbrauch <= HEATING_CONSUMPTION_MAX;
+    const splitText = `${split.verbrauch} % Verbrauch / ${split.grundkosten} % Grundkosten`;
+    const aboutSplit = SPLIT_TOPIC_PATTERN.test(`${item.titel || ''} ${item.erklaerung || ''}`);
+
+    if (inRange) {
+        if (item.fehlercode === 'E5' && item.status !== 'ok' && aboutSplit) {
+            setStatus(item, 'ok', 'E5', `Aufteilung ${splitText} liegt im zulässigen Rahmen (§ 7 HeizkostenV: 50–70 % Verbrauch).`, {
+                fehlercode: null,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+        return;
+    }
+
+    if (item.status === 'ok') {
+        setStatus(item, 'warnung', 'E5', `Aufteilung ${splitText} liegt außerhalb von 50–70 % Verbrauch (§ 7 HeizkostenV).`, {
+            fehlercode: 'E5',
+            titel: 'Heizkostenaufteilung außerhalb HeizkostenV',
+            erklaerung: `Laut Abrechnung werden die Heizkosten zu ${splitText} verteilt. Zulässig sind 50–70 % nach Verbrauch (§ 7 HeizkostenV). Bitte um Erläuterung.`,
+        });
+    }
+}
+
+function parseHeatingSplit(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const verbrauch = parseGermanNumber(raw.verbrauch_prozent);
+    let grundkosten = parseGermanNumber(raw.grundkosten_prozent);
+    if (verbrauch === null || verbrauch < 0 || verbrauch > 100) return null;
+    if (grundkosten === null) grundkosten = 100 - verbrauch;
+    if (Math.abs(verbrauch + grundkosten - 100) > 1) return null;
+    return { verbrauch, grundkosten };
+}
+
+// === Abrechnungsfrist: computed in lib/abrechnungsfrist.js, the model's verdict never wins ===
+function isFristItem(item) {
+    return FRIST_TOPIC_PATTERN.test(`${item.posten || ''} ${item.titel || ''}`);
+}
+
+function fristVerdict(fristcheck, saldo) {
+    if (fristcheck.status === 'fristgerecht') {
+        return {
+            status: 'ok',
+            patch: { fehlercode: null, titel: 'Abrechnungsfrist eingehalten', ersparnis_geschaetzt: 0 },
+        };
+    }
+    if (fristcheck.status === 'frist_ueberschritten') {
+        // Only a Nachzahlung is lost; a Guthaben still has to be paid out to the tenant.
+        const nachzahlung = saldo && saldo.art === 'nachzahlung' && typeof saldo.betrag === 'number' ? saldo.betrag : null;
+        if (nachzahlung !== null && nachzahlung >= MIN_FEHLER_SAVINGS_EUR) {
+            return {
+                status: 'fehler',
+                patch: {
+                    fehlercode: null,
+                    titel: 'Abrechnungsfrist überschritten',
+                    betrag: formatEuro(nachzahlung),
+                    ersparnis_geschaetzt: roundCents(nachzahlung),
+                },
+            };
+        }
+        return {
+            status: 'warnung',
+            patch: { fehlercode: null, titel: 'Abrechnungsfrist überschritten', ersparnis_geschaetzt: 0 },
+        };
+    }
+    return {
+        status: 'unklar',
+        patch: { fehlercode: null, titel: 'Zugang der Abrechnung prüfen', ersparnis_geschaetzt: 0 },
+    };
+}
+
+function applyFristcheck(ergebnisse, fristcheck, saldo) {
+    if (!fristcheck || !fristcheck.fristende) return ergebnisse;
+    const verdict = fristVerdict(fristcheck, saldo);
+    const fristItems = ergebnisse.filter(isFristItem);
+    const grund = `Frist im Code berechnet: ${fristcheck.rechenweg}`;
+
+    for (const item of fristItems) {
+        // An undecidable deadline only overrides a verdict that claims certainty against the tenant.
+        if (fristcheck.status === 'nicht_ermittelbar' && item.status !== 'fehler') continue;
+        if (item.status !== verdict.status || item.titel !== verdict.patch.titel) {
+            setStatus(item, verdict.status, 'FRIST', grund, {
+                ...verdict.patch,
+                erklaerung: fristcheck.erklaerung,
+                beweis: fristcheck.rechenweg,
+            });
+        }
+    }
+
+    if (fristItems.length === 0 && fristcheck.status !== 'nicht_ermittelbar') {
+        ergebnisse.push({
+            posten: FRIST_POSTEN,
+            posten_index: null,
+            betrag: '',
+            status: verdict.status,
+            fehlercode: null,
+            erklaerung: fristcheck.erklaerung,
+            beweis: fristcheck.rechenweg,
+            ...verdict.patch,
+            regelpruefung: [{ regel: 'FRIST', von: null, nach: verdict.status, grund }],
+        });
+    }
+    return ergebnisse;
+}
+
+// Total for the result. A missed deadline voids the whole Nachzahlung, and the other fehler
+// are part of that same Nachzahlung — the tenant saves the larger of the two, not their sum.
+function totalSavings(ergebnisse) {
+    const fehler = ergebnisse.filter((item) => item.status === 'fehler');
+    const frist = Math.max(0, ...fehler.filter(isFristItem).map((item) => item.ersparnis_geschaetzt || 0));
+    const uebrige = fehler.filter((item) => !isFristItem(item)).reduce((sum, item) => sum + (item.ersparnis_geschaetzt || 0), 0);
+    return roundCents(frist > 0 ? Math.max(frist, uebrige) : uebrige);
+}
+
+// === Heating: computed in lib/heizkosten.js, merged like the Abrechnungsfrist ===
+function isHeizBefundItem(item, befund) {
+    if (item.heizbefund) return item.heizbefund === befund.id;
+    const topic = HEIZ_BEFUND_TOPICS[befund.id];
+    return Boolean(topic) && topic.test(`${item.posten || ''} ${item.titel || ''}`);
+}
+
+function applyHeizkostencheck(ergebnisse, heizkostencheck) {
+    for (const befund of heizkostencheck?.befunde || []) {
+        const { id, posten, status, ...patch } = befund;
+        const grund = `Heizkosten im Code nachgerechnet: ${befund.beweis || befund.titel}`;
+        const matches = ergebnisse.filter((item) => isHeizBefundItem(item, befund));
+        // A model finding on a cost row ("Heizkosten": "CO2 nicht aufgeteilt") keeps its row;
+        // the computed finding gets an item of its own.
+        const items = matches.filter((item) => item.heizbefund || item.posten_index === null || item.posten_index === undefined);
+        for (const item of matches.filter((m) => !items.includes(m) && m.status !== 'ok')) {
+            const hinweis = `Wird unter „${posten}" gesondert geprüft.`;
+            setStatus(item, 'ok', 'HEIZ', hinweis, {
+                fehlercode: null,
+                titel: null,
+                erklaerung: hinweis,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+
+        if (items.length === 0) {
+            ergebnisse.push({
+                posten,
+                posten_index: null,
+                heizbefund: id,
+                status,
+                ...patch,
+                regelpruefung: [{ regel: 'HEIZ', von: null, nach: status, grund }],
+            });
+            continue;
+        }
+        const [first, ...rest] = items;
+        if (first.status !== status || first.titel !== befund.titel) {
+            setStatus(first, status, 'HEIZ', grund, { ...patch, heizbefund: id });
+        }
+        // One finding, one saving — further model items on the same topic are covered by the first.
+        for (const item of rest) {
+            setStatus(item, 'ok', 'HEIZ', `Bereits unter „${first.posten}" berücksichtigt.`, {
+                fehlercode: null,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+    return ergebnisse;
+}
+
+// === E4: commercial share, computed in lib/gewerbeanteil.js — an estimate, so at most "warnung" ===
+// The item a computed row belongs to: by posten_index, else by name.
+function zeileItem(ergebnisse, zeile) {
+    const byIndex = ergebnisse.find((item) => item.posten_index !== null && item.posten_index !== undefined && Number(item.posten_index) === zeile.posten_index);
+    if (byIndex) return byIndex;
+    const wanted = normalizePostenName(zeile.posten);
+    return ergebnisse.find((item) => (item.posten_index === null || item.posten_index === undefined) && normalizePostenName(item.posten) === wanted) || null;
+}
+
+function applyGewerbeanteil(ergebnisse, gewerbeanteil) {
+    for (const zeile of gewerbeanteil?.zeilen || []) {
+        const item = zeileItem(ergebnisse, zeile);
+        if (!item) continue;
+        const fehlt = (zeile.bewertung === 'abzug_fehlt' || zeile.bewertung === 'abzug_vermutlich_fehlt')
+            && zeile.differenz >= MIN_GEWERBE_DIFFERENZ_EUR;
+
+        if (fehlt && (item.status === 'ok' || item.fehlercode === 'E4')) {
+            const unsicher = zeile.bewertung === 'abzug_vermutlich_fehlt'
+                ? ' Ob die Gewerbefläche im Verteilerschlüssel fehlt, geht aus der Abrechnung nicht sicher hervor.'
+                : '';
+            setStatus(item, 'warnung', 'E4', `Gewerbeanteil nachgerechnet: ${zeile.rechenweg}.`, {
+                fehlercode: 'E4',
+                titel: 'Gewerbeanteil nicht abgezogen',
+                erklaerung: `Im Haus gibt es Gewerbe, bei „${item.posten}" ist aber kein Vorwegabzug erkennbar. ${zeile.rechenweg}. Sie zahlen dadurch voraussichtlich ${formatEuro(zeile.differenz)} zu viel.${unsicher} Bitten Sie den Vermieter um den Vorwegabzug oder eine Erläuterung.`,
+                ersparnis_geschaetzt: 0,
+            });
+        } else if (!fehlt && item.fehlercode === 'E4' && item.status !== 'ok' && zeile.rechenweg && zeile.bewertung !== 'nicht_berechenbar') {
+            setStatus(item, 'ok', 'E4', `Gewerbeanteil nachgerechnet: ${zeile.rechenweg}`, {
+                fehlercode: null,
+                titel: null,
+                erklaerung: zeile.rechenweg,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+    // Whatever the numbers, a missing Vorwegabzug is never certain enough for "fehler".
+    for (const item of ergebnisse) {
+        if (item.status === 'fehler' && item.fehlercode === 'E4') {
+            setStatus(item, 'warnung', 'E4', 'Ob ein Vorwegabzug für Gewerbe nötig war, hängt von den Mehrkosten des Gewerbes ab — als Fehler nicht belastbar.', {
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+    return ergebnisse;
+}
+
+// === E6: lease cross-check, computed in lib/mietvertrag.js ===
+function klauselText(zeile) {
+    return zeile.zitat ? `Mietvertrag ${zeile.fundstelle}: ${zeile.zitat}` : `Mietvertrag ${zeile.fundstelle}`;
+}
+
+function applyMietvertrag(ergebnisse, mietvertrag) {
+    if (!mietvertrag) {
+        // Without an uploaded lease nobody knows what was agreed.
+        for (const item of ergebnisse) {
+            if (item.fehlercode === 'E6' && item.status === 'fehler') {
+                setStatus(item, 'warnung', 'E6', 'Kein Mietvertrag hochgeladen — nicht vereinbarte Kosten sind als Fehler nicht belastbar.', {
+                    ersparnis_geschaetzt: 0,
+                });
+            }
+        }
+        return ergebnisse;
+    }
+
+    for (const zeile of mietvertrag.zeilen) {
+        const item = zeileItem(ergebnisse, zeile);
+        if (!item) continue;
+        if (zeile.fundstelle) item.vertragsklausel = zeile.fundstelle;
+        const grund = `Mietvertrag geprüft: ${zeile.grund}`;
+
+        if (zeile.bewertung === 'nicht_vereinbart' && zeile.betrag > 0) {
+            const open = item.status === 'ok' || item.status === 'unklar' || item.fehlercode === 'E6' || (item.status === 'warnung' && !item.fehlercode);
+            if (!open) continue;
+            const fehler = zeile.sicher && zeile.betrag >= MIN_FEHLER_SAVINGS_EUR;
+            const unsicher = fehler ? '' : ' Ob eine andere Vertragsstelle (Anlage, Nachtrag) diese Kosten erfasst, geht aus dem hochgeladenen Auszug nicht sicher hervor.';
+            setStatus(item, fehler ? 'fehler' : 'warnung', 'E6', grund, {
+                fehlercode: 'E6',
+                titel: 'Nicht im Mietvertrag vereinbart',
+                erklaerung: `${zeile.grund}${unsicher}`,
+                beweis: klauselText(zeile),
+                ersparnis_geschaetzt: fehler ? zeile.betrag : 0,
+            });
+        } else if (zeile.bewertung === 'vereinbart' && item.fehlercode === 'E6' && item.status !== 'ok') {
+            setStatus(item, 'ok', 'E6', grund, {
+                fehlercode: null,
+                titel: null,
+                erklaerung: zeile.grund,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+
+    // A Pauschale is about the whole statement, not one row.
+    if (mietvertrag.umlagevereinbarung === 'pauschale' || mietvertrag.umlagevereinbarung === 'inklusivmiete') {
+        const klausel = mietvertrag.klauseln[0] || null;
+        const patch = {
+            fehlercode: 'E6',
+            titel: mietvertrag.umlagevereinbarung === 'pauschale' ? 'Pauschale statt Abrechnung vereinbart' : 'Betriebskosten in der Miete enthalten',
+            erklaerung: `${mietvertrag.hinweis} Prüfen Sie, ob der Vertrag später geändert wurde.`,
+            beweis: klausel ? klauselText(klausel) : null,
+        };
+        const existing = ergebnisse.find((item) => item.mietvertragbefund);
+        if (!existing) {
+            ergebnisse.push({
+                posten: MIETVERTRAG_POSTEN,
+                posten_index: null,
+                betrag: '',
+                mietvertragbefund: true,
+                vertragsklausel: klausel?.fundstelle || null,
+                status: 'warnung',
+                ...patch,
+                ersparnis_geschaetzt: 0,
+                regelpruefung: [{ regel: 'E6', von: null, nach: 'warnung', grund: mietvertrag.hinweis }],
+            });
+        }
+    }
+    return ergebnisse;
+}
+
+// === Vorauszahlungen against the tenant's payments, computed in lib/vorauszahlungen.js ===
+function isVorauszahlungItem(item) {
+    if (item.vorauszahlungsbefund) return true;
+    return (item.posten_index === null || item.posten_index === undefined)
+        && VORAUSZAHLUNG_TOPIC_PATTERN.test(`${item.posten || ''} ${item.titel || ''}`);
+}
+
+function applyVorauszahlungsabgleich(ergebnisse, abgleich) {
+    if (!abgleich) return ergebnisse;
+    const items = ergebnisse.filter(isVorauszahlungItem);
+    const grund = `Vorauszahlungen mit den Zahlungen abgeglichen: ${abgleich.rechenweg}`;
+
+    if (abgleich.befund) {
+        const { posten, status, ...patch } = abgleich.befund;
+        if (items.length === 0) {
+            ergebnisse.push({
+                posten,
+                posten_index: null,
+                betrag: formatEuro(abgleich.summe_abrechnung),
+                vorauszahlungsbefund: true,
+                status,
+                ...patch,
+                regelpruefung: [{ regel: 'VORAUS', von: null, nach: status, grund }],
+            });
+            return ergebnisse;
+        }
+        const [first, ...rest] = items;
+        if (first.status !== status || first.titel !== patch.titel) {
+            setStatus(first, status, 'VORAUS', grund, { ...patch, vorauszahlungsbefund: true });
+        }
+        for (const item of rest) {
+            setStatus(item, 'ok', 'VORAUS', `Bereits unter „${first.posten}" berücksichtigt.`, {
+                fehlercode: null,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    } else if (abgleich.bewertung === 'passt') {
+        for (const item of items.filter((i) => i.status === 'fehler' || i.status === 'warnung')) {
+            setStatus(item, 'ok', 'VORAUS', grund, {
+                fehlercode: null,
+                titel: null,
+                erklaerung: `Die angerechneten Vorauszahlungen stimmen mit Ihren Zahlungen überein: ${abgleich.rechenweg}.`,
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+    return ergebnisse;
+}
+
+// === Cost per m²: computed in lib/plausibility.js, only ever "warnung" ===
+function plausiText(zeile, plausibilitaet) {
+    const qm = (v) => `${formatNumberDE(v)} €/m²`;
+    const gruppe = zeile.posten.length > 1 ? ` (${zeile.posten.join(', ')} zusammen)` : '';
+    return `${zeile.label}${gruppe}: ${formatEuro(zeile.betrag)} bei ${formatNumberDE(plausibilitaet.wohnflaeche_qm, 0, 2)} m² = ${qm(zeile.pro_qm)} im Jahr. `
+        + `Orientierungswert ${formatNumberDE(zeile.min)}–${qm(zeile.max)} (${plausibilitaet.quelle}, Stand ${plausibilitaet.jahr}).`;
+}
+
+function applyPlausibility(ergebnisse, plausibilitaet) {
+    if (!plausibilitaet || !Array.isArray(plausibilitaet.zeilen)) return ergebnisse;
+    for (const zeile of plausibilitaet.zeilen) {
+        const names = new Set(zeile.posten.map(normalizePostenName));
+        const items = ergebnisse.filter((item) => (item.posten_index !== null && item.posten_index !== undefined
+            ? zeile.posten_indices.includes(Number(item.posten_index))
+            : names.has(normalizePostenName(item.posten))));
+        const text = plausiText(zeile, plausibilitaet);
+
+        for (const item of items) {
+            const aboutPlausi = !item.fehlercode && PLAUSI_TOPIC_PATTERN.test(`${item.titel || ''} ${item.erklaerung || ''}`);
+            if (zeile.bewertung === 'ueber') {
+                if (item.status === 'ok' || (item.status === 'fehler' && aboutPlausi)) {
+                    setStatus(item, 'warnung', 'PLAUSI', `Kosten pro m² über dem Orientierungswert: ${text}`, {
+                        fehlercode: null,
+                        titel: 'Kosten über dem Orientierungswert',
+                        erklaerung: `${text} Das allein ist kein Fehler — fragen Sie nach dem Grund oder verlangen Sie Belegeinsicht.`,
+                        ersparnis_geschaetzt: 0,
+                    });
+                }
+            } else if ((item.status === 'warnung' || item.status === 'fehler') && aboutPlausi) {
+                setStatus(item, 'ok', 'PLAUSI', `Kosten pro m² im Rahmen: ${text}`, {
+                    titel: null,
+                    erklaerung: text,
+                    ersparnis_geschaetzt: 0,
+                });
+            }
+        }
+    }
+    return ergebnisse;
+}
+
+// === Hard rules from the "VERBOTEN" list — applied last ===
+function checkFehlerPreconditions(item, betrag) {
+    if (item.status === 'fehler') {
+        const savings = parseGermanNumber(item.ersparnis_geschaetzt) || 0;
+        if (betrag === 0) {
+            setStatus(item, 'ok', 'BASIS', 'Mieteranteil ist 0,00 € — der Mieter zahlt für diesen Posten nichts.', {
+                fehlercode: null,
+                ersparnis_geschaetzt: 0,
+            });
+        } else if (!item.beweis) {
+            setStatus(item, 'warnung', 'BASIS', 'Kein Beleg-Zitat aus dem Dokument — als Fehler nicht belastbar.', {
+                ersparnis_geschaetzt: 0,
+            });
+        } else if (savings < MIN_FEHLER_SAVINGS_EUR) {
+            setStatus(item, 'warnung', 'BASIS', `Ersparnis unter ${MIN_FEHLER_SAVINGS_EUR} € — kein eindeutiger Fehler.`, {
+                ersparnis_geschaetzt: 0,
+            });
+        }
+    }
+    if (item.status === 'ok' || item.status === 'unklar') {
+        item.ersparnis_geschaetzt = 0;
+    }
+}
+
+function applyRuleEngine(result) {
+    if (!result || typeof result !== 'object' || !Array.isArray(result.ergebnisse)) return result;
+
+    const split = parseHeatingSplit(result.heizkosten_aufteilung) || parseHeatingSplit(result.heizkostencheck?.aufteilung);
+    const fristComputed = Boolean(result.fristcheck && result.fristcheck.fristende);
+    const ergebnisse = result.ergebnisse.map((raw) => {
+        const item = { ...raw };
+        const betrag = parseGermanNumber(item.betrag);
+        if (fristComputed && isFristItem(item)) return item;
+        if (item.heizbefund || item.vorauszahlungsbefund) return item;
+        checkE1(item, betrag);
+        checkE2(item, betrag);
+        checkE5(item, split);
+        checkFehlerPreconditions(item, betrag);
+        return item;
+    });
+    applyMietvertrag(ergebnisse, result.mietvertrag);
+    applyGewerbeanteil(ergebnisse, result.gewerbeanteil);
+    applyHeizkostencheck(ergebnisse, result.heizkostencheck);
+    applyVorauszahlungsabgleich(ergebnisse, result.vorauszahlungsabgleich);
+    applyPlausibility(ergebnisse, result.plausibilitaet);
+    applyFristcheck(ergebnisse, result.fristcheck, result.saldo);
+
+    const changed = ergebnisse.filter((item) => item.regelpruefung && item.regelpruefung.length > 0);
+    if (changed.length > 0) {
+        console.log(`  Rule engine adjusted ${changed.length} item(s): ${changed.map((i) => `${i.posten} → ${i.status}`).join(', ')}`);
+    }
+
+    return { ...result, ergebnisse };
+}
+
+module.exports = {
+    applyRuleEngine,
+    isFristItem,
+    totalSavings,
+    findNonAllocableKeyword,
+    NON_ALLOCABLE_KEYWORDS,
+};
@@ -0,0 +1,41 @@
+// Compact signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256). The payload is
+// readable by whoever holds the token, so it carries ids and expiry, never secrets.
+// `exp` (ms since epoch) is checked on verify; `typ` keeps a token of one kind from being
+// accepted as another.
+
+const crypto = require('crypto');
+
+function hmac(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signToken(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${hmac(secret, body)}`;
+}
+
+// Returns the payload, or null for a malformed, forged, expired or wrongly typed token.
+function verifyToken(token, secret, { typ, now = Date.now() } = {}) {
+    if (typeof token !== 'string' || token.length > 2048) return null;
+    const [body, signature, extra] = token.split('.');
+    if (!body || !signature || extra !== undefined) return null;
+    const expected = Buffer.from(hmac(secret, body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+    if (!payload || typeof payload !== 'object') return null;
+    if (typ && payload.typ !== typ) return null;
+    if (typeof payload.exp !== 'number' || payload.exp <= now) return null;
+    return payload;
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+};
@@ -0,0 +1,288 @@
+// Tool definitions for Claude's structured output. Every model call is forced to answer
+// through exactly one of these tools, so the API rejects malformed output before we see it.
+// `strict` schemas need `additionalProperties: false` and every property listed in `required`.
+
+function nullable(type, description) {
+    return { type: [type, 'null'], description };
+}
+
+function objectSchema(properties, description) {
+    return {
+        type: 'object',
+        ...(description ? { description } : {}),
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false,
+    };
+}
+
+const BUNDESLAENDER = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+const VALIDIERUNG_SCHEMA = {
+    type: 'string',
+    enum: ['ok', 'nicht_lesbar', 'keine_abrechnung', 'unvollstaendig'],
+};
+
+const EXTRACTION_TOOL = {
+    name: 'abrechnung_auslesen',
+    description: 'Gibt die aus der Nebenkostenabrechnung ausgelesenen Daten zurück. Keine Bewertung.',
+    strict: true,
+    input_schema: objectSchema({
+        validierung: VALIDIERUNG_SCHEMA,
+        validierung_grund: nullable('string', 'Nur ausfüllen wenn validierung != ok. Kurze Erklärung für den Nutzer.'),
+        kopfdaten: objectSchema({
+            abrechnungszeitraum: nullable('string', 'z.B. 01.01.2024 - 31.12.2024'),
+            abrechnungsdatum: nullable('string', 'Datum der Abrechnung, z.B. 17.11.2025'),
+            wohnflaeche_qm: nullable('number', 'Wohnfläche des Mieters in m²'),
+            vorauszahlungen: nullable('number', 'Summe der Vorauszahlungen in Euro'),
+            saldo: nullable('number', 'Nachzahlung oder Guthaben als positive Zahl in Euro'),
+            saldo_art: { type: ['string', 'null'], enum: ['nachzahlung', 'guthaben', null] },
+            gesamtkosten_mieter: nullable('number', 'Summe der Kosten des Mieters in Euro'),
+            heizart: {
+                type: ['string', 'null'],
+                enum: ['gas', 'oel', 'fernwaerme', 'waermepumpe', 'sonstige', null],
+                description: 'Energieträger der Heizung, nur wenn im Dokument genannt',
+            },
+            bundesland: {
+                type: ['string', 'null'],
+                enum: [...BUNDESLAENDER, null],
+                description: 'Bundesland der Wohnung laut Anschrift',
+            },
+            ortsgroesse: {
+                type: ['string', 'null'],
+                enum: ['grossstadt', 'mittelstadt', 'land', null],
+                description: 'Ort der Wohnung: grossstadt ab 100.000 Einwohnern, land unter 20.000',
+            },
+        }),
+        heizkosten_aufteilung: objectSchema({
+            verbrauch_prozent: nullable('number', 'Anteil Verbrauchskosten in Prozent, z.B. 70'),
+            grundkosten_prozent: nullable('number', 'Anteil Grundkosten in Prozent, z.B. 30'),
+        }),
+        heizkosten: objectSchema({
+            kosten_gesamt: nullable('number', 'Heiz- und Warmwasserkosten des ganzen Hauses in Euro'),
+            grundkosten_gesamt: nullable('number', 'Davon Grundkosten (nach Fläche verteilt) in Euro'),
+            verbrauchskosten_gesamt: nullable('number', 'Davon Verbrauchskosten in Euro'),
+            flaeche_gesamt_qm: nullable('number', 'Beheizte Fläche des Hauses, nach der die Grundkosten verteilt werden'),
+            flaeche_mieter_qm: nullable('number', 'Fläche des Mieters für die Grundkosten'),
+            verbrauchseinheiten_gesamt: nullable('number', 'Summe der Verbrauchseinheiten des Hauses (Striche, Einheiten oder kWh)'),
+            verbrauchseinheiten_mieter: nullable('number', 'Verbrauchseinheiten des Mieters'),
+            kosten_mieter: nullable('number', 'Heiz- und Warmwasserkosten des Mieters in Euro, vor Abzug eines CO2-Vermieteranteils'),
+            energieverbrauch_kwh: nullable('number', 'Brennstoff- bzw. Wärmeverbrauch des Hauses in kWh'),
+            warmwasser_ermittlung: {
+                type: ['string', 'null'],
+                enum: ['waermezaehler', 'formel', null],
+                description: 'Wie die Wärmemenge für Warmwasser ermittelt wurde: gemessen mit Wärmezähler oder nach Formel/pauschal',
+            },
+            ohne_verbrauchserfassung: {
+                type: ['boolean', 'null'],
+                description: 'true nur wenn das Dokument sagt, dass die Heizkosten nicht nach Verbrauch verteilt werden oder keine Zähler/Heizkostenverteiler vorhanden sind',
+            },
+            co2_emissionen_kg: nullable('number', 'CO2-Ausstoß des Hauses im Abrechnungszeitraum in kg'),
+            co2_kg_pro_qm: nullable('number', 'CO2-Ausstoß pro m² Wohnfläche und Jahr in kg, wie im Dokument angegeben'),
+            co2_kosten_gesamt: nullable('number', 'CO2-Kosten des Hauses in Euro'),
+            co2_kosten_mieter: nullable('number', 'CO2-Kosten des Mieters vor der Aufteilung in Euro'),
+            co2_vermieteranteil_prozent: nullable('number', 'Im Dokument angegebener Vermieteranteil an den CO2-Kosten in Prozent'),
+            co2_vermieteranteil_eur: nullable('number', 'Im Dokument angegebener Vermieteranteil an den CO2-Kosten des Mieters in Euro'),
+            zitat: nullable('string', 'Wörtliche Stelle zur Heizkostenverteilung bzw. CO2-Aufteilung'),
+        }, 'Angaben aus der Heizkostenabrechnung (oft eigene Seite des Messdienstes). Alles null, wenn keine vorliegt.'),
+        gewerbe: objectSchema({
+            gewerbe_vorhanden: {
+                type: ['boolean', 'null'],
+                description: 'true wenn das Dokument Gewerbeeinheiten im Haus nennt (Laden, Praxis, Büro, Gaststätte)',
+            },
+            gewerbe_flaeche_qm: nullable('number', 'Fläche der Gewerbeeinheiten in m²'),
+            gewerbe_einheiten: nullable('number', 'Anzahl der Gewerbeeinheiten'),
+            gesamtflaeche_qm: nullable('number', 'Gesamtfläche des Hauses einschließlich Gewerbe, nur wenn so angegeben'),
+            einheiten_gesamt: nullable('number', 'Anzahl aller Einheiten des Hauses einschließlich Gewerbe, nur wenn so angegeben'),
+            zitat: nullable('string', 'Wörtliche Stelle, an der das Gewerbe genannt wird'),
+        }, 'Angaben zu Gewerbeeinheiten im Haus. Alles null, wenn das Dokument keine nennt.'),
+        kostenposten: {
+            type: 'array',
+            items: objectSchema({
+                posten: { type: 'string', description: 'Name des Postens wie im Dokument' },
+                gesamtkosten: nullable('number', 'Gesamtkosten des Hauses für diesen Posten in Euro'),
+                verteilerschluessel: nullable('string', 'z.B. Wohnfläche, Personen, Verbrauch, Einheiten'),
+                gesamteinheiten: nullable('number', 'Summe des Verteilerschlüssels für das ganze Haus'),
+                anteil_mieter: nullable('number', 'Anteil des Mieters am Verteilerschlüssel'),
+                einheit: nullable('string', 'Einheit des Verteilerschlüssels, z.B. m², Personen, m³, kWh'),
+                betrag: nullable('number', 'Betrag des Mieters für diesen Posten in Euro'),
+                vorwegabzug_gewerbe: nullable('number', 'Im Dokument ausgewiesener Vorwegabzug für Gewerbe bei diesem Posten in Euro'),
+                zitat: nullable('string', 'Wörtliche Zeile aus dem Dokument'),
+            }),
+        },
+        hinweise_dokument: {
+            type: 'array',
+            description: 'Erläuterungen im Dokument, z.B. Aufschlüsselung von "Sonstige Kosten" oder Hinweis auf Gewerbeeinheiten',
+            items: { type: 'string' },
+        },
+    }),
+};
+
+// The lease is read on its own so its clauses never mix with the statement's line items.
+const LEASE_EXTRACTION_TOOL = {
+    name: 'mietvertrag_auslesen',
+    description: 'Gibt die Betriebskostenvereinbarung aus dem Mietvertrag zurück. Keine Bewertung.',
+    strict: true,
+    input_schema: objectSchema({
+        validierung: { type: 'string', enum: ['ok', 'nicht_lesbar', 'kein_mietvertrag'] },
+        validierung_grund: nullable('string', 'Nur ausfüllen wenn validierung != ok. Kurze Erklärung für den Nutzer.'),
+        umlagevereinbarung: {
+            type: ['string', 'null'],
+            enum: ['vorauszahlung', 'pauschale', 'inklusivmiete', null],
+            description: 'vorauszahlung: Betriebskosten werden vorausgezahlt und abgerechnet; pauschale: feste Betriebskostenpauschale; inklusivmiete: Betriebskosten in der Miete enthalten',
+        },
+        verweis_betrkv: nullable('boolean', 'true wenn der Vertrag auf § 2 BetrKV bzw. Anlage 3 zu § 27 II. BV verweist ("Betriebskosten im Sinne der BetrKV")'),
+        klauseln: {
+            type: 'array',
+            description: 'Jede Vertragsstelle, die regelt, welche Betriebskosten der Mieter trägt',
+            items: objectSchema({
+                fundstelle: { type: 'string', description: 'z.B. "§ 4 Abs. 2" oder "Anlage 1 Nr. 17"' },
+                zitat: { type: 'string', description: 'Wortlaut der Klausel aus dem Vertrag' },
+            }),
+        },
+        kostenarten: {
+            type: 'array',
+            description: 'Jede im Vertrag einzeln genannte Betriebskostenart. Unter "sonstige Betriebskosten" einzeln genannte Arten als eigener Eintrag.',
+            items: objectSchema({
+                bezeichnung: { type: 'string', description: 'Bezeichnung wie im Vertrag, z.B. "Wartung der Rauchwarnmelder"' },
+                betrkv_nr: nullable('integer', 'Nummer in § 2 BetrKV (1 bis 17), 17 für sonstige Betriebskosten'),
+                fundstelle: { type: 'string', description: 'Fundstelle aus "klauseln"' },
+            }),
+        },
+    }),
+};
+
+const ANALYSIS_TOOL = {
+    name: 'pruefergebnis_abgeben',
+    description: 'Gibt das Prüfergebnis der Nebenkostenabrechnung inklusive Widerspruchsbrief zurück.',
+    strict: true,
+    input_schema: objectSchema({
+        zusammenfassung: { type: 'string', description: 'Kurze Zusammenfassung in 1-2 Sätzen' },
+        wohnflaeche_erkannt: nullable('string', 'z.B. 65 m²'),
+        abrechnungszeitraum: nullable('string', 'z.B. 01.01.2024 - 31.12.2024'),
+        gesamtkosten_mieter: nullable('string', 'z.B. 2.450,00 €'),
+        ergebnisse: {
+            type: 'array',
+            items: objectSchema({
+                posten_index: nullable('integer', 'Index des Postens aus "kostenposten", null z.B. für Frist/Vorauszahlungen'),
+                posten: { type: 'string', description: 'Name des Postens' },
+                betrag: { type: 'string', description: "z.B. '312,00 €'" },
+                status: { type: 'string', enum: ['ok', 'warnung', 'fehler', 'unklar'] },
+                fehlercode: { type: ['string', 'null'], enum: ['E1', 'E2', 'E3', 'E4', 'E5', 'E6', null] },
+                titel: { type: 'string', description: 'Kurzer Titel (max 8 Wörter)' },
+                erklaerung: { type: 'string', description: 'Was ist das Problem, warum, Rechtsgrundlage. 1-3 Sätze.' },
+                beweis: nullable('string', 'Exaktes Zitat aus dem Dokument das den Befund belegt'),
+                ersparnis_geschaetzt: { type: 'number' },
+            }),
+        },
+        unklar_pruefungen: {
+            type: 'array',
+            description: "Was fehlt um die Prüfung abzuschließen, z.B. 'Hauswart-Rechnung für Aufschlüsselung nötig'",
+            items: { type: 'string' },
+        },
+        empfehlung: { type: 'string', description: 'Was der Mieter tun sollte, 1-2 Sätze' },
+    }),
+};
+
+// Premium: second look at every "unklar" item with the original document at hand.
+const UNKLAR_REVIEW_TOOL = {
+    name: 'unklare_posten_nachpruefen',
+    description: 'Gibt die Nachprüfung der unklaren Posten zurück.',
+    strict: true,
+    input_schema: objectSchema({
+        nachpruefung: {
+            type: 'array',
+            items: objectSchema({
+                ergebnis_index: { type: 'integer', description: 'Index des Postens aus "unklare_posten"' },
+                status: { type: 'string', enum: ['ok', 'warnung', 'fehler', 'unklar'] },
+                fehlercode: { type: ['string', 'null'], enum: ['E1', 'E2', 'E3', 'E4', 'E5', 'E6', null] },
+                titel: { type: 'string', description: 'Kurzer Titel (max 8 Wörter)' },
+                erklaerung: { type: 'string', description: 'Ergebnis der Nachprüfung, 1-3 Sätze' },
+                beweis: nullable('string', 'Exaktes Zitat aus dem Dokument das die neue Einschätzung belegt'),
+                ersparnis_geschaetzt: { type: 'number' },
+            }),
+        },
+    }),
+};
+
+const FOLLOW_UP_TOOL = {
+    name: 'vermieterantwort_abgleichen',
+    description: 'Gleicht die Antwort des Vermieters bzw. die korrigierte Abrechnung mit den Einwänden des Mieters ab.',
+    strict: true,
+    input_schema: objectSchema({
+        validierung: { type: 'string', enum: ['ok', 'nicht_lesbar', 'keine_antwort'] },
+        dokumentart: { type: 'string', enum: ['antwortschreiben', 'korrigierte_abrechnung', 'beides'] },
+        dokumentdatum: nullable('string', 'DD.MM.YYYY'),
+        zusammenfassung: { type: 'string', description: 'Was der Vermieter insgesamt antwortet, 1-3 Sätze' },
+        neuer_saldo: objectSchema({
+            art: { type: ['string', 'null'], enum: ['nachzahlung', 'guthaben', null] },
+            betrag: nullable('number', 'Neuer Saldo laut korrigierter Abrechnung, sonst null'),
+        }),
+        einwaende: {
+            type: 'array',
+            items: objectSchema({
+                einwand_index: { type: 'integer', description: 'Index des Einwands aus "einwaende"' },
+                bewertung: { type: 'string', enum: ['angenommen', 'abgelehnt', 'offen'] },
+                begruendung_vermieter: nullable('string', 'Begründung des Vermieters, möglichst wörtlich'),
+                beleg: nullable('string', 'Exaktes Zitat aus dem Dokument, das die Bewertung belegt'),
+                zugestanden_eur: { type: 'number', description: 'Betrag, um den der Vermieter den Posten zugunsten des Mieters korrigiert, sonst 0' },
+                erklaerung: { type: 'string', description: 'Einordnung für den Mieter, 1-2 Sätze' },
+            }),
+        },
+    }),
+};
+
+const PREVIEW_TOOL = {
+    name: 'vorab_check_abgeben',
+    description: 'Gibt die vorsichtige Ersteinschätzung des kostenlosen Vorab-Checks zurück.',
+    strict: true,
+    input_schema: objectSchema({
+        validierung: VALIDIERUNG_SCHEMA,
+        validierung_grund: nullable('string', 'Kurze Erklärung'),
+        dokument_qualitaet: { type: 'integer', description: '0 bis 100' },
+        lesbarkeit: { type: 'string', enum: ['gut', 'mittel', 'schlecht'] },
+        erkannte_basisdaten: objectSchema({
+            abrechnungszeitraum: nullable('string'),
+            wohnflaeche: nullable('string'),
+            gesamtkosten_mieter: nullable('string'),
+        }),
+        auffaelligkeiten: {
+            type: 'array',
+            items: objectSchema({
+                titel: { type: 'string', description: 'Maximal 8 Wörter' },
+                kurz: { type: 'string', description: 'Maximal 140 Zeichen, konkrete erste Einschätzung' },
+                status_hint: { type: 'string', enum: ['hinweis', 'auffaellig', 'pruefen'] },
+            }),
+        },
+        erkannte_daten: {
+            type: 'array',
+            items: objectSchema({
+                feld: {
+                    type: 'string',
+                    enum: ['abrechnungszeitraum', 'abrechnungsdatum', 'wohnflaeche', 'gesamtkosten_mieter', 'vorauszahlungen', 'nachzahlung_oder_guthaben'],
+                },
+                wert: { type: 'string' },
+                confidence: { type: 'string', enum: ['sicher', 'unsicher'] },
+            }),
+        },
+        fristcheck: objectSchema({
+            zeitraum_ende: nullable('string', 'DD.MM.YYYY'),
+            fristende: nullable('string', 'DD.MM.YYYY'),
+            abrechnungsdatum: nullable('string', 'DD.MM.YYYY'),
+            status: { type: 'string', enum: ['fristgerecht', 'frist_ueberschritten', 'nicht_ermittelbar'] },
+            erklaerung: { type: 'string', description: 'Kurze Erklärung' },
+        }),
+        einsparpotenzial_geschaetzt_eur: { type: 'number' },
+        einsparpotenzial_erklaerung: { type: 'string', description: '1 kurzer Satz, warum dieses Potenzial im Vollcheck realistisch sein kann' },
+        naechster_schritt: { type: 'string', description: '1 kurzer Satz mit Empfehlung zur vollständigen Prüfung' },
+    }),
+};
+
+module.exports = {
+    EXTRACTION_TOOL,
+    LEASE_EXTRACTION_TOOL,
+    ANALYSIS_TOOL,
+    UNKLAR_REVIEW_TOOL,
+    FOLLOW_UP_TOOL,
+    PREVIEW_TOOL,
+};
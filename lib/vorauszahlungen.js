@@ -0,0 +1,130 @@
+// Vorauszahlungen check against what the tenant actually paid. The payments come from a bank
+// export (lib/bank-csv.js) or are typed in by hand; they are summed over the billing period and
+// compared with the Vorauszahlungen the statement credits. Only a shortfall in the tenant's
+// disfavour becomes a finding — fewer payments than credited usually means a second account.
+//
+// Rent is paid in advance, so a transfer in the last days of the month before the period counts
+// for the period, and one in the last days of the period counts for the next one.
+
+const { roundCents, formatEuro } = require('./german-number');
+const { parseGermanDate, parsePeriod, formatDateDE, addDays } = require('./german-date');
+
+const ZAHLUNG_VORLAUF_TAGE = 7;
+// Rounding on a year of transfers.
+const TOLERANZ_EUR = 1;
+const MIN_FEHLER_DIFFERENZ_EUR = 5;
+// Without the Kaltmiete we can't tell a rent transfer from an advance payment; anything well
+// above the credited sum is taken to include the rent.
+const WARMMIETE_FAKTOR = 1.5;
+// "Abschlag" alone is the electricity bill, not the rent.
+const MIETE_PATTERN = /miete|nebenkosten|betriebskosten|vorauszahlung|hausgeld|nutzungsgeb|hausverwaltung|wohnbau|wohnungsbau|wohnungsgenossenschaft|vermietung/i;
+const AUSSCHLUSS_PATTERN = /kaution|mietkaution|rückzahlung|erstattung/i;
+
+const eur = (v) => formatEuro(v);
+
+function nameMatches(buchung, empfaenger) {
+    const wanted = String(empfaenger || '').toLowerCase().split(/\s+/).filter((w) => w.length >= 3);
+    const name = `${buchung.empfaenger || ''} ${buchung.verwendungszweck || ''}`.toLowerCase();
+    return wanted.length > 0 && wanted.every((w) => name.includes(w));
+}
+
+// Outgoing transfers to the landlord: by name when the tenant told us the recipient,
+// otherwise by what the transfer says it is for. Only these are kept after upload.
+function selectMietzahlungen(buchungen, { empfaenger = null } = {}) {
+    return (buchungen || [])
+        .filter((b) => b.betrag < 0)
+        .filter((b) => !AUSSCHLUSS_PATTERN.test(b.verwendungszweck || ''))
+        .filter((b) => (empfaenger ? nameMatches(b, empfaenger) : MIETE_PATTERN.test(`${b.verwendungszweck || ''} ${b.empfaenger || ''}`)))
+        .map((b) => ({ datum: b.datum, betrag: Math.abs(b.betrag), empfaenger: b.empfaenger, verwendungszweck: b.verwendungszweck }));
+}
+
+function monthsBetween(start, end) {
+    return (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+}
+
+function nichtPruefbar(out, hinweis) {
+    return { ...out, bewertung: 'nicht_pruefbar', hinweis };
+}
+
+function befundFor(out) {
+    const sicher = out.differenz >= MIN_FEHLER_DIFFERENZ_EUR && out.zahlungen.length <= out.monate;
+    const mehrZahlungen = out.zahlungen.length > out.monate
+        ? ` Gefunden wurden ${out.zahlungen.length} Zahlungen für ${out.monate} Monate — bitte prüfen Sie, ob eine davon nicht zur Miete gehört.`
+        : '';
+    return {
+        posten: 'Vorauszahlungen',
+        status: sicher ? 'fehler' : 'warnung',
+        fehlercode: null,
+        titel: 'Vorauszahlungen zu niedrig angerechnet',
+        erklaerung: `Laut ${out.quelle === 'kontoauszug' ? 'Kontoauszug' : 'Ihren Angaben'} haben Sie im Abrechnungszeitraum ${eur(out.summe_gezahlt)} an Vorauszahlungen geleistet, `
+            + `die Abrechnung rechnet nur ${eur(out.summe_abrechnung)} an. Die Differenz von ${eur(out.differenz)} muss Ihnen gutgeschrieben werden.${mehrZahlungen}`,
+        beweis: out.rechenweg,
+        ersparnis_geschaetzt: sicher ? out.differenz : 0,
+    };
+}
+
+// Returns:
+//   zahlungen — the payments counted for the period, with the advance-payment share (`anteil`)
+//   bewertung — passt | zu_wenig_angerechnet | mehr_angerechnet | nicht_pruefbar
+//   befund — ergebnisse-shaped finding when the statement credits less than was paid
+function reconcileVorauszahlungen(extraction, zahlungsdaten) {
+    const kaltmiete = Number(zahlungsdaten?.kaltmiete) > 0 ? Number(zahlungsdaten.kaltmiete) : null;
+    const out = {
+        quelle: zahlungsdaten?.format === 'manuell' ? 'manuell' : 'kontoauszug',
+        format: zahlungsdaten?.label || null,
+        kaltmiete,
+        zeitraum: null,
+        monate: null,
+        zahlungen: [],
+        summe_gezahlt: null,
+        summe_abrechnung: extraction?.kopfdaten?.vorauszahlungen ?? null,
+        differenz: null,
+        bewertung: 'nicht_pruefbar',
+        rechenweg: null,
+        hinweis: null,
+        befund: null,
+    };
+
+    const zeitraum = parsePeriod(extraction?.kopfdaten?.abrechnungszeitraum);
+    if (!zeitraum || !zeitraum.start || !zeitraum.end) return nichtPruefbar(out, 'Abrechnungszeitraum nicht erkannt — Vorauszahlungen nicht abgleichbar.');
+    if (out.summe_abrechnung === null) return nichtPruefbar(out, 'Die Abrechnung nennt keine Summe der Vorauszahlungen.');
+    out.zeitraum = `${formatDateDE(zeitraum.start)} – ${formatDateDE(zeitraum.end)}`;
+    out.monate = monthsBetween(zeitraum.start, zeitraum.end);
+
+    const von = addDays(zeitraum.start, -ZAHLUNG_VORLAUF_TAGE);
+    const bis = addDays(zeitraum.end, -ZAHLUNG_VORLAUF_TAGE);
+    out.zahlungen = (zahlungsdaten?.zahlungen || [])
+        .map((z) => ({ ...z, date: parseGermanDate(z.datum) }))
+        .filter((z) => z.date && z.date >= von && z.date <= bis)
+        .sort((a, b) => a.date - b.date)
+        .map(({ date, ...z }) => ({ ...z, anteil: roundCents(kaltmiete ? Math.max(0, z.betrag - kaltmiete) : z.betrag) }));
+    if (out.zahlungen.length === 0) return nichtPruefbar(out, `Keine Zahlungen an den Vermieter zwischen ${formatDateDE(von)} und ${formatDateDE(bis)} gefunden.`);
+
+    out.summe_gezahlt = roundCents(out.zahlungen.reduce((sum, z) => sum + z.anteil, 0));
+    out.differenz = roundCents(out.summe_gezahlt - out.summe_abrechnung);
+    const betraege = out.zahlungen.map((z) => eur(z.anteil));
+    const liste = betraege.length > 12 ? `${betraege.slice(0, 12).join(' + ')} + …` : betraege.join(' + ');
+    out.rechenweg = `${out.zahlungen.length} Zahlung(en) vom ${out.zahlungen[0].datum} bis ${out.zahlungen[out.zahlungen.length - 1].datum}`
+        + (kaltmiete ? ` (je Zahlung abzüglich Kaltmiete ${eur(kaltmiete)})` : '')
+        + `: ${liste} = ${eur(out.summe_gezahlt)}; angerechnet laut Abrechnung ${eur(out.summe_abrechnung)}`;
+
+    if (!kaltmiete && out.summe_gezahlt > out.summe_abrechnung * WARMMIETE_FAKTOR + TOLERANZ_EUR) {
+        return nichtPruefbar(out, 'Die Zahlungen enthalten vermutlich auch die Kaltmiete. Geben Sie Ihre monatliche Kaltmiete an, damit der Anteil der Vorauszahlungen berechnet werden kann.');
+    }
+    if (Math.abs(out.differenz) <= TOLERANZ_EUR) {
+        out.bewertung = 'passt';
+    } else if (out.differenz > 0) {
+        out.bewertung = 'zu_wenig_angerechnet';
+        out.rechenweg += `; Differenz ${eur(out.differenz)}`;
+        out.befund = befundFor(out);
+    } else {
+        out.bewertung = 'mehr_angerechnet';
+        out.hinweis = `Die Abrechnung rechnet ${eur(-out.differenz)} mehr an, als wir an Zahlungen gefunden haben — vermutlich wurde ein Teil von einem anderen Konto gezahlt. Zu Ihrem Nachteil ist das nicht.`;
+    }
+    return out;
+}
+
+module.exports = {
+    selectMietzahlungen,
+    reconcileVorauszahlungen,
+};
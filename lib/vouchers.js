@@ -0,0 +1,133 @@
+// Discount / voucher codes for checkout. Definitions live in a JSON file outside the
+// repo (VOUCHERS_FILE, default data/vouchers.json — see vouchers.example.json) so
+// marketing can add partner codes without a deploy. The file is re-read when it changes.
+//
+// Definition fields:
+//   code        — case-insensitive, A-Z 0-9 - _
+//   percent     — 1..100, or
+//   amount_eur  — fixed discount in euro
+//   plans       — optional list of plan keys the code is valid for
+//   campaign    — reporting bucket in /api/funnel-summary
+//   valid_from / valid_until — optional ISO dates (valid_until is inclusive)
+//   max_uses    — optional limit on redemptions (paid, or a checkout still open)
+
+const fs = require('fs');
+const { parseGermanNumber, parseEuro } = require('./german-number');
+
+// Stripe rejects EUR charges below 0,50 €; a discount never pushes a paid order under that.
+const STRIPE_MIN_AMOUNT_CENTS = 50;
+// An open checkout holds its voucher use this long; server.js lets the Stripe session expire
+// then, so parallel checkouts can't all pass max_uses and pay afterwards.
+const CHECKOUT_RESERVATION_MS = 60 * 60 * 1000;
+
+function normalizeVoucherCode(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z0-9_-]{3,40}$/.test(normalized) ? normalized : null;
+}
+
+function parseDay(value, endOfDay) {
+    if (!value) return null;
+    const parsed = new Date(`${String(value).slice(0, 10)}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.getTime();
+}
+
+function normalizeDefinition(raw) {
+    const code = normalizeVoucherCode(raw?.code);
+    if (!code) return null;
+    // Marketing writes these by hand — accept "20", 20, "3,50" alike.
+    const percent = parseGermanNumber(raw.percent);
+    const amountEur = parseEuro(raw.amount_eur);
+    let discount;
+    if (percent !== null && percent > 0 && percent <= 100) {
+        discount = { type: 'percent', value: percent };
+    } else if (amountEur !== null && amountEur > 0) {
+        discount = { type: 'fixed', value: Math.round(amountEur * 100) };
+    } else {
+        return null;
+    }
+    return {
+        code,
+        ...discount,
+        plans: Array.isArray(raw.plans) && raw.plans.length > 0 ? raw.plans.map(String) : null,
+        campaign: typeof raw.campaign === 'string' && raw.campaign.trim() ? raw.campaign.trim().slice(0, 120) : null,
+        validFrom: parseDay(raw.valid_from, false),
+        validUntil: parseDay(raw.valid_until, true),
+        maxUses: Number.isInteger(raw.max_uses) && raw.max_uses > 0 ? raw.max_uses : null,
+    };
+}
+
+// Uses of a code for max_uses: paid orders plus checkouts opened within the reservation.
+function countRedemptions(orders, code, now = Date.now()) {
+    return orders.filter((o) => o.voucher_code === code && (
+        o.payment_status === 'paid'
+        || (o.payment_status === 'pending' && now - new Date(o.created_at).getTime() < CHECKOUT_RESERVATION_MS)
+    )).length;
+}
+
+function createVoucherService({ filePath, countRedemptions }) {
+    let cache = { mtimeMs: -1, byCode: new Map() };
+
+    function definitions() {
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(filePath).mtimeMs;
+        } catch (err) {
+            return new Map(); // No voucher file — vouchers disabled.
+        }
+        if (mtimeMs === cache.mtimeMs) return cache.byCode;
+
+        const byCode = new Map();
+        try {
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            for (const raw of Array.isArray(parsed) ? parsed : []) {
+                const def = normalizeDefinition(raw);
+                if (def) {
+                    byCode.set(def.code, def);
+                } else {
+                    console.warn(`Vouchers: ignoring invalid definition ${JSON.stringify(raw?.code ?? raw)}`);
+                }
+            }
+        } catch (err) {
+            console.error(`Vouchers: could not read ${filePath}:`, err.message);
+            return cache.byCode;
+        }
+        cache = { mtimeMs, byCode };
+        return byCode;
+    }
+
+    // Returns { ok: true, voucher, discountCents, amountCents } or { ok: false, error }.
+    function validate({ code, plan, amountCents, now = Date.now() }) {
+        const normalized = normalizeVoucherCode(code);
+        const def = normalized ? definitions().get(normalized) : null;
+        if (!def) return { ok: false, error: 'Dieser Gutscheincode ist ungültig.' };
+        if (def.validFrom !== null && now < def.validFrom) return { ok: false, error: 'Dieser Gutscheincode ist noch nicht gültig.' };
+        if (def.validUntil !== null && now > def.validUntil) return { ok: false, error: 'Dieser Gutscheincode ist abgelaufen.' };
+        if (def.plans && !def.plans.includes(plan)) return { ok: false, error: 'Dieser Gutscheincode gilt nicht für den gewählten Tarif.' };
+        if (def.maxUses !== null && countRedemptions(def.code) >= def.maxUses) {
+            return { ok: false, error: 'Dieser Gutscheincode wurde bereits zu oft eingelöst.' };
+        }
+
+        const rawDiscount = def.type === 'percent'
+            ? Math.round(amountCents * def.value / 100)
+            : def.value;
+        let finalCents = Math.max(0, amountCents - rawDiscount);
+        if (finalCents > 0 && finalCents < STRIPE_MIN_AMOUNT_CENTS) finalCents = STRIPE_MIN_AMOUNT_CENTS;
+
+        return {
+            ok: true,
+            voucher: { code: def.code, campaign: def.campaign, type: def.type, value: def.value },
+            discountCents: amountCents - finalCents,
+            amountCents: finalCents,
+        };
+    }
+
+    return { validate };
+}
+
+module.exports = {
+    createVoucherService,
+    countRedemptions,
+    normalizeVoucherCode,
+    CHECKOUT_RESERVATION_MS,
+};
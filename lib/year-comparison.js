@@ -0,0 +1,166 @@
+// Compares this year's extracted cost items with the tenant's previous statement.
+// Items are matched by name (exact, then synonyms, then word overlap); the result
+// is a table the assessment, the UI and the PDF all show the same way.
+
+const { normalizePostenName } = require('./extraction');
+const { roundCents } = require('./german-number');
+
+const JUMP_THRESHOLD_PCT = 25;   // "Hausmeister +40 %" is the kind of jump we want to surface
+const MIN_JUMP_EUR = 10;         // ignore large percentages on tiny amounts
+const MIN_TOKEN_OVERLAP = 0.5;
+
+// Landlords rename items between years; map common variants onto one key.
+const SYNONYMS = [
+    ['hauswart', 'hausmeister'],
+    ['abfall', 'müll'],
+    ['muell', 'müll'],
+    ['abfuhr', 'entsorgung'],
+    ['strassenreinigung', 'straßenreinigung'],
+    ['treppenhausreinigung', 'hausreinigung'],
+    ['gebäudereinigung', 'hausreinigung'],
+    ['gartenarbeiten', 'gartenpflege'],
+    ['sachversicherung', 'versicherung'],
+    ['gebäudeversicherung', 'versicherung'],
+    ['frischwasser', 'wasser'],
+    ['kaltwasser', 'wasser'],
+    ['schmutzwasser', 'abwasser'],
+    ['entwässerung', 'abwasser'],
+    ['allgemeinstrom', 'strom'],
+    ['beleuchtung', 'strom'],
+    ['fahrstuhl', 'aufzug'],
+];
+
+function canonicalName(name) {
+    let key = normalizePostenName(name);
+    for (const [from, to] of SYNONYMS) {
+        key = key.replace(from, to);
+    }
+    return key;
+}
+
+// Words that say nothing about what an item is. "Kosten Gartenpflege" and "Kosten
+// Hausreinigung" share only "kosten"; scored on that, a new item would never show up as "neu".
+const GENERIC_TOKENS = new Set([
+    'kosten', 'gebühr', 'gebühren', 'gebuehr', 'gebuehren', 'allgemein', 'allgemeine', 'allgemeiner',
+    'umlage', 'anteil', 'anteilig', 'sonstige', 'sonstiges', 'laufende', 'öffentliche', 'oeffentliche',
+    'betriebskosten', 'nebenkosten', 'pauschale', 'haus', 'gebäude', 'und', 'der', 'die', 'das', 'für',
+    'fuer', 'inkl',
+]);
+
+// Specific words only, each mapped through the synonyms ("Hauswart Kosten" ~ "Hausmeister").
+function tokens(name) {
+    return new Set(
+        String(name || '')
+            .toLowerCase()
+            .split(/[^a-zäöüß0-9]+/)
+            .filter((t) => t.length > 2 && !GENERIC_TOKENS.has(t))
+            .map(canonicalName)
+    );
+}
+
+function tokenOverlap(a, b) {
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.size === 0 || tb.size === 0) return 0;
+    let shared = 0;
+    for (const t of ta) if (tb.has(t)) shared++;
+    return shared / Math.max(ta.size, tb.size);
+}
+
+function findPrevious(row, previousRows, used) {
+    const candidates = previousRows.filter((p) => !used.has(p.index));
+    const exact = candidates.find((p) => normalizePostenName(p.posten) === normalizePostenName(row.posten));
+    if (exact) return exact;
+    const canonical = canonicalName(row.posten);
+    const synonym = candidates.find((p) => canonicalName(p.posten) === canonical);
+    if (synonym) return synonym;
+
+    let best = null;
+    let bestScore = MIN_TOKEN_OVERLAP;
+    for (const p of candidates) {
+        const score = tokenOverlap(row.posten, p.posten);
+        if (score >= bestScore) {
+            best = p;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+function sumBetrag(rows) {
+    const values = rows.map((r) => r.betrag).filter((v) => typeof v === 'number');
+    return values.length > 0 ? roundCents(values.reduce((a, b) => a + b, 0)) : null;
+}
+
+function compareYears(current, previous) {
+    if (!current || !previous) return null;
+    const currentRows = current.kostenposten || [];
+    const previousRows = previous.kostenposten || [];
+    const used = new Set();
+    const zeilen = [];
+
+    for (const row of currentRows) {
+        const prev = findPrevious(row, previousRows, used);
+        if (prev) used.add(prev.index);
+
+        const aktuell = typeof row.betrag === 'number' ? row.betrag : null;
+        const vorjahr = prev && typeof prev.betrag === 'number' ? prev.betrag : null;
+        let differenzEur = null;
+        let differenzProzent = null;
+        if (aktuell !== null && vorjahr !== null) {
+            differenzEur = roundCents(aktuell - vorjahr);
+            differenzProzent = vorjahr > 0 ? Math.round((differenzEur / vorjahr) * 1000) / 10 : null;
+        }
+
+        let hinweis = null;
+        if (!prev && aktuell !== null && aktuell > 0) {
+            hinweis = 'neu';
+        } else if (differenzProzent !== null && differenzProzent >= JUMP_THRESHOLD_PCT && differenzEur >= MIN_JUMP_EUR) {
+            hinweis = 'sprung';
+        }
+
+        zeilen.push({
+            posten: row.posten,
+            posten_index: row.index,
+            posten_vorjahr: prev ? prev.posten : null,
+            betrag_vorjahr: vorjahr,
+            betrag_aktuell: aktuell,
+            differenz_eur: differenzEur,
+            differenz_prozent: differenzProzent,
+            hinweis,
+        });
+    }
+
+    for (const prev of previousRows) {
+        if (used.has(prev.index)) continue;
+        zeilen.push({
+            posten: prev.posten,
+            posten_index: null,
+            posten_vorjahr: prev.posten,
+            betrag_vorjahr: typeof prev.betrag === 'number' ? prev.betrag : null,
+            betrag_aktuell: null,
+            differenz_eur: null,
+            differenz_prozent: null,
+            hinweis: 'entfallen',
+        });
+    }
+
+    const summeVorjahr = sumBetrag(previousRows);
+    const summeAktuell = sumBetrag(currentRows);
+    return {
+        zeitraum_vorjahr: previous.kopfdaten?.abrechnungszeitraum || null,
+        zeitraum_aktuell: current.kopfdaten?.abrechnungszeitraum || null,
+        zeilen,
+        summe_vorjahr: summeVorjahr,
+        summe_aktuell: summeAktuell,
+        summe_differenz_prozent: summeVorjahr && summeAktuell !== null
+            ? Math.round(((summeAktuell - summeVorjahr) / summeVorjahr) * 1000) / 10
+            : null,
+        auffaellig_anzahl: zeilen.filter((z) => z.hinweis === 'sprung' || z.hinweis === 'neu').length,
+    };
+}
+
+module.exports = {
+    compareYears,
+    JUMP_THRESHOLD_PCT,
+};
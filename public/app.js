@@ -8,6 +8,7 @@ const startFreePreviewBtn = document.getElementById('startFreePreviewBtn');
 const startAnalysisBtn = document.getElementById('startAnalysisBtn');
 const emailInput = document.getElementById('emailInput');
 const livingAreaInput = document.getElementById('livingAreaInput');
+const zugangInput = document.getElementById('zugangInput');
 const uploadProgress = document.getElementById('uploadProgress');
 const resultPreview = document.getElementById('resultPreview');
 const pageLoader = document.getElementById('pageLoader');
@@ -20,6 +21,10 @@ let analysisResult = null;
 let analysisError = null;
 let analysisErrorType = null;
 let currentSessionId = null;
+// Signed report link from checkout, the result email or a share link. When set it replaces the
+// session ID in result, PDF and letter URLs; a share link comes without the session ID.
+let currentReportToken = null;
+let reportAccess = { art: 'owner', scopes: ['view', 'pdf'] };
 let apiDone = false;
 let selectedPlan = 'basic';
 let uploadTracked = false;
@@ -29,6 +34,7 @@ let previewLoadingInterval = null;
 
 const PLAN_LABELS = {
     basic: 'Für 4,99 € prüfen lassen',
+    premium: 'Premium für 9,99 € prüfen lassen',
 };
 
 function getAttribution() {
@@ -76,23 +82,42 @@ function trackEvent(eventName, extra = {}) {
     }).catch(() => {});
 }
 
+function reportRef() {
+    return currentReportToken || currentSessionId;
+}
+
+// The owner token from checkout, if it belongs to this session.
+function storedReportToken(sessionId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem('nk_report_token') || 'null');
+        return stored && stored.session_id === sessionId ? stored.token : null;
+    } catch (e) {
+        return null;
+    }
+}
+
 (function checkSession() {
     const params = new URLSearchParams(window.location.search);
+    const bericht = params.get('bericht');
     let sessionId = params.get('session_id');
 
-    // If no URL param, check localStorage for a saved session
-    if (!sessionId) {
+    // If no URL param, check localStorage for a saved session (not when opening a case or report link)
+    if (!sessionId && !bericht && !params.has('fall')) {
         sessionId = localStorage.getItem('nk_session_id');
     }
 
-    if (sessionId) {
-        currentSessionId = sessionId;
-
-        // Save to localStorage (backup for reload/close)
-        localStorage.setItem('nk_session_id', sessionId);
+    if (bericht || sessionId) {
+        if (bericht) {
+            currentReportToken = bericht;
+        } else {
+            currentSessionId = sessionId;
+            currentReportToken = storedReportToken(sessionId);
+            // Save to localStorage (backup for reload/close)
+            localStorage.setItem('nk_session_id', sessionId);
+        }
 
         // Clean URL (keep session in localStorage)
-        if (params.has('session_id')) {
+        if (params.has('session_id') || bericht) {
             window.history.replaceState({}, '', '/');
         }
 
@@ -107,10 +132,24 @@ function trackEvent(eventName, extra = {}) {
 
         // Start spinner + poll for results
         animateProgress();
-        pollForResults(sessionId);
+        pollForResults(reportRef());
     }
 })();
 
+// Link from the case reminder email: show just the case, the result may long be gone.
+(function openCaseFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const caseId = params.get('fall');
+    if (!caseId) return;
+    window.history.replaceState({}, '', '/');
+    resultPreview.innerHTML = '<div class="letter-section case-tracker" id="caseTracker"></div>';
+    resultPreview.style.display = 'block';
+    loadCaseTracker(caseId);
+    setTimeout(() => {
+        document.getElementById('upload').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 100);
+})();
+
 function hidePageLoader() {
     if (!pageLoader) return;
     pageLoader.classList.add('hidden');
@@ -127,6 +166,21 @@ window.addEventListener('load', () => {
 setTimeout(hidePageLoader, 1800);
 
 // === Poll server for analysis result ===
+// Position 0 = analysis running, n > 0 = waiting in the queue.
+function updateQueueStatus(position) {
+    const el = document.getElementById('queueStatus');
+    if (!el) return;
+    if (typeof position === 'number' && position > 0) {
+        el.textContent = position === 1
+            ? 'Ihre Prüfung ist als Nächstes an der Reihe.'
+            : `Ihre Prüfung ist in der Warteschlange (Position ${position}).`;
+        el.style.display = 'block';
+    } else {
+        el.textContent = '';
+        el.style.display = 'none';
+    }
+}
+
 function pollForResults(sessionId) {
     analysisResult = null;
     analysisError = null;
@@ -152,11 +206,18 @@ function pollForResults(sessionId) {
             }
 
             if (data.status === 'done') {
+                updateQueueStatus(null);
                 analysisResult = data.data;
+                if (data.zugriff) {
+                    reportAccess = data.zugriff;
+                    if (data.zugriff.session_id) currentSessionId = data.zugriff.session_id;
+                }
                 apiDone = true;
                 localStorage.removeItem('nk_session_id');
+                localStorage.removeItem('nk_report_token');
                 trackEvent('analysis_result_ready');
             } else if (data.status === 'error') {
+                updateQueueStatus(null);
                 analysisError = data.error;
                 analysisErrorType = data.errorType || 'unknown';
                 apiDone = true;
@@ -164,6 +225,7 @@ function pollForResults(sessionId) {
                 trackEvent('analysis_error', { error_type: analysisErrorType });
             } else {
                 // `processing` or unexpected payload: keep polling with sane backoff
+                updateQueueStatus(data.queue_position);
                 setTimeout(poll, 3500);
             }
         } catch (err) {
@@ -251,6 +313,66 @@ if (startFreePreviewBtn) {
     startFreePreviewBtn.addEventListener('click', () => startFreePreview());
 }
 
+// Plan selection: premium unlocks the optional Vorjahr upload.
+const vorjahrUpload = document.getElementById('vorjahrUpload');
+const vorjahrInput = document.getElementById('vorjahrInput');
+const mietvertragInput = document.getElementById('mietvertragInput');
+const kontoauszugInput = document.getElementById('kontoauszugInput');
+const vermieterEmpfaengerInput = document.getElementById('vermieterEmpfaengerInput');
+const kaltmieteInput = document.getElementById('kaltmieteInput');
+const zahlungenManuellInput = document.getElementById('zahlungenManuellInput');
+const fileListHeader = document.getElementById('fileListHeader');
+document.querySelectorAll('input[name="plan"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+        if (!radio.checked) return;
+        selectedPlan = radio.value;
+        if (vorjahrUpload) vorjahrUpload.style.display = selectedPlan === 'premium' ? 'block' : 'none';
+        if (fileListHeader) fileListHeader.textContent = selectedPlan === 'premium' ? 'Aktuelle Abrechnung:' : 'Ihre Dateien:';
+        startAnalysisBtn.textContent = PLAN_LABELS[selectedPlan] || PLAN_LABELS.basic;
+        trackEvent('plan_selected');
+        if (voucherInput && voucherInput.value.trim()) checkVoucher();
+    });
+});
+
+// Voucher: validated server-side on blur so the user sees the price before paying.
+const voucherInput = document.getElementById('voucherInput');
+const voucherHint = document.getElementById('voucherHint');
+const VOUCHER_HINT_DEFAULT = voucherHint ? voucherHint.textContent : '';
+
+async function checkVoucher() {
+    const code = voucherInput.value.trim();
+    voucherInput.classList.remove('input-warning');
+    if (!code) {
+        voucherHint.textContent = VOUCHER_HINT_DEFAULT;
+        startAnalysisBtn.textContent = PLAN_LABELS[selectedPlan] || PLAN_LABELS.basic;
+        return;
+    }
+    try {
+        const res = await fetch('/api/voucher-check', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code, plan: selectedPlan }),
+        });
+        const data = await res.json();
+        if (!res.ok || !data.ok) {
+            voucherInput.classList.add('input-warning');
+            voucherHint.textContent = data.error || 'Gutscheincode konnte nicht geprüft werden.';
+            startAnalysisBtn.textContent = PLAN_LABELS[selectedPlan] || PLAN_LABELS.basic;
+            return;
+        }
+        const price = formatNumberDE(data.price_eur);
+        voucherHint.textContent = `Gutschein ${data.code} gültig: ${formatNumberDE(data.discount_eur)} € Rabatt.`;
+        startAnalysisBtn.textContent = data.price_eur > 0 ? `Für ${price} € prüfen lassen` : 'Kostenlos prüfen lassen';
+        trackEvent('voucher_applied', { voucher_code: data.code });
+    } catch (e) {
+        voucherHint.textContent = 'Gutscheincode konnte nicht geprüft werden.';
+    }
+}
+
+if (voucherInput) {
+    voucherInput.addEventListener('blur', () => checkVoucher());
+}
+
 // Run after all elements (incl. consent checkbox) are initialized.
 trackEvent('page_view');
 updateButtonState();
@@ -444,6 +566,7 @@ async function startFreePreview() {
     formData.append('consent', consentCheckbox.checked ? '1' : '0');
     const livingAreaSqm = normalizeLivingAreaInput(livingAreaInput ? livingAreaInput.value : '');
     if (livingAreaSqm !== null) formData.append('living_area_sqm', String(livingAreaSqm));
+    if (zugangInput && zugangInput.value) formData.append('zugangsdatum', zugangInput.value);
     formData.append('source', attribution.source);
     formData.append('campaign', attribution.campaign);
 
@@ -543,8 +666,28 @@ async function startCheckout() {
     formData.append('consent', consentCheckbox.checked ? '1' : '0');
     const livingAreaSqm = normalizeLivingAreaInput(livingAreaInput ? livingAreaInput.value : '');
     if (livingAreaSqm !== null) formData.append('living_area_sqm', String(livingAreaSqm));
+    if (zugangInput && zugangInput.value) formData.append('zugangsdatum', zugangInput.value);
     formData.append('email', emailInput.value.trim());
+    const saveReportCheckbox = document.getElementById('saveReportCheckbox');
+    formData.append('save_report', saveReportCheckbox && saveReportCheckbox.checked ? '1' : '0');
     formData.append('plan', selectedPlan);
+    if (voucherInput && voucherInput.value.trim()) formData.append('voucher_code', voucherInput.value.trim());
+    if (selectedPlan === 'premium' && vorjahrInput) {
+        for (const file of Array.from(vorjahrInput.files || []).slice(0, 5)) {
+            formData.append('vorjahr_files', file);
+        }
+    }
+    if (mietvertragInput) {
+        for (const file of Array.from(mietvertragInput.files || []).slice(0, 5)) {
+            formData.append('mietvertrag_files', file);
+        }
+    }
+    if (kontoauszugInput && kontoauszugInput.files && kontoauszugInput.files[0]) {
+        formData.append('kontoauszug_file', kontoauszugInput.files[0]);
+    }
+    if (vermieterEmpfaengerInput && vermieterEmpfaengerInput.value.trim()) formData.append('vermieter_empfaenger', vermieterEmpfaengerInput.value.trim());
+    if (kaltmieteInput && kaltmieteInput.value.trim()) formData.append('kaltmiete', kaltmieteInput.value.trim());
+    if (zahlungenManuellInput && zahlungenManuellInput.value.trim()) formData.append('zahlungen_manuell', zahlungenManuellInput.value.trim());
     formData.append('source', attribution.source);
     formData.append('campaign', attribution.campaign);
 
@@ -577,6 +720,10 @@ async function startCheckout() {
         // Save email for reminder opt-in later
         const emailVal = emailInput.value.trim();
         if (emailVal) localStorage.setItem('nk_email', emailVal);
+        // Without it the result page can't open the report once the session ID is locked.
+        if (data.report_token) {
+            localStorage.setItem('nk_report_token', JSON.stringify({ session_id: data.session_id, token: data.report_token }));
+        }
 
         // Redirect to Stripe Checkout
         trackEvent('checkout_redirected');
@@ -691,8 +838,8 @@ function animateProgress() {
                 const reloadBtn = document.getElementById('reloadBtn');
                 if (forceBtn) {
                     forceBtn.addEventListener('click', () => {
-                        if (!currentSessionId) return;
-                        pollForResults(currentSessionId);
+                        if (!reportRef()) return;
+                        pollForResults(reportRef());
                     });
                 }
                 if (reloadBtn) {
@@ -705,7 +852,7 @@ function animateProgress() {
 
 function showError(message) {
     const isValidationError = analysisErrorType && analysisErrorType.startsWith('validation_');
-    const canRetry = !isValidationError && currentSessionId && (analysisErrorType === 'files_expired' || analysisErrorType === 'analysis_failed' || analysisErrorType === 'rate_limit');
+    const canRetry = !isValidationError && reportRef() && reportAccess.art === 'owner' && (analysisErrorType === 'files_expired' || analysisErrorType === 'analysis_failed' || analysisErrorType === 'rate_limit');
 
     let contentHTML = '';
 
@@ -743,7 +890,7 @@ function showError(message) {
         contentHTML = `
             <div style="padding: 40px; text-align: center;">
                 <div style="font-size: 48px; margin-bottom: 16px;">&#9888;</div>
-                <h3 style="margin-bottom: 12px;">Analyse fehlgeschlagen</h3>
+                <h3 style="margin-bottom: 12px;">${analysisErrorType === 'link_invalid' ? 'Link nicht gültig' : 'Analyse fehlgeschlagen'}</h3>
                 <p style="color: #6b7280; margin-bottom: 24px;">${escapeHTML(message)}</p>
                 ${retryHTML}
                 <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 8px;">
@@ -773,20 +920,20 @@ function showError(message) {
         retryInput.addEventListener('change', (e) => {
             const files = Array.from(e.target.files);
             if (files.length > 0) {
-                startRetryAnalysis(currentSessionId, files);
+                startRetryAnalysis(files);
             }
         });
     }
 }
 
 // === Retry analysis with re-uploaded files (free) ===
-async function startRetryAnalysis(sessionId, files) {
+async function startRetryAnalysis(files) {
     // Show progress spinner
     resultPreview.style.display = 'none';
     uploadProgress.style.display = 'block';
 
     const formData = new FormData();
-    formData.append('session_id', sessionId);
+    formData.append('ref', reportRef());
     for (const file of files) {
         formData.append('files', file);
     }
@@ -808,7 +955,7 @@ async function startRetryAnalysis(sessionId, files) {
 
         // Re-poll for results
         animateProgress();
-        pollForResults(sessionId);
+        pollForResults(reportRef());
 
     } catch (err) {
         uploadProgress.style.display = 'none';
@@ -934,8 +1081,10 @@ function renderFreePreview(preview) {
                     <span>Zeitraum-Ende: ${escapeHTML(frist.zeitraum_ende || 'nicht erkannt')}</span>
                     <span>Fristende: ${escapeHTML(frist.fristende || 'nicht erkannt')}</span>
                     <span>Abrechnungsdatum: ${escapeHTML(frist.abrechnungsdatum || 'nicht erkannt')}</span>
+                    ${frist.zugangsdatum ? `<span>Zugang: ${escapeHTML(frist.zugangsdatum)}</span>` : ''}
                 </div>
                 <p>${escapeHTML(frist.erklaerung || 'Frist konnte im Vorab-Check nicht sicher bestimmt werden.')}</p>
+                ${frist.fristverschiebung ? `<p>${escapeHTML(frist.fristverschiebung)}</p>` : ''}
             </div>
             <div class="preview-items">${itemHtml}</div>
             <p>${escapeHTML(preview.naechster_schritt || 'Wenn Sie sicher gehen möchten, starten Sie jetzt die vollständige Prüfung für 4,99 €.')}</p>
@@ -1040,6 +1189,15 @@ function renderResults(data) {
         if (data.gesamtkosten_mieter) metaHTML += `<span>Gesamtkosten: ${escapeHTML(data.gesamtkosten_mieter)}</span>`;
         metaHTML += `</div>`;
     }
+    if (data.vorjahr_hinweis) {
+        metaHTML += `<div class="result-unklar-box"><p>${escapeHTML(data.vorjahr_hinweis)}</p></div>`;
+    }
+    if (data.mietvertrag_hinweis) {
+        metaHTML += `<div class="result-unklar-box"><p>${escapeHTML(data.mietvertrag_hinweis)}</p></div>`;
+    }
+    if (data.vorauszahlungsabgleich && data.vorauszahlungsabgleich.hinweis) {
+        metaHTML += `<div class="result-unklar-box"><p>Vorauszahlungen: ${escapeHTML(data.vorauszahlungsabgleich.hinweis)}</p></div>`;
+    }
 
     // Letter section
     let letterHTML = '';
@@ -1066,6 +1224,31 @@ function renderResults(data) {
             </div>
         `;
     }
+    if (data.belegeinsicht_brief) {
+        const belegText = data.belegeinsicht_brief.replace(/\\n/g, '\n');
+        letterHTML += `
+            <div class="letter-section">
+                <div class="letter-header">
+                    <div class="letter-header-left">
+                        <span class="letter-icon">&#128269;</span>
+                        <div>
+                            <h3>Anschreiben zur Belegeinsicht</h3>
+                            <p>Für die offenen Punkte: Ersetzen Sie die [PLATZHALTER] und bitten Sie Ihren Vermieter um Einsicht in die Originalbelege.</p>
+                        </div>
+                    </div>
+                    <button class="btn btn-sm copy-btn" id="copyBelegBtn">Kopieren</button>
+                </div>
+                <div class="letter-body">
+                    <pre class="letter-text" id="belegLetterText">${escapeHTML(belegText)}</pre>
+                </div>
+            </div>
+        `;
+    }
+
+    letterHTML += buildLetterBuilder(data);
+    if (currentSessionId && (data.widerspruchsbrief || data.belegeinsicht_brief)) {
+        letterHTML += '<div class="letter-section case-tracker" id="caseTracker"></div>';
+    }
 
     resultPreview.innerHTML = `
         <div class="result-header">
@@ -1095,10 +1278,16 @@ function renderResults(data) {
             ${itemsHTML}
         </div>
 
+        ${buildExtractionTable(data.extraktion)}
+
+        ${buildPlausibilityTable(data.plausibilitaet)}
+
+        ${buildYearComparisonTable(data.jahresvergleich)}
+
         ${unklar.length > 0 && data.unklar_pruefungen && data.unklar_pruefungen.length > 0 ? `
             <div class="result-unklar-box">
                 <h4>Offene Prüfpunkte</h4>
-                <p>Folgende Punkte konnten nicht abschließend geprüft werden. Fordern Sie ggf. Belegeinsicht beim Vermieter an:</p>
+                <p>Folgende Punkte konnten nicht abschließend geprüft werden. ${data.belegeinsicht_brief ? 'Das Anschreiben zur Belegeinsicht oben fordert die Unterlagen dazu beim Vermieter an.' : 'Fordern Sie ggf. Belegeinsicht beim Vermieter an:'}</p>
                 <ul>${data.unklar_pruefungen.map(p => `<li>${escapeHTML(p)}</li>`).join('')}</ul>
             </div>
         ` : ''}
@@ -1120,9 +1309,10 @@ function renderResults(data) {
         </div>
 
         <div class="result-actions">
-            ${currentSessionId ? `<a class="result-download-btn" href="/api/download-pdf/${encodeURIComponent(currentSessionId)}" download>PDF herunterladen</a>` : ''}
+            ${reportRef() && reportAccess.scopes.includes('pdf') ? `<a class="result-download-btn" href="/api/download-pdf/${encodeURIComponent(reportRef())}" download>PDF herunterladen</a>` : ''}
             <button class="btn btn-outline" onclick="resetUpload()">Neue Abrechnung prüfen</button>
         </div>
+        ${currentReportToken && reportAccess.art === 'owner' ? '<div class="letter-section share-links" id="shareLinks"></div>' : ''}
     `;
 
     resultPreview.style.display = 'block';
@@ -1137,6 +1327,13 @@ function renderResults(data) {
     document.querySelectorAll('#copyLetterBtn, #copyLetterBtn2').forEach(btn => {
         btn.addEventListener('click', () => copyLetter());
     });
+    const copyBelegBtn = document.getElementById('copyBelegBtn');
+    if (copyBelegBtn) {
+        copyBelegBtn.addEventListener('click', () => copyLetter('belegLetterText', '#copyBelegBtn'));
+    }
+    attachLetterBuilder();
+    if (document.getElementById('caseTracker')) loadCaseTracker(reportRef());
+    if (document.getElementById('shareLinks')) loadShareLinks();
 
     const pdfLink = document.querySelector('.result-download-btn');
     if (pdfLink) {
@@ -1175,16 +1372,606 @@ function buildResultItem(item, color, label) {
             </div>
             <p>${escapeHTML(item.erklaerung)}</p>
             ${item.beweis ? `<div class="result-item-beweis">&bdquo;${escapeHTML(item.beweis)}&ldquo;</div>` : ''}
+            ${item.vertragsklausel ? `<div class="result-item-check">Vertragsgrundlage: Mietvertrag ${escapeHTML(item.vertragsklausel)}</div>` : ''}
+            ${(item.regelpruefung || []).map(check => `<div class="result-item-check">Automatisch nachgeprüft: ${escapeHTML(check.grund)}</div>`).join('')}
             ${item.ersparnis_geschaetzt > 0 ? `<div class="result-item-savings">Mögliche Ersparnis: ${Math.round(item.ersparnis_geschaetzt)} €</div>` : ''}
         </div>
     `;
 }
 
-function copyLetter() {
-    const letterEl = document.getElementById('letterText');
+function formatNumberDE(value, fractionDigits = 2) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '–';
+    return value.toLocaleString('de-DE', { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits });
+}
+
+function buildExtractionTable(extraktion) {
+    const rows = extraktion && Array.isArray(extraktion.kostenposten) ? extraktion.kostenposten : [];
+    if (rows.length === 0) return '';
+    const unit = (row) => (row.einheit ? ` ${escapeHTML(row.einheit)}` : '');
+    const bodyHTML = rows.map(row => `
+        <tr>
+            <td>${escapeHTML(row.posten)}</td>
+            <td class="num">${row.gesamtkosten !== null ? `${formatNumberDE(row.gesamtkosten)} €` : '–'}</td>
+            <td>${escapeHTML(row.verteilerschluessel || '–')}</td>
+            <td class="num">${row.gesamteinheiten !== null ? `${formatNumberDE(row.gesamteinheiten, 0)}${unit(row)}` : '–'}</td>
+            <td class="num">${row.anteil_mieter !== null ? `${formatNumberDE(row.anteil_mieter, 0)}${unit(row)}` : '–'}</td>
+            <td class="num">${row.betrag !== null ? `${formatNumberDE(row.betrag)} €` : '–'}</td>
+        </tr>
+    `).join('');
+    return `
+        <details class="extraction-details">
+            <summary class="ok-summary">Aus Ihrer Abrechnung ausgelesen (${rows.length} Posten)</summary>
+            <p class="extraction-note">Auf Basis dieser Werte wurde geprüft. Stimmt ein Wert nicht mit Ihrer Abrechnung überein, ist das Ergebnis für diesen Posten nicht belastbar.</p>
+            <div class="extraction-table-wrap">
+                <table class="extraction-table">
+                    <thead>
+                        <tr><th>Posten</th><th>Gesamtkosten</th><th>Schlüssel</th><th>Gesamt</th><th>Ihr Anteil</th><th>Betrag</th></tr>
+                    </thead>
+                    <tbody>${bodyHTML}</tbody>
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+const PLAUSIBILITY_LABELS = {
+    ueber: 'Über dem Orientierungswert',
+    im_rahmen: 'Im Rahmen',
+    unter: 'Darunter',
+};
+
+function buildPlausibilityTable(plausi) {
+    const rows = plausi && Array.isArray(plausi.zeilen) ? plausi.zeilen : [];
+    if (rows.length === 0) return '';
+    const bodyHTML = rows.map(row => `
+        <tr class="${row.bewertung === 'ueber' ? 'plausi-row-ueber' : ''}">
+            <td>${escapeHTML(row.label)}${row.posten.length > 1 ? `<br><span class="year-comparison-prev">${escapeHTML(row.posten.join(', '))}</span>` : ''}</td>
+            <td class="num">${formatNumberDE(row.betrag)} €</td>
+            <td class="num">${formatNumberDE(row.pro_qm)} €</td>
+            <td class="num">${formatNumberDE(row.min)}–${formatNumberDE(row.max)} €</td>
+            <td>${PLAUSIBILITY_LABELS[row.bewertung] || ''}</td>
+        </tr>
+    `).join('');
+    const flagged = plausi.auffaellig_anzahl || 0;
+    const area = `${formatNumberDE(plausi.wohnflaeche_qm, 0)} m²${plausi.wohnflaeche_quelle === 'nutzer' ? ' (Ihre Angabe)' : ''}`;
+    return `
+        <details class="extraction-details year-comparison"${flagged > 0 ? ' open' : ''}>
+            <summary class="ok-summary">Kosten pro m² im Vergleich (${flagged > 0 ? `${flagged} über dem Orientierungswert` : 'alles im Rahmen'})</summary>
+            <p class="extraction-note">Ihr Anteil geteilt durch ${escapeHTML(area)} Wohnfläche, pro Jahr. Orientierungswerte: ${escapeHTML(plausi.quelle)}, Stand ${escapeHTML(String(plausi.jahr))}. Höhere Kosten sind kein Fehler, aber ein guter Grund, nach den Belegen zu fragen.</p>
+            <div class="extraction-table-wrap">
+                <table class="extraction-table">
+                    <thead>
+                        <tr><th>Kostenart</th><th>Ihr Anteil</th><th>pro m²</th><th>Orientierung</th><th>Bewertung</th></tr>
+                    </thead>
+                    <tbody>${bodyHTML}</tbody>
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+const YEAR_COMPARISON_LABELS = {
+    sprung: 'Auffälliger Anstieg',
+    neu: 'Neuer Posten',
+    entfallen: 'Entfallen',
+};
+
+function formatPercentDE(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '–';
+    return `${value > 0 ? '+' : ''}${value.toLocaleString('de-DE', { maximumFractionDigits: 1 })} %`;
+}
+
+function buildYearComparisonTable(vergleich) {
+    const rows = vergleich && Array.isArray(vergleich.zeilen) ? vergleich.zeilen : [];
+    if (rows.length === 0) return '';
+    const euro = (value) => (typeof value === 'number' ? `${formatNumberDE(value)} €` : '–');
+    const bodyHTML = rows.map(row => {
+        const renamed = row.posten_vorjahr && row.posten_vorjahr !== row.posten && row.hinweis !== 'entfallen'
+            ? `<br><span class="year-comparison-prev">Vorjahr: ${escapeHTML(row.posten_vorjahr)}</span>`
+            : '';
+        return `
+            <tr class="${row.hinweis ? `year-row-${row.hinweis}` : ''}">
+                <td>${escapeHTML(row.posten)}${renamed}</td>
+                <td class="num">${euro(row.betrag_vorjahr)}</td>
+                <td class="num">${euro(row.betrag_aktuell)}</td>
+                <td class="num">${formatPercentDE(row.differenz_prozent)}</td>
+                <td>${row.hinweis ? YEAR_COMPARISON_LABELS[row.hinweis] : ''}</td>
+            </tr>
+        `;
+    }).join('');
+    const period = vergleich.zeitraum_vorjahr || vergleich.zeitraum_aktuell
+        ? `Vorjahr: ${escapeHTML(vergleich.zeitraum_vorjahr || 'unbekannt')} — aktuell: ${escapeHTML(vergleich.zeitraum_aktuell || 'unbekannt')}. `
+        : '';
+    const flagged = vergleich.auffaellig_anzahl || 0;
+    return `
+        <details class="extraction-details year-comparison"${flagged > 0 ? ' open' : ''}>
+            <summary class="ok-summary">Vergleich mit dem Vorjahr (${flagged > 0 ? `${flagged} auffällig` : 'keine Auffälligkeiten'})</summary>
+            <p class="extraction-note">${period}Als auffällig gelten neue Posten und Steigerungen ab 25 %. Fragen Sie bei diesen Posten nach dem Grund oder verlangen Sie Belegeinsicht.</p>
+            <div class="extraction-table-wrap">
+                <table class="extraction-table">
+                    <thead>
+                        <tr><th>Posten</th><th>Vorjahr</th><th>Aktuell</th><th>Änderung</th><th>Hinweis</th></tr>
+                    </thead>
+                    <tbody>${bodyHTML}</tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Summe</th>
+                            <td class="num">${euro(vergleich.summe_vorjahr)}</td>
+                            <td class="num">${euro(vergleich.summe_aktuell)}</td>
+                            <td class="num">${formatPercentDE(vergleich.summe_differenz_prozent)}</td>
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+// Letter builder: the tenant's and landlord's details and the findings to include go to the
+// server, which regenerates the letter text (or a DIN 5008 PDF) from the stored result.
+function buildLetterBuilder(data) {
+    if (!currentSessionId || (!data.widerspruchsbrief && !data.belegeinsicht_brief)) return '';
+    const befunde = data.ergebnisse
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.status === 'fehler' || item.status === 'warnung');
+    const befundHTML = befunde.map(({ item, index }) => `
+        <label class="letter-builder-befund">
+            <input type="checkbox" name="befund" value="${index}" checked>
+            <span>${item.status === 'fehler' ? 'Fehler' : 'Prüfen'}: ${escapeHTML(item.posten)}${item.betrag ? ` (${escapeHTML(item.betrag)})` : ''}${item.status === 'fehler' && item.ersparnis_geschaetzt > 0 ? ` — ${formatNumberDE(item.ersparnis_geschaetzt)} €` : ''}</span>
+        </label>
+    `).join('');
+    return `
+        <details class="letter-section letter-builder" id="letterBuilder">
+            <summary class="letter-builder-summary">Brief anpassen: Namen und Adressen einsetzen, Befunde auswählen, als PDF drucken</summary>
+            <form class="letter-builder-form" id="letterBuilderForm">
+                <div class="letter-builder-adressen">
+                    ${letterAddressFields('absender', 'Ihre Angaben', 'Ihr Name')}
+                    ${letterAddressFields('empfaenger', 'Vermieter bzw. Hausverwaltung', 'Name des Vermieters')}
+                </div>
+                ${data.widerspruchsbrief && befunde.length > 0 ? `
+                    <fieldset class="letter-builder-befunde">
+                        <legend class="email-label">Diese Befunde in den Widerspruchsbrief aufnehmen:</legend>
+                        ${befundHTML}
+                    </fieldset>
+                ` : ''}
+                <p class="email-hint">Ihre Angaben werden nur für den Brief verwendet und nicht gespeichert.</p>
+                <p class="letter-builder-error" id="letterBuilderError" hidden></p>
+                <div class="letter-builder-actions">
+                    ${data.widerspruchsbrief && befunde.length > 0 ? `
+                        <button type="button" class="btn btn-sm" data-art="widerspruch" data-format="text">Widerspruchsbrief aktualisieren</button>
+                        <button type="button" class="btn btn-sm btn-outline" data-art="widerspruch" data-format="pdf">Widerspruchsbrief als PDF</button>
+                    ` : ''}
+                    ${data.belegeinsicht_brief ? `
+                        <button type="button" class="btn btn-sm" data-art="belegeinsicht" data-format="text">Belegeinsicht aktualisieren</button>
+                        <button type="button" class="btn btn-sm btn-outline" data-art="belegeinsicht" data-format="pdf">Belegeinsicht als PDF</button>
+                    ` : ''}
+                </div>
+            </form>
+        </details>
+    `;
+}
+
+function letterAddressFields(prefix, legend, namePlaceholder) {
+    return `
+        <fieldset class="letter-builder-adresse">
+            <legend class="email-label">${legend}</legend>
+            <input type="text" class="email-input" name="${prefix}_name" placeholder="${namePlaceholder}" maxlength="80" autocomplete="${prefix === 'absender' ? 'name' : 'off'}">
+            <input type="text" class="email-input" name="${prefix}_strasse" placeholder="Straße und Hausnummer" maxlength="80" autocomplete="${prefix === 'absender' ? 'street-address' : 'off'}">
+            <input type="text" class="email-input" name="${prefix}_plz_ort" placeholder="PLZ und Ort" maxlength="80">
+        </fieldset>
+    `;
+}
+
+function letterBuilderPayload(form, art, format) {
+    const value = (name) => form.elements[name] ? form.elements[name].value.trim() : '';
+    const adresse = (prefix) => ({ name: value(`${prefix}_name`), strasse: value(`${prefix}_strasse`), plz_ort: value(`${prefix}_plz_ort`) });
+    return {
+        art,
+        format,
+        absender: adresse('absender'),
+        empfaenger: adresse('empfaenger'),
+        befunde: Array.from(form.querySelectorAll('input[name="befund"]:checked')).map(cb => Number(cb.value)),
+    };
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function attachLetterBuilder() {
+    const form = document.getElementById('letterBuilderForm');
+    if (!form) return;
+    const errorEl = document.getElementById('letterBuilderError');
+    form.querySelectorAll('button[data-art]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const { art, format } = btn.dataset;
+            errorEl.hidden = true;
+            btn.disabled = true;
+            try {
+                const res = await fetch(`/api/letter/${encodeURIComponent(reportRef())}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(letterBuilderPayload(form, art, format)),
+                });
+                if (!res.ok) {
+                    const body = await res.json().catch(() => ({}));
+                    throw new Error(body.error || 'Brief konnte nicht erstellt werden.');
+                }
+                if (format === 'pdf') {
+                    downloadBlob(await res.blob(), art === 'belegeinsicht' ? 'Belegeinsicht-Nebenkosten.pdf' : 'Widerspruch-Nebenkosten.pdf');
+                } else {
+                    const letter = await res.json();
+                    const target = document.getElementById(art === 'belegeinsicht' ? 'belegLetterText' : 'letterText');
+                    if (target) {
+                        target.textContent = letter.text;
+                        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    }
+                }
+            } catch (err) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+            } finally {
+                btn.disabled = false;
+            }
+        });
+    });
+}
+
+// Case tracking after the letter went out: how and when it was sent, the answer deadline with
+// an optional reminder email, and the landlord's reply as upload.
+const CASE_KANAELE = {
+    einschreiben: 'Einschreiben mit Rückschein',
+    einwurf_einschreiben: 'Einwurf-Einschreiben',
+    brief: 'Brief',
+    email: 'E-Mail',
+    fax: 'Fax',
+    persoenlich: 'Persönlich übergeben',
+};
+const CASE_STATUS_LABELS = {
+    versendet: 'Warten auf Antwort',
+    antwort_erhalten: 'Antwort erhalten',
+    abgeschlossen: 'Abgeschlossen',
+};
+
+async function loadCaseTracker(ref) {
+    const container = document.getElementById('caseTracker');
+    if (!container) return;
+    try {
+        const res = await fetch(`/api/case/${encodeURIComponent(ref)}`);
+        if (res.status === 404) {
+            renderCaseForm(container, ref);
+            return;
+        }
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(res.status === 403 ? body.error : '');
+        renderCaseStatus(container, ref, body.fall);
+    } catch (err) {
+        container.innerHTML = `<p class="email-hint">${escapeHTML(err.message || 'Der Fall konnte gerade nicht geladen werden. Bitte versuchen Sie es später erneut.')}</p>`;
+    }
+}
+
+function renderCaseForm(container, ref) {
+    const heute = new Date().toISOString().slice(0, 10);
+    const email = localStorage.getItem('nk_email') || '';
+    container.innerHTML = `
+        <h4>Brief verschickt? Fall verfolgen</h4>
+        <p class="email-hint">Tragen Sie ein, wann und wie Sie den Brief verschickt haben. Wir erinnern Sie, wenn bis zum Ende der Frist keine Antwort da ist.</p>
+        <form class="case-form" id="caseForm">
+            <label class="email-label">Versanddatum
+                <input type="date" class="email-input" name="datum" value="${heute}" max="${heute}" required>
+            </label>
+            <label class="email-label">Versandart
+                <select class="email-input" name="kanal">
+                    ${Object.entries(CASE_KANAELE).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="email-label" id="caseSendungsnummer">Sendungsnummer (optional)
+                <input type="text" class="email-input" name="sendungsnummer" maxlength="40" placeholder="z. B. RT 1234 5678 9DE">
+            </label>
+            <label class="email-label">Antwort erwartet bis (optional, sonst 14 Tage)
+                <input type="date" class="email-input" name="antwort_bis">
+            </label>
+            <label class="email-label">E-Mail für die Erinnerung (optional)
+                <input type="email" class="email-input" name="email" maxlength="200" placeholder="ihre@email.de">
+            </label>
+            <p class="letter-builder-error" id="caseError" hidden></p>
+            <button type="submit" class="btn btn-sm">Versand speichern</button>
+        </form>
+    `;
+    const form = container.querySelector('#caseForm');
+    const nummer = container.querySelector('#caseSendungsnummer');
+    form.elements.email.value = email;
+    const toggleNummer = () => { nummer.hidden = !form.elements.kanal.value.includes('einschreiben'); };
+    form.elements.kanal.addEventListener('change', toggleNummer);
+    toggleNummer();
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const payload = Object.fromEntries(['datum', 'kanal', 'sendungsnummer', 'antwort_bis', 'email'].map(name => [name, form.elements[name].value.trim()]));
+        await submitCase(container, ref, `/api/case/${encodeURIComponent(ref)}/versand`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+    });
+}
+
+function renderCaseStatus(container, ref, fall) {
+    const verlaufHTML = fall.verlauf.map(v => `
+        <li><span class="case-verlauf-datum">${new Date(v.am).toLocaleDateString('de-DE')}</span> ${escapeHTML(v.text)}</li>
+    `).join('');
+    container.innerHTML = `
+        <h4>Ihr Fall${fall.abrechnungszeitraum ? ` — Abrechnung ${escapeHTML(fall.abrechnungszeitraum)}` : ''}</h4>
+        <p class="case-status case-status-${fall.status}">${CASE_STATUS_LABELS[fall.status] || ''}${fall.status === 'versendet' ? ` bis ${escapeHTML(fall.antwort_bis)}` : ''}</p>
+        ${fall.status === 'versendet' ? `
+            <p class="email-hint">${fall.erinnerung ? (fall.erinnert_am ? 'Die Erinnerung wurde verschickt.' : `Wir erinnern Sie per E-Mail, falls bis zum ${escapeHTML(fall.antwort_bis)} keine Antwort kommt.`) : 'Ohne E-Mail-Adresse erinnern wir Sie nicht an die Frist.'}</p>
+        ` : ''}
+        <ul class="case-verlauf">${verlaufHTML}</ul>
+        ${fall.status === 'antwort_erhalten' && fall.antwort ? `
+            <p class="email-hint">Hochgeladen: ${fall.antwort.dateien.map(escapeHTML).join(', ')}</p>
+            ${buildFollowUpHTML(fall.nachpruefung)}
+        ` : ''}
+        ${fall.status !== 'abgeschlossen' && fall.nachpruefung?.status !== 'laeuft' ? `
+            <form class="case-form" id="caseAntwortForm">
+                <label class="email-label">${fall.status === 'versendet' ? 'Antwort oder korrigierte Abrechnung erhalten?' : 'Weitere Antwort erhalten?'} Hier hochladen (PDF, JPG, PNG)
+                    <input type="file" class="email-input" name="antwort_files" accept=".pdf,.jpg,.jpeg,.png" multiple required>
+                </label>
+                <label class="email-label">Eingegangen am
+                    <input type="date" class="email-input" name="eingegangen_am" value="${new Date().toISOString().slice(0, 10)}">
+                </label>
+                <p class="letter-builder-error" id="caseError" hidden></p>
+                <button type="submit" class="btn btn-sm">Antwort hochladen</button>
+            </form>
+        ` : ''}
+        ${fall.status !== 'abgeschlossen' ? '<button type="button" class="btn btn-sm btn-outline" id="caseCloseBtn">Fall abschließen</button>' : ''}
+    `;
+    const antwortForm = container.querySelector('#caseAntwortForm');
+    if (antwortForm) {
+        antwortForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData();
+            Array.from(antwortForm.elements.antwort_files.files).slice(0, 5).forEach(f => formData.append('antwort_files', f));
+            formData.append('eingegangen_am', antwortForm.elements.eingegangen_am.value);
+            await submitCase(container, ref, `/api/case/${encodeURIComponent(ref)}/antwort`, { method: 'POST', body: formData });
+        });
+    }
+    const closeBtn = container.querySelector('#caseCloseBtn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => submitCase(container, ref, `/api/case/${encodeURIComponent(ref)}/abschliessen`, { method: 'POST' }));
+    }
+    const followUpBtn = container.querySelector('#caseFollowUpBtn');
+    if (followUpBtn) {
+        followUpBtn.addEventListener('click', () => submitCase(container, ref, `/api/case/${encodeURIComponent(ref)}/nachpruefung`, { method: 'POST' }));
+    }
+    attachNachfassLetter(container, ref);
+    if (fall.nachpruefung?.status === 'laeuft') {
+        setTimeout(() => {
+            if (document.body.contains(container)) loadCaseTracker(ref);
+        }, 4000);
+    }
+}
+
+const FOLLOW_UP_LABELS = {
+    angenommen: { color: 'green', label: 'Angenommen' },
+    abgelehnt: { color: 'red', label: 'Abgelehnt' },
+    offen: { color: 'orange', label: 'Offen' },
+};
+
+// Follow-up check of the landlord's reply: start button, progress, or the result per objection.
+function buildFollowUpHTML(nachpruefung) {
+    if (!nachpruefung || nachpruefung.status === 'fehlgeschlagen') {
+        return `
+            ${nachpruefung ? `<p class="letter-builder-error">${escapeHTML(nachpruefung.fehler || 'Die Prüfung ist fehlgeschlagen.')}</p>` : ''}
+            <p class="email-hint">Wir gleichen die Antwort mit Ihren Einwänden ab: was Ihr Vermieter angenommen, was er abgelehnt hat und was noch offen ist.</p>
+            <button type="button" class="btn btn-sm" id="caseFollowUpBtn">${nachpruefung ? 'Erneut prüfen' : 'Antwort prüfen lassen'}</button>
+        `;
+    }
+    if (nachpruefung.status === 'laeuft') {
+        return '<p class="case-status">Die Antwort wird geprüft … das dauert meist ein bis zwei Minuten.</p>';
+    }
+    const ergebnis = nachpruefung.ergebnis;
+    const itemsHTML = ergebnis.einwaende.map(e => {
+        const { color, label } = FOLLOW_UP_LABELS[e.bewertung];
+        return `
+            <div class="result-item ${color}">
+                <div class="result-item-header">
+                    <span class="result-tag ${color}">${label}</span>
+                    <strong>${escapeHTML(e.posten)}</strong>
+                    <span class="result-betrag">${escapeHTML(e.betrag || '')}</span>
+                </div>
+                ${e.begruendung_vermieter ? `<div class="result-item-beweis">Begründung des Vermieters: &bdquo;${escapeHTML(e.begruendung_vermieter)}&ldquo;</div>` : ''}
+                ${e.erklaerung ? `<p>${escapeHTML(e.erklaerung)}</p>` : ''}
+                ${e.hinweis ? `<div class="result-item-check">Automatisch nachgeprüft: ${escapeHTML(e.hinweis)}</div>` : ''}
+                ${e.zugestanden_eur > 0 ? `<div class="result-item-savings">Korrigiert: ${formatNumberDE(e.zugestanden_eur)} €</div>` : ''}
+                ${e.noch_strittig_eur > 0 ? `<div class="result-item-check">Noch strittig: ${formatNumberDE(e.noch_strittig_eur)} €</div>` : ''}
+            </div>
+        `;
+    }).join('');
+    return `
+        <div class="case-followup">
+            <h4>Abgleich mit Ihren Einwänden</h4>
+            ${ergebnis.zusammenfassung ? `<p>${escapeHTML(ergebnis.zusammenfassung)}</p>` : ''}
+            <p class="case-followup-summary">Angenommen: ${ergebnis.angenommen_anzahl} · Abgelehnt: ${ergebnis.abgelehnt_anzahl} · Offen: ${ergebnis.offen_anzahl}${ergebnis.zugestanden_gesamt > 0 ? ` · korrigiert ${formatNumberDE(ergebnis.zugestanden_gesamt)} €` : ''}${ergebnis.noch_strittig_gesamt > 0 ? ` · noch strittig ${formatNumberDE(ergebnis.noch_strittig_gesamt)} €` : ''}</p>
+            ${ergebnis.neuer_saldo ? `<p class="email-hint">Korrigierte Abrechnung: ${ergebnis.neuer_saldo.art === 'guthaben' ? 'Guthaben' : 'Nachzahlung'} ${formatNumberDE(ergebnis.neuer_saldo.betrag)} €</p>` : ''}
+            <div class="result-items">${itemsHTML}</div>
+            ${nachpruefung.brief ? `
+                <h4>Nachfassbrief für die offenen Punkte</h4>
+                <pre class="letter-text" id="nachfassText">${escapeHTML(nachpruefung.brief)}</pre>
+                <form class="letter-builder-form" id="nachfassForm">
+                    <div class="letter-builder-adressen">
+                        ${letterAddressFields('absender', 'Ihre Angaben', 'Ihr Name')}
+                        ${letterAddressFields('empfaenger', 'Vermieter bzw. Hausverwaltung', 'Name des Vermieters')}
+                    </div>
+                    <p class="letter-builder-error" id="nachfassError" hidden></p>
+                    <div class="letter-builder-actions">
+                        <button type="button" class="btn btn-sm" data-format="text">Brief aktualisieren</button>
+                        <button type="button" class="btn btn-sm btn-outline" data-format="pdf">Als PDF</button>
+                        <button type="button" class="btn btn-sm btn-outline" id="copyNachfassBtn">Text kopieren</button>
+                    </div>
+                </form>
+            ` : '<p class="email-hint">Alle Einwände sind erledigt — ein weiterer Brief ist nicht nötig.</p>'}
+        </div>
+    `;
+}
+
+function attachNachfassLetter(container, ref) {
+    const form = container.querySelector('#nachfassForm');
+    if (!form) return;
+    const errorEl = form.querySelector('#nachfassError');
+    form.querySelector('#copyNachfassBtn').addEventListener('click', () => copyLetter('nachfassText', '#copyNachfassBtn'));
+    form.querySelectorAll('button[data-format]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const { format } = btn.dataset;
+            errorEl.hidden = true;
+            btn.disabled = true;
+            try {
+                const res = await fetch(`/api/letter/${encodeURIComponent(ref)}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(letterBuilderPayload(form, 'nachfass', format)),
+                });
+                if (!res.ok) {
+                    const body = await res.json().catch(() => ({}));
+                    throw new Error(body.error || 'Brief konnte nicht erstellt werden.');
+                }
+                if (format === 'pdf') {
+                    downloadBlob(await res.blob(), 'Nachfassbrief-Nebenkosten.pdf');
+                } else {
+                    container.querySelector('#nachfassText').textContent = (await res.json()).text;
+                }
+            } catch (err) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+            } finally {
+                btn.disabled = false;
+            }
+        });
+    });
+}
+
+async function submitCase(container, ref, url, options) {
+    const errorEl = container.querySelector('#caseError');
+    const buttons = container.querySelectorAll('button');
+    buttons.forEach(btn => { btn.disabled = true; });
+    try {
+        const res = await fetch(url, options);
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || 'Speichern fehlgeschlagen.');
+        renderCaseStatus(container, ref, body.fall);
+    } catch (err) {
+        buttons.forEach(btn => { btn.disabled = false; });
+        if (errorEl) {
+            errorEl.textContent = err.message;
+            errorEl.hidden = false;
+        }
+    }
+}
+
+// Share links: read-only links to this report for someone else, managed with the owner token.
+async function loadShareLinks() {
+    const container = document.getElementById('shareLinks');
+    if (!container) return;
+    try {
+        const res = await fetch(`/api/share-links/${encodeURIComponent(currentReportToken)}`, { cache: 'no-store' });
+        if (!res.ok) throw new Error();
+        const body = await res.json();
+        if (!body.enabled) {
+            container.remove();
+            return;
+        }
+        renderShareLinks(container, body);
+    } catch (err) {
+        container.remove();
+    }
+}
+
+function renderShareLinks(container, { tage, links }, neuerLink = null) {
+    container.innerHTML = `
+        <h4>Bericht teilen</h4>
+        <p class="email-hint">Erstellen Sie einen Link, mit dem z. B. der Mieterverein oder Ihre Rechtsberatung den Bericht ansehen kann. Sie können ihn jederzeit widerrufen.</p>
+        <form class="case-form" id="shareForm">
+            <label class="email-label">Gültig für
+                <select class="email-input" name="tage">
+                    ${tage.map(t => `<option value="${t}">${t} Tage</option>`).join('')}
+                </select>
+            </label>
+            <label class="email-label share-pdf-label">
+                <span><input type="checkbox" name="pdf"> PDF-Download erlauben</span>
+            </label>
+            <p class="letter-builder-error" id="shareError" hidden></p>
+            <button type="submit" class="btn btn-sm">Link erstellen</button>
+        </form>
+        ${neuerLink ? `
+            <div class="share-new-link">
+                <input type="text" class="email-input" id="shareNewLink" readonly>
+                <button type="button" class="btn btn-sm copy-btn" id="copyShareLinkBtn">Kopieren</button>
+            </div>
+        ` : ''}
+        ${links.length > 0 ? `
+            <ul class="case-verlauf share-list">
+                ${links.map(link => `
+                    <li>
+                        <span class="case-verlauf-datum">${new Date(link.erstellt_am).toLocaleDateString('de-DE')}</span>
+                        ${link.pdf ? 'Ansehen und PDF' : 'Nur ansehen'}, gültig bis ${new Date(link.gueltig_bis).toLocaleDateString('de-DE')}
+                        <button type="button" class="btn btn-sm btn-outline" data-revoke="${escapeHTML(link.id)}">Widerrufen</button>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+
+    const errorEl = container.querySelector('#shareError');
+    const request = async (url, options) => {
+        container.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        try {
+            const res = await fetch(url, options);
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body.error || 'Speichern fehlgeschlagen.');
+            renderShareLinks(container, { tage, links: body.links }, body.link || null);
+        } catch (err) {
+            container.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+            errorEl.textContent = err.message;
+            errorEl.hidden = false;
+        }
+    };
+    const base = `/api/share-links/${encodeURIComponent(currentReportToken)}`;
+
+    container.querySelector('#shareForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        request(base, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tage: Number(form.elements.tage.value), pdf: form.elements.pdf.checked }),
+        });
+    });
+    container.querySelectorAll('button[data-revoke]').forEach(btn => {
+        btn.addEventListener('click', () => request(`${base}/${encodeURIComponent(btn.dataset.revoke)}`, { method: 'DELETE' }));
+    });
+    if (neuerLink) {
+        container.querySelector('#shareNewLink').value = neuerLink;
+        container.querySelector('#copyShareLinkBtn').addEventListener('click', () => {
+            navigator.clipboard.writeText(neuerLink).then(() => {
+                const btn = container.querySelector('#copyShareLinkBtn');
+                btn.textContent = 'Kopiert!';
+                setTimeout(() => { btn.textContent = 'Kopieren'; }, 2000);
+            });
+        });
+    }
+}
+
+function copyLetter(textId = 'letterText', buttonSelector = '#copyLetterBtn, #copyLetterBtn2') {
+    const letterEl = document.getElementById(textId);
     if (!letterEl) return;
     navigator.clipboard.writeText(letterEl.textContent).then(() => {
-        document.querySelectorAll('#copyLetterBtn, #copyLetterBtn2').forEach(btn => {
+        document.querySelectorAll(buttonSelector).forEach(btn => {
             const original = btn.textContent;
             btn.textContent = 'Kopiert!';
             btn.classList.add('copied');
@@ -1206,6 +1993,10 @@ function resetUpload() {
     uploadProgress.style.display = 'none';
     resultPreview.style.display = 'none';
     fileInput.value = '';
+    if (vorjahrInput) vorjahrInput.value = '';
+    if (mietvertragInput) mietvertragInput.value = '';
+    if (kontoauszugInput) kontoauszugInput.value = '';
+    if (zahlungenManuellInput) zahlungenManuellInput.value = '';
     startAnalysisBtn.textContent = PLAN_LABELS[selectedPlan] || PLAN_LABELS.basic;
     updateButtonState();
 }
@@ -0,0 +1,203 @@
+// "Meine Prüfungen": magic-link login, the list of saved reports, and a single report with its
+// letters. The session lives in an HttpOnly cookie, so every call just asks the server.
+
+const confirmView = document.getElementById('accountConfirm');
+const loginView = document.getElementById('accountLogin');
+const accountArea = document.getElementById('accountArea');
+const loginForm = document.getElementById('accountLoginForm');
+const loginMessage = document.getElementById('accountLoginMessage');
+const reportsEl = document.getElementById('accountReports');
+const detailEl = document.getElementById('accountDetail');
+
+const FALL_STATUS_LABELS = {
+    versendet: 'Brief verschickt',
+    antwort_erhalten: 'Antwort erhalten',
+    abgeschlossen: 'Fall abgeschlossen',
+};
+
+function escapeHTML(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+function formatEuroDE(value) {
+    return `${Number(value || 0).toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+}
+
+function showMessage(text, isError) {
+    loginMessage.textContent = text;
+    loginMessage.classList.toggle('error', Boolean(isError));
+}
+
+async function loadReports() {
+    const res = await fetch('/api/account/reports', { cache: 'no-store' });
+    if (res.status === 401) {
+        loginView.hidden = false;
+        accountArea.hidden = true;
+        return;
+    }
+    if (!res.ok) throw new Error('Ihre Prüfungen konnten nicht geladen werden.');
+    const { email, reports } = await res.json();
+    loginView.hidden = true;
+    accountArea.hidden = false;
+    document.getElementById('accountEmailLabel').textContent = `Angemeldet als ${email}`;
+    renderReports(reports);
+}
+
+function renderReports(reports) {
+    if (reports.length === 0) {
+        reportsEl.innerHTML = `
+            <p class="section-sub">Unter dieser Adresse ist noch kein Prüfbericht gespeichert. Berichte werden hier abgelegt,
+            wenn Sie bei der Prüfung „In Meine Prüfungen speichern“ aktiviert haben.</p>
+        `;
+        return;
+    }
+    reportsEl.innerHTML = reports.map(report => `
+        <div class="account-report">
+            <div>
+                <strong>Abrechnung ${escapeHTML(report.abrechnungszeitraum || 'ohne erkannten Zeitraum')}</strong>
+                <div class="account-report-meta">
+                    Geprüft am ${new Date(report.erstellt_am).toLocaleDateString('de-DE')} · ${report.plan === 'premium' ? 'Premium' : 'Basic'}
+                    · ${report.fehler_anzahl} Fehler, ${report.warnungen_anzahl} Hinweise
+                    ${report.potenzielle_ersparnis_gesamt > 0 ? ` · bis zu ${formatEuroDE(report.potenzielle_ersparnis_gesamt)}` : ''}
+                    ${report.fall_status ? ` · ${FALL_STATUS_LABELS[report.fall_status] || ''}` : ''}
+                </div>
+            </div>
+            <div class="account-report-actions">
+                <button type="button" class="btn btn-sm" data-report="${escapeHTML(report.session_id)}">Ansehen</button>
+                <a class="btn btn-sm btn-outline" href="/api/account/reports/${encodeURIComponent(report.session_id)}/pdf" download>PDF</a>
+                ${report.fall_status ? `<a class="btn btn-sm btn-outline" href="/api/account/reports/${encodeURIComponent(report.session_id)}/fall">Fall öffnen</a>` : ''}
+            </div>
+        </div>
+    `).join('');
+    reportsEl.querySelectorAll('button[data-report]').forEach(btn => {
+        btn.addEventListener('click', () => showReport(btn.dataset.report));
+    });
+}
+
+function letterSection(title, text, id) {
+    return `
+        <div class="letter-section">
+            <div class="letter-header">
+                <div class="letter-header-left">
+                    <span class="letter-icon">&#9993;</span>
+                    <div><h3>${title}</h3><p>Ersetzen Sie die [PLATZHALTER] mit Ihren Daten.</p></div>
+                </div>
+                <button type="button" class="btn btn-sm copy-btn" data-copy="${id}">Kopieren</button>
+            </div>
+            <div class="letter-body">
+                <pre class="letter-text" id="${id}">${escapeHTML(text.replace(/\\n/g, '\n'))}</pre>
+            </div>
+        </div>
+    `;
+}
+
+async function showReport(sessionId) {
+    detailEl.innerHTML = '<p class="account-message">Wird geladen …</p>';
+    try {
+        const res = await fetch(`/api/account/reports/${encodeURIComponent(sessionId)}`, { cache: 'no-store' });
+        if (!res.ok) throw new Error();
+        const { data } = await res.json();
+        const befunde = (data.ergebnisse || []).filter(item => item.status === 'fehler' || item.status === 'warnung');
+        detailEl.innerHTML = `
+            <h2>Prüfbericht${data.abrechnungszeitraum ? ` ${escapeHTML(data.abrechnungszeitraum)}` : ''}</h2>
+            ${data.zusammenfassung ? `<p>${escapeHTML(data.zusammenfassung)}</p>` : ''}
+            ${befunde.length > 0 ? `
+                <div class="result-items">
+                    ${befunde.map(item => `
+                        <div class="result-item ${item.status === 'fehler' ? 'red' : 'orange'}">
+                            <div class="result-item-header">
+                                <span class="result-tag ${item.status === 'fehler' ? 'red' : 'orange'}">${item.status === 'fehler' ? 'Fehler' : 'Prüfen'}</span>
+                                <strong>${escapeHTML(item.titel || item.posten)}</strong>
+                                <span class="result-betrag">${escapeHTML(item.betrag || '')}</span>
+                            </div>
+                            <p>${escapeHTML(item.erklaerung || '')}</p>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${data.widerspruchsbrief ? letterSection('Widerspruchsbrief', data.widerspruchsbrief, 'accountLetter') : ''}
+            ${data.belegeinsicht_brief ? letterSection('Anschreiben zur Belegeinsicht', data.belegeinsicht_brief, 'accountBelegLetter') : ''}
+        `;
+        detailEl.querySelectorAll('button[data-copy]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                navigator.clipboard.writeText(document.getElementById(btn.dataset.copy).textContent).then(() => {
+                    btn.textContent = 'Kopiert!';
+                    setTimeout(() => { btn.textContent = 'Kopieren'; }, 2000);
+                });
+            });
+        });
+        detailEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (err) {
+        detailEl.innerHTML = '<p class="account-message error">Der Bericht konnte nicht geladen werden.</p>';
+    }
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const button = loginForm.querySelector('button');
+    button.disabled = true;
+    try {
+        const res = await fetch('/api/account/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: document.getElementById('accountEmail').value.trim() }),
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || 'Der Anmeldelink konnte nicht gesendet werden.');
+        showMessage('Falls zu dieser Adresse Prüfungen gespeichert sind, finden Sie dort gleich einen Anmeldelink. Er ist 15 Minuten gültig.');
+    } catch (err) {
+        showMessage(err.message, true);
+    } finally {
+        button.disabled = false;
+    }
+});
+
+document.getElementById('accountLogoutBtn').addEventListener('click', async () => {
+    await fetch('/api/account/logout', { method: 'POST' }).catch(() => {});
+    detailEl.innerHTML = '';
+    loginView.hidden = false;
+    accountArea.hidden = true;
+});
+
+function showReports() {
+    loadReports().catch((err) => {
+        loginView.hidden = false;
+        showMessage(err.message, true);
+    });
+}
+
+// The login link lands here with its token in the fragment; it is only spent on the click.
+function confirmLogin(token) {
+    confirmView.hidden = false;
+    const button = document.getElementById('accountConfirmBtn');
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const res = await fetch('/api/account/verify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token }),
+            });
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body.error || 'Die Anmeldung ist fehlgeschlagen.');
+            confirmView.hidden = true;
+            showReports();
+        } catch (err) {
+            confirmView.hidden = true;
+            loginView.hidden = false;
+            showMessage(`${err.message} Fordern Sie einfach einen neuen Anmeldelink an.`, true);
+        }
+    });
+}
+
+(function init() {
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('anmelden');
+    if (token) {
+        window.history.replaceState({}, '', '/konto.html');
+        confirmLogin(token);
+        return;
+    }
+    showReports();
+})();
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+// Imports the old data/events.json and data/orders.json arrays into the append-only
+// JSONL files used by lib/event-store.js. Safe to run more than once.
+// Stop the server (and worker) before running it.
+
+const path = require("path");
+const { migrateJsonArrays, createEventStore } = require("../lib/event-store");
+
+const DATA_DIR = process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, "..", "data");
+
+const jobs = [
+  { label: "events", from: path.join(DATA_DIR, "events.json"), to: path.join(DATA_DIR, "events.jsonl") },
+  { label: "orders", from: path.join(DATA_DIR, "orders.json"), to: path.join(DATA_DIR, "orders.jsonl") },
+];
+
+let failed = false;
+for (const job of jobs) {
+  try {
+    const { status, count } = migrateJsonArrays(job);
+    if (status === "migrated") {
+      console.log(`${job.label}: ${count} record(s) imported, original renamed to ${path.basename(job.from)}.migrated`);
+    } else if (status === "skipped") {
+      console.log(`${job.label}: ${path.basename(job.to)} already has data, nothing to do`);
+    } else {
+      console.log(`${job.label}: no ${path.basename(job.from)} found`);
+    }
+  } catch (err) {
+    failed = true;
+    console.error(`${job.label}: migration failed — ${err.message}`);
+  }
+}
+
+const store = createEventStore({ eventsFile: jobs[0].to, ordersFile: jobs[1].to });
+console.log(`Now stored: ${store.listEvents().length} event(s), ${store.listOrders().length} order(s)`);
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+// Data requests from the command line, for when the admin routes are not an option:
+//
+//   npm run personal-data -- find <email|session_id>
+//   npm run personal-data -- export <email|session_id> [datei.json]
+//   npm run personal-data -- erase <email|session_id> --yes
+//   npm run personal-data -- retention
+//
+// Reads the same data directory and secrets as the server (JOB_STORE_SECRET, ACCOUNT_SECRET,
+// REPORT_TOKEN_SECRET). Without JOB_STORE_SECRET the job store lives only in the server's
+// memory and can't be reached from here. Run erase and retention while the worker that
+// applies retention is idle; see lib/data-protection.js.
+
+const fs = require("fs");
+const path = require("path");
+const { createJobStore } = require("../lib/job-store");
+const { createAccountService } = require("../lib/accounts");
+const { createReportTokenService } = require("../lib/report-tokens");
+const { createDataProtection } = require("../lib/data-protection");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const [command, subject, ...rest] = process.argv.slice(2);
+
+function usage() {
+  console.error("Aufruf: personal-data find|export|erase <email|session_id> [datei.json] [--yes] | retention");
+  process.exit(2);
+}
+
+if (!["find", "export", "erase", "retention"].includes(command)) usage();
+if (command !== "retention" && !subject) usage();
+
+const jobStore = createJobStore({
+  backend: process.env.JOB_STORE_BACKEND || "fs",
+  dir: path.join(DATA_DIR, "jobs"),
+  secret: process.env.JOB_STORE_SECRET,
+});
+if (jobStore.backend === "memory") {
+  console.warn("Job-Store nicht erreichbar — nur Bestellungen, Ereignisse und Erinnerungen werden berücksichtigt.");
+}
+
+const collections = {
+  pending: jobStore.collection("pending"),
+  results: jobStore.collection("results"),
+  queue: jobStore.collection("queue"),
+  cases: jobStore.collection("cases"),
+  followUps: jobStore.collection("followup_queue"),
+  reports: jobStore.collection("reports"),
+  accounts: jobStore.collection("accounts"),
+  logins: jobStore.collection("logins"),
+  reportLinks: jobStore.collection("report_tokens"),
+};
+const dataProtection = createDataProtection({
+  collections,
+  accountService: createAccountService({
+    accounts: collections.accounts,
+    reports: collections.reports,
+    logins: collections.logins,
+    secret: process.env.ACCOUNT_SECRET,
+  }),
+  reportTokens: createReportTokenService({ store: collections.reportLinks, secret: process.env.REPORT_TOKEN_SECRET }),
+  eventsFile: path.join(DATA_DIR, "events.jsonl"),
+  ordersFile: path.join(DATA_DIR, "orders.jsonl"),
+  remindersFile: path.join(DATA_DIR, "reminders.json"),
+});
+
+const query = subject && subject.includes("@") ? { email: subject } : { sessionId: subject };
+
+function fail(error) {
+  console.error(error);
+  process.exit(1);
+}
+
+if (command === "find") {
+  const found = dataProtection.find(query);
+  if (!found.ok) fail(found.error);
+  console.log(found.sessionIds.length ? found.sessionIds.join("\n") : "Keine Sitzungen gefunden.");
+} else if (command === "export") {
+  const exported = dataProtection.exportData(query);
+  if (!exported.ok) fail(exported.error);
+  const json = JSON.stringify(exported.data, null, 2);
+  if (rest[0] && !rest[0].startsWith("--")) {
+    fs.writeFileSync(rest[0], `${json}\n`, { mode: 0o600 });
+    console.log(`Export geschrieben: ${rest[0]} (${exported.data.sitzungen.length} Sitzung(en))`);
+  } else {
+    console.log(json);
+  }
+} else if (command === "erase") {
+  if (!rest.includes("--yes")) fail("Löschen ist endgültig. Zum Bestätigen --yes anhängen.");
+  const outcome = dataProtection.erase(query);
+  if (!outcome.ok) fail(outcome.error);
+  console.log(JSON.stringify(outcome, null, 2));
+} else {
+  console.log(JSON.stringify(dataProtection.applyRetention(), null, 2));
+}
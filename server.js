@@ -4,6 +4,7 @@ const cors = require('cors');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const Anthropic = require('@anthropic-ai/sdk').default;
 const pdfParse = require('pdf-parse');
@@ -11,6 +12,39 @@ const Stripe = require('stripe');
 const sharp = require('sharp');
 const PDFDocument = require('pdfkit');
 const { Resend } = require('resend');
+const { applyRuleEngine, totalSavings } = require('./lib/rule-engine');
+const {
+    parseGermanNumber,
+    parseEuro,
+    isAmountOnly,
+    roundCents,
+    formatNumberDE,
+    formatEuro,
+    formatPercentDE,
+} = require('./lib/german-number');
+const { normalizeExtraction, attachExtractedNumbers } = require('./lib/extraction');
+const { checkPlausibility } = require('./lib/plausibility');
+const { checkHeizkosten } = require('./lib/heizkosten');
+const { computeGewerbeanteil } = require('./lib/gewerbeanteil');
+const { normalizeMietvertrag, checkMietvertrag } = require('./lib/mietvertrag');
+const { decodeCsvBuffer, parseBankCsv, parseManualZahlungen } = require('./lib/bank-csv');
+const { selectMietzahlungen, reconcileVorauszahlungen } = require('./lib/vorauszahlungen');
+const { buildBelegeinsichtBrief, buildWiderspruchsbrief, belegeinsichtLetter, widerspruchLetter, nachfassLetter, letterText, normalizeLetterInput } = require('./lib/letters');
+const { generateLetterPDF } = require('./lib/letter-pdf');
+const { createCaseService, publicCase, KANAELE } = require('./lib/cases');
+const { einwaendeFor, normalizeFollowUp } = require('./lib/follow-up');
+const { createAccountService } = require('./lib/accounts');
+const { createReportTokenService, SHARE_TTL_TAGE } = require('./lib/report-tokens');
+const { createDataProtection } = require('./lib/data-protection');
+const { EXTRACTION_TOOL, LEASE_EXTRACTION_TOOL, ANALYSIS_TOOL, UNKLAR_REVIEW_TOOL, FOLLOW_UP_TOOL, PREVIEW_TOOL } = require('./lib/tool-schemas');
+const { createJobStore } = require('./lib/job-store');
+const { createAnalysisQueue } = require('./lib/analysis-queue');
+const { createEventStore } = require('./lib/event-store');
+const { createVoucherService, countRedemptions, CHECKOUT_RESERVATION_MS } = require('./lib/vouchers');
+const { createRefundService } = require('./lib/refunds');
+const { compareYears, JUMP_THRESHOLD_PCT } = require('./lib/year-comparison');
+const { computeAbrechnungsfrist, computeFristende } = require('./lib/abrechnungsfrist');
+const { parsePeriod, parseGermanDate, extractDateFromText, formatDateDE } = require('./lib/german-date');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -61,7 +95,7 @@ function requireAdminAuth(req, res, next) {
 }
 
 // Protect revenue/analytics dashboard endpoints from public access.
-app.use(['/admin-funnel.html', '/api/funnel-summary'], requireAdminAuth);
+app.use(['/admin-funnel.html', '/api/funnel-summary', '/api/queue-status', '/api/admin'], requireAdminAuth);
 
 // Google Analytics helper script (optional, only active if GA_MEASUREMENT_ID is set)
 app.get('/analytics.js', (req, res) => {
@@ -120,12 +154,23 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // Resend (email) — optional, skips email if not set
 const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+// Links in emails sent outside a request (reminders).
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://nebenkostenretter.de').replace(/\/+$/, '');
 
 // File upload config — store in memory, max 20MB
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
+        // The bank export for the Vorauszahlungen check is the only CSV we accept.
+        if (file.fieldname === 'kontoauszug_file') {
+            if (/\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Kontoauszug bitte als CSV-Datei hochladen.'));
+            }
+            return;
+        }
         const allowed = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
         if (allowed.includes(file.mimetype)) {
             cb(null, true);
@@ -140,46 +185,79 @@ const anthropic = new Anthropic({
     apiKey: process.env.ANTHROPIC_API_KEY,
 });
 
-// === State Management ===
-const pendingFiles = new Map();      // session_id → { files, email, plan, source, campaign, createdAt }
-const activeAnalyses = new Set();    // session_ids currently being analyzed
-const completedResults = new Map();  // session_id → { result, createdAt }
-
+// `features` decides how deep runAnalysis goes for a paid session.
 const PLAN_CONFIG = {
     basic: {
         amountCents: 499,
         label: 'Basic',
-        description: 'Komplette Prüfung aller Posten inkl. Widerspruchsbrief',
+        description: 'Komplette Prüfung aller Posten inkl. Widerspruchsbrief und Anschreiben zur Belegeinsicht',
+        features: {
+            unklarReview: false,
+            vorjahr: false,
+        },
+    },
+    premium: {
+        amountCents: 999,
+        label: 'Premium',
+        description: 'Basic plus Nachprüfung unklarer Posten und Vorjahresvergleich',
+        features: {
+            unklarReview: true,
+            vorjahr: true,
+        },
     },
 };
 
 const DATA_DIR = path.join(__dirname, 'data');
-const EVENTS_FILE = path.join(DATA_DIR, 'events.json');
-const ORDERS_FILE = path.join(DATA_DIR, 'orders.json');
+const EVENTS_FILE = path.join(DATA_DIR, 'events.jsonl');
+const ORDERS_FILE = path.join(DATA_DIR, 'orders.jsonl');
+const LEGACY_EVENTS_FILE = path.join(DATA_DIR, 'events.json');
+const LEGACY_ORDERS_FILE = path.join(DATA_DIR, 'orders.json');
+const REMINDERS_FILE = path.join(DATA_DIR, 'reminders.json');
+
+// Funnel events and orders: append-only JSONL, safe for concurrent writers (web + worker).
+const eventStore = createEventStore({ eventsFile: EVENTS_FILE, ordersFile: ORDERS_FILE });
+
+// Campaign voucher codes, validated before any Stripe session is created.
+const vouchers = createVoucherService({
+    filePath: process.env.VOUCHERS_FILE || path.join(DATA_DIR, 'vouchers.json'),
+    countRedemptions: (code) => countRedemptions(eventStore.listOrders(), code),
+});
 
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-}
+// === State Management ===
+// Persisted (encrypted) when JOB_STORE_SECRET is set, so a restart doesn't lose paid sessions.
+const jobStore = createJobStore({
+    backend: process.env.JOB_STORE_BACKEND || 'fs',
+    dir: path.join(DATA_DIR, 'jobs'),
+    secret: process.env.JOB_STORE_SECRET,
+});
+const pendingFiles = jobStore.collection('pending');      // session_id → { files, email, plan, source, campaign, paidAt, createdAt }
+const completedResults = jobStore.collection('results');  // session_id → { result, createdAt }
+const analysisJobs = jobStore.collection('queue');         // session_id → queue job (see lib/analysis-queue.js)
+const disputeCases = jobStore.collection('cases');         // session_id → dispute case after the letter (see lib/cases.js)
+const followUpJobs = jobStore.collection('followup_queue'); // session_id → queue job for the landlord's reply
+const accountStore = jobStore.collection('accounts');      // hashed email → account (see lib/accounts.js)
+const savedReports = jobStore.collection('reports');       // session_id → report kept for "Meine Prüfungen"
+const loginLinks = jobStore.collection('logins');          // login nonce → pending magic link
+const reportTokenStore = jobStore.collection('report_tokens'); // hashed session_id → signed report links (see lib/report-tokens.js)
+
+// Customer accounts are off unless ACCOUNT_SECRET signs the login links and session cookies.
+const accountService = createAccountService({
+    accounts: accountStore,
+    reports: savedReports,
+    logins: loginLinks,
+    secret: process.env.ACCOUNT_SECRET,
+});
 
-function readJsonArray(filePath) {
-    ensureDataDir();
-    if (!fs.existsSync(filePath)) return [];
-    try {
-        const raw = fs.readFileSync(filePath, 'utf-8');
-        const parsed = JSON.parse(raw);
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        console.error(`Failed to read ${filePath}:`, err.message);
-        return [];
-    }
-}
+// Without REPORT_TOKEN_SECRET, results stay reachable by session ID as before.
+const reportTokens = createReportTokenService({
+    store: reportTokenStore,
+    secret: process.env.REPORT_TOKEN_SECRET,
+});
 
-function writeJsonArray(filePath, data) {
-    ensureDataDir();
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-}
+// Role: the web process serves HTTP and enqueues; the queue runs either inline
+// (default) or in a separate `npm run worker` process (ANALYSIS_WORKER=external).
+const IS_WORKER = process.argv.includes('--worker');
+const RUNS_QUEUE = IS_WORKER || process.env.ANALYSIS_WORKER !== 'external';
 
 function sanitizeText(value, maxLen = 200) {
     if (typeof value !== 'string') return null;
@@ -189,23 +267,62 @@ function sanitizeText(value, maxLen = 200) {
 }
 
 function parseLivingAreaSqm(value) {
-    if (value === undefined || value === null) return null;
-    const raw = String(value).trim();
-    if (!raw) return null;
-    const normalized = raw.replace(',', '.').replace(/[^0-9.]/g, '');
-    const num = Number(normalized);
-    if (!Number.isFinite(num)) return null;
-    if (num < 10 || num > 500) return null;
+    const num = parseGermanNumber(typeof value === 'number' ? value : String(value ?? ''));
+    if (num === null || num < 10 || num > 500) return null;
     return Math.round(num * 10) / 10;
 }
 
+// "Zugegangen am" from the upload form (<input type="date"> sends YYYY-MM-DD). Only the
+// tenant knows this date; it decides the Abrechnungsfrist when it differs from the Erstelldatum.
+function parseZugangsdatum(value) {
+    const date = parseGermanDate(value);
+    if (!date || date.getFullYear() < 2000 || date.getTime() > Date.now()) return null;
+    return formatDateDE(date);
+}
+
+// Payments for the Vorauszahlungen check: a bank export (CSV) and/or lines typed in by hand.
+// Only the transfers to the landlord are kept — the rest of the account never leaves this function.
+// Returns { zahlungsdaten } (null when nothing was given) or { error }.
+function parseZahlungsdaten(req) {
+    const csvFile = Array.isArray(req.files) ? null : req.files?.kontoauszug_file?.[0];
+    const empfaenger = sanitizeText(req.body.vermieter_empfaenger, 120);
+    const kaltmiete = parseEuro(req.body.kaltmiete);
+    const zahlungen = [];
+    let format = null;
+    let label = null;
+    if (csvFile) {
+        const csv = parseBankCsv(decodeCsvBuffer(csvFile.buffer));
+        if (!csv || csv.buchungen.length === 0) {
+            return { error: 'Der Kontoauszug konnte nicht gelesen werden. Bitte exportieren Sie die Umsätze im Online-Banking als CSV-Datei.' };
+        }
+        format = csv.format;
+        label = csv.label;
+        zahlungen.push(...selectMietzahlungen(csv.buchungen, { empfaenger }));
+    }
+    const manuell = parseManualZahlungen(req.body.zahlungen_manuell);
+    if (manuell.length > 0) {
+        zahlungen.push(...manuell);
+        format = format || 'manuell';
+        label = label ? `${label} und eigene Angaben` : 'eigene Angaben';
+    }
+    if (!format) return { zahlungsdaten: null };
+    return {
+        zahlungsdaten: {
+            format,
+            label,
+            empfaenger,
+            kaltmiete: kaltmiete !== null && kaltmiete > 0 ? kaltmiete : null,
+            zahlungen,
+        },
+    };
+}
+
 function getPlanConfig(planName) {
     return PLAN_CONFIG[planName] || PLAN_CONFIG.basic;
 }
 
 function hasEvent(sessionId, eventName) {
-    const events = readJsonArray(EVENTS_FILE);
-    return events.some(e => e.session_id === sessionId && e.event_name === eventName);
+    return eventStore.hasEvent(sessionId, eventName);
 }
 
 function appendEvent({
@@ -224,8 +341,7 @@ function appendEvent({
             createdAt = parsed.toISOString();
         }
     }
-    const events = readJsonArray(EVENTS_FILE);
-    events.push({
+    eventStore.appendEvent({
         id: `evt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
         session_id: sessionId,
         event_name: eventName,
@@ -234,25 +350,11 @@ function appendEvent({
         meta: meta && typeof meta === 'object' ? meta : {},
         created_at: createdAt,
     });
-    writeJsonArray(EVENTS_FILE, events);
 }
 
 function upsertOrder(orderPatch) {
     if (!orderPatch || !orderPatch.session_id) return;
-    const orders = readJsonArray(ORDERS_FILE);
-    const idx = orders.findIndex(o => o.session_id === orderPatch.session_id);
-    const nowIso = new Date().toISOString();
-    const merged = {
-        ...(idx >= 0 ? orders[idx] : { created_at: nowIso }),
-        ...orderPatch,
-        updated_at: nowIso,
-    };
-    if (idx >= 0) {
-        orders[idx] = merged;
-    } else {
-        orders.push(merged);
-    }
-    writeJsonArray(ORDERS_FILE, orders);
+    eventStore.upsertOrder({ ...orderPatch, updated_at: new Date().toISOString() });
 }
 
 function summarizeFunnel(fromDate, toDate) {
@@ -261,12 +363,12 @@ function summarizeFunnel(fromDate, toDate) {
     const fromTs = Number.isNaN(parsedFrom) ? 0 : parsedFrom;
     const toTs = Number.isNaN(parsedTo) ? Date.now() : parsedTo;
 
-    const events = readJsonArray(EVENTS_FILE).filter(e => {
+    const events = eventStore.listEvents().filter(e => {
         const t = new Date(e.created_at).getTime();
         return t >= fromTs && t <= toTs;
     });
 
-    const orders = readJsonArray(ORDERS_FILE).filter(o => {
+    const orders = eventStore.listOrders().filter(o => {
         const t = new Date(o.created_at || o.updated_at).getTime();
         return t >= fromTs && t <= toTs;
     });
@@ -278,14 +380,25 @@ function summarizeFunnel(fromDate, toDate) {
 
     const paidOrders = orders.filter(o => o.payment_status === 'paid');
     const refundedOrders = orders.filter(o => o.refund_status === 'refunded');
-    const grossRevenue = paidOrders.reduce((sum, o) => sum + (Number(o.gross_eur) || 0), 0);
-    const refundedRevenue = refundedOrders.reduce((sum, o) => sum + (Number(o.gross_eur) || 0), 0);
+    const grossRevenue = paidOrders.reduce((sum, o) => sum + (parseEuro(o.gross_eur) || 0), 0);
+    const refundedRevenue = refundedOrders.reduce((sum, o) => sum + (parseEuro(o.gross_eur) || 0), 0);
 
     const planBreakdown = paidOrders.reduce((acc, order) => {
         const key = order.plan || 'basic';
         if (!acc[key]) acc[key] = { orders: 0, gross_eur: 0 };
         acc[key].orders += 1;
-        acc[key].gross_eur += Number(order.gross_eur) || 0;
+        acc[key].gross_eur = roundCents(acc[key].gross_eur + (parseEuro(order.gross_eur) || 0));
+        return acc;
+    }, {});
+
+    // Voucher redemptions grouped by the voucher's campaign (falls back to the order's UTM campaign).
+    const voucherBreakdown = paidOrders.filter(o => o.voucher_code).reduce((acc, order) => {
+        const key = order.voucher_campaign || order.campaign || 'none';
+        if (!acc[key]) acc[key] = { orders: 0, gross_eur: 0, discount_eur: 0, codes: {} };
+        acc[key].orders += 1;
+        acc[key].gross_eur = roundCents(acc[key].gross_eur + (parseEuro(order.gross_eur) || 0));
+        acc[key].discount_eur = roundCents(acc[key].discount_eur + (parseEuro(order.discount_eur) || 0));
+        acc[key].codes[order.voucher_code] = (acc[key].codes[order.voucher_code] || 0) + 1;
         return acc;
     }, {});
 
@@ -299,29 +412,85 @@ function summarizeFunnel(fromDate, toDate) {
         orders_total: orders.length,
         paid_orders: paidOrders.length,
         refunded_orders: refundedOrders.length,
-        gross_revenue_eur: Number(grossRevenue.toFixed(2)),
-        refunded_revenue_eur: Number(refundedRevenue.toFixed(2)),
-        net_revenue_eur: Number((grossRevenue - refundedRevenue).toFixed(2)),
+        gross_revenue_eur: roundCents(grossRevenue),
+        refunded_revenue_eur: roundCents(refundedRevenue),
+        net_revenue_eur: roundCents(grossRevenue - refundedRevenue),
         plan_breakdown: planBreakdown,
+        voucher_breakdown: voucherBreakdown,
     };
 }
 
-// Clean up old entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    const TTL_FILES = 30 * 60 * 1000;    // 30 min for uploaded files
-    const TTL_RESULTS = 60 * 60 * 1000;  // 60 min for cached results
+// Data requests and the retention periods from datenschutz.html (see lib/data-protection.js).
+const dataProtection = createDataProtection({
+    collections: {
+        pending: pendingFiles,
+        results: completedResults,
+        queue: analysisJobs,
+        cases: disputeCases,
+        followUps: followUpJobs,
+        reports: savedReports,
+        accounts: accountStore,
+        logins: loginLinks,
+        reportLinks: reportTokenStore,
+    },
+    accountService,
+    reportTokens,
+    eventsFile: EVENTS_FILE,
+    ordersFile: ORDERS_FILE,
+    remindersFile: REMINDERS_FILE,
+});
+
+// Clean up old entries every 5 minutes; the log files are handled by dataProtection.start().
+setInterval(() => dataProtection.sweepJobStore(), 5 * 60 * 1000);
 
-    for (const [key, value] of pendingFiles) {
-        if (now - value.createdAt > TTL_FILES) pendingFiles.delete(key);
+// Sessions fully covered by a 100 % voucher never touch Stripe. Their order record
+// stands in for the Checkout Session, so callers can treat both kinds the same way.
+const FREE_SESSION_PREFIX = 'free_';
+
+async function retrieveCheckoutSession(sessionId) {
+    if (!String(sessionId).startsWith(FREE_SESSION_PREFIX)) {
+        return stripe.checkout.sessions.retrieve(sessionId);
+    }
+    const order = eventStore.getOrder(sessionId);
+    if (!order) {
+        throw new Error(`Unknown voucher session ${sessionId}`);
     }
-    for (const [key, value] of completedResults) {
-        if (now - value.createdAt > TTL_RESULTS) completedResults.delete(key);
+    return {
+        id: sessionId,
+        payment_status: order.payment_status === 'paid' ? 'paid' : 'unpaid',
+        payment_intent: null,
+        amount_total: 0,
+        customer_email: order.customer_email || null,
+        metadata: {
+            plan: order.plan || 'basic',
+            source: order.source || '',
+            campaign: order.campaign || '',
+            living_area_sqm: order.living_area_sqm ? String(order.living_area_sqm) : '',
+            zugangsdatum: order.zugangsdatum || '',
+            voucher_code: order.voucher_code || '',
+            save_report: order.save_report ? '1' : '',
+        },
+    };
+}
+
+function markPendingPaid(sessionId) {
+    const pending = pendingFiles.get(sessionId);
+    if (pending && !pending.paidAt) {
+        pendingFiles.set(sessionId, { ...pending, paidAt: Date.now() });
     }
-}, 5 * 60 * 1000);
+}
 
 const SYSTEM_PROMPT = `Du bist ein Experte für deutsche Nebenkostenabrechnungen (Betriebskostenabrechnungen).
-Deine Aufgabe: Analysiere die hochgeladene Nebenkostenabrechnung auf Fehler und erstelle einen Widerspruchsbrief.
+Deine Aufgabe: Prüfe die Nebenkostenabrechnung auf Fehler. Den Brief an den Vermieter erstellt das System aus deiner Ergebnisliste.
+
+## EINGABE
+
+Du erhältst NICHT das Originaldokument, sondern die bereits extrahierten Daten als JSON:
+- "kopfdaten": Abrechnungszeitraum, Abrechnungsdatum, Wohnfläche, Vorauszahlungen, Saldo
+- "kostenposten": Liste aller Posten mit Index, Gesamtkosten, Verteilerschlüssel, Gesamteinheiten, Anteil Mieter, Betrag und wörtlichem Zitat ("zitat")
+- "hinweise_dokument": Erläuterungen aus dem Dokument (z.B. zu "Sonstige Kosten" oder Gewerbeeinheiten)
+Bewerte AUSSCHLIESSLICH diese Daten. Wenn ein Wert null ist, stand er nicht im Dokument — nicht raten.
+Das Feld "beweis" enthält das "zitat" des betreffenden Postens (oder der Kopfdaten), nicht deine eigene Formulierung.
 
 ## PRODUKTPHILOSOPHIE: Nur BOMBENSICHERE Fälle!
 
@@ -363,81 +532,36 @@ Du arbeitest für den MIETER. Dein Ziel: Dem Mieter sicher Geld sparen — OHNE
   - Z.B. Heizkosten nach Wohnfläche statt nach Verbrauch → "warnung"
 
 ### E4: Gewerbeanteil nicht berücksichtigt
-  - Nur wenn das Dokument EXPLIZIT Gewerbeeinheiten erwähnt UND bei Grundsteuer/Versicherung kein Gewerbeabzug erkennbar → "warnung"
-
-### E5: Heizkostenverstoß (HeizkostenV)
+  - Wird im Code nachgerechnet und dir als "Gewerbeanteil" mitgegeben (Grundsteuer, Versicherung, Müll, Wasser: Vorwegabzug, Differenz in Euro, Rechenweg).
+    Posten mit bewertung "abzug_fehlt" oder "abzug_vermutlich_fehlt" → "warnung" mit Differenz und Rechenweg; niemals "fehler". Keine eigenen Schätzungen.
+  - Ohne mitgegebenen Gewerbeanteil: nur wenn das Dokument EXPLIZIT Gewerbeeinheiten erwähnt UND bei Grundsteuer/Versicherung kein Gewerbeabzug erkennbar → "warnung"
+
+### E5: Heizkostenverstoß (HeizkostenV, CO2KostAufG)
+  - Wird im Code geprüft und dir als "Heizkostenprüfung" mitgegeben: CO2-Stufenmodell und Vermieteranteil, Kürzungsrecht nach § 12 HeizkostenV,
+    Nachrechnen der Heizkostenverteilung, Wärmemenge Warmwasser. Diese Befunde landen automatisch in der Ergebnisliste —
+    lege dafür KEINE eigenen Einträge an und rechne sie nicht selbst nach.
   - Heizkosten-Aufteilung muss zwischen 50-70% Verbrauch und 30-50% Grundkosten liegen
-  - 100% Festkosten oder 100% Verbrauch → "warnung" (nur "fehler" wenn Aufteilung klar aus Dokument ablesbar UND eindeutig illegal)
-  - CO2-Kosten gelistet aber kein Stufenmodell angewendet → "warnung"
+  - 100% Verbrauch → "warnung"
+
+### E6: Nicht im Mietvertrag vereinbart (§ 556 Abs. 1 BGB)
+  - Nur wenn der Mieter seinen Mietvertrag hochgeladen hat: Der Abgleich jedes Postens mit der Betriebskostenklausel wird im Code gemacht
+    und dir als "Mietvertrag" mitgegeben (bewertung je Posten, Fundstelle und Wortlaut der Klausel). Übernimm die Bewertung, prüfe NICHT selbst.
+  - Ohne mitgegebenen Mietvertrag E6 NIEMALS verwenden — du kennst den Vertrag nicht.
 
 ### Weitere Prüfpunkte:
   - **Abrechnungszeitraum**: Genau 12 Monate? Wenn nicht: "warnung" (nie "fehler")
-  - **Abrechnungsfrist** (§ 556 Abs. 3 BGB): SCHRITT-FÜR-SCHRITT prüfen:
-    1. Ende des Abrechnungszeitraums ablesen (z.B. 31.12.2024)
-    2. Fristende = Ende + 12 Monate (z.B. 31.12.2024 + 12 Monate = 31.12.2025)
-    3. Zustelldatum/Erstelldatum der Abrechnung ablesen (z.B. 17.11.2025)
-    4. VERGLEICHEN: Ist das Zustelldatum VOR dem Fristende? Dann ist die Frist EINGEHALTEN → "ok"
-    5. NUR wenn Zustelldatum NACH dem Fristende liegt → "fehler"
-    BEISPIEL: Zeitraum endet 31.12.2024, Frist bis 31.12.2025, Zustellung 17.11.2025 → 17.11.2025 < 31.12.2025 → Frist EINGEHALTEN → "ok"!
-    ACHTUNG: Häufiger Fehler — rechne genau! Schreibe den Rechenweg in das "beweis" Feld.
-    Wenn du das Zustelldatum nicht sicher ablesen kannst → "unklar" (NICHT "fehler"!)
-  - **Vorauszahlungen**: Korrekt angerechnet? Wenn nachrechenbar und falsch → "fehler". Wenn nicht nachrechenbar → "ok" (nicht raten!)
-  - **Plausibilität** (Durchschnittswerte pro m²/Jahr als Orientierung):
-    Heizung 8-15€, Wasser 2-4€, Müll 1-2€, Grundsteuer 1-3€, Hausmeister 1-2€, Versicherung 1-2€, Aufzug 1-2€
+  - **Abrechnungsfrist** (§ 556 Abs. 3 BGB): Wird im Code berechnet (Zeitraum, Zugang/Erstelldatum, Wochenenden und Feiertage nach § 193 BGB) und dir als "Abrechnungsfrist" mitgegeben.
+    Übernimm Status und Rechenweg daraus wörtlich in "beweis" — rechne NICHT selbst. Ist keine Berechnung mitgegeben oder Status "nicht_ermittelbar" → "unklar" (NICHT "fehler"!)
+  - **Vorauszahlungen**: Korrekt angerechnet? Hat der Mieter Kontoauszug oder Zahlungen angegeben, wird das im Code abgeglichen und dir als "Vorauszahlungen, abgeglichen" mitgegeben — dann keinen eigenen Eintrag.
+    Sonst: Wenn nachrechenbar und falsch → "fehler". Wenn nicht nachrechenbar → "ok" (nicht raten!)
+  - **Plausibilität pro m²**: Wird im Code gegen eine Vergleichstabelle berechnet und dir als "Plausibilitätsprüfung" mitgegeben (Kosten pro m²/Jahr, Orientierungswert, Quelle, Stand).
+    Posten mit bewertung "ueber" → "warnung"; Kosten pro m², Orientierungswert und Quelle in die Erklärung übernehmen. Keine eigenen Durchschnittswerte verwenden.
     WICHTIG: Plausibilitätsprüfungen dürfen NIEMALS "fehler" sein — immer nur "warnung" oder "ok".
-    Ohne Wohnfläche im Dokument → Plausibilitätsprüfung pro m² ist nicht möglich → überspringen (nicht schätzen!)
+    Keine Plausibilitätsprüfung mitgegeben (Wohnfläche unbekannt) → überspringen (nicht schätzen!)
 
 ## Ausgabe-Format
 
-Antworte AUSSCHLIESSLICH mit folgendem JSON (kein anderer Text):
-
-{
-  "validierung": "ok | nicht_lesbar | keine_abrechnung | unvollstaendig",
-  "validierung_grund": "Nur ausfüllen wenn validierung != ok. Kurze Erklärung für den Nutzer.",
-  "zusammenfassung": "Kurze Zusammenfassung in 1-2 Sätzen",
-  "wohnflaeche_erkannt": "z.B. 65 m² oder null",
-  "abrechnungszeitraum": "z.B. 01.01.2024 - 31.12.2024 oder null",
-  "gesamtkosten_mieter": "z.B. 2.450,00 € oder null",
-  "ergebnisse": [
-    {
-      "posten": "Name des Postens",
-      "betrag": "z.B. '312,00 €'",
-      "status": "ok | warnung | fehler | unklar",
-      "fehlercode": "E1 | E2 | E3 | E4 | E5 | null",
-      "titel": "Kurzer Titel (max 8 Wörter)",
-      "erklaerung": "Was ist das Problem, warum, Rechtsgrundlage. 1-3 Sätze.",
-      "beweis": "Exaktes Zitat aus dem Dokument das den Befund belegt, oder null",
-      "ersparnis_geschaetzt": 0
-    }
-  ],
-  "unklar_pruefungen": ["Was fehlt um die Prüfung abzuschließen, z.B. 'Hauswart-Rechnung für Aufschlüsselung nötig'"],
-  "potenzielle_ersparnis_gesamt": 0,
-  "fehler_anzahl": 0,
-  "warnungen_anzahl": 0,
-  "unklar_anzahl": 0,
-  "empfehlung": "Was der Mieter tun sollte, 1-2 Sätze",
-  "widerspruchsbrief": "Fertiger Brief — siehe Regeln unten"
-}
-
-## Regeln für den Widerspruchsbrief (Feld "widerspruchsbrief")
-
-Erstelle einen FERTIGEN, kopierbaren Brief an den Vermieter. Der Brief soll:
-- FREUNDLICH und respektvoll im Ton sein — der Mieter möchte sein Verhältnis zum Vermieter NICHT belasten
-- Siezen, sachlich, NICHT aggressiv oder fordernd — eher "Ich bitte Sie um Prüfung" als "Ich fordere Sie auf"
-- Keine Drohungen, keine Anwaltsdrohungen, keine Klageandrohungen
-- Formulierung: "Mir ist bei der Durchsicht aufgefallen..." oder "Ich bitte Sie, folgende Punkte zu prüfen..."
-- Konkret die gefundenen Fehler mit Posten und Beträgen benennen
-- Die Rechtsgrundlage dezent erwähnen (z.B. "gemäß § 2 BetrKV") — nicht belehrend
-- Höflich um Korrektur und korrigierte Abrechnung bitten
-- Die korrigierte Nachzahlung/das Guthaben berechnen wenn möglich
-- Platzhalter verwenden: [IHR NAME], [IHRE ADRESSE], [VERMIETER NAME], [VERMIETER ADRESSE], [DATUM]
-- Format: Absenderadresse, Empfängeradresse, Datum, Betreff, Anrede, Brieftext, Grußformel
-- Zeilenumbrüche mit \\n kodieren
-- KEINE Fehlercodes im Brief (E1, E2 etc.) — das ist intern, der Vermieter soll das nicht sehen
-- Am Ende des Briefs (vor der Grußformel) folgenden Hinweis einfügen: "Dieses Schreiben wurde mit Unterstützung einer softwaregestützten Plausibilitätsprüfung erstellt und stellt keine Rechtsberatung dar."
-
-Falls KEINE Fehler gefunden wurden, setze widerspruchsbrief auf null.
-Falls NUR Warnungen gefunden wurden, erstelle einen freundlichen Brief der um Prüfung/Erläuterung der auffälligen Posten bittet (nicht um Korrektur).
+Gib dein Ergebnis AUSSCHLIESSLICH über das Tool "pruefergebnis_abgeben" zurück. Die Bedeutung der Felder steht im Tool-Schema.
 
 ## STRENGE Regeln für status (UNBEDINGT einhalten!)
 
@@ -452,7 +576,7 @@ Falls NUR Warnungen gefunden wurden, erstelle einen freundlichen Brief der um Pr
 **Was "fehler" sein DARF (abschließende Liste):**
   - E1: Posten der EXPLIZIT "Verwaltung", "Reparatur", "Instandhaltung" etc. heißt → nicht umlagefähig, Punkt.
   - E2: Nachrechenbare Arithmetik die zum Nachteil des Mieters falsch ist (Zahlen aus dem Dokument!)
-  - Fristüberschreitung: NUR wenn Zustelldatum EINDEUTIG nach Fristende liegt (mit Rechenweg!)
+  - Fristüberschreitung: NUR wenn die mitgegebene Fristberechnung "frist_ueberschritten" ergibt (Rechenweg übernehmen!)
   - Vorauszahlungen: NUR wenn die Zahl im Dokument nachweislich falsch angerechnet wurde
 
 **Was NIEMALS "fehler" sein darf:**
@@ -463,7 +587,7 @@ Falls NUR Warnungen gefunden wurden, erstelle einen freundlichen Brief der um Pr
 
 **"warnung"** verwenden wenn:
   - Der Mieter möglicherweise zu viel zahlt, aber du nicht 100% sicher bist
-  - Ein Posten auffällig hoch ist (>50% über Durchschnitt, NUR wenn Wohnfläche bekannt)
+  - Die mitgegebene Plausibilitätsprüfung einen Posten über dem Orientierungswert ausweist
   - Es formale Auffälligkeiten gibt die der Mieter beim Vermieter freundlich ansprechen könnte
   - ersparnis_geschaetzt darf bei Warnungen 0 sein
 
@@ -487,34 +611,44 @@ Falls NUR Warnungen gefunden wurden, erstelle einen freundlichen Brief der um Pr
 - "fehler" OHNE beweis-Zitat aus dem Dokument → VERBOTEN
 - Titel der dem Erklärungstext widerspricht → VERBOTEN (z.B. Titel sagt "Frist überschritten" aber Text sagt "noch fristgerecht")
 - Posten als "fehler" markieren nur weil du den Betrag nicht verifizieren kannst → VERBOTEN, stattdessen "unklar"
-- Falsche Datumsberechnungen → VERBOTEN. Bei JEDER Frist- oder Datumsberechnung: Schreibe den VOLLSTÄNDIGEN Rechenweg ins "beweis" Feld (z.B. "Ende 31.12.2024 + 12 Monate = Frist bis 31.12.2025. Zustellung 17.11.2025 → fristgerecht"). Wenn du nicht 100% sicher rechnen kannst → "unklar"
+- Eigene Fristberechnungen → VERBOTEN. Für die Abrechnungsfrist gilt ausschließlich die mitgegebene Berechnung; ihren Rechenweg ins "beweis" Feld übernehmen.
 - Zusammenfassung die "fehler" erwähnt, wenn die Ergebnisliste diesen Fehler gar nicht enthält oder widerlegt → VERBOTEN
 - "fehler" basierend auf Plausibilität/Durchschnittswerten → VERBOTEN (immer nur "warnung")
 - "fehler" basierend auf Schätzungen oder Vermutungen → VERBOTEN
-- Fehlercodes (E1, E2 etc.) im Widerspruchsbrief erwähnen → VERBOTEN (nur intern)
+- Fehlercodes (E1, E2 etc.) in "titel" oder "beweis" erwähnen → VERBOTEN (nur intern; beide Felder stehen im Brief an den Vermieter)
 
 ## Konsistenz & Zahlenverarbeitung
 - Deutsches Zahlenformat: 1.000,00 = eintausend. Intern korrekt umrechnen vor Arithmetik.
-- Analysiere systematisch jeden Posten anhand der Fehlercodes E1-E5 oben.
-- Verwende die Durchschnittswerte als Orientierung, nicht als harte Grenze.
-- 10-20% über Durchschnitt = "ok", nicht "warnung".
-- 50%+ über Durchschnitt = "warnung".
+- Analysiere systematisch jeden Posten anhand der Fehlercodes E1-E6 oben.
+- Kosten pro m² im Rahmen des Orientierungswerts (bewertung "im_rahmen" oder "unter") = "ok", nicht "warnung".
+- Über dem Orientierungswert (bewertung "ueber") = "warnung".
 - Nur klar belegbare Verstöße mit >5 € Ersparnis = "fehler".
 - Der Titel muss EXAKT widerspiegeln was das Problem ist. Keine Übertreibungen.
 - JEDEN erkennbaren Posten auflisten, auch wenn OK.
 - Auf Deutsch antworten. Präzise und faktenbasiert. Keine Spekulationen.
 
 ## SELBSTPRÜFUNG (vor dem Absenden durchführen!)
-Bevor du dein JSON ausgibst, prüfe JEDEN "fehler"-Eintrag nochmal:
+Bevor du dein Ergebnis abgibst, prüfe JEDEN "fehler"-Eintrag nochmal:
 1. Lies den Titel, die Erklärung und den Beweis nochmal durch. Widersprechen sie sich?
 2. Stimmt die Berechnung? Rechne Datumsvergleiche und Arithmetik nochmal nach.
 3. Ist die Zusammenfassung konsistent mit den Einzelergebnissen?
 4. Enthält die Zusammenfassung Behauptungen, die die Einzelanalyse widerlegt?
-Wenn du bei der Selbstprüfung einen Fehler findest → korrigiere ihn BEVOR du antwortest.
+Wenn du bei der Selbstprüfung einen Fehler findest → korrigiere ihn BEVOR du antwortest.`;
 
-## Dokument-Validierung (Feld "validierung")
+const EXTRACTION_SYSTEM_PROMPT = `Du liest deutsche Nebenkostenabrechnungen (Betriebskostenabrechnungen) aus.
+Deine Aufgabe ist NUR das Auslesen. Du bewertest NICHTS — keine Fehler, keine Hinweise, keine Rechtsfragen.
 
-BEVOR du die Analyse startest, prüfe das Dokument:
+## Regeln
+- Übertrage Werte exakt so, wie sie im Dokument stehen. Nichts schätzen, nichts selbst ausrechnen, nichts ergänzen.
+- Geldbeträge und Mengen als JSON-Zahl in Punktnotation (Dokument "2.450,00 €" → 2450.00, "1.040,5 m²" → 1040.5).
+- Fehlt ein Wert oder ist er nicht sicher lesbar → null.
+- Jeden erkennbaren Kostenposten in Dokumentreihenfolge aufnehmen, auch wenn der Mieteranteil 0,00 € ist.
+- "zitat": die Zeile bzw. der Textausschnitt des Postens wörtlich aus dem Dokument.
+- "einheit": Einheit des Verteilerschlüssels (z.B. "m²", "Personen", "Einheiten", "m³", "kWh"), sonst null.
+- "saldo": Betrag der Nachzahlung oder des Guthabens als positive Zahl, "saldo_art" gibt die Richtung an.
+- "bundesland" und "ortsgroesse" aus der Anschrift der Wohnung ableiten. Im Zweifel null.
+
+## Dokument-Validierung (Feld "validierung")
 
 **"nicht_lesbar"** — wenn:
   - Das Bild/PDF so unscharf ist, dass du weniger als 50% der Zahlen/Posten lesen kannst
@@ -529,11 +663,67 @@ BEVOR du die Analyse startest, prüfe das Dokument:
 **"unvollstaendig"** — wenn:
   - Offensichtlich wichtige Teile fehlen (z.B. nur die letzte Seite mit der Summe, aber keine Einzelposten)
   - Weniger als 3 Kostenposten erkennbar sind
-  - NICHT verwenden wenn nur kleine Teile fehlen — dann normal analysieren mit Hinweis
+  - NICHT verwenden wenn nur kleine Teile fehlen — dann normal auslesen
+
+**"ok"** — in allen anderen Fällen.
+
+Gib die Daten AUSSCHLIESSLICH über das Tool "abrechnung_auslesen" zurück. Die Bedeutung der Felder steht im Tool-Schema.`;
+
+const LEASE_EXTRACTION_SYSTEM_PROMPT = `Du liest aus einem deutschen Wohnraummietvertrag die Vereinbarung über die Betriebskosten aus.
+Deine Aufgabe ist NUR das Auslesen. Du bewertest NICHTS — auch nicht, ob eine Klausel wirksam ist.
+
+## Regeln
+- "klauseln": jede Vertragsstelle, die regelt, welche Betriebskosten der Mieter trägt — Paragraph, Absatz oder Anlage als "fundstelle", der Wortlaut als "zitat".
+- "kostenarten": jede im Vertrag einzeln genannte Kostenart in Vertragsreihenfolge, mit der Nummer aus § 2 BetrKV, wenn sie eindeutig ist.
+  Unter "sonstige Betriebskosten" aufgezählte Arten (z.B. "Wartung der Rauchwarnmelder", "Dachrinnenreinigung") je als eigener Eintrag mit betrkv_nr 17.
+  Steht nur "sonstige Betriebskosten" ohne Aufzählung im Vertrag → KEIN Eintrag dafür.
+- "verweis_betrkv": true, wenn der Vertrag auf die Betriebskostenverordnung bzw. Anlage 3 zu § 27 II. BV verweist; false, wenn er nur eine eigene Aufzählung hat.
+- Angekreuzte Kästchen gelten, nicht angekreuzte oder gestrichene Positionen NICHT aufnehmen.
+- Nichts ergänzen, was nicht im Dokument steht. Im Zweifel null bzw. weglassen.
+
+## Dokument-Validierung (Feld "validierung")
+- "nicht_lesbar": der Text ist überwiegend unleserlich.
+- "kein_mietvertrag": das Dokument ist kein Mietvertrag und kein Auszug daraus (z.B. eine Nebenkostenabrechnung). validierung_grund: was du stattdessen erkannt hast.
+- "ok": in allen anderen Fällen, auch wenn nur einzelne Seiten hochgeladen wurden.
 
-**"ok"** — in allen anderen Fällen. Dann normal analysieren.
+Gib die Daten AUSSCHLIESSLICH über das Tool "mietvertrag_auslesen" zurück. Die Bedeutung der Felder steht im Tool-Schema.`;
 
-Wenn validierung != "ok": Setze alle anderen Felder auf sinnvolle Defaults (leere Arrays, null, 0). Die Analyse wird nicht durchgeführt.`;
+const UNKLAR_REVIEW_SYSTEM_PROMPT = `Du bist ein Experte für deutsche Nebenkostenabrechnungen und prüfst im Premium-Tarif die Posten nach, die in der ersten Prüfung "unklar" geblieben sind.
+
+## EINGABE
+- Das Originaldokument der Abrechnung (Text, PDF oder Fotos)
+- "kostenposten": die bereits ausgelesenen Posten
+- "unklare_posten": die unklaren Posten mit "ergebnis_index" und der bisherigen Begründung
+
+## AUFGABE: Nachprüfung (Feld "nachpruefung")
+Suche im Originaldokument gezielt nach der Information, die in der ersten Prüfung gefehlt hat — z.B. Fußnoten, Erläuterungen, Aufschlüsselungen von "Sonstige Kosten" oder "Hausmeister", Angaben zu Gewerbeeinheiten.
+- Gib für JEDEN unklaren Posten genau einen Eintrag mit seinem "ergebnis_index" zurück.
+- Ändere den Status NUR, wenn das Dokument die offene Frage tatsächlich beantwortet. Sonst bleibt er "unklar".
+- Es gelten dieselben strengen Regeln wie in der ersten Prüfung: "fehler" nur bombensicher, mit wörtlichem Zitat in "beweis" und mindestens 5 € Ersparnis. Im Zweifel "warnung" oder "unklar".
+- Bei "ok" und "unklar" ist ersparnis_geschaetzt 0.
+
+Gib dein Ergebnis AUSSCHLIESSLICH über das Tool "unklare_posten_nachpruefen" zurück.`;
+
+const FOLLOW_UP_SYSTEM_PROMPT = `Du bist ein Experte für deutsche Nebenkostenabrechnungen. Der Mieter hat der Abrechnung widersprochen; jetzt liegt die Antwort des Vermieters vor (Antwortschreiben, korrigierte Abrechnung oder beides).
+
+## EINGABE
+- Das Dokument des Vermieters (Text, PDF oder Fotos)
+- "einwaende": die Einwände des Mieters mit "einwand_index", Posten, Betrag und Begründung aus der ersten Prüfung
+
+## AUFGABE: Abgleich (Feld "einwaende")
+Gib für JEDEN Einwand genau einen Eintrag mit seinem "einwand_index" zurück:
+- "angenommen": Der Vermieter gibt dem Einwand nach oder die korrigierte Abrechnung setzt ihn um. In "beleg" das wörtliche Zitat bzw. die korrigierte Zeile. In "zugestanden_eur" den Betrag, um den der Posten zugunsten des Mieters sinkt.
+- "abgelehnt": Der Vermieter weist den Einwand zurück. In "begruendung_vermieter" seine Begründung, möglichst wörtlich; ohne Begründung null.
+- "offen": Der Vermieter geht nicht oder nur ausweichend darauf ein, kündigt eine Prüfung nur an oder korrigiert nur einen Teil (dann den Teilbetrag in "zugestanden_eur").
+Im Zweifel "offen". Keine neuen Einwände erfinden und keine eigenen Rechtsausführungen in "begruendung_vermieter".
+"erklaerung": sachliche Einordnung für den Mieter in 1-2 Sätzen, z.B. ob die Begründung auf den Einwand eingeht oder Belege fehlen.
+
+## WEITERE FELDER
+- "validierung": "nicht_lesbar", wenn das Dokument nicht lesbar ist; "keine_antwort", wenn es weder eine Antwort noch eine Abrechnung zu diesen Einwänden ist.
+- "dokumentdatum": Datum des Schreibens bzw. der korrigierten Abrechnung, sonst null.
+- "neuer_saldo": nur bei einer korrigierten Abrechnung die neue Nachzahlung bzw. das neue Guthaben, sonst beide Felder null.
+
+Gib dein Ergebnis AUSSCHLIESSLICH über das Tool "vermieterantwort_abgleichen" zurück.`;
 
 const PREVIEW_SYSTEM_PROMPT = `Du bist ein Assistent für einen kostenlosen Vorab-Check von Nebenkostenabrechnungen.
 Deine Aufgabe ist eine kurze, vorsichtige Ersteinschätzung vor dem Kauf einer vollständigen Prüfung.
@@ -556,42 +746,7 @@ WICHTIG:
    - Wenn du nur Plausibilität/Warnhinweise hast oder dir Informationen fehlen: setze einsparpotenzial_geschaetzt_eur = 0 und erkläre,
      dass das Potenzial im Vollcheck erst belastbar bestimmt werden kann.
 
-Antworte ausschließlich als JSON in genau diesem Format:
-{
-  "validierung": "ok | nicht_lesbar | keine_abrechnung | unvollstaendig",
-  "validierung_grund": "Kurze Erklärung oder null",
-  "dokument_qualitaet": 0,
-  "lesbarkeit": "gut | mittel | schlecht",
-  "erkannte_basisdaten": {
-    "abrechnungszeitraum": "String oder null",
-    "wohnflaeche": "String oder null",
-    "gesamtkosten_mieter": "String oder null"
-  },
-  "auffaelligkeiten": [
-    {
-      "titel": "Maximal 8 Wörter",
-      "kurz": "Maximal 140 Zeichen, konkrete erste Einschätzung",
-      "status_hint": "hinweis | auffaellig | pruefen"
-    }
-  ],
-  "erkannte_daten": [
-    {
-      "feld": "abrechnungszeitraum | abrechnungsdatum | wohnflaeche | gesamtkosten_mieter | vorauszahlungen | nachzahlung_oder_guthaben",
-      "wert": "String",
-      "confidence": "sicher | unsicher"
-    }
-  ],
-  "fristcheck": {
-    "zeitraum_ende": "DD.MM.YYYY oder null",
-    "fristende": "DD.MM.YYYY oder null",
-    "abrechnungsdatum": "DD.MM.YYYY oder null",
-    "status": "fristgerecht | frist_ueberschritten | nicht_ermittelbar",
-    "erklaerung": "Kurze Erklärung"
-  },
-  "einsparpotenzial_geschaetzt_eur": 0,
-  "einsparpotenzial_erklaerung": "1 kurzer Satz, warum dieses Potenzial im Vollcheck realistisch sein kann",
-  "naechster_schritt": "1 kurzer Satz mit Empfehlung zur vollständigen Prüfung"
-}`;
+Gib deine Einschätzung ausschließlich über das Tool "vorab_check_abgeben" zurück.`;
 
 // === Token cost limits ===
 const MAX_PDF_TEXT_CHARS = 15000;  // ~4K tokens, plenty for a Nebenkostenabrechnung
@@ -688,19 +843,93 @@ async function buildContentFromFiles(files) {
     return content;
 }
 
-// Run Claude analysis and return parsed result
-async function runAnalysis(files, analysisContext = {}) {
-    const content = await buildContentFromFiles(files);
-    if (analysisContext.livingAreaSqm) {
-        content.push({
-            type: 'text',
-            text: `Zusatzangabe vom Nutzer: Wohnfläche ${analysisContext.livingAreaSqm} m². Verwende diese Angabe für Plausibilitätsprüfungen pro m², falls im Dokument keine Wohnfläche klar erkennbar ist.`,
-        });
+// Output ceiling for the one retry after a reply was cut off at max_tokens.
+const MAX_TOKENS_CEILING = 16384;
+
+// Force a single tool call and return its validated input. A reply cut off at max_tokens is
+// rejected instead of repaired: the call runs once more with twice the budget, and if that is
+// cut off too, the error is marked as not retryable — at temperature 0 the queue would only
+// get the same truncated reply again.
+async function runStructuredCall({ system, content, tool, maxTokens, label, retried = false }) {
+    const startTime = Date.now();
+
+    const response = await anthropic.messages.create({
+        model: 'claude-sonnet-4-5-20250929',
+        max_tokens: maxTokens,
+        temperature: 0,
+        system,
+        tools: [tool],
+        tool_choice: { type: 'tool', name: tool.name },
+        messages: [{ role: 'user', content }]
+    });
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`  ${label} received in ${elapsed}s (stop: ${response.stop_reason})`);
+
+    if (response.stop_reason === 'max_tokens') {
+        if (!retried && maxTokens < MAX_TOKENS_CEILING) {
+            const raised = Math.min(maxTokens * 2, MAX_TOKENS_CEILING);
+            console.log(`  ${label} cut off at ${maxTokens} tokens, retrying with ${raised}`);
+            return runStructuredCall({ system, content, tool, maxTokens: raised, label, retried: true });
+        }
+        const err = new Error(`${label}: Antwort wurde abgeschnitten (max_tokens)`);
+        err.retryable = false;
+        throw err;
+    }
+
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+    if (!toolUse || !toolUse.input || typeof toolUse.input !== 'object') {
+        throw new Error(`${label}: Keine strukturierte Antwort erhalten`);
     }
+    return toolUse.input;
+}
+
+// Stage 1: read the document into a typed line-item table (no legal judgement).
+async function runExtraction(files) {
+    const content = await buildContentFromFiles(files);
+    const raw = await runStructuredCall({
+        system: EXTRACTION_SYSTEM_PROMPT,
+        content,
+        tool: EXTRACTION_TOOL,
+        maxTokens: 6144,
+        label: 'Extraction',
+    });
+
+    const extraction = normalizeExtraction(raw);
+    console.log(`  Extracted ${extraction.kostenposten.length} cost item(s), validierung: ${extraction.validierung}`);
+    return extraction;
+}
+
+// Lease upload: the cost clause is read on its own and never mixed into the statement.
+async function runLeaseExtraction(files) {
+    const content = await buildContentFromFiles(files);
+    const raw = await runStructuredCall({
+        system: LEASE_EXTRACTION_SYSTEM_PROMPT,
+        content,
+        tool: LEASE_EXTRACTION_TOOL,
+        maxTokens: 4096,
+        label: 'Lease extraction',
+    });
+
+    const mietvertrag = normalizeMietvertrag(raw);
+    console.log(`  Lease: ${mietvertrag.klauseln.length} clause(s), ${mietvertrag.kostenarten.length} cost type(s), validierung: ${mietvertrag.validierung}`);
+    return mietvertrag;
+}
+
+// Stage 2: legal assessment on the extracted table only.
+async function runAssessment(extraction, analysisContext = {}) {
+    const content = [{
+        type: 'text',
+        text: `Extrahierte Daten der Nebenkostenabrechnung:\n${JSON.stringify({
+            kopfdaten: extraction.kopfdaten,
+            kostenposten: extraction.kostenposten,
+            hinweise_dokument: extraction.hinweise_dokument,
+        }, null, 2)}`,
+    }];
     if (analysisContext.previewSnapshot && typeof analysisContext.previewSnapshot === 'object') {
         const pv = analysisContext.previewSnapshot;
-        const pvPot = Number(pv.einsparpotenzial_geschaetzt_eur || 0);
-        const pvPotSafe = Number.isFinite(pvPot) ? Math.max(0, Math.min(5000, Math.round(pvPot))) : 0;
+        const pvPot = parseEuro(pv.einsparpotenzial_geschaetzt_eur);
+        const pvPotSafe = pvPot !== null ? Math.max(0, Math.min(5000, Math.round(pvPot))) : 0;
         const pvReason = typeof pv.einsparpotenzial_erklaerung === 'string' ? pv.einsparpotenzial_erklaerung : '';
         content.push({
             type: 'text',
@@ -712,67 +941,332 @@ async function runAnalysis(files, analysisContext = {}) {
                 `erkläre kurz in der Zusammenfassung, warum die Vorab-Schätzung sich nicht bestätigt (z.B. nur Plausibilitäts-Hinweise, fehlende Belege, keine bombensicheren Fehler).`,
         });
     }
+    if (analysisContext.fristcheck) {
+        content.push({
+            type: 'text',
+            text:
+                `Abrechnungsfrist (§ 556 Abs. 3 BGB, bereits im Code berechnet — NICHT selbst nachrechnen):\n${JSON.stringify(analysisContext.fristcheck, null, 2)}\n` +
+                `Übernimm Status, Fristende und Rechenweg unverändert. Bei "nicht_ermittelbar" die Frist als "unklar" behandeln.`,
+        });
+    }
+    if (analysisContext.heizkostencheck && analysisContext.heizkostencheck.befunde.length > 0) {
+        content.push({
+            type: 'text',
+            text:
+                `Heizkostenprüfung (HeizkostenV und CO2KostAufG, bereits im Code berechnet — NICHT selbst nachrechnen):\n${JSON.stringify(analysisContext.heizkostencheck.befunde, null, 2)}\n` +
+                `Diese Befunde werden automatisch in die Ergebnisliste übernommen. Keine eigenen Einträge dazu anlegen.`,
+        });
+    }
+    if (analysisContext.mietvertrag) {
+        content.push({
+            type: 'text',
+            text:
+                `Mietvertrag (Betriebskostenklausel, Abgleich je Posten bereits im Code gemacht):\n${JSON.stringify({
+                    umlagevereinbarung: analysisContext.mietvertrag.umlagevereinbarung,
+                    klauseln: analysisContext.mietvertrag.klauseln,
+                    zeilen: analysisContext.mietvertrag.zeilen,
+                }, null, 2)}\n` +
+                `Posten mit bewertung "nicht_vereinbart" als E6 markieren (bei sicher=true "fehler" mit Klausel als Beweis, sonst "warnung"); ` +
+                `Posten mit "vereinbart" sind aus Vertragssicht "ok".`,
+        });
+    }
+    if (analysisContext.vorauszahlungsabgleich && analysisContext.vorauszahlungsabgleich.bewertung !== 'nicht_pruefbar') {
+        const abgleich = analysisContext.vorauszahlungsabgleich;
+        content.push({
+            type: 'text',
+            text:
+                `Vorauszahlungen, abgeglichen mit den Zahlungen des Mieters (${abgleich.format}, bereits im Code berechnet — NICHT selbst nachrechnen):\n` +
+                `${JSON.stringify({ bewertung: abgleich.bewertung, summe_gezahlt: abgleich.summe_gezahlt, summe_abrechnung: abgleich.summe_abrechnung, differenz: abgleich.differenz, rechenweg: abgleich.rechenweg }, null, 2)}\n` +
+                `Dieser Abgleich wird automatisch in die Ergebnisliste übernommen. Keinen eigenen Eintrag zu den Vorauszahlungen anlegen.`,
+        });
+    }
+    if (analysisContext.gewerbeanteil) {
+        content.push({
+            type: 'text',
+            text:
+                `Gewerbeanteil (bereits im Code nachgerechnet, Mieteranteil je Posten mit und ohne Vorwegabzug):\n${JSON.stringify(analysisContext.gewerbeanteil.zeilen, null, 2)}\n` +
+                `Posten mit bewertung "abzug_fehlt" oder "abzug_vermutlich_fehlt" als "warnung" (E4) markieren und Differenz sowie Rechenweg nennen — niemals "fehler". Nichts selbst neu berechnen.`,
+        });
+    }
+    if (analysisContext.plausibilitaet && analysisContext.plausibilitaet.zeilen.length > 0) {
+        content.push({
+            type: 'text',
+            text:
+                `Plausibilitätsprüfung (Kosten pro m² und Jahr, bereits im Code berechnet):\n${JSON.stringify(analysisContext.plausibilitaet, null, 2)}\n` +
+                `Posten einer Zeile mit bewertung "ueber" als "warnung" markieren — niemals "fehler" — und Kosten pro m², Orientierungswert sowie Quelle und Stand nennen. ` +
+                `Posten mit "im_rahmen" oder "unter" sind aus Plausibilitätssicht "ok". Nichts selbst neu berechnen.`,
+        });
+    }
+    if (analysisContext.jahresvergleich) {
+        content.push({
+            type: 'text',
+            text:
+                `Vorjahresvergleich (bereits berechnet, Mieteranteil je Posten):\n${JSON.stringify(analysisContext.jahresvergleich.zeilen, null, 2)}\n` +
+                `Posten mit hinweis "sprung" (Anstieg ab ${JUMP_THRESHOLD_PCT} %) als "warnung" markieren — niemals "fehler", ein Anstieg allein ist kein Beweis — ` +
+                `und beide Beträge in der Erklärung nennen. Posten mit hinweis "neu" kamen im Vorjahr nicht vor: als "unklar" markieren und um Erläuterung bitten, ` +
+                `sofern kein anderer Fehlercode greift. Die Prozentwerte nicht selbst neu berechnen.`,
+        });
+    }
+
+    return runStructuredCall({
+        system: SYSTEM_PROMPT,
+        content,
+        tool: ANALYSIS_TOOL,
+        maxTokens: 8192,
+        label: 'Assessment',
+    });
+}
+
+// Premium stage: re-read the original document for every "unklar" item.
+async function runUnklarReview(files, extraction, result) {
+    const unklare = result.ergebnisse
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.status === 'unklar')
+        .map(({ item, index }) => ({
+            ergebnis_index: index,
+            posten: item.posten,
+            betrag: item.betrag,
+            titel: item.titel,
+            erklaerung: item.erklaerung,
+        }));
+    if (unklare.length === 0) return null;
+
+    const content = await buildContentFromFiles(files);
+    content.push({
+        type: 'text',
+        text: `Ausgelesene Posten:\n${JSON.stringify(extraction.kostenposten, null, 2)}\n\nUnklare Posten:\n${JSON.stringify(unklare, null, 2)}`,
+    });
+
+    return runStructuredCall({
+        system: UNKLAR_REVIEW_SYSTEM_PROMPT,
+        content,
+        tool: UNKLAR_REVIEW_TOOL,
+        maxTokens: 6144,
+        label: 'Unklar review',
+    });
+}
+
+function applyUnklarReview(result, review) {
+    const ergebnisse = result.ergebnisse.map((item) => ({ ...item }));
+    for (const entry of Array.isArray(review?.nachpruefung) ? review.nachpruefung : []) {
+        const item = ergebnisse[entry.ergebnis_index];
+        if (!item || item.status !== 'unklar') continue;
+        const nach = ANALYSIS_STATUS_VALUES.includes(entry.status) ? entry.status : 'unklar';
+        if (nach !== item.status) {
+            item.regelpruefung = [
+                ...(item.regelpruefung || []),
+                { regel: 'NACHPRUEFUNG', von: item.status, nach, grund: 'Zweite Prüfung anhand des Originaldokuments.' },
+            ];
+        }
+        Object.assign(item, {
+            status: nach,
+            fehlercode: entry.fehlercode,
+            titel: entry.titel,
+            erklaerung: entry.erklaerung,
+            beweis: entry.beweis,
+            ersparnis_geschaetzt: entry.ersparnis_geschaetzt,
+        });
+    }
+    return { ...result, ergebnisse };
+}
+
+// Case follow-up: the landlord's reply or corrected statement against the original objections.
+async function runFollowUp(files, result) {
+    const content = await buildContentFromFiles(files);
+    // buildContentFromFiles closes with "analyse this statement"; say what the files are instead.
+    content.pop();
+    content.push({
+        type: 'text',
+        text: `Dies ${files.length > 1 ? 'sind die Seiten der Antwort' : 'ist die Antwort'} des Vermieters.\n\nEinwände des Mieters:\n${JSON.stringify(einwaendeFor(result), null, 2)}`,
+    });
 
+    const raw = await runStructuredCall({
+        system: FOLLOW_UP_SYSTEM_PROMPT,
+        content,
+        tool: FOLLOW_UP_TOOL,
+        maxTokens: 6144,
+        label: 'Follow-up',
+    });
+    return normalizeFollowUp(raw, result);
+}
+
+// Run extraction + assessment and return the checked result. The plan decides
+// which premium stages (Vorjahr, unklar review) run on top.
+async function runAnalysis(files, analysisContext = {}) {
     const fileNames = files.map(f => f.originalname).join(', ');
     const totalSize = files.reduce((s, f) => s + f.size, 0);
-    console.log(`Analyzing ${files.length} file(s): ${fileNames} (${(totalSize / 1024).toFixed(0)} KB original)...`);
+    const plan = PLAN_CONFIG[analysisContext.plan] ? analysisContext.plan : 'basic';
+    const { features } = getPlanConfig(plan);
+    console.log(`Analyzing ${files.length} file(s) [${plan}]: ${fileNames} (${(totalSize / 1024).toFixed(0)} KB original)...`);
+
+    const extraction = await runExtraction(files);
+    if (extraction.validierung !== 'ok') {
+        return {
+            validierung: extraction.validierung,
+            validierung_grund: extraction.validierung_grund,
+            ergebnisse: [],
+            unklar_pruefungen: [],
+            extraktion: extraction,
+        };
+    }
 
-    const startTime = Date.now();
+    let vorjahr = null;
+    let vorjahrHinweis = null;
+    const previousFiles = Array.isArray(analysisContext.previousFiles) ? analysisContext.previousFiles : [];
+    if (features.vorjahr && previousFiles.length > 0) {
+        vorjahr = await runExtraction(previousFiles);
+        if (vorjahr.validierung !== 'ok') {
+            vorjahrHinweis = `Die Vorjahresabrechnung konnte nicht ausgewertet werden${vorjahr.validierung_grund ? `: ${vorjahr.validierung_grund}` : '.'}`;
+            vorjahr = null;
+        }
+    }
 
-    const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 8192,
-        temperature: 0,
-        system: SYSTEM_PROMPT,
-        messages: [{ role: 'user', content }]
-    });
+    let mietvertrag = null;
+    let mietvertragHinweis = null;
+    const leaseFiles = Array.isArray(analysisContext.leaseFiles) ? analysisContext.leaseFiles : [];
+    if (leaseFiles.length > 0) {
+        const lease = await runLeaseExtraction(leaseFiles);
+        if (lease.validierung !== 'ok') {
+            mietvertragHinweis = `Der Mietvertrag konnte nicht ausgewertet werden${lease.validierung_grund ? `: ${lease.validierung_grund}` : '.'}`;
+        } else {
+            mietvertrag = checkMietvertrag(extraction, lease);
+            mietvertragHinweis = mietvertrag.hinweis;
+        }
+    }
 
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    const stopReason = response.stop_reason;
-    console.log(`  Claude response received in ${elapsed}s (stop: ${stopReason})`);
-
-    const responseText = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('');
-
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-        throw new Error('Kein JSON in der Antwort gefunden');
-    }
-
-    let jsonStr = jsonMatch[0];
-
-    // If response was truncated, try to repair the JSON
-    if (stopReason === 'max_tokens') {
-        console.log('  Response was truncated, attempting JSON repair...');
-        // Close any open strings, arrays, and objects
-        let openBraces = 0, openBrackets = 0, inString = false, escaped = false;
-        for (const ch of jsonStr) {
-            if (escaped) { escaped = false; continue; }
-            if (ch === '\\') { escaped = true; continue; }
-            if (ch === '"') { inString = !inString; continue; }
-            if (inString) continue;
-            if (ch === '{') openBraces++;
-            if (ch === '}') openBraces--;
-            if (ch === '[') openBrackets++;
-            if (ch === ']') openBrackets--;
-        }
-        if (inString) jsonStr += '"';
-        // Remove trailing comma if present
-        jsonStr = jsonStr.replace(/,\s*$/, '');
-        for (let i = 0; i < openBrackets; i++) jsonStr += ']';
-        for (let i = 0; i < openBraces; i++) jsonStr += '}';
-    }
-
-    const parsed = JSON.parse(jsonStr);
+    const jahresvergleich = vorjahr ? compareYears(extraction, vorjahr) : null;
+    const fristcheck = computeAbrechnungsfrist({
+        zeitraum: extraction.kopfdaten.abrechnungszeitraum,
+        abrechnungsdatum: extraction.kopfdaten.abrechnungsdatum,
+        zugangsdatum: analysisContext.zugangsdatum,
+    });
+    const plausibilitaet = checkPlausibility(extraction, { livingAreaSqm: analysisContext.livingAreaSqm });
+    const heizkostencheck = checkHeizkosten(extraction);
+    const gewerbeanteil = computeGewerbeanteil(extraction);
+    const vorauszahlungsabgleich = analysisContext.zahlungsdaten
+        ? reconcileVorauszahlungen(extraction, analysisContext.zahlungsdaten)
+        : null;
+    const assessment = normalizeAnalysisResult(await runAssessment(extraction, {
+        ...analysisContext,
+        jahresvergleich,
+        fristcheck,
+        plausibilitaet,
+        heizkostencheck,
+        gewerbeanteil,
+        mietvertrag,
+        vorauszahlungsabgleich,
+    }));
+    // Second pass recomputes counts and totals after the rule engine changed statuses.
+    let parsed = normalizeAnalysisResult(applyRuleEngine({
+        ...attachExtractedNumbers(assessment, extraction),
+        fristcheck,
+        plausibilitaet,
+        heizkostencheck,
+        gewerbeanteil,
+        mietvertrag,
+        vorauszahlungsabgleich,
+    }));
+
+    if (features.unklarReview && parsed.unklar_anzahl > 0) {
+        const review = await runUnklarReview(files, extraction, parsed);
+        // The rule engine gets the last word on anything the review upgraded.
+        parsed = normalizeAnalysisResult(applyRuleEngine(applyUnklarReview(parsed, review)));
+    }
+    // Built after the review so they name only the final verdicts: a fehler the rule engine
+    // downgraded must not be argued in the letter.
+    parsed.widerspruchsbrief = buildWiderspruchsbrief(parsed, extraction);
+    parsed.belegeinsicht_brief = buildBelegeinsichtBrief(parsed, extraction);
+
+    parsed.validierung = 'ok';
+    parsed.plan = plan;
+    parsed.extraktion = extraction;
+    parsed.vorjahr_extraktion = vorjahr;
+    parsed.vorjahr_hinweis = vorjahrHinweis;
+    parsed.jahresvergleich = jahresvergleich;
+    parsed.plausibilitaet = plausibilitaet;
+    parsed.heizkostencheck = heizkostencheck;
+    parsed.gewerbeanteil = gewerbeanteil;
+    parsed.mietvertrag = mietvertrag;
+    parsed.mietvertrag_hinweis = mietvertragHinweis;
+    parsed.vorauszahlungsabgleich = vorauszahlungsabgleich;
     if ((!parsed.wohnflaeche_erkannt || parsed.wohnflaeche_erkannt === 'null') && analysisContext.livingAreaSqm) {
         parsed.wohnflaeche_erkannt = `${analysisContext.livingAreaSqm} m² (vom Nutzer angegeben)`;
     }
     return parsed;
 }
 
-function normalizePreviewResult(raw) {
+const ANALYSIS_STATUS_VALUES = ['ok', 'warnung', 'fehler', 'unklar'];
+const FEHLERCODE_VALUES = ['E1', 'E2', 'E3', 'E4', 'E5', 'E6'];
+const MAX_ITEM_SAVINGS_EUR = 10000;
+
+function coerceEuro(value, max = MAX_ITEM_SAVINGS_EUR) {
+    const num = parseEuro(value);
+    if (num === null) return 0;
+    return roundCents(Math.max(0, Math.min(max, num)));
+}
+
+// Amounts the model returns as strings are reprinted in one format; anything that is
+// more than a bare amount ("ca. 280 €", "siehe Anlage 3") is kept as written.
+function formatBetrag(value) {
+    if (isAmountOnly(value)) return formatEuro(parseEuro(value));
+    return sanitizeText(value, 40) || '';
+}
+
+// Enforces the output contract of SYSTEM_PROMPT on the full (paid) analysis.
+// Counts and the savings total are always derived from `ergebnisse`, never trusted.
+function normalizeAnalysisResult(raw) {
+    const safe = raw && typeof raw === 'object' ? raw : {};
+    const ergebnisse = (Array.isArray(safe.ergebnisse) ? safe.ergebnisse : [])
+        .filter((item) => item && typeof item === 'object' && sanitizeText(item.posten, 120))
+        .slice(0, 60)
+        .map((item) => {
+            const statusRaw = typeof item.status === 'string' ? item.status.trim().toLowerCase() : '';
+            const status = ANALYSIS_STATUS_VALUES.includes(statusRaw) ? statusRaw : 'unklar';
+            const codeRaw = typeof item.fehlercode === 'string' ? item.fehlercode.trim().toUpperCase() : null;
+            const postenIndex = Number(item.posten_index);
+            const out = {
+                ...item,
+                posten_index: Number.isInteger(postenIndex) && postenIndex >= 0 ? postenIndex : null,
+                posten: sanitizeText(item.posten, 120),
+                betrag: formatBetrag(item.betrag),
+                status,
+                fehlercode: FEHLERCODE_VALUES.includes(codeRaw) ? codeRaw : null,
+                titel: sanitizeText(item.titel, 120),
+                erklaerung: sanitizeText(item.erklaerung, 1000) || '',
+                beweis: sanitizeText(item.beweis, 600),
+                ersparnis_geschaetzt: status === 'ok' || status === 'unklar' ? 0 : coerceEuro(item.ersparnis_geschaetzt),
+            };
+            if (!Array.isArray(out.regelpruefung)) delete out.regelpruefung;
+            return out;
+        });
+
+
+    return {
+        ...safe,
+        validierung: ['ok', 'nicht_lesbar', 'keine_abrechnung', 'unvollstaendig'].includes(safe.validierung)
+            ? safe.validierung
+            : 'ok',
+        validierung_grund: sanitizeText(safe.validierung_grund, 300),
+        zusammenfassung: sanitizeText(safe.zusammenfassung, 1200) || '',
+        wohnflaeche_erkannt: sanitizeText(safe.wohnflaeche_erkannt, 60),
+        abrechnungszeitraum: sanitizeText(safe.abrechnungszeitraum, 80),
+        gesamtkosten_mieter: formatBetrag(safe.gesamtkosten_mieter) || null,
+        ergebnisse,
+        unklar_pruefungen: (Array.isArray(safe.unklar_pruefungen) ? safe.unklar_pruefungen : [])
+            .map((p) => sanitizeText(p, 300))
+            .filter(Boolean)
+            .slice(0, 20),
+        potenzielle_ersparnis_gesamt: totalSavings(ergebnisse),
+        fehler_anzahl: ergebnisse.filter(e => e.status === 'fehler').length,
+        warnungen_anzahl: ergebnisse.filter(e => e.status === 'warnung').length,
+        unklar_anzahl: ergebnisse.filter(e => e.status === 'unklar').length,
+        empfehlung: sanitizeText(safe.empfehlung, 600),
+        widerspruchsbrief: sanitizeText(safe.widerspruchsbrief, 12000),
+        belegeinsicht_brief: sanitizeText(safe.belegeinsicht_brief, 12000),
+    };
+}
+
+function normalizePreviewResult(raw, context = {}) {
     const safe = raw && typeof raw === 'object' ? raw : {};
     const validierung = ['ok', 'nicht_lesbar', 'keine_abrechnung', 'unvollstaendig'].includes(safe.validierung)
         ? safe.validierung
@@ -797,8 +1291,8 @@ function normalizePreviewResult(raw) {
         }))
         : [];
 
-    const potNum = Number(safe.einsparpotenzial_geschaetzt_eur);
-    const einsparpotenzial = Number.isFinite(potNum)
+    const potNum = parseEuro(safe.einsparpotenzial_geschaetzt_eur);
+    const einsparpotenzial = potNum !== null
         ? Math.max(0, Math.min(5000, Math.round(potNum)))
         : 0;
     const erkannteDatenRaw = Array.isArray(safe.erkannte_daten)
@@ -840,62 +1334,7 @@ function normalizePreviewResult(raw) {
             || 'Im vollständigen Check werden alle Posten, Umlageschlüssel und Fristen detailliert geprüft.',
         naechster_schritt: sanitizeText(safe.naechster_schritt, 220)
             || 'Wenn Sie sicher gehen möchten, starten Sie die vollständige Prüfung mit fertigem Widerspruchsbrief.',
-    });
-}
-
-function parseGermanDate(dateText) {
-    if (typeof dateText !== 'string') return null;
-    const s = dateText.trim();
-
-    const dotMatch = s.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
-    if (dotMatch) {
-        const d = Number(dotMatch[1]);
-        const m = Number(dotMatch[2]) - 1;
-        const y = Number(dotMatch[3]);
-        const dt = new Date(y, m, d);
-        if (dt.getFullYear() === y && dt.getMonth() === m && dt.getDate() === d) return dt;
-    }
-
-    const monthMap = {
-        januar: 0, februar: 1, maerz: 2, märz: 2, april: 3, mai: 4, juni: 5,
-        juli: 6, august: 7, september: 8, oktober: 9, november: 10, dezember: 11,
-    };
-    const wordMatch = s.match(/\b(\d{1,2})\.\s*([A-Za-zÄÖÜäöü]+)\s+(\d{4})\b/);
-    if (wordMatch) {
-        const d = Number(wordMatch[1]);
-        const monthRaw = wordMatch[2].toLowerCase();
-        const y = Number(wordMatch[3]);
-        const m = monthMap[monthRaw];
-        if (typeof m === 'number') {
-            const dt = new Date(y, m, d);
-            if (dt.getFullYear() === y && dt.getMonth() === m && dt.getDate() === d) return dt;
-        }
-    }
-    return null;
-}
-
-function parsePeriodEndDate(periodText) {
-    if (typeof periodText !== 'string') return null;
-    const matches = periodText.match(/\b\d{1,2}\.\d{1,2}\.\d{4}\b/g);
-    if (!matches || matches.length === 0) return null;
-    return parseGermanDate(matches[matches.length - 1]);
-}
-
-function extractDateFromText(text) {
-    if (typeof text !== 'string') return null;
-    const dot = text.match(/\b\d{1,2}\.\d{1,2}\.\d{4}\b/);
-    if (dot) return parseGermanDate(dot[0]);
-    const word = text.match(/\b\d{1,2}\.\s*[A-Za-zÄÖÜäöü]+\s+\d{4}\b/);
-    if (word) return parseGermanDate(word[0]);
-    return null;
-}
-
-function formatDateDE(dateObj) {
-    if (!(dateObj instanceof Date) || Number.isNaN(dateObj.getTime())) return null;
-    const dd = String(dateObj.getDate()).padStart(2, '0');
-    const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const yyyy = String(dateObj.getFullYear());
-    return `${dd}.${mm}.${yyyy}`;
+    }, context);
 }
 
 function getRecognizedValue(recognizedRows, wantedField) {
@@ -917,31 +1356,15 @@ function mergeRecognizedData(base, additions) {
     return list.slice(0, 12);
 }
 
-function deriveSavingsFromAuffaelligkeiten(auffaelligkeiten) {
-    let max = 0;
-    for (const item of (auffaelligkeiten || [])) {
-        const text = `${item.titel || ''} ${item.kurz || ''}`;
-        const m = text.match(/(\d{1,3}(?:[.\s]\d{3})*(?:,\d{1,2})?)\s*€/);
-        if (m) {
-            const value = Number(m[1].replace(/\./g, '').replace(/\s/g, '').replace(',', '.'));
-            if (Number.isFinite(value)) max = Math.max(max, Math.round(value));
-        }
-    }
-    return max;
-}
-
-function applyPreviewLogicGuards(preview) {
+function applyPreviewLogicGuards(preview, context = {}) {
     const out = {
         ...preview,
         auffaelligkeiten: [...(preview.auffaelligkeiten || [])],
         erkannte_daten: [...(preview.erkannte_daten || [])],
     };
-    const periodEnd = parsePeriodEndDate(out.erkannte_basisdaten?.abrechnungszeitraum || '');
-    let deadline = null;
-    if (periodEnd) {
-        deadline = new Date(periodEnd);
-        deadline.setFullYear(deadline.getFullYear() + 1);
-    }
+    const abrechnungszeitraumText = out.erkannte_basisdaten?.abrechnungszeitraum || null;
+    const periodEnd = parsePeriod(abrechnungszeitraumText)?.end || null;
+    const deadline = periodEnd ? computeFristende(periodEnd).fristende : null;
 
     // Filter false "date in future" warnings when date is still within statutory deadline.
     out.auffaelligkeiten = out.auffaelligkeiten.filter((item) => {
@@ -962,33 +1385,17 @@ function applyPreviewLogicGuards(preview) {
         });
     }
 
-    const abrechnungszeitraumText = out.erkannte_basisdaten?.abrechnungszeitraum || null;
     const abrechnungsdatumFromRows = getRecognizedValue(out.erkannte_daten, 'abrechnungsdatum');
     const abrechnungsdatumFromHints = out.auffaelligkeiten
         .map((item) => extractDateFromText(`${item.titel || ''} ${item.kurz || ''}`))
         .find(Boolean);
     const abrechnungsdatum = parseGermanDate(abrechnungsdatumFromRows || '') || abrechnungsdatumFromHints || null;
 
-    const fristcheck = {
-        zeitraum_ende: periodEnd ? formatDateDE(periodEnd) : null,
-        fristende: deadline ? formatDateDE(deadline) : null,
-        abrechnungsdatum: abrechnungsdatum ? formatDateDE(abrechnungsdatum) : null,
-        status: 'nicht_ermittelbar',
-        erklaerung: 'Frist konnte im Vorab-Check nicht sicher berechnet werden.',
-    };
-    if (deadline && abrechnungsdatum) {
-        if (abrechnungsdatum <= deadline) {
-            fristcheck.status = 'fristgerecht';
-            fristcheck.erklaerung = `Abrechnung datiert auf ${formatDateDE(abrechnungsdatum)}. Fristende für den Zeitraum ist ${formatDateDE(deadline)}.`;
-        } else {
-            fristcheck.status = 'frist_ueberschritten';
-            fristcheck.erklaerung = `Abrechnung datiert auf ${formatDateDE(abrechnungsdatum)} und liegt nach dem Fristende ${formatDateDE(deadline)}.`;
-        }
-    } else if (deadline && !abrechnungsdatum) {
-        fristcheck.erklaerung = `Fristende wäre ${formatDateDE(deadline)}, aber ein Abrechnungsdatum wurde nicht sicher erkannt.`;
-    } else if (abrechnungszeitraumText) {
-        fristcheck.erklaerung = 'Abrechnungszeitraum erkannt, aber Fristende konnte nicht sicher bestimmt werden.';
-    }
+    const fristcheck = computeAbrechnungsfrist({
+        zeitraum: abrechnungszeitraumText,
+        abrechnungsdatum,
+        zugangsdatum: context.zugangsdatum,
+    });
     out.fristcheck = fristcheck;
 
     out.erkannte_daten = mergeRecognizedData(out.erkannte_daten, [
@@ -1033,25 +1440,15 @@ async function runFreePreview(files, analysisContext = {}) {
         type: 'text',
         text: `Heutiges Datum (für Fristlogik): ${new Date().toLocaleDateString('de-DE')}.`,
     });
-    const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1800,
-        temperature: 0,
+    const raw = await runStructuredCall({
         system: PREVIEW_SYSTEM_PROMPT,
-        messages: [{ role: 'user', content }],
+        content,
+        tool: PREVIEW_TOOL,
+        maxTokens: 1800,
+        label: 'Preview',
     });
 
-    const responseText = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('');
-
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-        throw new Error('Kein JSON im Vorab-Check gefunden');
-    }
-
-    const normalized = normalizePreviewResult(JSON.parse(jsonMatch[0]));
+    const normalized = normalizePreviewResult(raw, { zugangsdatum: analysisContext.zugangsdatum });
     if ((!normalized.erkannte_basisdaten?.wohnflaeche || normalized.erkannte_basisdaten.wohnflaeche === 'null') && analysisContext.livingAreaSqm) {
         normalized.erkannte_basisdaten.wohnflaeche = `${analysisContext.livingAreaSqm} m² (vom Nutzer angegeben)`;
     }
@@ -1059,6 +1456,19 @@ async function runFreePreview(files, analysisContext = {}) {
 }
 
 // === PDF Generation ===
+// One row of a right-aligned number table; `cols` holds the x positions of the column edges.
+function pdfTableRow(doc, cols, cells, color) {
+    const widths = cells.map((_, i) => cols[i + 1] - cols[i] - 6);
+    const height = Math.max(...cells.map((cell, i) => doc.fontSize(9).heightOfString(cell, { width: widths[i] })));
+    if (doc.y + height > 780) doc.addPage();
+    const y = doc.y;
+    cells.forEach((cell, i) => {
+        doc.fontSize(9).fillColor(color).text(cell, cols[i], y, { width: widths[i], align: i === 0 ? 'left' : 'right' });
+    });
+    doc.x = 50;
+    doc.y = y + height + 3;
+}
+
 function generatePDF(data) {
     return new Promise((resolve, reject) => {
         const doc = new PDFDocument({ size: 'A4', margin: 50 });
@@ -1084,6 +1494,10 @@ function generatePDF(data) {
         if (data.abrechnungszeitraum) doc.fontSize(10).fillColor(gray).text(`Abrechnungszeitraum: ${data.abrechnungszeitraum}`);
         if (data.wohnflaeche_erkannt) doc.fontSize(10).fillColor(gray).text(`Wohnfläche: ${data.wohnflaeche_erkannt}`);
         if (data.gesamtkosten_mieter) doc.fontSize(10).fillColor(gray).text(`Gesamtkosten Mieter: ${data.gesamtkosten_mieter}`);
+        if (data.plan && data.plan !== 'basic') doc.fontSize(10).fillColor(gray).text(`Tarif: ${getPlanConfig(data.plan).label}`);
+        if (data.vorjahr_hinweis) doc.fontSize(10).fillColor(orange).text(data.vorjahr_hinweis);
+        if (data.mietvertrag_hinweis) doc.fontSize(10).fillColor(orange).text(data.mietvertrag_hinweis);
+        if (data.vorauszahlungsabgleich?.hinweis) doc.fontSize(10).fillColor(orange).text(`Vorauszahlungen: ${data.vorauszahlungsabgleich.hinweis}`);
         doc.moveDown(0.5);
 
         // Summary
@@ -1101,7 +1515,7 @@ function generatePDF(data) {
             .text(`Gefundene Fehler: `, { continued: true }).fillColor(red).text(`${fehler.length}`)
             .fillColor('#1a1a2e').text(`Warnungen: `, { continued: true }).fillColor(orange).text(`${warnungen.length}`)
             .fillColor('#1a1a2e').text(`Offene Punkte: `, { continued: true }).fillColor(blue).text(`${unklarItems.length}`)
-            .fillColor('#1a1a2e').text(`Potenzielle Ersparnis: `, { continued: true }).fillColor(green).text(`${Math.round(ersparnis)} €`);
+            .fillColor('#1a1a2e').text(`Potenzielle Ersparnis: `, { continued: true }).fillColor(green).text(formatEuro(ersparnis));
         doc.moveDown(1);
 
         // Results
@@ -1130,43 +1544,208 @@ function generatePDF(data) {
             if (item.beweis) {
                 doc.fontSize(9).fillColor('#6b7280').text(`Beleg: „${item.beweis}"`, { oblique: true });
             }
+            if (item.vertragsklausel) {
+                doc.fontSize(9).fillColor('#6b7280').text(`Vertragsgrundlage: Mietvertrag ${item.vertragsklausel}`);
+            }
+            for (const check of (item.regelpruefung || [])) {
+                doc.fontSize(9).fillColor('#6b7280').text(`Automatisch nachgeprüft: ${check.grund}`);
+            }
             if (item.ersparnis_geschaetzt > 0) {
-                doc.fontSize(10).fillColor(green).text(`Mögliche Ersparnis: ${Math.round(item.ersparnis_geschaetzt)} €`);
+                doc.fontSize(10).fillColor(green).text(`Mögliche Ersparnis: ${formatEuro(item.ersparnis_geschaetzt)}`);
             }
             doc.moveDown(0.4);
         }
 
-        // Unklar section with evidence requests
-        if (data.unklar_pruefungen && data.unklar_pruefungen.length > 0) {
-            if (doc.y > 650) doc.addPage();
+        // Cost per m² against the benchmark table
+        if (data.plausibilitaet && data.plausibilitaet.zeilen.length > 0) {
+            const plausi = data.plausibilitaet;
+            if (doc.y > 600) doc.addPage();
             doc.moveDown(0.5);
-            doc.fontSize(13).fillColor('#1a1a2e').text('Offene Prüfpunkte', { underline: true });
+            doc.fontSize(13).fillColor('#1a1a2e').text('Kosten pro m² im Vergleich', { underline: true });
             doc.moveDown(0.3);
-            doc.fontSize(10).fillColor(gray).text('Folgende Punkte konnten nicht abschließend geprüft werden. Fordern Sie ggf. Belegeinsicht beim Vermieter an:');
-            doc.moveDown(0.2);
-            for (const pruefung of data.unklar_pruefungen) {
-                doc.fontSize(10).fillColor(gray).text(`• ${pruefung}`);
+            doc.fontSize(9).fillColor(gray).text(`Wohnfläche: ${formatNumberDE(plausi.wohnflaeche_qm, 0, 2)} m²${plausi.wohnflaeche_quelle === 'nutzer' ? ' (Ihre Angabe)' : ''}. Orientierungswerte: ${plausi.quelle}, Stand ${plausi.jahr} (Version ${plausi.version}).`);
+            doc.moveDown(0.3);
+
+            const cols = [50, 240, 320, 400, 480, 545];
+            const bewertungLabel = { ueber: 'darüber', im_rahmen: 'im Rahmen', unter: 'darunter' };
+            const tableRow = (cells, color) => pdfTableRow(doc, cols, cells, color);
+
+            tableRow(['Kostenart', 'Ihr Anteil', 'pro m²/Jahr', 'Orientierung', 'Bewertung'], '#1a1a2e');
+            for (const zeile of plausi.zeilen) {
+                tableRow([
+                    zeile.posten.length > 1 ? `${zeile.label} (${zeile.posten.join(', ')})` : zeile.label,
+                    formatEuro(zeile.betrag),
+                    `${formatNumberDE(zeile.pro_qm)} €`,
+                    `${formatNumberDE(zeile.min)}–${formatNumberDE(zeile.max)} €`,
+                    bewertungLabel[zeile.bewertung],
+                ], zeile.bewertung === 'ueber' ? orange : gray);
             }
         }
 
-        // Recommendation
-        if (data.empfehlung) {
-            if (doc.y > 680) doc.addPage();
+        // Lease: which clause each item relies on
+        if (data.mietvertrag && data.mietvertrag.zeilen.length > 0) {
+            const mietvertrag = data.mietvertrag;
+            if (doc.y > 600) doc.addPage();
             doc.moveDown(0.5);
-            doc.fontSize(13).fillColor('#1a1a2e').text('Empfehlung', { underline: true });
+            doc.fontSize(13).fillColor('#1a1a2e').text('Abgleich mit dem Mietvertrag', { underline: true });
             doc.moveDown(0.3);
-            doc.fontSize(11).fillColor(gray).text(data.empfehlung);
+            const fundstellen = new Set(mietvertrag.zeilen.map((z) => z.fundstelle).filter(Boolean));
+            for (const klausel of mietvertrag.klauseln.filter((k) => fundstellen.has(k.fundstelle))) {
+                if (doc.y > 720) doc.addPage();
+                doc.fontSize(9).fillColor('#1a1a2e').text(`${klausel.fundstelle}: `, { continued: true })
+                    .fillColor(gray).text(`„${klausel.zitat}"`, { oblique: true });
+            }
+            doc.moveDown(0.3);
+
+            const cols = [50, 250, 330, 430, 545];
+            const bewertungLabel = {
+                vereinbart: 'vereinbart',
+                nicht_vereinbart: 'nicht vereinbart',
+                keine_umlage: 'Pauschale / Inklusivmiete',
+                nicht_feststellbar: 'nicht feststellbar',
+            };
+            const tableRow = (cells, color) => pdfTableRow(doc, cols, cells, color);
+            tableRow(['Posten', 'Ihr Anteil', 'Klausel', 'Bewertung'], '#1a1a2e');
+            for (const zeile of mietvertrag.zeilen) {
+                const auffaellig = zeile.bewertung === 'nicht_vereinbart' || zeile.bewertung === 'keine_umlage';
+                tableRow([zeile.posten, formatEuro(zeile.betrag) || '', zeile.fundstelle || '–', bewertungLabel[zeile.bewertung]], auffaellig ? orange : gray);
+            }
+            if (mietvertrag.nicht_vereinbart_summe > 0) {
+                doc.moveDown(0.3);
+                doc.fontSize(10).fillColor('#1a1a2e').text(`Summe der nicht vereinbarten Posten: ${formatEuro(mietvertrag.nicht_vereinbart_summe)}`);
+            }
         }
 
-        // Letter
-        if (data.widerspruchsbrief) {
-            doc.addPage();
-            doc.fontSize(13).fillColor('#1a1a2e').text('Muster-Widerspruchsbrief', { underline: true });
+        // Vorauszahlungen against the tenant's own payments
+        if (data.vorauszahlungsabgleich && data.vorauszahlungsabgleich.zahlungen.length > 0) {
+            const abgleich = data.vorauszahlungsabgleich;
+            if (doc.y > 600) doc.addPage();
+            doc.moveDown(0.5);
+            doc.fontSize(13).fillColor('#1a1a2e').text('Vorauszahlungen und Ihre Zahlungen', { underline: true });
+            doc.moveDown(0.3);
+            doc.fontSize(9).fillColor(gray).text(`Quelle: ${abgleich.format}. Abrechnungszeitraum ${abgleich.zeitraum}.${abgleich.kaltmiete ? ` Je Zahlung abzüglich Kaltmiete ${formatEuro(abgleich.kaltmiete)}.` : ''}`);
+            doc.moveDown(0.3);
+
+            const cols = [50, 130, 350, 440, 545];
+            const tableRow = (cells, color) => pdfTableRow(doc, cols, cells, color);
+            tableRow(['Datum', 'Empfänger / Verwendungszweck', 'Betrag', 'Vorauszahlung'], '#1a1a2e');
+            for (const zahlung of abgleich.zahlungen) {
+                const text = [zahlung.empfaenger, zahlung.verwendungszweck].filter(Boolean).join(' — ') || (zahlung.manuell ? 'eigene Angabe' : '');
+                tableRow([zahlung.datum, text, formatEuro(zahlung.betrag), formatEuro(zahlung.anteil)], gray);
+            }
+            tableRow(['Summe', '', '', formatEuro(abgleich.summe_gezahlt)], '#1a1a2e');
+            tableRow(['Abrechnung', 'angerechnete Vorauszahlungen', '', formatEuro(abgleich.summe_abrechnung)], '#1a1a2e');
+            if (abgleich.bewertung === 'zu_wenig_angerechnet') {
+                tableRow(['Differenz', 'zu Ihren Lasten', '', formatEuro(abgleich.differenz)], red);
+            }
+        }
+
+        // Commercial units: Vorwegabzug recomputed per item
+        if (data.gewerbeanteil && data.gewerbeanteil.zeilen.length > 0) {
+            const gewerbeanteil = data.gewerbeanteil;
+            const gewerbe = gewerbeanteil.gewerbe;
+            const bewertungLabel = {
+                abzug_fehlt: 'Vorwegabzug fehlt',
+                abzug_vermutlich_fehlt: 'Vorwegabzug fehlt vermutlich',
+                im_schluessel: 'Gewerbe im Verteilerschlüssel enthalten',
+                abgezogen: 'Vorwegabzug vorgenommen',
+                nach_verbrauch: 'nach Verbrauch verteilt',
+                nicht_berechenbar: 'nicht nachrechenbar (Angaben fehlen)',
+            };
+            if (doc.y > 600) doc.addPage();
+            doc.moveDown(0.5);
+            doc.fontSize(13).fillColor('#1a1a2e').text('Gewerbeanteil (Vorwegabzug)', { underline: true });
+            doc.moveDown(0.3);
+            const angaben = [
+                gewerbe.gewerbe_flaeche_qm ? `${formatNumberDE(gewerbe.gewerbe_flaeche_qm, 0, 2)} m² Gewerbefläche` : null,
+                gewerbe.gewerbe_einheiten ? `${formatNumberDE(gewerbe.gewerbe_einheiten, 0)} Gewerbeeinheit(en)` : null,
+                gewerbe.gesamtflaeche_qm ? `${formatNumberDE(gewerbe.gesamtflaeche_qm, 0, 2)} m² Gesamtfläche` : null,
+            ].filter(Boolean);
+            doc.fontSize(9).fillColor(gray).text(`Laut Abrechnung: ${angaben.length > 0 ? angaben.join(', ') : 'Gewerbe im Haus, ohne Flächenangabe'}. Geschätzt wird, was Sie ohne den Anteil des Gewerbes zahlen würden.`);
+            doc.moveDown(0.3);
+            for (const zeile of gewerbeanteil.zeilen) {
+                if (doc.y > 720) doc.addPage();
+                const fehlt = zeile.differenz !== null && zeile.differenz > 0
+                    && (zeile.bewertung === 'abzug_fehlt' || zeile.bewertung === 'abzug_vermutlich_fehlt');
+                doc.fontSize(10).fillColor(fehlt ? orange : '#1a1a2e').text(`${zeile.posten}: ${bewertungLabel[zeile.bewertung]}`);
+                if (zeile.rechenweg) doc.fontSize(9).fillColor(gray).text(zeile.rechenweg);
+                if (fehlt) doc.fontSize(9).fillColor(orange).text(`Differenz zu Ihren Lasten: ${formatEuro(zeile.differenz)}`);
+                doc.moveDown(0.3);
+            }
+            if (gewerbeanteil.differenz_summe > 0) {
+                doc.fontSize(10).fillColor('#1a1a2e').text(`Summe der geschätzten Differenzen: ${formatEuro(gewerbeanteil.differenz_summe)}`);
+                doc.fontSize(9).fillColor(gray).text('Ob ein Vorwegabzug rechtlich nötig war, hängt davon ab, wie viel Mehrkosten das Gewerbe verursacht. Die Beträge sind deshalb eine Schätzung für die Nachfrage beim Vermieter.');
+            }
+        }
+
+        // Year-over-year comparison (premium with Vorjahr upload)
+        if (data.jahresvergleich && data.jahresvergleich.zeilen.length > 0) {
+            const vergleich = data.jahresvergleich;
+            if (doc.y > 600) doc.addPage();
+            doc.moveDown(0.5);
+            doc.fontSize(13).fillColor('#1a1a2e').text('Vergleich mit dem Vorjahr', { underline: true });
+            doc.moveDown(0.3);
+            doc.fontSize(9).fillColor(gray).text(`Vorjahr: ${vergleich.zeitraum_vorjahr || 'unbekannt'} — aktuell: ${vergleich.zeitraum_aktuell || 'unbekannt'}`);
+            doc.moveDown(0.3);
+
+            const cols = [50, 240, 320, 400, 465, 545];
+            const euro = (v) => formatEuro(v) || '–';
+            const pct = (v) => formatPercentDE(v) || '–';
+            const hinweisLabel = { sprung: 'Anstieg', neu: 'neu', entfallen: 'entfallen' };
+            const tableRow = (cells, color) => pdfTableRow(doc, cols, cells, color);
+
+            tableRow(['Posten', 'Vorjahr', 'Aktuell', 'Änderung', 'Hinweis'], '#1a1a2e');
+            for (const zeile of vergleich.zeilen) {
+                const color = zeile.hinweis === 'sprung' || zeile.hinweis === 'neu' ? orange : gray;
+                const name = zeile.posten_vorjahr && zeile.posten_vorjahr !== zeile.posten
+                    ? `${zeile.posten} (Vorjahr: ${zeile.posten_vorjahr})`
+                    : zeile.posten;
+                tableRow([name, euro(zeile.betrag_vorjahr), euro(zeile.betrag_aktuell), pct(zeile.differenz_prozent), hinweisLabel[zeile.hinweis] || ''], color);
+            }
+            tableRow(['Summe', euro(vergleich.summe_vorjahr), euro(vergleich.summe_aktuell), pct(vergleich.summe_differenz_prozent), ''], '#1a1a2e');
+        }
+
+        // Unklar section with evidence requests
+        if (data.unklar_pruefungen && data.unklar_pruefungen.length > 0) {
+            if (doc.y > 650) doc.addPage();
+            doc.moveDown(0.5);
+            doc.fontSize(13).fillColor('#1a1a2e').text('Offene Prüfpunkte', { underline: true });
+            doc.moveDown(0.3);
+            // Frist points get no Belegeinsicht letter, so the pointer only stands when there is one.
+            const verweis = data.belegeinsicht_brief ? ' Das Anschreiben zur Belegeinsicht am Ende dieses Berichts fordert die Unterlagen dazu an.' : '';
+            doc.fontSize(10).fillColor(gray).text(`Folgende Punkte konnten nicht abschließend geprüft werden.${verweis}`);
+            doc.moveDown(0.2);
+            for (const pruefung of data.unklar_pruefungen) {
+                doc.fontSize(10).fillColor(gray).text(`• ${pruefung}`);
+            }
+        }
+
+        // Recommendation
+        if (data.empfehlung) {
+            if (doc.y > 680) doc.addPage();
+            doc.moveDown(0.5);
+            doc.fontSize(13).fillColor('#1a1a2e').text('Empfehlung', { underline: true });
+            doc.moveDown(0.3);
+            doc.fontSize(11).fillColor(gray).text(data.empfehlung);
+        }
+
+        // Letter
+        if (data.widerspruchsbrief) {
+            doc.addPage();
+            doc.fontSize(13).fillColor('#1a1a2e').text('Muster-Widerspruchsbrief', { underline: true });
             doc.moveDown(0.5);
             const briefText = data.widerspruchsbrief.replace(/\\n/g, '\n');
             doc.fontSize(10).fillColor('#1a1a2e').text(briefText, { lineGap: 3 });
         }
 
+        if (data.belegeinsicht_brief) {
+            doc.addPage();
+            doc.fontSize(13).fillColor('#1a1a2e').text('Anschreiben zur Belegeinsicht', { underline: true });
+            doc.moveDown(0.5);
+            const belegText = data.belegeinsicht_brief.replace(/\\n/g, '\n');
+            doc.fontSize(10).fillColor('#1a1a2e').text(belegText, { lineGap: 3 });
+        }
+
         // Footer
         doc.moveDown(1);
         doc.fontSize(8).fillColor(gray).text(
@@ -1180,7 +1759,17 @@ function generatePDF(data) {
 }
 
 // === Email sending via Resend ===
-async function sendResultEmail(email, data, pdfBuffer) {
+// For anything the user typed that ends up in a mail body.
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+async function sendResultEmail(email, data, pdfBuffer, reportLink = null) {
     if (!resend) {
         console.log('  RESEND_API_KEY not set, skipping email.');
         return;
@@ -1213,13 +1802,18 @@ async function sendResultEmail(email, data, pdfBuffer) {
                     </td>
                     <td style="width: 8px;"></td>
                     <td style="padding: 12px; background: #f0faf4; border-radius: 8px; text-align: center;">
-                        <strong style="font-size: 24px; color: #1a6b4a;">${Math.round(ersparnis)} €</strong><br>
+                        <strong style="font-size: 24px; color: #1a6b4a;">${formatEuro(ersparnis)}</strong><br>
                         <span style="color: #4a5568; font-size: 13px;">Ersparnis</span>
                     </td>
                 </tr>
             </table>
             <p><strong>Zusammenfassung:</strong> ${data.zusammenfassung}</p>
-            ${data.widerspruchsbrief ? '<p>Im angehängten PDF finden Sie auch einen <strong>fertigen Muster-Widerspruchsbrief</strong>, den Sie direkt an Ihren Vermieter schicken können.</p>' : ''}
+            ${data.widerspruchsbrief ? `<p>Im angehängten PDF finden Sie auch einen <strong>fertigen Brief an Ihren Vermieter</strong>${fehler.length > 0 ? ' mit der Bitte um Korrektur' : ' mit der Bitte um Erläuterung der auffälligen Posten'}.</p>` : ''}
+            ${data.belegeinsicht_brief ? '<p>Für die offenen Punkte finden Sie außerdem ein <strong>Anschreiben zur Belegeinsicht</strong> im PDF und als Textdatei zum Bearbeiten im Anhang.</p>' : ''}
+            ${reportLink ? `
+                <p><a href="${reportLink}" style="display: inline-block; padding: 12px 20px; background: #1a6b4a; color: #fff; border-radius: 8px; text-decoration: none;">Ergebnis online ansehen</a></p>
+                <p style="font-size: 13px; color: #4a5568;">Der Link ist 30 Tage gültig und nur für Sie bestimmt. Zum Weitergeben erstellen Sie auf der Ergebnisseite einen eigenen Link.</p>
+            ` : ''}
             <p style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #e2dfd9; font-size: 12px; color: #8896a6;">
                 Dieser Bericht wurde automatisch erstellt und stellt keine Rechtsberatung dar.<br>
                 NebenkostenRetter — nebenkostenretter.de
@@ -1227,16 +1821,24 @@ async function sendResultEmail(email, data, pdfBuffer) {
         </div>
     `;
 
+    const attachments = [{
+        filename: 'Pruefbericht-Nebenkosten.pdf',
+        content: pdfBuffer.toString('base64'),
+    }];
+    if (data.belegeinsicht_brief) {
+        attachments.push({
+            filename: 'Anschreiben-Belegeinsicht.txt',
+            content: Buffer.from(data.belegeinsicht_brief.replace(/\\n/g, '\n'), 'utf8').toString('base64'),
+        });
+    }
+
     try {
         await resend.emails.send({
             from: 'NebenkostenRetter <onboarding@resend.dev>',
             to: [email],
-            subject: `Ihr Prüfbericht: ${fehler.length} Fehler gefunden${ersparnis > 0 ? ` — bis zu ${Math.round(ersparnis)} € Ersparnis` : ''}`,
+            subject: `Ihr Prüfbericht: ${fehler.length} Fehler gefunden${ersparnis > 0 ? ` — bis zu ${formatEuro(ersparnis)} Ersparnis` : ''}`,
             html: htmlBody,
-            attachments: [{
-                filename: 'Pruefbericht-Nebenkosten.pdf',
-                content: pdfBuffer.toString('base64'),
-            }],
+            attachments,
         });
         console.log(`  Email sent to ${email}`);
     } catch (err) {
@@ -1244,31 +1846,104 @@ async function sendResultEmail(email, data, pdfBuffer) {
     }
 }
 
-// === Run analysis with automatic retry for transient errors ===
-async function runAnalysisWithRetry(files, analysisContext = {}, maxRetries = 2) {
-    let lastError;
-    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
-        try {
-            return await runAnalysis(files, analysisContext);
-        } catch (err) {
-            lastError = err;
-            const isTransient = err.status === 429 || err.status === 500 || err.status === 502 || err.status === 503 || !err.status;
-            if (isTransient && attempt <= maxRetries) {
-                const delay = attempt * 3000; // 3s, 6s
-                console.log(`  Retry ${attempt}/${maxRetries} in ${delay/1000}s (${err.message})`);
-                await new Promise(r => setTimeout(r, delay));
-            } else {
-                throw err;
-            }
-        }
+// Sent once when the landlord's answer deadline has passed without a reply (lib/cases.js).
+async function sendCaseReminderEmail({ sessionId, email, fall }) {
+    if (!resend) {
+        console.log('  RESEND_API_KEY not set, skipping case reminder.');
+        return;
+    }
+    // A fresh owner token, like the result email: the case is closed to the bare session ID.
+    const ref = reportTokens.issueOwnerToken(sessionId) || sessionId;
+    const link = `${PUBLIC_BASE_URL}/?fall=${encodeURIComponent(ref)}`;
+    const htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1a1a2e;">
+            <h2 style="color: #1a6b4a;">Hat Ihr Vermieter geantwortet?</h2>
+            <p>Sie haben Ihren Brief zur Nebenkostenabrechnung${fall.abrechnungszeitraum ? ` ${escapeHtml(fall.abrechnungszeitraum)}` : ''} am <strong>${fall.versand.datum}</strong> verschickt (${fall.versand.kanal_label}${fall.versand.sendungsnummer ? `, Sendungsnummer ${escapeHtml(fall.versand.sendungsnummer)}` : ''}).
+            Die Frist für eine Antwort ist am <strong>${fall.antwort_bis}</strong> abgelaufen.</p>
+            <p>So können Sie jetzt vorgehen:</p>
+            <ul>
+                <li>Ist inzwischen eine Antwort oder eine korrigierte Abrechnung da? Laden Sie sie hoch — wir gleichen sie mit Ihren Einwänden ab.</li>
+                <li>Noch keine Antwort? Erinnern Sie Ihren Vermieter freundlich und setzen Sie eine neue Frist.</li>
+                <li>Solange Ihre Einwände nicht geklärt sind, müssen Sie eine strittige Nachzahlung nicht leisten.</li>
+            </ul>
+            <p><a href="${link}" style="display: inline-block; padding: 12px 20px; background: #1a6b4a; color: #fff; border-radius: 8px; text-decoration: none;">Fall öffnen</a></p>
+            <p style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #e2dfd9; font-size: 12px; color: #8896a6;">
+                Sie erhalten diese E-Mail einmalig, weil Sie eine Erinnerung für diesen Fall angefordert haben. Keine Rechtsberatung.<br>
+                NebenkostenRetter — nebenkostenretter.de
+            </p>
+        </div>
+    `;
+    await resend.emails.send({
+        from: 'NebenkostenRetter <onboarding@resend.dev>',
+        to: [email],
+        subject: `Keine Antwort auf Ihren Brief vom ${fall.versand.datum}?`,
+        html: htmlBody,
+    });
+    console.log(`  Case reminder sent to ${email}`);
+    appendEvent({ sessionId, eventName: 'case_reminder_sent' });
+}
+
+async function sendAnalysisFailedEmail(email, { erstattung, paidEur }) {
+    if (!resend) {
+        console.log('  RESEND_API_KEY not set, skipping failure email.');
+        return;
+    }
+    const geld = {
+        erstattet: `<p>Den bezahlten Betrag von <strong>${formatEuro(paidEur)}</strong> haben wir Ihnen bereits zurückerstattet. Je nach Bank sehen Sie die Gutschrift in 5–10 Tagen.</p>`,
+        manuell: `<p>Den bezahlten Betrag von <strong>${formatEuro(paidEur)}</strong> erstatten wir Ihnen in den nächsten Tagen.</p>`,
+    }[erstattung] || '';
+    // The free re-upload is for customers who keep their payment, not on top of a refund.
+    const erneut = erstattung ? '' : 'Solange die Ergebnisseite noch geöffnet ist, können Sie die Abrechnung dort kostenlos erneut hochladen. ';
+    const htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1a1a2e;">
+            <h2 style="color: #1a6b4a;">Ihre Prüfung konnte leider nicht abgeschlossen werden</h2>
+            <p>Bei der Analyse Ihrer Nebenkostenabrechnung ist trotz mehrerer Versuche ein technischer Fehler aufgetreten. Es tut uns leid.</p>
+            ${geld}
+            <p>${erneut}Bei Fragen schreiben Sie an marc@marcboehle.de.</p>
+            <p style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #e2dfd9; font-size: 12px; color: #8896a6;">
+                NebenkostenRetter — nebenkostenretter.de
+            </p>
+        </div>
+    `;
+    await resend.emails.send({
+        from: 'NebenkostenRetter <onboarding@resend.dev>',
+        to: [email],
+        subject: 'Ihre Nebenkostenprüfung konnte nicht abgeschlossen werden',
+        html: htmlBody,
+    });
+    console.log(`  Failure email sent to ${email}`);
+}
+
+async function sendLoginEmail(email, link) {
+    if (!resend) {
+        console.log('  RESEND_API_KEY not set, skipping login email.');
+        return;
     }
-    throw lastError;
+    const htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1a1a2e;">
+            <h2 style="color: #1a6b4a;">Ihr Anmeldelink für „Meine Prüfungen“</h2>
+            <p>Klicken Sie auf den Button, um Ihre bisherigen Prüfberichte und Briefe zu sehen. Der Link ist 15 Minuten gültig und funktioniert nur einmal.</p>
+            <p><a href="${link}" style="display: inline-block; padding: 12px 20px; background: #1a6b4a; color: #fff; border-radius: 8px; text-decoration: none;">Jetzt anmelden</a></p>
+            <p style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #e2dfd9; font-size: 12px; color: #8896a6;">
+                Sie haben diese Anmeldung nicht angefordert? Dann können Sie diese E-Mail ignorieren.<br>
+                NebenkostenRetter — nebenkostenretter.de
+            </p>
+        </div>
+    `;
+    await resend.emails.send({
+        from: 'NebenkostenRetter <onboarding@resend.dev>',
+        to: [email],
+        subject: 'Ihr Anmeldelink für NebenkostenRetter',
+        html: htmlBody,
+    });
 }
 
+const caseService = createCaseService({ store: disputeCases, sendReminder: sendCaseReminderEmail });
+
 // === Auto-refund via Stripe ===
 async function autoRefund(sessionId, reason) {
     try {
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        const session = await retrieveCheckoutSession(sessionId);
         if (session.payment_intent && session.payment_status === 'paid') {
             await stripe.refunds.create({
                 payment_intent: session.payment_intent,
@@ -1295,90 +1970,241 @@ async function autoRefund(sessionId, reason) {
     return false;
 }
 
-// === Start background analysis for a session ===
-function startBackgroundAnalysis(sessionId) {
-    if (activeAnalyses.has(sessionId)) return; // Already running
+const refundService = createRefundService({
+    getOrder: (sessionId) => eventStore.getOrder(sessionId),
+    issueRefund: autoRefund,
+    onManualRefund: (sessionId, { reason, paidEur }) => {
+        console.error(`  Manual refund needed for ${sessionId} (${formatEuro(paidEur)})`);
+        upsertOrder({ session_id: sessionId, refund_status: 'manual_required' });
+        appendEvent({ sessionId, eventName: 'refund_manual_required', meta: { reason } });
+    },
+});
+
+// === Background analysis via the durable queue ===
+function isRetryableAnalysisError(err) {
+    if (err.retryable === false) return false;
+    return err.status === 429 || err.status === 500 || err.status === 502 || err.status === 503 || err.status === 529 || !err.status;
+}
 
+// Queue handler: runs one paid analysis. Throwing hands the error back to the queue,
+// which retries transient failures and dead-letters the rest.
+async function processAnalysisJob(sessionId) {
     const pending = pendingFiles.get(sessionId);
-    if (!pending) return;
-
-    activeAnalyses.add(sessionId);
-
-    runAnalysisWithRetry(pending.files, { livingAreaSqm: pending.livingAreaSqm || null, previewSnapshot: pending.previewSnapshot || null })
-        .then(async (result) => {
-            // Check document validation
-            if (result.validierung && result.validierung !== 'ok') {
-                const validierungMessages = {
-                    'nicht_lesbar': 'Das Dokument konnte leider nicht gelesen werden. Bitte laden Sie deutlichere Fotos oder ein besseres PDF hoch.',
-                    'keine_abrechnung': 'Das hochgeladene Dokument scheint keine Nebenkostenabrechnung zu sein.',
-                    'unvollstaendig': 'Das Dokument scheint unvollständig zu sein. Bitte laden Sie alle Seiten Ihrer Abrechnung hoch.',
-                };
+    if (!pending) {
+        console.log(`  Queue: no files for ${sessionId} (expired), skipping.`);
+        return;
+    }
 
-                let errorMsg = validierungMessages[result.validierung] || 'Dokument konnte nicht verarbeitet werden.';
-                if (result.validierung_grund) {
-                    errorMsg += ' ' + result.validierung_grund;
-                }
+    const result = await runAnalysis(pending.files, {
+        plan: pending.plan || 'basic',
+        previousFiles: pending.previousFiles || [],
+        leaseFiles: pending.leaseFiles || [],
+        livingAreaSqm: pending.livingAreaSqm || null,
+        zugangsdatum: pending.zugangsdatum || null,
+        zahlungsdaten: pending.zahlungsdaten || null,
+        previewSnapshot: pending.previewSnapshot || null,
+    });
 
-                // Auto-refund — customer shouldn't pay for an unusable document
-                const refunded = await autoRefund(sessionId, result.validierung);
-                if (refunded) {
-                    const refundedAmount = (getPlanConfig(pending.plan || 'basic').amountCents / 100).toFixed(2).replace('.', ',');
-                    errorMsg += ` Ihr Geld (${refundedAmount} €) wurde automatisch zurückerstattet.`;
-                }
+    // Check document validation
+    if (result.validierung && result.validierung !== 'ok') {
+        const validierungMessages = {
+            'nicht_lesbar': 'Das Dokument konnte leider nicht gelesen werden. Bitte laden Sie deutlichere Fotos oder ein besseres PDF hoch.',
+            'keine_abrechnung': 'Das hochgeladene Dokument scheint keine Nebenkostenabrechnung zu sein.',
+            'unvollstaendig': 'Das Dokument scheint unvollständig zu sein. Bitte laden Sie alle Seiten Ihrer Abrechnung hoch.',
+        };
+
+        let errorMsg = validierungMessages[result.validierung] || 'Dokument konnte nicht verarbeitet werden.';
+        if (result.validierung_grund) {
+            errorMsg += ' ' + result.validierung_grund;
+        }
 
-                console.log(`Validation failed for ${sessionId}: ${result.validierung} — ${result.validierung_grund || 'no reason'}`);
-                completedResults.set(sessionId, {
-                    error: errorMsg,
-                    errorType: 'validation_' + result.validierung,
-                    refunded,
-                    createdAt: Date.now(),
-                });
-                return;
-            }
+        // Auto-refund — customer shouldn't pay for an unusable document
+        const { erstattung, paidEur } = await refundService.refundFailedAnalysis(sessionId, {
+            reason: result.validierung,
+            fallbackEur: getPlanConfig(pending.plan || 'basic').amountCents / 100,
+            manual: false,
+        });
+        const refunded = erstattung === 'erstattet';
+        if (refunded) {
+            errorMsg += ` Ihr Geld (${formatEuro(paidEur)}) wurde automatisch zurückerstattet.`;
+        }
 
-            completedResults.set(sessionId, { result, createdAt: Date.now() });
-            console.log(`Analysis complete for ${sessionId}: ${result.fehler_anzahl} errors, ${result.warnungen_anzahl} warnings`);
-            appendEvent({
-                sessionId,
-                eventName: 'analysis_completed',
-                source: pending.source,
-                campaign: pending.campaign,
-                meta: {
-                    plan: pending.plan || 'basic',
-                    fehler: result.fehler_anzahl || 0,
-                    warnungen: result.warnungen_anzahl || 0,
-                    ersparnis: result.potenzielle_ersparnis_gesamt || 0,
-                },
-            });
+        console.log(`Validation failed for ${sessionId}: ${result.validierung} — ${result.validierung_grund || 'no reason'}`);
+        completedResults.set(sessionId, {
+            error: errorMsg,
+            errorType: 'validation_' + result.validierung,
+            refunded,
+            createdAt: Date.now(),
+        });
+        keepRetryContext(sessionId, pending);
+        return;
+    }
 
-            // Send email with PDF if email was provided
-            if (pending.email) {
-                try {
-                    const pdfBuffer = await generatePDF(result);
-                    await sendResultEmail(pending.email, result, pdfBuffer);
-                } catch (emailErr) {
-                    console.error(`  PDF/Email error:`, emailErr.message);
-                }
-            }
-        })
-        .catch(err => {
-            console.error(`Analysis failed for ${sessionId}:`, err.message);
-            let errorType = 'analysis_failed';
-            let errorMsg = 'Die Analyse konnte leider nicht abgeschlossen werden.';
-            if (err.status === 401) {
-                errorType = 'config_error';
-                errorMsg = 'Interner Konfigurationsfehler. Bitte kontaktieren Sie den Support.';
-            }
-            if (err.status === 429) {
-                errorType = 'rate_limit';
-                errorMsg = 'Unser System ist gerade überlastet. Bitte versuchen Sie es in wenigen Minuten erneut.';
+    completedResults.set(sessionId, { result, createdAt: Date.now() });
+    pendingFiles.delete(sessionId);
+    const saved = Boolean(pending.saveReport && pending.email && accountService.addReport(pending.email, sessionId, result, { plan: pending.plan || 'basic' }));
+    if (saved) {
+        console.log(`  Report saved to the customer account for ${sessionId}`);
+    }
+    console.log(`Analysis complete for ${sessionId}: ${result.fehler_anzahl} errors, ${result.warnungen_anzahl} warnings`);
+    appendEvent({
+        sessionId,
+        eventName: 'analysis_completed',
+        source: pending.source,
+        campaign: pending.campaign,
+        meta: {
+            plan: pending.plan || 'basic',
+            fehler: result.fehler_anzahl || 0,
+            warnungen: result.warnungen_anzahl || 0,
+            ersparnis: result.potenzielle_ersparnis_gesamt || 0,
+        },
+    });
+
+    // Send email with PDF if email was provided
+    if (pending.email) {
+        try {
+            const pdfBuffer = await generatePDF(result);
+            // Only a saved report outlives the one-hour result cache, so only then is a link worth sending.
+            const reportToken = saved ? reportTokens.issueOwnerToken(sessionId) : null;
+            const reportLink = reportToken ? `${PUBLIC_BASE_URL}/?bericht=${encodeURIComponent(reportToken)}` : null;
+            await sendResultEmail(pending.email, result, pdfBuffer, reportLink);
+        } catch (emailErr) {
+            console.error(`  PDF/Email error:`, emailErr.message);
+        }
+    }
+}
+
+// A failed analysis drops the statement but keeps what else came with the order (lease,
+// Vorjahr statement, payments) until the upload retention ends, so /api/retry-analysis checks the
+// re-uploaded statement against the same context. `failedAt` keeps recovery from rerunning it.
+function keepRetryContext(sessionId, pending) {
+    if (!pending) {
+        pendingFiles.delete(sessionId);
+        return;
+    }
+    pendingFiles.set(sessionId, { ...pending, files: [], failedAt: Date.now() });
+}
+
+// Dead letter: the customer paid and gets no report, so the payment goes back (once — see
+// lib/refunds.js). If Stripe refuses the refund, the order is flagged for a manual one. Either
+// way the customer is told by email — the result page is usually closed by the time the last
+// retry has failed.
+async function recordAnalysisFailure(sessionId, err) {
+    const pending = pendingFiles.get(sessionId);
+    let errorType = 'analysis_failed';
+    let errorMsg = 'Die Analyse konnte leider nicht abgeschlossen werden.';
+    if (err.status === 401) {
+        errorType = 'config_error';
+        errorMsg = 'Interner Konfigurationsfehler. Bitte kontaktieren Sie den Support.';
+    }
+    if (err.status === 429) {
+        errorType = 'rate_limit';
+        errorMsg = 'Unser System ist gerade überlastet. Bitte versuchen Sie es in wenigen Minuten erneut.';
+    }
+
+    // A retry after an earlier refund comes back as 'bereits': nothing to refund or promise.
+    const { erstattung, paidEur } = await refundService.refundFailedAnalysis(sessionId, {
+        reason: errorType,
+        fallbackEur: getPlanConfig(pending?.plan || 'basic').amountCents / 100,
+    });
+    if (erstattung === 'erstattet') {
+        errorMsg += ` Ihr Geld (${formatEuro(paidEur)}) wurde automatisch zurückerstattet.`;
+    } else if (erstattung === 'manuell') {
+        errorMsg += ` Wir erstatten Ihnen den Betrag (${formatEuro(paidEur)}) in den nächsten Tagen.`;
+    }
+    completedResults.set(sessionId, { error: errorMsg, errorType, refunded: erstattung === 'erstattet', createdAt: Date.now() });
+    keepRetryContext(sessionId, pending);
+
+    if (pending?.email) {
+        try {
+            await sendAnalysisFailedEmail(pending.email, { erstattung, paidEur });
+        } catch (emailErr) {
+            console.error(`  Failure email error:`, emailErr.message);
+        }
+    }
+}
+
+const analysisQueue = createAnalysisQueue({
+    store: analysisJobs,
+    handler: processAnalysisJob,
+    isRetryable: isRetryableAnalysisError,
+    onDeadLetter: recordAnalysisFailure,
+    concurrency: Math.max(1, Number(process.env.ANALYSIS_CONCURRENCY) || 2),
+    maxAttempts: Math.max(1, Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 4),
+});
+
+const FOLLOW_UP_VALIDIERUNG_MESSAGES = {
+    nicht_lesbar: 'Die Antwort konnte nicht gelesen werden. Bitte laden Sie deutlichere Fotos oder ein besseres PDF hoch.',
+    keine_antwort: 'Das hochgeladene Dokument scheint keine Antwort auf Ihre Einwände zu sein.',
+};
+
+// Queue handler for the follow-up check; the case holds the reply files and the result snapshot.
+async function processFollowUpJob(sessionId) {
+    const fall = caseService.get(sessionId);
+    if (!fall || fall.nachpruefung?.status !== 'laeuft') return;
+
+    const ergebnis = await runFollowUp(fall.antwort.dateien, fall.result);
+    if (ergebnis.validierung !== 'ok') {
+        caseService.failFollowUp(sessionId, FOLLOW_UP_VALIDIERUNG_MESSAGES[ergebnis.validierung]);
+        return;
+    }
+    const letter = nachfassLetter(fall.result, ergebnis, fall.result.extraktion, {
+        versandDatum: fall.versand?.datum || null,
+        antwortDatum: ergebnis.dokumentdatum || fall.antwort.eingegangen_am,
+    });
+    caseService.recordFollowUp(sessionId, { ergebnis, brief: letter ? letterText(letter) : null });
+    console.log(`Follow-up complete for ${sessionId}: ${ergebnis.angenommen_anzahl} accepted, ${ergebnis.abgelehnt_anzahl} rejected, ${ergebnis.offen_anzahl} open`);
+    appendEvent({
+        sessionId,
+        eventName: 'case_followup_completed',
+        meta: {
+            angenommen: ergebnis.angenommen_anzahl,
+            abgelehnt: ergebnis.abgelehnt_anzahl,
+            offen: ergebnis.offen_anzahl,
+            zugestanden: ergebnis.zugestanden_gesamt,
+        },
+    });
+}
+
+const followUpQueue = createAnalysisQueue({
+    store: followUpJobs,
+    handler: processFollowUpJob,
+    isRetryable: isRetryableAnalysisError,
+    onDeadLetter: (sessionId) => caseService.failFollowUp(sessionId, 'Die Prüfung der Antwort ist fehlgeschlagen. Bitte versuchen Sie es erneut.'),
+    concurrency: 1,
+    maxAttempts: Math.max(1, Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 4),
+});
+
+function startBackgroundAnalysis(sessionId) {
+    const pending = pendingFiles.get(sessionId);
+    if (!pending || pending.failedAt) return;
+    if (analysisQueue.enqueue(sessionId)) {
+        console.log(`Analysis queued for ${sessionId} (position ${analysisQueue.position(sessionId)})`);
+    }
+}
+
+// === Startup recovery: resume paid sessions that never got a result ===
+async function recoverPendingJobs() {
+    let resumed = 0;
+    for (const sessionId of pendingFiles.keys()) {
+        if (completedResults.has(sessionId) || analysisQueue.getJob(sessionId)) continue;
+        const pending = pendingFiles.get(sessionId);
+        if (!pending || pending.failedAt) continue;
+        if (!pending.paidAt) {
+            // Payment may have completed while the server was down (missed webhook).
+            try {
+                const session = await retrieveCheckoutSession(sessionId);
+                if (session.payment_status !== 'paid') continue;
+                markPendingPaid(sessionId);
+            } catch (err) {
+                console.error(`  Recovery: could not verify payment for ${sessionId}:`, err.message);
+                continue;
             }
-            completedResults.set(sessionId, { error: errorMsg, errorType, createdAt: Date.now() });
-        })
-        .finally(() => {
-            activeAnalyses.delete(sessionId);
-            pendingFiles.delete(sessionId);
-        });
+        }
+        startBackgroundAnalysis(sessionId);
+        resumed++;
+    }
+    if (resumed > 0) console.log(`  Recovery: ${resumed} bezahlte Analyse(n) wieder aufgenommen.`);
 }
 
 async function createCheckoutHandler(req, res, fallbackPlan = 'basic') {
@@ -1388,7 +2214,11 @@ async function createCheckoutHandler(req, res, fallbackPlan = 'basic') {
             return res.status(400).json({ error: 'Bitte stimmen Sie der Datenverarbeitung zu (Pflichtangabe).' });
         }
 
-        if (!req.files || req.files.length === 0) {
+        // v2 uploads come in as named fields (current statement + optional Vorjahr and Mietvertrag).
+        const files = Array.isArray(req.files) ? req.files : (req.files?.files || []);
+        const vorjahrFiles = Array.isArray(req.files) ? [] : (req.files?.vorjahr_files || []);
+        const leaseFiles = Array.isArray(req.files) ? [] : (req.files?.mietvertrag_files || []);
+        if (files.length === 0) {
             return res.status(400).json({ error: 'Keine Datei hochgeladen.' });
         }
 
@@ -1403,9 +2233,15 @@ async function createCheckoutHandler(req, res, fallbackPlan = 'basic') {
             ? selectedPlanRaw
             : 'basic';
         const planConfig = getPlanConfig(selectedPlan);
+        const previousFiles = planConfig.features.vorjahr ? vorjahrFiles : [];
         const source = sanitizeText(req.body.source || req.query.source, 120);
         const campaign = sanitizeText(req.body.campaign || req.query.campaign, 120);
         const livingAreaSqm = parseLivingAreaSqm(req.body.living_area_sqm || req.query.living_area_sqm);
+        const zugangsdatum = parseZugangsdatum(req.body.zugangsdatum);
+        const { zahlungsdaten, error: zahlungsError } = parseZahlungsdaten(req);
+        if (zahlungsError) {
+            return res.status(400).json({ error: zahlungsError });
+        }
         let previewSnapshot = null;
         try {
             const rawPreview = typeof req.body.preview_snapshot === 'string' ? req.body.preview_snapshot : '';
@@ -1413,7 +2249,7 @@ async function createCheckoutHandler(req, res, fallbackPlan = 'basic') {
                 const parsed = JSON.parse(rawPreview);
                 // Only keep a minimal safe subset (avoid trusting client data too much).
                 previewSnapshot = {
-                    einsparpotenzial_geschaetzt_eur: Number(parsed?.einsparpotenzial_geschaetzt_eur || 0) || 0,
+                    einsparpotenzial_geschaetzt_eur: parseEuro(parsed?.einsparpotenzial_geschaetzt_eur) || 0,
                     einsparpotenzial_erklaerung: sanitizeText(parsed?.einsparpotenzial_erklaerung, 220) || '',
                     fristcheck_status: sanitizeText(parsed?.fristcheck?.status, 40) || '',
                 };
@@ -1423,74 +2259,136 @@ async function createCheckoutHandler(req, res, fallbackPlan = 'basic') {
         }
 
         const customerEmail = req.body.email || undefined;
-
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            customer_email: customerEmail,
-            line_items: [{
-                price_data: {
-                    currency: 'eur',
-                    product_data: {
-                        name: `Nebenkostenabrechnung Prüfung (${planConfig.label})`,
-                        description: planConfig.description,
+        const saveReport = req.body.save_report === '1' || req.body.save_report === 'true';
+
+        // Vouchers are checked before Stripe sees anything; an invalid code aborts checkout.
+        let amountCents = planConfig.amountCents;
+        let voucher = null;
+        const voucherCode = sanitizeText(req.body.voucher_code, 40);
+        if (voucherCode) {
+            const check = vouchers.validate({ code: voucherCode, plan: selectedPlan, amountCents });
+            if (!check.ok) {
+                return res.status(400).json({ error: check.error });
+            }
+            voucher = { ...check.voucher, discountCents: check.discountCents };
+            amountCents = check.amountCents;
+        }
+        const isFree = amountCents === 0;
+
+        let sessionId;
+        let checkoutUrl;
+        if (isFree) {
+            // 100 % voucher: no payment step, go straight to the analysis.
+            sessionId = `${FREE_SESSION_PREFIX}${crypto.randomBytes(18).toString('base64url')}`;
+            checkoutUrl = `${baseUrl}/?session_id=${sessionId}`;
+        } else {
+            const session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                customer_email: customerEmail,
+                line_items: [{
+                    price_data: {
+                        currency: 'eur',
+                        product_data: {
+                            name: `Nebenkostenabrechnung Prüfung (${planConfig.label})`,
+                            description: voucher
+                                ? `${planConfig.description} — Gutschein ${voucher.code}`
+                                : planConfig.description,
+                        },
+                        unit_amount: amountCents,
                     },
-                    unit_amount: planConfig.amountCents,
+                    quantity: 1,
+                }],
+                mode: 'payment',
+                // A voucher use is only reserved for this long (lib/vouchers.js).
+                ...(voucher ? { expires_at: Math.floor((Date.now() + CHECKOUT_RESERVATION_MS) / 1000) } : {}),
+                success_url: `${baseUrl}/?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${baseUrl}/#upload`,
+                metadata: {
+                    plan: selectedPlan,
+                    source: source || '',
+                    campaign: campaign || '',
+                    living_area_sqm: livingAreaSqm ? String(livingAreaSqm) : '',
+                    zugangsdatum: zugangsdatum || '',
+                    voucher_code: voucher ? voucher.code : '',
+                    save_report: saveReport ? '1' : '',
                 },
-                quantity: 1,
-            }],
-            mode: 'payment',
-            success_url: `${baseUrl}/?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${baseUrl}/#upload`,
-            metadata: {
-                plan: selectedPlan,
-                source: source || '',
-                campaign: campaign || '',
-                living_area_sqm: livingAreaSqm ? String(livingAreaSqm) : '',
-            },
+            });
+            sessionId = session.id;
+            checkoutUrl = session.url;
+        }
+
+        const toStoredFile = (f) => ({
+            originalname: f.originalname,
+            mimetype: f.mimetype,
+            buffer: f.buffer,
+            size: f.size,
         });
 
         // Store files + email temporarily
-        pendingFiles.set(session.id, {
-            files: req.files.map(f => ({
-                originalname: f.originalname,
-                mimetype: f.mimetype,
-                buffer: f.buffer,
-                size: f.size,
-            })),
+        pendingFiles.set(sessionId, {
+            files: files.map(toStoredFile),
+            previousFiles: previousFiles.map(toStoredFile),
+            leaseFiles: leaseFiles.map(toStoredFile),
             email: customerEmail,
             plan: selectedPlan,
             source,
             campaign,
             livingAreaSqm,
+            zugangsdatum,
+            zahlungsdaten,
             previewSnapshot,
+            saveReport,
+            ...(isFree ? { paidAt: Date.now() } : {}),
             createdAt: Date.now(),
         });
 
         upsertOrder({
-            session_id: session.id,
+            session_id: sessionId,
             plan: selectedPlan,
-            gross_eur: Number((planConfig.amountCents / 100).toFixed(2)),
-            net_eur: Number((planConfig.amountCents / 100).toFixed(2)),
-            payment_status: 'pending',
+            gross_eur: roundCents(amountCents / 100),
+            net_eur: roundCents(amountCents / 100),
+            payment_status: isFree ? 'paid' : 'pending',
             refund_status: 'none',
             source,
             campaign,
+            ...(voucher ? {
+                voucher_code: voucher.code,
+                voucher_campaign: voucher.campaign,
+                discount_eur: roundCents(voucher.discountCents / 100),
+            } : {}),
+            // Free sessions have no Stripe record to recover the address from on retry.
+            ...(isFree ? { customer_email: customerEmail || null, living_area_sqm: livingAreaSqm, zugangsdatum, save_report: saveReport } : {}),
         });
 
         appendEvent({
-            sessionId: session.id,
+            sessionId,
             eventName: 'checkout_started',
             source,
             campaign,
             meta: {
                 plan: selectedPlan,
-                file_count: req.files.length,
+                file_count: files.length,
+                vorjahr_file_count: previousFiles.length,
+                mietvertrag_file_count: leaseFiles.length,
+                zahlungen_quelle: zahlungsdaten ? zahlungsdaten.format : null,
                 living_area_sqm: livingAreaSqm,
+                voucher_code: voucher ? voucher.code : null,
             },
         });
 
-        console.log(`Checkout session created: ${session.id} (${selectedPlan}, ${req.files.length} file(s), email: ${customerEmail || 'none'})`);
-        res.json({ checkoutUrl: session.url });
+        if (isFree) {
+            appendEvent({
+                sessionId,
+                eventName: 'payment_completed',
+                source,
+                campaign,
+                meta: { plan: selectedPlan, amount_total: 0, voucher_code: voucher.code },
+            });
+            startBackgroundAnalysis(sessionId);
+        }
+
+        console.log(`Checkout session created: ${sessionId} (${selectedPlan}, ${files.length} file(s), ${previousFiles.length} Vorjahr, ${leaseFiles.length} Mietvertrag, voucher: ${voucher ? voucher.code : 'none'}, email: ${customerEmail || 'none'})`);
+        res.json({ checkoutUrl, session_id: sessionId, report_token: reportTokens.issueOwnerToken(sessionId) });
 
     } catch (err) {
         console.error('Checkout creation error:', err);
@@ -1503,11 +2401,32 @@ app.post('/api/create-checkout', upload.array('files', 5), async (req, res) => {
     return createCheckoutHandler(req, res, 'basic');
 });
 
-// === New V2 checkout with explicit plan ===
-app.post('/api/create-checkout-v2', upload.array('files', 5), async (req, res) => {
+// === V2 checkout with explicit plan (+ optional Vorjahr upload for premium, Mietvertrag for every plan) ===
+app.post('/api/create-checkout-v2', upload.fields([
+    { name: 'files', maxCount: 5 },
+    { name: 'vorjahr_files', maxCount: 5 },
+    { name: 'mietvertrag_files', maxCount: 5 },
+    { name: 'kontoauszug_file', maxCount: 1 },
+]), async (req, res) => {
     return createCheckoutHandler(req, res, 'basic');
 });
 
+// === Voucher check (lets the form show the discounted price before checkout) ===
+app.post('/api/voucher-check', express.json(), (req, res) => {
+    const plan = Object.prototype.hasOwnProperty.call(PLAN_CONFIG, req.body?.plan) ? req.body.plan : 'basic';
+    const amountCents = getPlanConfig(plan).amountCents;
+    const check = vouchers.validate({ code: req.body?.code, plan, amountCents });
+    if (!check.ok) {
+        return res.status(400).json({ ok: false, error: check.error });
+    }
+    return res.json({
+        ok: true,
+        code: check.voucher.code,
+        price_eur: roundCents(check.amountCents / 100),
+        discount_eur: roundCents(check.discountCents / 100),
+    });
+});
+
 // === Kostenloser Vorab-Check (ohne Zahlung) ===
 app.post('/api/free-preview', upload.array('files', 5), async (req, res) => {
     try {
@@ -1526,6 +2445,7 @@ app.post('/api/free-preview', upload.array('files', 5), async (req, res) => {
         const source = sanitizeText(req.body.source || req.query.source, 120);
         const campaign = sanitizeText(req.body.campaign || req.query.campaign, 120);
         const livingAreaSqm = parseLivingAreaSqm(req.body.living_area_sqm || req.query.living_area_sqm);
+        const zugangsdatum = parseZugangsdatum(req.body.zugangsdatum);
 
         appendEvent({
             eventName: 'free_preview_started',
@@ -1541,7 +2461,7 @@ app.post('/api/free-preview', upload.array('files', 5), async (req, res) => {
             size: f.size,
         }));
 
-        const preview = await runFreePreview(files, { livingAreaSqm });
+        const preview = await runFreePreview(files, { livingAreaSqm, zugangsdatum });
 
         appendEvent({
             eventName: 'free_preview_completed',
@@ -1562,29 +2482,70 @@ app.post('/api/free-preview', upload.array('files', 5), async (req, res) => {
     }
 });
 
+// Result, PDF, letter, case and retry routes take a signed report token (lib/report-tokens.js)
+// where they used to take the session ID. A bare session ID still works for sessions that never
+// got one. Scope `owner` admits only the owner token: everything that changes the case or the
+// analysis, or that shows more than the finished report.
+function reportAccess(ref, scope) {
+    let access;
+    if (String(ref).includes('.')) {
+        access = reportTokens.resolve(ref, scope === 'owner' ? null : scope);
+    } else if (reportTokens.isLocked(ref)) {
+        return { ok: false, error: 'Dieser Link ist nicht mehr gültig. Bitte öffnen Sie Ihr Ergebnis über den Link aus der E-Mail.' };
+    } else {
+        access = { ok: true, sessionId: ref, art: 'owner', scopes: ['view', 'pdf'] };
+    }
+    if (access.ok && scope === 'owner' && access.art !== 'owner') {
+        return { ok: false, error: 'Das ist nur mit dem Link des Auftraggebers der Prüfung möglich.' };
+    }
+    return access;
+}
+
+// The cached result, or the copy in the customer's account once the cache has expired.
+function findResult(sessionId) {
+    const cached = completedResults.get(sessionId);
+    if (cached) return cached;
+    const saved = savedReports.get(sessionId);
+    return saved ? { result: saved.result } : null;
+}
+
 // === STEP 2: Poll for analysis result ===
 // Client calls this repeatedly. First call triggers the analysis, subsequent calls check status.
-app.get('/api/result/:sessionId', async (req, res) => {
+app.get('/api/result/:ref', async (req, res) => {
     // Never cache polling responses. Some browsers will send If-None-Match and receive 304,
     // which breaks JSON parsing and leaves the UI stuck in "processing".
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     try {
-        const { sessionId } = req.params;
+        const access = reportAccess(req.params.ref, 'view');
+        if (!access.ok) {
+            return res.json({ status: 'error', error: access.error, errorType: 'link_invalid' });
+        }
+        const { sessionId } = access;
+        // Shared links don't get the session ID: it still opens the case and the retry upload.
+        const zugriff = access.art === 'owner'
+            ? { art: 'owner', scopes: access.scopes, session_id: sessionId }
+            : { art: 'share', scopes: access.scopes };
 
         // 1. Already completed? Return cached result
-        const cached = completedResults.get(sessionId);
+        const cached = findResult(sessionId);
         if (cached) {
             if (cached.error) {
                 return res.json({ status: 'error', error: cached.error, errorType: cached.errorType || 'unknown' });
             }
-            return res.json({ status: 'done', data: cached.result });
+            return res.json({ status: 'done', data: cached.result, zugriff });
         }
 
-        // 2. Currently being analyzed? Tell client to keep polling
-        if (activeAnalyses.has(sessionId)) {
-            return res.json({ status: 'processing' });
+        // A shared link only ever shows a finished report.
+        if (access.art !== 'owner') {
+            return res.json({ status: 'error', error: 'Dieser Bericht ist nicht mehr verfügbar.', errorType: 'link_invalid' });
+        }
+
+        // 2. Queued or being analyzed? Tell client to keep polling
+        const job = analysisQueue.getJob(sessionId);
+        if (job && job.status !== 'dead') {
+            return res.json({ status: 'processing', queue_position: analysisQueue.position(sessionId) });
         }
 
         // 3. First call — verify payment and start analysis
@@ -1593,7 +2554,7 @@ app.get('/api/result/:sessionId', async (req, res) => {
         }
 
         // Verify payment with Stripe
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        const session = await retrieveCheckoutSession(sessionId);
         if (session.payment_status !== 'paid') {
             return res.json({ status: 'error', error: 'Zahlung nicht abgeschlossen.' });
         }
@@ -1620,6 +2581,7 @@ app.get('/api/result/:sessionId', async (req, res) => {
         }
 
         // Check if files exist
+        markPendingPaid(sessionId);
         if (!pendingFiles.has(sessionId)) {
             return res.json({
                 status: 'error',
@@ -1630,7 +2592,7 @@ app.get('/api/result/:sessionId', async (req, res) => {
 
         // Start analysis in background
         startBackgroundAnalysis(sessionId);
-        return res.json({ status: 'processing' });
+        return res.json({ status: 'processing', queue_position: analysisQueue.position(sessionId) });
 
     } catch (err) {
         console.error('Result check error:', err);
@@ -1641,23 +2603,31 @@ app.get('/api/result/:sessionId', async (req, res) => {
 // === STEP 3: Retry analysis with re-uploaded files (free, payment already verified) ===
 app.post('/api/retry-analysis', upload.array('files', 5), async (req, res) => {
     try {
-        const sessionId = req.body.session_id;
-        if (!sessionId) {
+        if (!req.body.ref) {
             return res.status(400).json({ error: 'Keine Session-ID angegeben.' });
         }
+        const access = reportAccess(req.body.ref, 'owner');
+        if (!access.ok) {
+            return res.status(403).json({ error: access.error });
+        }
+        const { sessionId } = access;
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'Keine Datei hochgeladen.' });
         }
 
         // Verify payment with Stripe
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        const session = await retrieveCheckoutSession(sessionId);
         if (session.payment_status !== 'paid') {
             return res.status(403).json({ error: 'Zahlung nicht gefunden.' });
         }
 
         // Clear any old error result for this session
         completedResults.delete(sessionId);
-        activeAnalyses.delete(sessionId);
+        analysisQueue.remove(sessionId);
+        const previous = pendingFiles.get(sessionId);
+        if (!previous) {
+            console.log(`  Retry for ${sessionId}: upload context expired, continuing without lease/Vorjahr/payments`);
+        }
 
         // Store new files
         pendingFiles.set(sessionId, {
@@ -1672,7 +2642,13 @@ app.post('/api/retry-analysis', upload.array('files', 5), async (req, res) => {
             source: session.metadata?.source || null,
             campaign: session.metadata?.campaign || null,
             livingAreaSqm: parseLivingAreaSqm(session.metadata?.living_area_sqm),
+            zugangsdatum: parseZugangsdatum(session.metadata?.zugangsdatum),
+            saveReport: session.metadata?.save_report === '1',
+            previousFiles: previous?.previousFiles || [],
+            leaseFiles: previous?.leaseFiles || [],
+            zahlungsdaten: previous?.zahlungsdaten || null,
             previewSnapshot: null,
+            paidAt: Date.now(),
             createdAt: Date.now(),
         });
 
@@ -1687,7 +2663,7 @@ app.post('/api/retry-analysis', upload.array('files', 5), async (req, res) => {
             campaign: session.metadata?.campaign || null,
             meta: { file_count: req.files.length },
         });
-        res.json({ status: 'processing' });
+        res.json({ status: 'processing', queue_position: analysisQueue.position(sessionId) });
 
     } catch (err) {
         console.error('Retry analysis error:', err);
@@ -1732,6 +2708,53 @@ app.get('/api/funnel-summary', (req, res) => {
     }
 });
 
+// === Analysis queue status (admin) ===
+app.get('/api/queue-status', (req, res) => {
+    res.json({ worker: RUNS_QUEUE ? 'inline' : 'external', ...analysisQueue.stats() });
+});
+
+// === Personal data requests (admin): find, export and erase by email or session ID ===
+// The same operations are available offline via `npm run personal-data`.
+function personalDataQuery(source) {
+    return { email: sanitizeText(source.email, 200), sessionId: sanitizeText(source.session_id, 200) };
+}
+
+app.get('/api/admin/personal-data', (req, res) => {
+    const found = dataProtection.find(personalDataQuery(req.query));
+    if (!found.ok) return res.status(400).json({ error: found.error });
+    res.json({ email: found.email, session_ids: found.sessionIds });
+});
+
+app.get('/api/admin/personal-data/export', (req, res) => {
+    try {
+        const exported = dataProtection.exportData(personalDataQuery(req.query));
+        if (!exported.ok) return res.status(400).json({ error: exported.error });
+        res.setHeader('Content-Disposition', 'attachment; filename="datenauskunft.json"');
+        res.json(exported.data);
+    } catch (err) {
+        console.error('Personal data export error:', err.message);
+        res.status(500).json({ error: 'Export fehlgeschlagen.' });
+    }
+});
+
+// Irreversible, so the request has to repeat what it erases.
+app.post('/api/admin/personal-data/erase', express.json(), (req, res) => {
+    const query = personalDataQuery(req.body || {});
+    if (!req.body?.confirm || req.body.confirm !== (query.email || query.sessionId)) {
+        return res.status(400).json({ error: '`confirm` muss die E-Mail-Adresse bzw. Session-ID wiederholen.' });
+    }
+    try {
+        const outcome = dataProtection.erase(query);
+        if (!outcome.ok) return res.status(400).json({ error: outcome.error });
+        console.log(`Personal data erased: ${outcome.sitzungen} session(s)`, outcome.geloescht);
+        appendEvent({ eventName: 'personal_data_erased', meta: { sitzungen: outcome.sitzungen } });
+        res.json(outcome);
+    } catch (err) {
+        console.error('Personal data erase error:', err.message);
+        res.status(500).json({ error: 'Löschen fehlgeschlagen.' });
+    }
+});
+
 // === Stripe Webhook (triggers analysis even if user closes browser) ===
 app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
     const sig = req.headers['stripe-signature'];
@@ -1760,8 +2783,8 @@ app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
             refund_status: 'none',
             source: session.metadata?.source || null,
             campaign: session.metadata?.campaign || null,
-            gross_eur: session.amount_total ? Number((session.amount_total / 100).toFixed(2)) : undefined,
-            net_eur: session.amount_total ? Number((session.amount_total / 100).toFixed(2)) : undefined,
+            gross_eur: session.amount_total ? roundCents(session.amount_total / 100) : undefined,
+            net_eur: session.amount_total ? roundCents(session.amount_total / 100) : undefined,
         });
         if (!hasEvent(session.id, 'payment_completed')) {
             appendEvent({
@@ -1776,7 +2799,8 @@ app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
             });
         }
         // Start analysis if files are pending and not already running
-        if (pendingFiles.has(session.id) && !activeAnalyses.has(session.id) && !completedResults.has(session.id)) {
+        markPendingPaid(session.id);
+        if (pendingFiles.has(session.id) && !analysisQueue.getJob(session.id) && !completedResults.has(session.id)) {
             startBackgroundAnalysis(session.id);
         }
     }
@@ -1785,10 +2809,14 @@ app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
 });
 
 // === PDF Download endpoint ===
-app.get('/api/download-pdf/:sessionId', async (req, res) => {
+app.get('/api/download-pdf/:ref', async (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const cached = completedResults.get(sessionId);
+        const access = reportAccess(req.params.ref, 'pdf');
+        if (!access.ok) {
+            return res.status(403).json({ error: access.error });
+        }
+        const { sessionId } = access;
+        const cached = findResult(sessionId);
 
         if (!cached || !cached.result) {
             return res.status(404).json({ error: 'Kein Ergebnis gefunden.' });
@@ -1808,25 +2836,298 @@ app.get('/api/download-pdf/:sessionId', async (req, res) => {
     }
 });
 
+// === Letter builder: Widerspruch or Belegeinsicht with the tenant's details filled in ===
+// Names and addresses are used for this response only and never stored.
+app.post('/api/letter/:ref', express.json(), async (req, res) => {
+    try {
+        const input = normalizeLetterInput(req.body);
+        // The Nachfassbrief belongs to the case, which only the owner may open.
+        const access = reportAccess(req.params.ref, input.art === 'nachfass' ? 'owner' : 'view');
+        if (!access.ok) {
+            return res.status(403).json({ error: access.error });
+        }
+        const { sessionId } = access;
+        const datum = formatDateDE(new Date());
+        let letter;
+        if (input.art === 'nachfass') {
+            // Built from the case: the cached result is long gone by the time the landlord answers.
+            const fall = caseService.get(sessionId);
+            if (fall?.nachpruefung?.status !== 'fertig') {
+                return res.status(404).json({ error: 'Keine geprüfte Antwort gefunden.' });
+            }
+            letter = nachfassLetter(fall.result, fall.nachpruefung.ergebnis, fall.result.extraktion, {
+                input,
+                datum,
+                versandDatum: fall.versand?.datum || null,
+                antwortDatum: fall.nachpruefung.ergebnis.dokumentdatum || fall.antwort.eingegangen_am,
+            });
+        } else {
+            const cached = findResult(sessionId);
+            if (!cached || !cached.result) {
+                return res.status(404).json({ error: 'Kein Ergebnis gefunden.' });
+            }
+            const build = input.art === 'belegeinsicht' ? belegeinsichtLetter : widerspruchLetter;
+            letter = build(cached.result, cached.result.extraktion, { input, datum });
+        }
+        if (!letter) {
+            const errors = {
+                belegeinsicht: 'Es gibt keine offenen Punkte für ein Anschreiben zur Belegeinsicht.',
+                widerspruch: 'Bitte wählen Sie mindestens einen Befund für den Brief aus.',
+                nachfass: 'Ihr Vermieter hat alle Einwände angenommen — ein Nachfassbrief ist nicht nötig.',
+            };
+            return res.status(400).json({ error: errors[input.art] });
+        }
+
+        const format = req.body?.format === 'pdf' ? 'pdf' : 'text';
+        appendEvent({
+            sessionId,
+            eventName: 'letter_generated',
+            meta: { art: input.art, format, befunde: letter.befunde ? letter.befunde.length : null },
+        });
+        if (format === 'pdf') {
+            const pdfBuffer = await generateLetterPDF(letter);
+            const filename = {
+                belegeinsicht: 'Belegeinsicht-Nebenkosten.pdf',
+                widerspruch: 'Widerspruch-Nebenkosten.pdf',
+                nachfass: 'Nachfassbrief-Nebenkosten.pdf',
+            }[input.art];
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(pdfBuffer);
+        }
+        res.json({ art: letter.art, text: letterText(letter), befunde: letter.befunde || null, summe: letter.summe ?? null });
+    } catch (err) {
+        console.error('Letter error:', err.message);
+        res.status(500).json({ error: 'Brief konnte nicht erstellt werden.' });
+    }
+});
+
+// === Share links: read-only links to a finished report, managed with the owner's token ===
+// The same guard protects the dispute case below.
+function requireReportOwner(req, res, next) {
+    const access = reportAccess(req.params.ref, 'owner');
+    if (!access.ok) {
+        return res.status(403).json({ error: access.error });
+    }
+    req.reportSessionId = access.sessionId;
+    return next();
+}
+
+function shareLinkUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}/?bericht=${encodeURIComponent(token)}`;
+}
+
+app.get('/api/share-links/:ref', requireReportOwner, (req, res) => {
+    res.json({ enabled: reportTokens.enabled, tage: SHARE_TTL_TAGE, links: reportTokens.listShares(req.reportSessionId) });
+});
+
+app.post('/api/share-links/:ref', requireReportOwner, express.json(), (req, res) => {
+    const sessionId = req.reportSessionId;
+    if (!findResult(sessionId)?.result) {
+        return res.status(404).json({ error: 'Kein Ergebnis gefunden.' });
+    }
+    const pdf = req.body?.pdf === true;
+    const tage = Number(req.body?.tage);
+    const share = reportTokens.createShare(sessionId, { pdf, tage });
+    if (!share.ok) {
+        return res.status(reportTokens.enabled ? 400 : 503).json({ error: share.error });
+    }
+    appendEvent({ sessionId, eventName: 'share_link_created', meta: { pdf, tage } });
+    res.json({ link: shareLinkUrl(req, share.token), id: share.id, links: reportTokens.listShares(sessionId) });
+});
+
+app.delete('/api/share-links/:ref/:id', requireReportOwner, (req, res) => {
+    const sessionId = req.reportSessionId;
+    if (!reportTokens.revokeShare(sessionId, req.params.id)) {
+        return res.status(404).json({ error: 'Link nicht gefunden.' });
+    }
+    appendEvent({ sessionId, eventName: 'share_link_revoked' });
+    res.json({ links: reportTokens.listShares(sessionId) });
+});
+
+// === Customer account: magic-link login and "Meine Prüfungen" ===
+const ACCOUNT_COOKIE = 'nk_konto';
+
+function readCookie(req, name) {
+    const pair = (req.headers.cookie || '').split(';').map(p => p.trim()).find(p => p.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function requireAccount(req, res, next) {
+    const email = accountService.verifySession(readCookie(req, ACCOUNT_COOKIE));
+    if (!email) return res.status(401).json({ error: 'Bitte melden Sie sich an.' });
+    req.accountEmail = email;
+    return next();
+}
+
+// Login links go to an inbox, so a few per address and IP are plenty.
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { error: 'Zu viele Anmeldeversuche. Bitte versuchen Sie es in einigen Minuten erneut.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Always answers the same way, so the form doesn't reveal which addresses have reports.
+app.post('/api/account/login', loginLimiter, express.json(), async (req, res) => {
+    const link = accountService.createLoginLink(req.body?.email);
+    if (!link.ok) {
+        return res.status(accountService.enabled ? 400 : 503).json({ error: link.error });
+    }
+    try {
+        await sendLoginEmail(link.email, `${PUBLIC_BASE_URL}/api/account/verify?token=${encodeURIComponent(link.token)}`);
+        appendEvent({ eventName: 'account_login_requested' });
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Login email error:', err.message);
+        res.status(500).json({ error: 'Die E-Mail konnte nicht gesendet werden. Bitte versuchen Sie es später erneut.' });
+    }
+});
+
+// Mail scanners and link previews open the link before the user does, so the GET only hands
+// the token to a confirm button on the account page (in the fragment, which is never sent to a
+// server). The single-use nonce is spent by the POST from that button.
+app.get('/api/account/verify', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    res.redirect(token ? `/konto.html#anmelden=${encodeURIComponent(token)}` : '/konto.html');
+});
+
+app.post('/api/account/verify', express.json(), (req, res) => {
+    const login = accountService.redeemLoginLink(req.body?.token);
+    if (!login.ok) return res.status(400).json({ error: login.error });
+    res.cookie(ACCOUNT_COOKIE, login.sessionToken, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: 'lax',
+        maxAge: login.maxAgeMs,
+        path: '/',
+    });
+    appendEvent({ eventName: 'account_login_completed' });
+    res.json({ ok: true });
+});
+
+app.post('/api/account/logout', (req, res) => {
+    res.clearCookie(ACCOUNT_COOKIE, { path: '/' });
+    res.json({ ok: true });
+});
+
+app.get('/api/account/reports', requireAccount, (req, res) => {
+    const reports = accountService.listReports(req.accountEmail).map((report) => {
+        const fall = caseService.get(report.session_id);
+        return { ...report, fall_status: fall ? fall.status : null };
+    });
+    res.json({ email: req.accountEmail, reports });
+});
+
+app.get('/api/account/reports/:sessionId', requireAccount, (req, res) => {
+    const report = accountService.getReport(req.accountEmail, req.params.sessionId);
+    if (!report) return res.status(404).json({ error: 'Kein Ergebnis gefunden.' });
+    res.json({ data: report.result });
+});
+
+// The case opens on the main page, which needs an owner token once the report is locked.
+app.get('/api/account/reports/:sessionId/fall', requireAccount, (req, res) => {
+    const { sessionId } = req.params;
+    if (!accountService.getReport(req.accountEmail, sessionId)) return res.redirect('/konto.html');
+    const ref = reportTokens.issueOwnerToken(sessionId) || sessionId;
+    res.redirect(`/?fall=${encodeURIComponent(ref)}`);
+});
+
+app.get('/api/account/reports/:sessionId/pdf', requireAccount, async (req, res) => {
+    try {
+        const report = accountService.getReport(req.accountEmail, req.params.sessionId);
+        if (!report) return res.status(404).json({ error: 'Kein Ergebnis gefunden.' });
+        const pdfBuffer = await generatePDF(report.result);
+        appendEvent({ sessionId: req.params.sessionId, eventName: 'account_pdf_downloaded' });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'attachment; filename="Pruefbericht-Nebenkosten.pdf"');
+        res.send(pdfBuffer);
+    } catch (err) {
+        console.error('Account PDF error:', err.message);
+        res.status(500).json({ error: 'PDF konnte nicht erstellt werden.' });
+    }
+});
+
+// === Dispute case: letter sent, answer deadline, landlord's reply ===
+function caseResponse(res, outcome) {
+    if (!outcome.ok) return res.status(outcome.error === 'Kein Fall gefunden.' || outcome.error === 'Kein Ergebnis gefunden.' ? 404 : 400).json({ error: outcome.error });
+    return res.json({ fall: publicCase(outcome.fall) });
+}
+
+app.get('/api/case/:ref', requireReportOwner, (req, res) => {
+    const fall = caseService.get(req.reportSessionId);
+    if (!fall) return res.status(404).json({ error: 'Kein Fall gefunden.' });
+    res.json({ fall: publicCase(fall), kanaele: KANAELE });
+});
+
+// Opens the case on first call, so the result must still be cached or saved to the account then.
+app.post('/api/case/:ref/versand', requireReportOwner, express.json(), (req, res) => {
+    try {
+        const sessionId = req.reportSessionId;
+        const outcome = caseService.recordVersand(sessionId, { ...req.body, result: findResult(sessionId)?.result || null });
+        if (outcome.ok) {
+            appendEvent({
+                sessionId,
+                eventName: 'case_letter_sent',
+                meta: { kanal: outcome.fall.versand.kanal, erinnerung: Boolean(outcome.fall.email) },
+            });
+        }
+        caseResponse(res, outcome);
+    } catch (err) {
+        console.error('Case versand error:', err.message);
+        res.status(500).json({ error: 'Speichern fehlgeschlagen.' });
+    }
+});
+
+app.post('/api/case/:ref/antwort', requireReportOwner, upload.array('antwort_files', 5), (req, res) => {
+    try {
+        const sessionId = req.reportSessionId;
+        const outcome = caseService.recordAntwort(sessionId, { dateien: req.files, eingegangen_am: req.body.eingegangen_am });
+        if (outcome.ok) {
+            appendEvent({ sessionId, eventName: 'case_reply_uploaded', meta: { file_count: req.files.length } });
+        }
+        caseResponse(res, outcome);
+    } catch (err) {
+        console.error('Case antwort error:', err.message);
+        res.status(500).json({ error: 'Hochladen fehlgeschlagen.' });
+    }
+});
+
+// Follow-up check of the uploaded reply; runs in the background, the client polls the case.
+app.post('/api/case/:ref/nachpruefung', requireReportOwner, (req, res) => {
+    const sessionId = req.reportSessionId;
+    const outcome = caseService.startFollowUp(sessionId);
+    if (outcome.ok) {
+        followUpQueue.enqueue(sessionId);
+        appendEvent({ sessionId, eventName: 'case_followup_started', meta: { file_count: outcome.fall.antwort.dateien.length } });
+    }
+    caseResponse(res, outcome);
+});
+
+app.post('/api/case/:ref/abschliessen', requireReportOwner, (req, res) => {
+    const outcome = caseService.close(req.reportSessionId);
+    if (outcome.ok) appendEvent({ sessionId: req.reportSessionId, eventName: 'case_closed' });
+    caseResponse(res, outcome);
+});
+
 // === Reminder opt-in (save email for annual reminder) ===
 app.post('/api/reminder-optin', express.json(), (req, res) => {
     const { email } = req.body;
     if (!email) return res.status(400).json({ error: 'Keine E-Mail angegeben.' });
 
     try {
-        const dataDir = path.join(__dirname, 'data');
-        if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-        const remindersFile = path.join(dataDir, 'reminders.json');
         let reminders = [];
-        if (fs.existsSync(remindersFile)) {
-            reminders = JSON.parse(fs.readFileSync(remindersFile, 'utf-8'));
+        if (fs.existsSync(REMINDERS_FILE)) {
+            reminders = JSON.parse(fs.readFileSync(REMINDERS_FILE, 'utf-8'));
         }
 
         // Avoid duplicates
         if (!reminders.some(r => r.email === email)) {
             reminders.push({ email, createdAt: new Date().toISOString() });
-            fs.writeFileSync(remindersFile, JSON.stringify(reminders, null, 2));
+            fs.writeFileSync(REMINDERS_FILE, JSON.stringify(reminders, null, 2));
             console.log(`Reminder opt-in: ${email}`);
             appendEvent({
                 eventName: 'reminder_optin',
@@ -1841,9 +3142,7 @@ app.post('/api/reminder-optin', express.json(), (req, res) => {
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`\n  NebenkostenRetter Server läuft auf http://localhost:${PORT}\n`);
-
+function logRuntimeChecks() {
     const checks = [
         ['ANTHROPIC_API_KEY', 'API-Key'],
         ['STRIPE_SECRET_KEY', 'Stripe-Key'],
@@ -1866,4 +3165,37 @@ app.listen(PORT, () => {
     } else {
         console.log('  Ready.\n');
     }
-});
+
+    console.log(`  Job-Store: ${jobStore.backend}`);
+    if (fs.existsSync(LEGACY_EVENTS_FILE) || fs.existsSync(LEGACY_ORDERS_FILE)) {
+        console.warn('  ⚠  data/events.json bzw. orders.json gefunden — bitte `npm run migrate:events` ausführen.');
+    }
+    if (jobStore.backend === 'memory' && (IS_WORKER || !RUNS_QUEUE)) {
+        console.warn('  ⚠  Separater Worker braucht JOB_STORE_BACKEND=fs und JOB_STORE_SECRET — sonst sieht er keine Jobs.');
+    }
+    if (!reportTokens.enabled) {
+        console.warn('  ⚠  REPORT_TOKEN_SECRET nicht gesetzt — Ergebnisse sind per Session-ID abrufbar, Teilen ist aus.');
+    }
+}
+
+if (IS_WORKER) {
+    console.log('\n  NebenkostenRetter Analyse-Worker gestartet\n');
+    logRuntimeChecks();
+    analysisQueue.start();
+    followUpQueue.start();
+    caseService.start();
+    dataProtection.start();
+} else {
+    app.listen(PORT, () => {
+        console.log(`\n  NebenkostenRetter Server läuft auf http://localhost:${PORT}\n`);
+        logRuntimeChecks();
+        console.log(`  Analyse-Queue: ${RUNS_QUEUE ? 'im Webprozess' : 'externer Worker'}`);
+        if (RUNS_QUEUE) {
+            analysisQueue.start();
+            followUpQueue.start();
+            caseService.start();
+            dataProtection.start();
+        }
+        recoverPendingJobs().catch((err) => console.error('Job recovery failed:', err.message));
+    });
+}
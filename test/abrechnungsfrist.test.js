@@ -0,0 +1,77 @@
+// § 556 Abs. 3 BGB deadline: twelve months after the period, moved past weekends and public
+// holidays (§ 193 BGB), judged by the Zugang date or, failing that, the Erstelldatum.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAbrechnungsfrist } = require('../lib/abrechnungsfrist');
+
+test('a deadline on a weekend or holiday moves to the next working day', () => {
+    const silvester = computeAbrechnungsfrist({ zeitraum: '01.01.2021 - 31.12.2021' });
+    assert.equal(silvester.fristende_regulaer, '31.12.2022');
+    assert.equal(silvester.fristende, '02.01.2023');
+    assert.match(silvester.fristverschiebung, /31\.12\.2022 \(Samstag\), 01\.01\.2023 \(Neujahr\)/);
+
+    const einheit = computeAbrechnungsfrist({ zeitraum: '04.10.2022 - 03.10.2023' });
+    assert.equal(einheit.fristende, '04.10.2024');
+    assert.match(einheit.fristverschiebung, /Tag der Deutschen Einheit/);
+
+    const ostern = computeAbrechnungsfrist({ zeitraum: '19.04.2023 - 18.04.2024' });
+    assert.equal(ostern.fristende_regulaer, '18.04.2025');
+    assert.equal(ostern.fristende, '22.04.2025');
+    assert.match(ostern.fristverschiebung, /Karfreitag.*Samstag.*Sonntag.*Ostermontag/);
+
+    const werktag = computeAbrechnungsfrist({ zeitraum: '01.01.2024 - 31.12.2024' });
+    assert.equal(werktag.fristende, '31.12.2025');
+    assert.equal(werktag.fristverschiebung, null);
+});
+
+test('a period across New Year ends twelve months after its own end', () => {
+    const result = computeAbrechnungsfrist({ zeitraum: '01.07.2023 bis 30.06.2024', zugangsdatum: '01.07.2025' });
+    assert.equal(result.zeitraum_monate, 12);
+    assert.equal(result.fristende, '30.06.2025');
+    assert.equal(result.status, 'frist_ueberschritten');
+});
+
+test('leap years: 28 February runs to 29 February, 29 February to 28 February', () => {
+    assert.equal(computeAbrechnungsfrist({ zeitraum: '01.03.2022 - 28.02.2023' }).fristende, '29.02.2024');
+    assert.equal(computeAbrechnungsfrist({ zeitraum: '01.03.2023 - 29.02.2024' }).fristende, '28.02.2025');
+});
+
+test('the Zugang date decides when the tenant gives it', () => {
+    const spaet = computeAbrechnungsfrist({ zeitraum: '01.01.2024 - 31.12.2024', abrechnungsdatum: '15.12.2025', zugangsdatum: '02.01.2026' });
+    assert.equal(spaet.grundlage, 'zugang');
+    assert.equal(spaet.status, 'frist_ueberschritten');
+
+    const knapp = computeAbrechnungsfrist({ zeitraum: '01.01.2024 - 31.12.2024', abrechnungsdatum: '30.12.2025', zugangsdatum: '31.12.2025' });
+    assert.equal(knapp.grundlage, 'zugang');
+    assert.equal(knapp.status, 'fristgerecht');
+});
+
+test('with only the Erstelldatum, a date close to the deadline stays open', () => {
+    const zeitraum = '01.01.2024 - 31.12.2024';
+    const frueh = computeAbrechnungsfrist({ zeitraum, abrechnungsdatum: '15.12.2025' });
+    assert.equal(frueh.grundlage, 'erstelldatum');
+    assert.equal(frueh.status, 'fristgerecht');
+
+    assert.equal(computeAbrechnungsfrist({ zeitraum, abrechnungsdatum: '29.12.2025' }).status, 'nicht_ermittelbar');
+    assert.equal(computeAbrechnungsfrist({ zeitraum, abrechnungsdatum: '05.01.2026' }).status, 'frist_ueberschritten');
+    assert.equal(computeAbrechnungsfrist({ zeitraum }).status, 'nicht_ermittelbar');
+});
+
+test('a guessed period never yields "Frist überschritten"', () => {
+    const geraten = computeAbrechnungsfrist({ zeitraum: '2024', zugangsdatum: '05.01.2026' });
+    assert.equal(geraten.zeitraum_konfidenz, 0.6);
+    assert.equal(geraten.status, 'nicht_ermittelbar');
+    assert.match(geraten.erklaerung, /nicht eindeutig angegeben/);
+    assert.match(geraten.rechenweg, /falls der Zeitraum am 31\.12\.2024 endet\.$/);
+
+    // A guessed period still confirms a statement that arrived in time.
+    assert.equal(computeAbrechnungsfrist({ zeitraum: '2024', zugangsdatum: '01.12.2025' }).status, 'fristgerecht');
+    assert.equal(computeAbrechnungsfrist({ zeitraum: 'Abrechnungsjahr 2024', zugangsdatum: '05.01.2026' }).status, 'frist_ueberschritten');
+});
+
+test('without a recognisable period nothing is decided', () => {
+    const result = computeAbrechnungsfrist({ zeitraum: 'laut Anlage', zugangsdatum: '05.01.2026' });
+    assert.equal(result.status, 'nicht_ermittelbar');
+    assert.equal(result.fristende, null);
+});
@@ -0,0 +1,101 @@
+// Accounts: signed tokens, the single-use login link, the session and who may see which report.
+// The clock is injected so expiry doesn't depend on real time.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../lib/signed-token');
+const { createAccountService, LOGIN_LINK_TTL_MS } = require('../lib/accounts');
+const { createJobStore } = require('../lib/job-store');
+
+const SECRET = 'test-secret';
+const RESULT = {
+    abrechnungszeitraum: '01.01.2025 – 31.12.2025',
+    fehler_anzahl: 2,
+    warnungen_anzahl: 1,
+    potenzielle_ersparnis_gesamt: 180,
+    widerspruchsbrief: 'Sehr geehrte …',
+    ergebnisse: [],
+};
+
+function setup(secret = SECRET) {
+    const clock = { now: Date.UTC(2026, 9, 19) };
+    const store = createJobStore({ backend: 'memory' });
+    const service = createAccountService({
+        accounts: store.collection('accounts'),
+        reports: store.collection('reports'),
+        logins: store.collection('logins'),
+        secret,
+        now: () => clock.now,
+    });
+    return { service, clock };
+}
+
+test('a signed token is rejected when tampered with, expired or of another type', () => {
+    const now = 1000;
+    const token = signToken({ typ: 'login', n: 'abc', exp: now + 10 }, SECRET);
+    assert.equal(verifyToken(token, SECRET, { typ: 'login', now }).n, 'abc');
+    assert.equal(verifyToken(token, SECRET, { typ: 'session', now }), null);
+    assert.equal(verifyToken(token, 'other-secret', { typ: 'login', now }), null);
+    assert.equal(verifyToken(token, SECRET, { typ: 'login', now: now + 10 }), null);
+
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ typ: 'login', n: 'xyz', exp: now + 10 })).toString('base64url');
+    assert.equal(verifyToken(`${forged}.${signature}`, SECRET, { typ: 'login', now }), null);
+    assert.equal(verifyToken(`${token}.x`, SECRET, { now }), null);
+    assert.equal(verifyToken(null, SECRET, { now }), null);
+});
+
+test('a login link works once and only within 15 minutes', () => {
+    const { service, clock } = setup();
+    assert.equal(service.createLoginLink('kein-at').ok, false);
+
+    const link = service.createLoginLink('  Mieter@Example.de ');
+    assert.equal(link.email, 'mieter@example.de');
+    const login = service.redeemLoginLink(link.token);
+    assert.equal(login.ok, true);
+    assert.equal(service.verifySession(login.sessionToken), 'mieter@example.de');
+    assert.equal(service.redeemLoginLink(link.token).ok, false);
+
+    const late = service.createLoginLink('mieter@example.de');
+    clock.now += LOGIN_LINK_TTL_MS;
+    assert.match(service.redeemLoginLink(late.token).error, /abgelaufen/);
+});
+
+test('the session expires after 30 days and is no login token', () => {
+    const { service, clock } = setup();
+    const link = service.createLoginLink('mieter@example.de');
+    const { sessionToken } = service.redeemLoginLink(link.token);
+    assert.equal(service.verifySession(link.token), null);
+    clock.now += 29 * 24 * 60 * 60 * 1000;
+    assert.equal(service.verifySession(sessionToken), 'mieter@example.de');
+    clock.now += 24 * 60 * 60 * 1000;
+    assert.equal(service.verifySession(sessionToken), null);
+});
+
+test('reports are listed newest first and only for their owner', () => {
+    const { service, clock } = setup();
+    assert.equal(service.addReport('mieter@example.de', 'cs_1', RESULT, { plan: 'premium' }), true);
+    clock.now += 1000;
+    service.addReport('Mieter@example.de', 'cs_2', { ...RESULT, widerspruchsbrief: null });
+    service.addReport('andere@example.de', 'cs_3', RESULT);
+
+    const list = service.listReports('mieter@example.de');
+    assert.deepEqual(list.map((r) => r.session_id), ['cs_2', 'cs_1']);
+    assert.equal(list[1].plan, 'premium');
+    assert.equal(list[1].potenzielle_ersparnis_gesamt, 180);
+    assert.equal(list[1].widerspruchsbrief, true);
+    assert.equal(list[0].widerspruchsbrief, false);
+    assert.equal(list[1].abrechnungszeitraum, '01.01.2025 – 31.12.2025');
+
+    assert.equal(service.getReport('mieter@example.de', 'cs_1').result, RESULT);
+    assert.equal(service.getReport('mieter@example.de', 'cs_3'), null);
+    assert.equal(service.getReport(null, 'cs_1'), null);
+});
+
+test('without a secret the account area stays off', () => {
+    const { service } = setup('');
+    assert.equal(service.enabled, false);
+    assert.equal(service.createLoginLink('mieter@example.de').ok, false);
+    assert.equal(service.addReport('mieter@example.de', 'cs_1', RESULT), false);
+    assert.deepEqual(service.listReports('mieter@example.de'), []);
+});
@@ -0,0 +1,151 @@
+// The durable analysis queue: concurrency, backoff with jitter, which errors are retried,
+// the hand-off to the dead-letter handler and recovery of jobs a dead process left running.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnalysisQueue } = require('../lib/analysis-queue');
+const { createJobStore } = require('../lib/job-store');
+
+function setup(options = {}) {
+    const clock = { now: 1000 };
+    const store = options.store || createJobStore({ backend: 'memory' }).collection('queue');
+    const queue = createAnalysisQueue({
+        store,
+        handler: async () => {},
+        baseDelayMs: 1000,
+        maxDelayMs: 4000,
+        now: () => clock.now,
+        random: () => 0,
+        ...options,
+    });
+    return { queue, store, clock };
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    return { promise, resolve };
+}
+
+test('runs at most `concurrency` jobs at once, oldest first', async () => {
+    const started = [];
+    const gates = {};
+    const { queue, clock } = setup({
+        concurrency: 2,
+        handler: (sessionId) => {
+            started.push(sessionId);
+            gates[sessionId] = deferred();
+            return gates[sessionId].promise;
+        },
+    });
+    for (const id of ['cs_a', 'cs_b', 'cs_c']) {
+        queue.enqueue(id);
+        clock.now += 1;
+    }
+    assert.equal(queue.enqueue('cs_a'), false);
+
+    const first = queue.tick();
+    assert.deepEqual(started, ['cs_a', 'cs_b']);
+    assert.equal(queue.position('cs_a'), 0);
+    assert.equal(queue.position('cs_c'), 1);
+    await queue.tick();
+    assert.deepEqual(started, ['cs_a', 'cs_b']);
+
+    gates.cs_a.resolve();
+    gates.cs_b.resolve();
+    await first;
+    assert.equal(queue.getJob('cs_a'), null);
+    const second = queue.tick();
+    assert.deepEqual(started, ['cs_a', 'cs_b', 'cs_c']);
+    gates.cs_c.resolve();
+    await second;
+    assert.deepEqual(queue.stats(), { concurrency: 2, running: 0, queued: 0, dead: [] });
+});
+
+test('a retryable failure waits between half and all of the doubled delay, capped', async () => {
+    let jitter = 0;
+    const { queue, clock } = setup({
+        maxAttempts: 5,
+        random: () => jitter,
+        handler: async () => { throw new Error('überlastet'); },
+    });
+    queue.enqueue('cs_a');
+
+    // Attempt n waits min(4 s, 1 s · 2^(n-1)) · (0,5 + jitter/2).
+    const expected = [[0, 500], [1, 2000], [0, 2000], [1, 4000]];
+    for (const [j, delay] of expected) {
+        jitter = j;
+        const before = clock.now;
+        await queue.tick();
+        const job = queue.getJob('cs_a');
+        assert.equal(job.status, 'queued');
+        assert.equal(job.lastError, 'überlastet');
+        assert.equal(job.nextAttemptAt - before, delay, `attempt ${job.attempts}`);
+
+        clock.now = job.nextAttemptAt - 1;
+        await queue.tick();
+        assert.equal(queue.getJob('cs_a').attempts, job.attempts, 'not due yet');
+        clock.now = job.nextAttemptAt;
+    }
+    await queue.tick();
+    assert.equal(queue.getJob('cs_a').status, 'dead');
+    assert.equal(queue.getJob('cs_a').attempts, 5);
+});
+
+test('a non-retryable error goes straight to the dead letter with the error', async () => {
+    const deadLetters = [];
+    const failure = Object.assign(new Error('abgeschnitten'), { retryable: false });
+    const { queue, clock } = setup({
+        isRetryable: (err) => err.retryable !== false,
+        handler: async () => { throw failure; },
+        onDeadLetter: (sessionId, err) => { deadLetters.push([sessionId, err]); },
+    });
+    queue.enqueue('cs_a');
+    await queue.tick();
+
+    assert.deepEqual(deadLetters, [['cs_a', failure]]);
+    assert.deepEqual(queue.stats().dead, [{ session_id: 'cs_a', attempts: 1, last_error: 'abgeschnitten', failed_at: clock.now }]);
+    assert.equal(queue.position('cs_a'), null);
+});
+
+test('a dead job can be enqueued again, and a failing dead-letter handler does not break the queue', async () => {
+    let calls = 0;
+    const { queue } = setup({
+        maxAttempts: 1,
+        handler: async () => { throw new Error('kaputt'); },
+        onDeadLetter: async () => {
+            calls++;
+            throw new Error('E-Mail nicht zugestellt');
+        },
+    });
+    queue.enqueue('cs_a');
+    await queue.tick();
+    assert.equal(queue.getJob('cs_a').status, 'dead');
+
+    assert.equal(queue.enqueue('cs_a'), true);
+    assert.equal(queue.getJob('cs_a').attempts, 0);
+    await queue.tick();
+    assert.equal(queue.getJob('cs_a').status, 'dead');
+    assert.equal(calls, 2);
+});
+
+test('after a restart, a job left running is queued again and runs', async () => {
+    const store = createJobStore({ backend: 'memory' }).collection('queue');
+    store.set('cs_a', { sessionId: 'cs_a', status: 'running', attempts: 1, nextAttemptAt: 0, lastError: null, createdAt: 0 });
+    store.set('cs_b', { sessionId: 'cs_b', status: 'dead', attempts: 4, lastError: 'kaputt', createdAt: 0 });
+    const done = deferred();
+    const ran = [];
+    const { queue } = setup({
+        store,
+        handler: async (sessionId) => {
+            ran.push(sessionId);
+            done.resolve();
+        },
+    });
+
+    queue.start();
+    queue.stop();
+    await done.promise;
+    assert.deepEqual(ran, ['cs_a']);
+    assert.equal(store.get('cs_b').status, 'dead');
+});
@@ -0,0 +1,32 @@
+// Bank CSV exports and hand-entered payments: one test per fixture.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/bank-csv.json');
+const { decodeCsvBuffer, parseBankCsv, parseManualZahlungen } = require('../lib/bank-csv');
+
+for (const fixture of fixtures.csv) {
+    test(`bank csv: ${fixture.name}`, () => {
+        const result = parseBankCsv(fixture.text);
+        if (fixture.format === null) {
+            assert.equal(result, null);
+            return;
+        }
+        assert.equal(result.format, fixture.format);
+        assert.deepEqual(result.buchungen, fixture.buchungen);
+    });
+}
+
+fixtures.manuell.forEach((fixture, i) => {
+    test(`manual payments #${i + 1}`, () => {
+        const result = parseManualZahlungen(fixture.text).map(({ datum, betrag }) => ({ datum, betrag }));
+        assert.deepEqual(result, fixture.expected);
+    });
+});
+
+test('bank csv: Windows-1252 export is decoded', () => {
+    const buffer = Buffer.from('Buchungstag;Auftraggeber / Begünstigter;Verwendungszweck;Betrag (EUR)\n01.05.2024;Müller;Miete Mai;-850,00\n', 'latin1');
+    const result = parseBankCsv(decodeCsvBuffer(buffer));
+    assert.equal(result.format, 'dkb');
+    assert.equal(result.buchungen[0].empfaenger, 'Müller');
+});
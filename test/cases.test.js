@@ -0,0 +1,139 @@
+// Dispute cases: sending the letter, the answer deadline, the one reminder and the reply upload.
+// The clock is injected so deadlines don't depend on the day the tests run.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCaseService, publicCase } = require('../lib/cases');
+const { createJobStore } = require('../lib/job-store');
+const { makeDate } = require('../lib/german-date');
+
+const RESULT = {
+    abrechnungszeitraum: '01.01.2025 – 31.12.2025',
+    potenzielle_ersparnis_gesamt: 120,
+    ergebnisse: [
+        { posten: 'Verwaltungskosten', status: 'fehler', ersparnis_geschaetzt: 120 },
+        { posten: 'Grundsteuer', status: 'ok' },
+    ],
+};
+
+function setup(heute = makeDate(2026, 2, 10)) {
+    const clock = { now: heute.getTime() };
+    const gesendet = [];
+    const service = createCaseService({
+        store: createJobStore({ backend: 'memory' }).collection('cases'),
+        sendReminder: async (payload) => { gesendet.push(payload); },
+        now: () => clock.now,
+    });
+    return { service, clock, gesendet };
+}
+
+test('versand needs the result, a past date and a known channel', () => {
+    const { service } = setup();
+    assert.equal(service.recordVersand('s1', { datum: '2026-03-02', kanal: 'brief' }).ok, false);
+    assert.match(service.recordVersand('s1', { result: RESULT, datum: '2026-03-20', kanal: 'brief' }).error, /Zukunft/);
+    assert.match(service.recordVersand('s1', { result: RESULT, datum: '2026-03-02', kanal: 'taube' }).error, /verschickt/);
+    assert.match(service.recordVersand('s1', { result: RESULT, datum: '2026-03-02', kanal: 'brief', antwort_bis: '01.03.2026' }).error, /Antwortfrist/);
+    assert.match(service.recordVersand('s1', { result: RESULT, datum: '2026-03-02', kanal: 'brief', email: 'kein-at' }).error, /E-Mail/);
+    assert.equal(service.get('s1'), null);
+});
+
+test('the deadline defaults to 14 days and the tracking number is kept for Einschreiben only', () => {
+    const { service } = setup();
+    const einschreiben = service.recordVersand('s1', { result: RESULT, datum: '02.03.2026', kanal: 'einwurf_einschreiben', sendungsnummer: ' RT 1234 5678 9DE<' });
+    assert.equal(einschreiben.fall.antwort_bis, '16.03.2026');
+    assert.equal(einschreiben.fall.versand.sendungsnummer, 'RT 1234 5678 9DE');
+    const brief = service.recordVersand('s2', { result: RESULT, datum: '02.03.2026', kanal: 'brief', sendungsnummer: 'RT 1' });
+    assert.equal(brief.fall.versand.sendungsnummer, null);
+
+    const view = publicCase(einschreiben.fall);
+    assert.equal(view.befunde_anzahl, 1);
+    assert.equal(view.versand.kanal_label, 'Einwurf-Einschreiben');
+    assert.equal(view.result, undefined);
+});
+
+test('the reminder goes out once, the day after the deadline', async () => {
+    const { service, clock, gesendet } = setup();
+    service.recordVersand('s1', { result: RESULT, datum: '02.03.2026', kanal: 'brief', email: 'mieter@example.de' });
+    service.recordVersand('s2', { result: RESULT, datum: '02.03.2026', kanal: 'brief' });
+
+    clock.now = makeDate(2026, 2, 16).getTime() + 23 * 60 * 60 * 1000;
+    await service.runReminders();
+    assert.equal(gesendet.length, 0);
+
+    clock.now = makeDate(2026, 2, 17).getTime();
+    await service.runReminders();
+    await service.runReminders();
+    assert.equal(gesendet.length, 1);
+    assert.equal(gesendet[0].sessionId, 's1');
+    assert.equal(gesendet[0].fall.antwort_bis, '16.03.2026');
+    assert.ok(service.get('s1').erinnert_am);
+
+    // A new deadline earns a new reminder.
+    service.recordVersand('s1', { datum: '02.03.2026', kanal: 'brief', antwort_bis: '2026-03-31', email: 'mieter@example.de' });
+    assert.equal(service.get('s1').erinnert_am, null);
+    assert.equal(service.get('s1').verlauf.length, 3);
+});
+
+test('a failed reminder is not retried', async () => {
+    const { clock } = setup();
+    let versuche = 0;
+    const service = createCaseService({
+        store: createJobStore({ backend: 'memory' }).collection('cases'),
+        sendReminder: async () => { versuche++; throw new Error('smtp down'); },
+        now: () => clock.now,
+    });
+    service.recordVersand('s1', { result: RESULT, datum: '02.03.2026', kanal: 'brief', email: 'mieter@example.de' });
+    clock.now = makeDate(2026, 3, 1).getTime();
+    const errorLog = console.error;
+    console.error = () => {};
+    try {
+        await service.runReminders();
+        await service.runReminders();
+    } finally {
+        console.error = errorLog;
+    }
+    assert.equal(versuche, 1);
+});
+
+test('the reply upload stops the reminder and locks the versand', async () => {
+    const { service, clock, gesendet } = setup();
+    service.recordVersand('s1', { result: RESULT, datum: '02.03.2026', kanal: 'email', email: 'mieter@example.de' });
+    assert.equal(service.recordAntwort('s1', { dateien: [] }).ok, false);
+    assert.equal(service.recordAntwort('s2', { dateien: [{ originalname: 'a.pdf' }] }).ok, false);
+
+    const datei = { originalname: 'antwort.pdf', mimetype: 'application/pdf', size: 3, buffer: Buffer.from('pdf') };
+    const antwort = service.recordAntwort('s1', { dateien: [datei], eingegangen_am: '2026-03-09' });
+    assert.equal(antwort.fall.status, 'antwort_erhalten');
+    assert.deepEqual(publicCase(antwort.fall).antwort, { eingegangen_am: '09.03.2026', dateien: ['antwort.pdf'] });
+    assert.equal(service.recordVersand('s1', { datum: '02.03.2026', kanal: 'brief' }).ok, false);
+
+    clock.now = makeDate(2026, 3, 1).getTime();
+    await service.runReminders();
+    assert.equal(gesendet.length, 0);
+
+    assert.equal(service.close('s1').fall.status, 'abgeschlossen');
+    assert.equal(service.recordAntwort('s1', { dateien: [datei] }).ok, false);
+});
+
+test('one follow-up check per reply, a new reply resets it', () => {
+    const { service } = setup();
+    service.recordVersand('s1', { result: RESULT, datum: '02.03.2026', kanal: 'brief' });
+    assert.match(service.startFollowUp('s1').error, /zuerst/);
+
+    const datei = { originalname: 'antwort.pdf', mimetype: 'application/pdf', size: 3, buffer: Buffer.from('pdf') };
+    service.recordAntwort('s1', { dateien: [datei] });
+    assert.equal(service.startFollowUp('s1').fall.nachpruefung.status, 'laeuft');
+    assert.equal(service.startFollowUp('s1').ok, false);
+
+    service.failFollowUp('s1', 'Nicht lesbar.');
+    assert.equal(service.startFollowUp('s1').ok, true);
+    const ergebnis = { angenommen_anzahl: 1, abgelehnt_anzahl: 0, offen_anzahl: 0, einwaende: [] };
+    const fertig = service.recordFollowUp('s1', { ergebnis, brief: null });
+    assert.equal(publicCase(fertig.fall).nachpruefung.status, 'fertig');
+    assert.equal(service.startFollowUp('s1').ok, false);
+    assert.equal(service.recordFollowUp('s1', { ergebnis }).ok, false);
+
+    service.recordAntwort('s1', { dateien: [datei] });
+    assert.equal(service.get('s1').nachpruefung, null);
+    assert.equal(service.startFollowUp('s1').ok, true);
+});
@@ -0,0 +1,163 @@
+// Data requests and retention: what an address finds, what the export holds, what erasure
+// deletes or pseudonymises, and which periods the retention run enforces.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDataProtection } = require('../lib/data-protection');
+const { createAccountService } = require('../lib/accounts');
+const { createReportTokenService } = require('../lib/report-tokens');
+const { createEventStore } = require('../lib/event-store');
+const { createJobStore } = require('../lib/job-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19);
+const RESULT = { fehler_anzahl: 1, ergebnisse: [] };
+
+function writeJsonl(filePath, records) {
+    fs.writeFileSync(filePath, records.map((r) => `${JSON.stringify(r)}\n`).join(''));
+}
+
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nk-data-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = createJobStore({ backend: 'memory' });
+    const collections = Object.fromEntries(
+        ['pending', 'results', 'queue', 'cases', 'followUps', 'reports', 'accounts', 'logins', 'reportLinks']
+            .map((name) => [name, store.collection(name)]),
+    );
+    const clock = { now: NOW };
+    const now = () => clock.now;
+    const accountService = createAccountService({
+        accounts: collections.accounts, reports: collections.reports, logins: collections.logins, secret: 's1', now,
+    });
+    const reportTokens = createReportTokenService({ store: collections.reportLinks, secret: 's2', now });
+    const files = {
+        eventsFile: path.join(dir, 'events.jsonl'),
+        ordersFile: path.join(dir, 'orders.jsonl'),
+        remindersFile: path.join(dir, 'reminders.json'),
+    };
+    const dataProtection = createDataProtection({ collections, accountService, reportTokens, ...files, now });
+    return { dataProtection, collections, accountService, reportTokens, files, clock };
+}
+
+// One customer with four sessions, each found through a different record, plus a stranger.
+function seed({ collections, accountService, reportTokens, files }) {
+    collections.pending.set('cs_upload', { email: 'Mieter@Example.de', files: [{ originalname: 'a.pdf', buffer: Buffer.from('pdf') }], createdAt: NOW });
+    collections.cases.set('cs_fall', { email: 'mieter@example.de', status: 'versendet', createdAt: NOW });
+    accountService.addReport('mieter@example.de', 'cs_bericht', RESULT);
+    collections.results.set('cs_bericht', { result: RESULT, createdAt: NOW });
+    reportTokens.issueOwnerToken('cs_bericht');
+    collections.results.set('cs_fremd', { result: RESULT, createdAt: NOW });
+    accountService.createLoginLink('mieter@example.de');
+    writeJsonl(files.ordersFile, [
+        { session_id: 'cs_gutschein', customer_email: 'mieter@example.de', plan: 'basic', gross_eur: 0, created_at: '2026-10-18T10:00:00.000Z' },
+        { session_id: 'cs_bericht', plan: 'premium', gross_eur: 14.99, created_at: '2026-10-18T10:00:00.000Z' },
+        { session_id: 'cs_fremd', plan: 'basic', gross_eur: 4.99, created_at: '2026-10-18T10:00:00.000Z' },
+    ]);
+    writeJsonl(files.eventsFile, [
+        { session_id: 'cs_bericht', event_name: 'analysis_completed', created_at: '2026-10-18T10:05:00.000Z' },
+        { session_id: 'cs_fremd', event_name: 'analysis_completed', created_at: '2026-10-18T10:06:00.000Z' },
+    ]);
+    fs.writeFileSync(files.remindersFile, JSON.stringify([
+        { email: 'mieter@example.de', createdAt: '2026-10-18T10:00:00.000Z' },
+        { email: 'andere@example.de', createdAt: '2026-10-18T10:00:00.000Z' },
+    ]));
+}
+
+test('an address finds every session it was used for, a session ID only itself', (t) => {
+    const ctx = setup(t);
+    seed(ctx);
+    const found = ctx.dataProtection.find({ email: ' MIETER@example.de ' });
+    assert.deepEqual(found.sessionIds.sort(), ['cs_bericht', 'cs_fall', 'cs_gutschein', 'cs_upload']);
+    assert.deepEqual(ctx.dataProtection.find({ sessionId: 'cs_fremd' }).sessionIds, ['cs_fremd']);
+    assert.equal(ctx.dataProtection.find({ email: 'kein-at' }).ok, false);
+    assert.equal(ctx.dataProtection.find({}).ok, false);
+});
+
+test('the export holds orders, events, account and reminder, but not the uploaded bytes', (t) => {
+    const ctx = setup(t);
+    seed(ctx);
+    const { data } = ctx.dataProtection.exportData({ email: 'mieter@example.de' });
+    const bySession = Object.fromEntries(data.sitzungen.map((s) => [s.session_id, s]));
+    assert.equal(bySession.cs_upload.upload.files[0].buffer, '[Datei, 3 Bytes]');
+    assert.equal(bySession.cs_bericht.bestellung.plan, 'premium');
+    assert.deepEqual(bySession.cs_bericht.ereignisse.map((e) => e.event_name), ['analysis_completed']);
+    assert.equal(bySession.cs_bericht.berichtslinks.length, 1);
+    assert.equal(bySession.cs_gutschein.bestellung.customer_email, 'mieter@example.de');
+    assert.deepEqual(data.konto.berichte, ['cs_bericht']);
+    assert.equal(data.offene_anmeldelinks, 1);
+    assert.equal(data.erinnerung.length, 1);
+    assert.equal(bySession.cs_fremd, undefined);
+});
+
+test('erasure deletes the records and pseudonymises orders and events', (t) => {
+    const ctx = setup(t);
+    seed(ctx);
+    const eventStore = createEventStore({ eventsFile: ctx.files.eventsFile, ordersFile: ctx.files.ordersFile });
+    assert.equal(eventStore.getOrder('cs_bericht').plan, 'premium');
+
+    const outcome = ctx.dataProtection.erase({ email: 'mieter@example.de' });
+    assert.equal(outcome.sitzungen, 4);
+    assert.deepEqual(outcome.pseudonymisiert, { bestellungen: 2, ereignisse: 1 });
+    assert.equal(outcome.geloescht.konto, 1);
+    assert.equal(outcome.geloescht.anmeldelinks, 1);
+    assert.equal(outcome.geloescht.erinnerungen, 1);
+
+    for (const id of ['cs_upload', 'cs_fall', 'cs_bericht']) {
+        assert.equal(ctx.collections.pending.has(id) || ctx.collections.cases.has(id) || ctx.collections.results.has(id) || ctx.collections.reports.has(id), false);
+    }
+    assert.equal(ctx.reportTokens.isLocked('cs_bericht'), false);
+    assert.equal(ctx.accountService.getAccount('mieter@example.de'), null);
+    assert.ok(ctx.collections.results.has('cs_fremd'));
+
+    // The running event store notices the rewrite and keeps the numbers, not the person.
+    const orders = eventStore.listOrders();
+    assert.equal(orders.length, 3);
+    assert.equal(eventStore.getOrder('cs_bericht'), null);
+    assert.ok(orders.every((o) => !o.customer_email));
+    assert.equal(orders.filter((o) => o.session_id.startsWith('geloescht_')).length, 2);
+    assert.equal(eventStore.eventsForSession('cs_fremd').length, 1);
+    assert.equal(eventStore.listEvents().length, 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(ctx.files.remindersFile, 'utf8')).map((r) => r.email), ['andere@example.de']);
+    assert.equal(ctx.dataProtection.find({ email: 'mieter@example.de' }).sessionIds.length, 0);
+});
+
+test('retention drops old events and reminders and strips the address from older orders', (t) => {
+    const ctx = setup(t);
+    const iso = (daysAgo) => new Date(NOW - daysAgo * DAY_MS).toISOString();
+    writeJsonl(ctx.files.ordersFile, [
+        { session_id: 'cs_alt', customer_email: 'a@example.de', created_at: iso(31) },
+        { session_id: 'cs_neu', customer_email: 'b@example.de', created_at: iso(29) },
+        { session_id: 'cs_uralt', created_at: iso(11 * 365) },
+    ]);
+    writeJsonl(ctx.files.eventsFile, [
+        { session_id: 'cs_alt', event_name: 'x', created_at: iso(731) },
+        { session_id: 'cs_neu', event_name: 'x', created_at: iso(729) },
+    ]);
+    fs.writeFileSync(ctx.files.remindersFile, JSON.stringify([
+        { email: 'a@example.de', createdAt: iso(396) },
+        { email: 'b@example.de', createdAt: iso(300) },
+    ]));
+    ctx.collections.results.set('cs_neu', { result: RESULT, createdAt: NOW - 61 * 60 * 1000 });
+    ctx.collections.cases.set('cs_neu', { status: 'versendet', createdAt: NOW - 364 * DAY_MS });
+
+    assert.deepEqual(ctx.dataProtection.applyRetention(), {
+        bestellungen_geloescht: 1,
+        bestellungen_ohne_email: 1,
+        ereignisse_geloescht: 1,
+        erinnerungen_geloescht: 1,
+    });
+    const orders = fs.readFileSync(ctx.files.ordersFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(orders.map((o) => [o.session_id, o.customer_email || null]), [['cs_alt', null], ['cs_neu', 'b@example.de']]);
+    assert.equal(ctx.collections.results.has('cs_neu'), false);
+    assert.equal(ctx.collections.cases.has('cs_neu'), true);
+    assert.deepEqual(ctx.dataProtection.applyRetention(), {
+        bestellungen_geloescht: 0,
+        bestellungen_ohne_email: 0,
+        ereignisse_geloescht: 0,
+        erinnerungen_geloescht: 0,
+    });
+});
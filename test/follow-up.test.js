@@ -0,0 +1,109 @@
+// Follow-up on the landlord's answer: what may be reported as accepted, and the second letter
+// for whatever is still open.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { einwaendeFor, normalizeFollowUp } = require('../lib/follow-up');
+const { nachfassLetter, letterText } = require('../lib/letters');
+const { normalizeExtraction } = require('../lib/extraction');
+const { makeDate } = require('../lib/german-date');
+
+const RESULT = {
+    ergebnisse: [
+        { posten: 'Verwaltungskosten', betrag: '240,00 €', status: 'fehler', fehlercode: 'E1', titel: 'Nicht umlagefähig', ersparnis_geschaetzt: 240 },
+        { posten: 'Grundsteuer', status: 'ok' },
+        { posten: 'Hauswart', betrag: '610,00 €', status: 'warnung', fehlercode: 'E1', titel: 'Verwaltungsanteil enthalten', ersparnis_geschaetzt: 0 },
+        { posten: 'Reparaturen', betrag: '180,00 €', status: 'fehler', fehlercode: 'E1', titel: 'Instandhaltung nicht umlagefähig', ersparnis_geschaetzt: 180 },
+        { posten: 'Versicherung', betrag: '320,00 €', status: 'fehler', fehlercode: 'E4', titel: 'Gewerbeanteil fehlt', ersparnis_geschaetzt: 100 },
+    ],
+};
+const EXTRACTION = normalizeExtraction({
+    kopfdaten: { abrechnungszeitraum: '01.01.2025 - 31.12.2025', saldo: '412,50', saldo_art: 'nachzahlung' },
+    kostenposten: [],
+});
+
+test('the model gets every fehler and warnung as an objection', () => {
+    assert.deepEqual(einwaendeFor(RESULT).map((e) => e.einwand_index), [0, 2, 3, 4]);
+});
+
+test('accepted needs a quote and most of the amount, skipped objections stay open', () => {
+    const followUp = normalizeFollowUp({
+        validierung: 'ok',
+        dokumentart: 'beides',
+        dokumentdatum: '2026-04-02',
+        zusammenfassung: 'Der Vermieter korrigiert die Verwaltungskosten.',
+        neuer_saldo: { art: 'nachzahlung', betrag: 172.5 },
+        einwaende: [
+            { einwand_index: 0, bewertung: 'angenommen', begruendung_vermieter: null, beleg: 'Verwaltungskosten 0,00 €', zugestanden_eur: 0, erklaerung: 'Gestrichen.' },
+            { einwand_index: 2, bewertung: 'angenommen', begruendung_vermieter: null, beleg: null, zugestanden_eur: 0, erklaerung: 'Angeblich geprüft.' },
+            { einwand_index: 3, bewertung: 'abgelehnt', begruendung_vermieter: 'Es handelt sich um Wartung.', beleg: null, zugestanden_eur: 0, erklaerung: 'Ohne Rechnung.' },
+            { einwand_index: 3, bewertung: 'angenommen', begruendung_vermieter: null, beleg: 'x', zugestanden_eur: 180, erklaerung: 'Doppelt.' },
+            { einwand_index: 1, bewertung: 'angenommen', begruendung_vermieter: null, beleg: 'x', zugestanden_eur: 50, erklaerung: 'Kein Einwand.' },
+        ],
+    }, RESULT);
+
+    assert.equal(followUp.dokumentdatum, '02.04.2026');
+    assert.deepEqual(followUp.neuer_saldo, { art: 'nachzahlung', betrag: 172.5 });
+    assert.deepEqual(followUp.einwaende.map((e) => [e.index, e.bewertung]), [[0, 'angenommen'], [2, 'offen'], [3, 'abgelehnt'], [4, 'offen']]);
+    const [verwaltung, hauswart, reparaturen, versicherung] = followUp.einwaende;
+    assert.equal(verwaltung.zugestanden_eur, 240);
+    assert.match(hauswart.hinweis, /nicht belegt/);
+    assert.equal(reparaturen.begruendung_vermieter, 'Es handelt sich um Wartung.');
+    assert.equal(versicherung.erklaerung, 'Im Schreiben des Vermieters nicht erwähnt.');
+    assert.equal(followUp.angenommen_anzahl, 1);
+    assert.equal(followUp.abgelehnt_anzahl, 1);
+    assert.equal(followUp.offen_anzahl, 2);
+    assert.equal(followUp.zugestanden_gesamt, 240);
+    assert.equal(followUp.noch_strittig_gesamt, 280);
+});
+
+test('a partial correction keeps the objection open with the rest still disputed', () => {
+    const followUp = normalizeFollowUp({
+        einwaende: [{ einwand_index: 0, bewertung: 'angenommen', beleg: 'Verwaltung anteilig gekürzt', zugestanden_eur: '120,00', erklaerung: 'Halbiert.' }],
+    }, RESULT);
+    const verwaltung = followUp.einwaende[0];
+    assert.equal(verwaltung.bewertung, 'offen');
+    assert.equal(verwaltung.hinweis, 'Nur teilweise korrigiert.');
+    assert.equal(verwaltung.zugestanden_eur, 120);
+    assert.equal(verwaltung.noch_strittig_eur, 120);
+    assert.equal(followUp.einwaende[2].begruendung_vermieter, null);
+});
+
+test('the Nachfassbrief quotes rejections, lists open points and thanks for corrections', () => {
+    const followUp = normalizeFollowUp({
+        einwaende: [
+            { einwand_index: 0, bewertung: 'angenommen', beleg: 'Verwaltungskosten entfallen', zugestanden_eur: 240 },
+            { einwand_index: 2, bewertung: 'abgelehnt', begruendung_vermieter: null },
+            { einwand_index: 3, bewertung: 'abgelehnt', begruendung_vermieter: 'Es handelt sich um Wartung.' },
+        ],
+    }, RESULT);
+    const letter = nachfassLetter(RESULT, followUp, EXTRACTION, {
+        heute: makeDate(2026, 3, 10),
+        versandDatum: '02.03.2026',
+        antwortDatum: '02.04.2026',
+    });
+    assert.equal(letter.art, 'nachfass');
+    assert.deepEqual(letter.befunde, [2, 3, 4]);
+    assert.equal(letter.summe, 280);
+    const text = letterText(letter);
+    for (const expected of [
+        'Ihr Schreiben vom 02.04.2026 auf mein Schreiben vom 02.03.2026',
+        'korrigiert haben, nehme ich gern zur Kenntnis: Verwaltungskosten.',
+        'Ihre Begründung: „Es handelt sich um Wartung.“',
+        'Ihre Begründung: „Ohne Begründung abgelehnt.“',
+        '3. Versicherung (320,00 €)',
+        'Strittig sind damit noch 280,00 €.',
+        'bis zum 24.04.2026',
+        'Den strittigen Teil der Nachzahlung halte ich bis zur Klärung zurück.',
+    ]) {
+        assert.ok(text.includes(expected), `fehlt: ${expected}`);
+    }
+});
+
+test('no Nachfassbrief when every objection was accepted', () => {
+    const followUp = normalizeFollowUp({
+        einwaende: [0, 2, 3, 4].map((i) => ({ einwand_index: i, bewertung: 'angenommen', beleg: 'korrigiert', zugestanden_eur: 0 })),
+    }, RESULT);
+    assert.equal(followUp.noch_strittig_gesamt, 0);
+    assert.equal(nachfassLetter(RESULT, followUp, EXTRACTION), null);
+});
@@ -0,0 +1,31 @@
+// Fixtures are anonymised snippets from real statements (names, addresses and meter
+// numbers replaced). Add a line to fixtures/german-dates.json whenever a statement
+// turns up whose date or period we read wrong.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/german-dates.json');
+const { parseGermanDate, parsePeriod, formatDateDE } = require('../lib/german-date');
+
+for (const { input, expected } of fixtures.dates) {
+    test(`date: ${JSON.stringify(input)}`, () => {
+        assert.equal(formatDateDE(parseGermanDate(input)), expected);
+    });
+}
+
+for (const fixture of fixtures.periods) {
+    test(`period: ${JSON.stringify(fixture.input)}`, () => {
+        const result = parsePeriod(fixture.input);
+        if (fixture.expected === null) {
+            assert.equal(result, null);
+            return;
+        }
+        assert.ok(result, 'no period recognised');
+        assert.equal(formatDateDE(result.start), fixture.start);
+        assert.equal(formatDateDE(result.end), fixture.end);
+        assert.ok(result.confidence >= fixture.min_confidence, `confidence ${result.confidence} < ${fixture.min_confidence}`);
+        if (fixture.max_confidence !== undefined) {
+            assert.ok(result.confidence <= fixture.max_confidence, `confidence ${result.confidence} > ${fixture.max_confidence}`);
+        }
+    });
+}
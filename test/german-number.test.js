@@ -0,0 +1,31 @@
+// Amount formats seen in statements and in model output. Add a line to
+// fixtures/german-numbers.json whenever an amount is read wrong.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/german-numbers.json');
+const { parseGermanNumber, parseSaldo, findEuroAmounts, formatEuro } = require('../lib/german-number');
+
+for (const { input, expected } of fixtures.numbers) {
+    test(`number: ${JSON.stringify(input)}`, () => {
+        assert.equal(parseGermanNumber(input), expected);
+    });
+}
+
+for (const { input, betrag, art } of fixtures.saldo) {
+    test(`saldo: ${JSON.stringify(input)}`, () => {
+        assert.deepEqual(parseSaldo(input), { betrag, art });
+    });
+}
+
+for (const { input, expected } of fixtures.euro_in_text) {
+    test(`euro in text: ${JSON.stringify(input)}`, () => {
+        assert.deepEqual(findEuroAmounts(input), expected);
+    });
+}
+
+for (const { value, euro } of fixtures.formatted) {
+    test(`format: ${value}`, () => {
+        assert.equal(formatEuro(value), euro);
+    });
+}
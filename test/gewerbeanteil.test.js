@@ -0,0 +1,93 @@
+// Vorwegabzug for commercial units (E4): the commercial share of Grundsteuer, Versicherung,
+// Müll and Wasser, and what the tenant pays too much when the landlord didn't deduct it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeGewerbeanteil } = require('../lib/gewerbeanteil');
+const { normalizeExtraction } = require('../lib/extraction');
+const { applyRuleEngine } = require('../lib/rule-engine');
+
+function zeilenFor(gewerbe, kostenposten) {
+    const result = computeGewerbeanteil(normalizeExtraction({ gewerbe: { gewerbe_vorhanden: true, ...gewerbe }, kostenposten }));
+    return result.zeilen;
+}
+
+const grundsteuer = { posten: 'Grundsteuer', gesamtkosten: 2000, verteilerschluessel: 'Wohnfläche', einheit: 'm²', gesamteinheiten: 800, anteil_mieter: 80, betrag: 200 };
+
+test('commercial area left out of the area key: the share comes off the total first', () => {
+    // 200 m² Gewerbe ÷ 1.000 m² = 20 %; Vorwegabzug 2.000 € × 20 % = 400 €;
+    // (2.000 € − 400 €) ÷ 800 m² × 80 m² = 160 € instead of 200 € — 40 € too much.
+    const [zeile] = zeilenFor({ gewerbe_flaeche_qm: 200, gesamtflaeche_qm: 1000 }, [grundsteuer]);
+    assert.equal(zeile.bewertung, 'abzug_fehlt');
+    assert.equal(zeile.gewerbeanteil_prozent, 20);
+    assert.equal(zeile.abzug_soll, 400);
+    assert.equal(zeile.betrag_soll, 160);
+    assert.equal(zeile.differenz, 40);
+    assert.match(zeile.rechenweg, /200 m² Gewerbe ÷ 1\.000 m² Gesamtfläche = 20 %/);
+});
+
+test('a key that leaves out more than the commercial part still divides by the building total', () => {
+    // 700 m² in the key + 200 m² Gewerbe ≠ 1.000 m² (a vacant flat is missing too). The share is
+    // 200 ÷ 1.000 = 20 %, not 200 ÷ 900; (2.000 € − 400 €) ÷ 700 × 70 = 160 € instead of 200 €.
+    const [zeile] = zeilenFor({ gewerbe_flaeche_qm: 200, gesamtflaeche_qm: 1000 }, [{ ...grundsteuer, gesamteinheiten: 700, anteil_mieter: 70 }]);
+    assert.equal(zeile.gewerbeanteil_prozent, 20);
+    assert.equal(zeile.abzug_soll, 400);
+    assert.equal(zeile.differenz, 40);
+});
+
+test('units key: the share is the commercial units over all units in the house', () => {
+    // 1 of 10 units = 10 %; (900 € − 90 €) ÷ 8 × 1 = 101,25 € instead of 112,50 € — 11,25 € too much.
+    const wasser = { posten: 'Frischwasser/Abwasser', gesamtkosten: 900, verteilerschluessel: 'Wohneinheiten', einheit: 'Einheiten', gesamteinheiten: 8, anteil_mieter: 1, betrag: 112.5 };
+    const [sicher] = zeilenFor({ gewerbe_einheiten: 1, einheiten_gesamt: 10 }, [wasser]);
+    assert.equal(sicher.bewertung, 'abzug_fehlt');
+    assert.equal(sicher.gewerbeanteil_prozent, 10);
+    assert.equal(sicher.differenz, 11.25);
+
+    // Without the house total, 1 ÷ (8 + 1) is only a guess: 100 € instead of 112,50 €.
+    const [vermutet] = zeilenFor({ gewerbe_einheiten: 1 }, [wasser]);
+    assert.equal(vermutet.bewertung, 'abzug_vermutlich_fehlt');
+    assert.equal(vermutet.differenz, 12.5);
+});
+
+test('persons never count the shop, so its share of the area is taken', () => {
+    // 150 m² ÷ 750 m² = 20 %; (1.200 € − 240 €) ÷ 20 Personen × 2 = 96 € instead of 120 €.
+    const muell = { posten: 'Müllabfuhr', gesamtkosten: 1200, verteilerschluessel: 'Personen', einheit: 'Personen', gesamteinheiten: 20, anteil_mieter: 2, betrag: 120 };
+    const [zeile] = zeilenFor({ gewerbe_flaeche_qm: 150, gesamtflaeche_qm: 750 }, [muell]);
+    assert.equal(zeile.bewertung, 'abzug_fehlt');
+    assert.equal(zeile.differenz, 24);
+});
+
+test('nothing to deduct when the key holds the shop, the landlord deducted it, or water is metered', () => {
+    // A key of 1.000 m² is the whole building: the shop pays its own share.
+    const versicherung = { posten: 'Gebäudeversicherung', gesamtkosten: 3000, verteilerschluessel: 'Fläche', einheit: 'm²', gesamteinheiten: 1000, anteil_mieter: 80, betrag: 240 };
+    const [imSchluessel] = zeilenFor({ gewerbe_flaeche_qm: 200, gesamtflaeche_qm: 1000 }, [versicherung]);
+    assert.equal(imSchluessel.bewertung, 'im_schluessel');
+    assert.equal(imSchluessel.differenz, null);
+
+    const zeilen = zeilenFor({ gewerbe_flaeche_qm: 120 }, [
+        { ...grundsteuer, vorwegabzug_gewerbe: 300 },
+        { posten: 'Kaltwasser', gesamtkosten: 1800, verteilerschluessel: 'Verbrauch', einheit: 'm³', gesamteinheiten: 900, anteil_mieter: 45, betrag: 90 },
+        { posten: 'Warmwasser', gesamtkosten: 2000, verteilerschluessel: 'Verbrauch', gesamteinheiten: 500, anteil_mieter: 20, betrag: 80 },
+    ]);
+    // Warmwasser belongs to the heating check, not to the Wasser category.
+    assert.deepEqual(zeilen.map((z) => [z.posten, z.bewertung]), [['Grundsteuer', 'abgezogen'], ['Kaltwasser', 'nach_verbrauch']]);
+});
+
+test('no commercial unit in the statement, no check', () => {
+    assert.equal(computeGewerbeanteil(normalizeExtraction({ gewerbe: {}, kostenposten: [grundsteuer] })), null);
+});
+
+test('rule engine: missing Vorwegabzug is a warnung with the euro difference, never a fehler', () => {
+    const gewerbeanteil = computeGewerbeanteil(normalizeExtraction({
+        gewerbe: { gewerbe_vorhanden: true, gewerbe_flaeche_qm: 200, gesamtflaeche_qm: 1000 },
+        kostenposten: [grundsteuer],
+    }));
+    const result = applyRuleEngine({
+        ergebnisse: [{ posten: 'Grundsteuer', posten_index: 0, betrag: '200,00 €', status: 'fehler', fehlercode: 'E4', titel: 'Gewerbe', erklaerung: '', beweis: 'Grundsteuer', ersparnis_geschaetzt: 60 }],
+        gewerbeanteil,
+    });
+    const [item] = result.ergebnisse;
+    assert.equal(item.status, 'warnung');
+    assert.equal(item.ersparnis_geschaetzt, 0);
+    assert.match(item.erklaerung, /40,00 €/);
+});
@@ -0,0 +1,114 @@
+// Heating check: CO2KostAufG Stufenmodell, § 12 HeizkostenV and the recomputed distribution.
+// Fields left out of a statement's "heizkosten" block count as not found in the statement.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkHeizkosten, co2Stufe } = require('../lib/heizkosten');
+const { normalizeExtraction } = require('../lib/extraction');
+const { applyRuleEngine } = require('../lib/rule-engine');
+
+const JAHR_2024 = '01.01.2024 - 31.12.2024';
+const JAHR_2022 = '01.01.2022 - 31.12.2022';
+
+function befunde({ zeitraum, heizart = null, heizkosten, aufteilung }) {
+    const extraction = normalizeExtraction({
+        kopfdaten: { abrechnungszeitraum: zeitraum, heizart },
+        heizkosten,
+        heizkosten_aufteilung: aufteilung,
+        kostenposten: [],
+    });
+    return Object.fromEntries(checkHeizkosten(extraction).befunde.map((b) => [b.id, b]));
+}
+
+// 1.000 m² house, 70 m² flat: 20.000 € heating, 6.000 € by area and 14.000 € by consumption.
+const VERTEILUNG = {
+    kosten_gesamt: 20000, grundkosten_gesamt: 6000, verbrauchskosten_gesamt: 14000,
+    flaeche_gesamt_qm: 1000, flaeche_mieter_qm: 70,
+    verbrauchseinheiten_gesamt: 10000, verbrauchseinheiten_mieter: 700,
+};
+
+test('CO2 stages: the landlord share rises from 0 % below 12 kg/m² to 95 % from 52 kg/m²', () => {
+    const stufen = [[0, 0], [11.9, 0], [12, 10], [21.99, 20], [27, 40], [36.5, 50], [51.9, 80], [52, 95], [80, 95]];
+    for (const [kgProQm, vermieter] of stufen) {
+        assert.equal(co2Stufe(kgProQm).vermieter_prozent, vermieter, `${kgProQm} kg/m²`);
+    }
+});
+
+test('CO2: no landlord share deducted at 30 kg/m² is a fehler for the 40 % he owes', () => {
+    // 30.000 kg ÷ 1.000 m² = 30 kg/m² → Stufe 27–32: Vermieter 40 %. The tenant's CO2 costs follow
+    // the heating split: 1.350 € × 1.400 € ÷ 20.000 € = 94,50 €; 40 % of that = 37,80 €.
+    const { co2 } = befunde({
+        zeitraum: JAHR_2024,
+        heizart: 'gas',
+        heizkosten: { ...VERTEILUNG, kosten_mieter: 1400, co2_emissionen_kg: 30000, co2_kosten_gesamt: 1350 },
+    });
+    assert.equal(co2.status, 'fehler');
+    assert.equal(co2.ersparnis_geschaetzt, 37.8);
+    assert.match(co2.beweis, /94,50 € CO2-Kosten × 40 % = 37,80 €/);
+});
+
+test('CO2: the 20 % the landlord deducted at 18,4 kg/m² is right', () => {
+    // Stufe 17–22 → Vermieter 20 %; 94,50 € × 20 % = 18,90 €, deducted as 20 %.
+    const { co2 } = befunde({
+        zeitraum: JAHR_2024,
+        heizart: 'gas',
+        heizkosten: { kosten_mieter: 1400, co2_kg_pro_qm: 18.4, co2_kosten_mieter: 94.5, co2_vermieteranteil_prozent: 20 },
+    });
+    assert.equal(co2.status, 'ok');
+});
+
+test('CO2: no finding before 2023 or for a heat pump; missing figures allow the 3 % cut', () => {
+    // The CO2KostAufG applies to periods from 01.01.2023.
+    assert.deepEqual(befunde({ zeitraum: JAHR_2022, heizart: 'oel', heizkosten: { kosten_mieter: 1200, co2_kg_pro_qm: 40, co2_kosten_mieter: 80 } }), {});
+    assert.deepEqual(befunde({ zeitraum: JAHR_2024, heizart: 'waermepumpe', heizkosten: { kosten_mieter: 900 } }), {});
+
+    // § 7 Abs. 4 CO2KostAufG: without the CO2 figures the tenant may cut the heating share by 3 %.
+    const { co2 } = befunde({ zeitraum: JAHR_2024, heizart: 'fernwaerme', heizkosten: { kosten_mieter: 1000 } });
+    assert.equal(co2.status, 'warnung');
+    assert.match(co2.erklaerung, /um 3 % kürzen/);
+});
+
+test('§ 12 HeizkostenV: heating split by area only may be cut by 15 %', () => {
+    // 1.200 € × 15 % = 180 €.
+    const { kuerzung_12: kuerzung } = befunde({
+        zeitraum: JAHR_2022,
+        heizart: 'gas',
+        aufteilung: { verbrauch_prozent: 0, grundkosten_prozent: 100 },
+        heizkosten: { kosten_mieter: 1200, zitat: 'Heizkosten 100 % nach Wohnfläche' },
+    });
+    assert.equal(kuerzung.status, 'fehler');
+    assert.equal(kuerzung.ersparnis_geschaetzt, 180);
+});
+
+test('distribution: the tenant share is recomputed from area and consumption', () => {
+    // 6.000 € ÷ 1.000 m² × 70 m² = 420 €; 14.000 € ÷ 10.000 × 700 = 980 €; 1.400 € instead of 1.450 €.
+    const { verteilung } = befunde({ zeitraum: JAHR_2022, heizkosten: { ...VERTEILUNG, kosten_mieter: 1450 } });
+    assert.equal(verteilung.status, 'fehler');
+    assert.equal(verteilung.ersparnis_geschaetzt, 50);
+
+    // Hot water split off by formula: the 6.000 € it accounts for can't be recomputed.
+    const warm = befunde({ zeitraum: JAHR_2022, heizkosten: { ...VERTEILUNG, kosten_gesamt: 26000, kosten_mieter: 1850, warmwasser_ermittlung: 'formel' } });
+    assert.deepEqual(Object.keys(warm), ['warmwasser']);
+    assert.equal(warm.warmwasser.status, 'warnung');
+});
+
+test('rule engine: computed CO2 finding replaces the model item and is not overruled', () => {
+    const extraction = normalizeExtraction({
+        kopfdaten: { abrechnungszeitraum: JAHR_2024, heizart: 'gas' },
+        heizkosten: { ...VERTEILUNG, kosten_mieter: 1400, co2_emissionen_kg: 30000, co2_kosten_gesamt: 1350 },
+        kostenposten: [],
+    });
+    const result = applyRuleEngine({
+        ergebnisse: [
+            { posten: 'Heizkosten', posten_index: 0, betrag: '1.400,00 €', status: 'warnung', titel: 'CO2-Kosten nicht aufgeteilt', erklaerung: '' },
+            { posten: 'CO2-Kosten', posten_index: null, betrag: '', status: 'unklar', titel: 'CO2-Aufteilung prüfen', erklaerung: '' },
+        ],
+        heizkostencheck: checkHeizkosten(extraction),
+    });
+    const again = applyRuleEngine(result);
+    assert.equal(again.ergebnisse.length, 2);
+    assert.equal(again.ergebnisse[0].status, 'ok');
+    assert.equal(again.ergebnisse[1].status, 'fehler');
+    assert.equal(again.ergebnisse[1].heizbefund, 'co2');
+    assert.equal(again.ergebnisse[1].ersparnis_geschaetzt, 37.8);
+});
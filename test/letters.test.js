@@ -0,0 +1,90 @@
+// Letters: each fixture lists text the letter must and must not contain. Fixtures with
+// "art": "widerspruch" go through the letter builder with the given input; the rest are the
+// Belegeinsicht letter stored with the result.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/letters.json');
+const { buildBelegeinsichtBrief, buildWiderspruchsbrief, widerspruchLetter, letterText, normalizeLetterInput } = require('../lib/letters');
+const { applyRuleEngine } = require('../lib/rule-engine');
+const { generateLetterPDF } = require('../lib/letter-pdf');
+const { normalizeExtraction } = require('../lib/extraction');
+const { makeDate } = require('../lib/german-date');
+
+function optionsFor(fixture) {
+    const [jahr, monat, tag] = fixture.heute.split('-').map(Number);
+    return {
+        heute: makeDate(jahr, monat - 1, tag),
+        datum: fixture.datum || null,
+        input: fixture.input ? normalizeLetterInput(fixture.input) : null,
+    };
+}
+
+function resultFor(fixture) {
+    return { ergebnisse: fixture.ergebnisse, unklar_pruefungen: fixture.unklar_pruefungen || [] };
+}
+
+for (const fixture of fixtures) {
+    test(`${fixture.art || 'belegeinsicht'}: ${fixture.name}`, () => {
+        const extraction = normalizeExtraction({ kopfdaten: fixture.abrechnung, kostenposten: [] });
+        let brief;
+        if (fixture.art === 'widerspruch') {
+            const letter = widerspruchLetter(resultFor(fixture), extraction, optionsFor(fixture));
+            if (fixture.brief === null) {
+                assert.equal(letter, null);
+                return;
+            }
+            assert.deepEqual(letter.befunde, fixture.befunde);
+            assert.equal(letter.summe, fixture.summe);
+            brief = letterText(letter);
+        } else {
+            brief = buildBelegeinsichtBrief(resultFor(fixture), extraction, optionsFor(fixture));
+            if (fixture.brief === null) {
+                assert.equal(brief, null);
+                return;
+            }
+        }
+        for (const text of fixture.enthaelt) assert.ok(brief.includes(text), `fehlt: ${text}`);
+        for (const text of fixture.enthaelt_nicht) assert.ok(!brief.includes(text), `unerwartet: ${text}`);
+    });
+}
+
+test('letter builder input keeps only known fields and valid finding indexes', () => {
+    const input = normalizeLetterInput({
+        art: 'kuendigung',
+        absender: { name: '  Erika Mustermann ', strasse: 42 },
+        befunde: [2, '0', 2, -1, 1.5, 'x'],
+    });
+    assert.equal(input.art, 'widerspruch');
+    assert.equal(input.absender.name, 'Erika Mustermann');
+    assert.equal(input.absender.strasse, null);
+    assert.deepEqual(input.befunde, [2, 0]);
+    assert.equal(normalizeLetterInput({}).befunde, null);
+});
+
+test('the stored Widerspruchsbrief follows the verdicts after the rule engine', () => {
+    const extraction = normalizeExtraction({ kopfdaten: {}, kostenposten: [] });
+    const item = (patch) => ({ posten_index: 0, status: 'fehler', fehlercode: 'E1', titel: '', erklaerung: '', beweis: 'Zeile aus der Abrechnung', ...patch });
+    const checked = applyRuleEngine({
+        ergebnisse: [
+            item({ posten: 'Verwaltungskosten', betrag: '120,00 €', titel: 'Verwaltungskosten nicht umlagefähig', ersparnis_geschaetzt: 120 }),
+            item({ posten: 'Hausmeister', posten_index: 1, betrag: '300,00 €', titel: 'Hausmeister enthält Verwaltung', ersparnis_geschaetzt: 80 }),
+        ],
+    });
+    const brief = buildWiderspruchsbrief(checked, extraction);
+    assert.ok(brief.includes('Verwaltungskosten nicht umlagefähig'));
+    assert.ok(!brief.includes('Hausmeister enthält Verwaltung'));
+    assert.ok(brief.includes('Bitte um Korrektur'));
+
+    const ok = applyRuleEngine({ ergebnisse: [item({ posten: 'Hausmeister', betrag: '300,00 €', ersparnis_geschaetzt: 80 })] });
+    assert.equal(buildWiderspruchsbrief(ok, extraction), null);
+});
+
+test('the DIN 5008 PDF renders a multi-page letter', async () => {
+    const fixture = fixtures.find((f) => f.art === 'widerspruch' && f.brief !== null);
+    const letter = widerspruchLetter(resultFor(fixture), normalizeExtraction({ kopfdaten: fixture.abrechnung }), optionsFor(fixture));
+    letter.absaetze = [...letter.absaetze, ...Array(40).fill(letter.absaetze[0])];
+    const pdf = await generateLetterPDF(letter);
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.ok((pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length >= 2);
+});
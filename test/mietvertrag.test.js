@@ -0,0 +1,151 @@
+// Lease cross-check (E6): a cost may only be passed on if the lease says so (§ 556 Abs. 1 BGB),
+// and "Sonstige Betriebskosten" (§ 2 Nr. 17 BetrKV) only the kinds the lease names.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMietvertrag, checkMietvertrag } = require('../lib/mietvertrag');
+const { normalizeExtraction } = require('../lib/extraction');
+const { applyRuleEngine } = require('../lib/rule-engine');
+
+function check(mietvertrag, kostenposten) {
+    return checkMietvertrag(
+        normalizeExtraction({ kostenposten }),
+        normalizeMietvertrag({ validierung: 'ok', umlagevereinbarung: 'vorauszahlung', kostenarten: [], ...mietvertrag }),
+    );
+}
+
+function byPosten(result) {
+    return Object.fromEntries(result.zeilen.map((z) => [z.posten, z]));
+}
+
+const VERWEIS_BETRKV = {
+    verweis_betrkv: true,
+    klauseln: [{ fundstelle: '§ 4 Abs. 1', zitat: 'Der Mieter trägt die Betriebskosten im Sinne von § 2 BetrKV.' }],
+};
+
+const AUFZAEHLUNG = {
+    verweis_betrkv: false,
+    klauseln: [{ fundstelle: '§ 3 Nr. 2', zitat: 'Neben der Miete trägt der Mieter: Grundsteuer, Wasser und Entwässerung, Heizung und Warmwasser, Müllabfuhr.' }],
+    kostenarten: [
+        { bezeichnung: 'Grundsteuer', betrkv_nr: 1, fundstelle: '§ 3 Nr. 2' },
+        { bezeichnung: 'Wasser und Entwässerung', betrkv_nr: 2, fundstelle: '§ 3 Nr. 2' },
+        { bezeichnung: 'Heizung und Warmwasser', betrkv_nr: 4, fundstelle: '§ 3 Nr. 2' },
+        { bezeichnung: 'Müllabfuhr', betrkv_nr: 8, fundstelle: '§ 3 Nr. 2' },
+    ],
+};
+
+const PAUSCHALE = {
+    umlagevereinbarung: 'pauschale',
+    verweis_betrkv: null,
+    klauseln: [{ fundstelle: '§ 3 Abs. 1', zitat: 'Für die Betriebskosten zahlt der Mieter eine monatliche Pauschale von 120,00 €.' }],
+};
+
+test('a reference to § 2 BetrKV agrees Nr. 1–16, but not unnamed Sonstige (Nr. 17)', () => {
+    const zeilen = byPosten(check(VERWEIS_BETRKV, [
+        { posten: 'Grundsteuer', betrag: 180 },
+        { posten: 'Hausmeister', betrag: 240 },
+        { posten: 'Sonstige Betriebskosten', betrag: 60 },
+        { posten: 'Wartung Rauchwarnmelder', betrag: 18 },
+    ]));
+    assert.deepEqual([zeilen.Grundsteuer.bewertung, zeilen.Grundsteuer.betrkv_nr, zeilen.Grundsteuer.fundstelle], ['vereinbart', 1, '§ 4 Abs. 1']);
+    assert.deepEqual([zeilen.Hausmeister.bewertung, zeilen.Hausmeister.betrkv_nr], ['vereinbart', 14]);
+    // A lump "Sonstige" item is certainly not agreed; a kind that may fall under Nr. 17 is doubtful.
+    assert.deepEqual([zeilen['Sonstige Betriebskosten'].bewertung, zeilen['Sonstige Betriebskosten'].sicher], ['nicht_vereinbart', true]);
+    assert.deepEqual([zeilen['Wartung Rauchwarnmelder'].bewertung, zeilen['Wartung Rauchwarnmelder'].sicher, zeilen['Wartung Rauchwarnmelder'].betrkv_nr], ['nicht_vereinbart', false, null]);
+});
+
+test('Sonstige the lease names are agreed, with the clause that names them', () => {
+    const zeilen = byPosten(check({
+        verweis_betrkv: true,
+        klauseln: [
+            { fundstelle: '§ 5 Abs. 1', zitat: 'Umgelegt werden die Betriebskosten nach § 2 BetrKV.' },
+            { fundstelle: '§ 5 Abs. 2', zitat: 'Sonstige Betriebskosten: Wartung der Rauchwarnmelder, Dachrinnenreinigung.' },
+        ],
+        kostenarten: [
+            { bezeichnung: 'Wartung der Rauchwarnmelder', betrkv_nr: 17, fundstelle: '§ 5 Abs. 2' },
+            { bezeichnung: 'Dachrinnenreinigung', betrkv_nr: 17, fundstelle: '§ 5 Abs. 2' },
+        ],
+    }, [
+        { posten: 'Rauchwarnmelder (Wartung)', betrag: 18 },
+        { posten: 'Wasser / Abwasser', betrag: 320 },
+        { posten: 'Feuerlöscherprüfung', betrag: 12 },
+    ]));
+    assert.deepEqual([zeilen['Rauchwarnmelder (Wartung)'].bewertung, zeilen['Rauchwarnmelder (Wartung)'].fundstelle], ['vereinbart', '§ 5 Abs. 2']);
+    assert.deepEqual([zeilen['Wasser / Abwasser'].bewertung, zeilen['Wasser / Abwasser'].betrkv_nr, zeilen['Wasser / Abwasser'].fundstelle], ['vereinbart', 3, '§ 5 Abs. 1']);
+    // Not in the list of Sonstige — but the lease could be read more widely, so not certain.
+    assert.deepEqual([zeilen['Feuerlöscherprüfung'].bewertung, zeilen['Feuerlöscherprüfung'].sicher, zeilen['Feuerlöscherprüfung'].fundstelle], ['nicht_vereinbart', false, '§ 5 Abs. 2']);
+});
+
+test('an explicit list without a BetrKV reference agrees only what it lists', () => {
+    const result = check(AUFZAEHLUNG, [
+        { posten: 'Warmwasserkosten', betrag: 410 },
+        { posten: 'Entwässerung', betrag: 150 },
+        { posten: 'Aufzug', betrag: 95.5 },
+        { posten: 'Gartenpflege', betrag: 0 },
+    ]);
+    const zeilen = byPosten(result);
+    // "Heizung und Warmwasser" covers Nr. 5, "Wasser und Entwässerung" covers Nr. 3.
+    assert.deepEqual([zeilen.Warmwasserkosten.bewertung, zeilen.Warmwasserkosten.betrkv_nr], ['vereinbart', 5]);
+    assert.deepEqual([zeilen['Entwässerung'].bewertung, zeilen['Entwässerung'].betrkv_nr], ['vereinbart', 3]);
+    assert.deepEqual([zeilen.Aufzug.bewertung, zeilen.Aufzug.sicher, zeilen.Aufzug.betrkv_nr, zeilen.Aufzug.fundstelle], ['nicht_vereinbart', true, 7, '§ 3 Nr. 2']);
+    assert.deepEqual([zeilen.Gartenpflege.bewertung, zeilen.Gartenpflege.sicher], ['nicht_vereinbart', true]);
+    // Only the Aufzug costs the tenant money: 95,50 € + 0,00 €.
+    assert.equal(result.nicht_vereinbart_summe, 95.5);
+});
+
+test('a Pauschale means nothing is allocated; no clause found means no verdict', () => {
+    const [zeile] = check(PAUSCHALE, [{ posten: 'Grundsteuer', betrag: 180 }]).zeilen;
+    assert.deepEqual([zeile.bewertung, zeile.fundstelle], ['keine_umlage', '§ 3 Abs. 1']);
+
+    const ohne = check({ umlagevereinbarung: null, verweis_betrkv: null, klauseln: [] }, [{ posten: 'Grundsteuer', betrag: 180 }]);
+    assert.deepEqual(ohne.zeilen, []);
+});
+
+test('rule engine: an item missing from an explicit list is a fehler citing the clause', () => {
+    const mietvertrag = check(AUFZAEHLUNG, [
+        { posten: 'Warmwasserkosten', betrag: 410 },
+        { posten: 'Entwässerung', betrag: 150 },
+        { posten: 'Aufzug', betrag: 95.5 },
+    ]);
+    const result = applyRuleEngine({
+        ergebnisse: [{ posten: 'Aufzug', posten_index: 2, betrag: '95,50 €', status: 'ok', fehlercode: null, titel: '', erklaerung: '', beweis: null, ersparnis_geschaetzt: 0 }],
+        mietvertrag,
+    });
+    const [item] = result.ergebnisse;
+    assert.equal(item.status, 'fehler');
+    assert.equal(item.fehlercode, 'E6');
+    assert.equal(item.ersparnis_geschaetzt, 95.5);
+    assert.equal(item.vertragsklausel, '§ 3 Nr. 2');
+    assert.match(item.beweis, /^Mietvertrag § 3 Nr\. 2: Neben der Miete/);
+});
+
+test('rule engine: an unnamed kind of sonstige cost is only a warnung', () => {
+    const mietvertrag = check(VERWEIS_BETRKV, [
+        { posten: 'Grundsteuer', betrag: 180 },
+        { posten: 'Hausmeister', betrag: 240 },
+        { posten: 'Sonstige Betriebskosten', betrag: 60 },
+        { posten: 'Wartung Rauchwarnmelder', betrag: 18 },
+    ]);
+    const result = applyRuleEngine({
+        ergebnisse: [{ posten: 'Wartung Rauchwarnmelder', posten_index: 3, betrag: '18,00 €', status: 'ok', fehlercode: null, titel: '', erklaerung: '', beweis: null, ersparnis_geschaetzt: 0 }],
+        mietvertrag,
+    });
+    assert.equal(result.ergebnisse[0].status, 'warnung');
+    assert.equal(result.ergebnisse[0].ersparnis_geschaetzt, 0);
+});
+
+test('rule engine: a Pauschale adds one finding, also on the second pass', () => {
+    const mietvertrag = check(PAUSCHALE, [{ posten: 'Grundsteuer', betrag: 180 }]);
+    const once = applyRuleEngine({ ergebnisse: [], mietvertrag });
+    const twice = applyRuleEngine(once);
+    assert.equal(twice.ergebnisse.length, 1);
+    assert.equal(twice.ergebnisse[0].status, 'warnung');
+    assert.equal(twice.ergebnisse[0].vertragsklausel, '§ 3 Abs. 1');
+});
+
+test('rule engine: E6 without an uploaded lease is not a fehler', () => {
+    const result = applyRuleEngine({
+        ergebnisse: [{ posten: 'Aufzug', posten_index: 0, betrag: '95,50 €', status: 'fehler', fehlercode: 'E6', titel: '', erklaerung: '', beweis: 'Aufzug 95,50', ersparnis_geschaetzt: 95.5 }],
+    });
+    assert.equal(result.ergebnisse[0].status, 'warnung');
+});
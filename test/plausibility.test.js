@@ -0,0 +1,44 @@
+// Cost-per-m² check against lib/benchmarks/betriebskosten.json. Expectations name the
+// category and its bewertung; categories not listed must not appear in the table.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/plausibility.json');
+const { checkPlausibility } = require('../lib/plausibility');
+const { applyRuleEngine } = require('../lib/rule-engine');
+
+for (const fixture of fixtures) {
+    test(`plausibility: ${fixture.name}`, () => {
+        const extraction = {
+            kopfdaten: fixture.kopfdaten,
+            kostenposten: fixture.kostenposten.map((row, index) => ({ index, ...row })),
+        };
+        const result = checkPlausibility(extraction, { livingAreaSqm: fixture.living_area_sqm });
+        const actual = Object.fromEntries(result.zeilen.map((z) => [z.kategorie, z.bewertung]));
+        assert.deepEqual(actual, fixture.expected);
+        assert.ok(result.quelle && result.jahr && result.version);
+    });
+}
+
+test('rule engine: cost above the benchmark is a warnung citing the source, never a fehler', () => {
+    const extraction = {
+        kopfdaten: { wohnflaeche_qm: 60 },
+        kostenposten: [
+            { index: 0, posten: 'Heizkosten', betrag: 1140 },
+            { index: 1, posten: 'Grundsteuer', betrag: 90 },
+        ],
+    };
+    const plausibilitaet = checkPlausibility(extraction);
+    const result = applyRuleEngine({
+        ergebnisse: [
+            { posten: 'Heizkosten', posten_index: 0, betrag: '1.140,00 €', status: 'ok', erklaerung: '' },
+            { posten: 'Grundsteuer', posten_index: 1, betrag: '90,00 €', status: 'fehler', titel: 'Grundsteuer deutlich über Durchschnitt', erklaerung: '', beweis: 'Grundsteuer 90,00', ersparnis_geschaetzt: 30 },
+        ],
+        plausibilitaet,
+    });
+    const [heizung, grundsteuer] = result.ergebnisse;
+    assert.equal(heizung.status, 'warnung');
+    assert.match(heizung.erklaerung, new RegExp(`Stand ${plausibilitaet.jahr}`));
+    assert.equal(grundsteuer.status, 'ok');
+    assert.equal(grundsteuer.ersparnis_geschaetzt, 0);
+});
@@ -0,0 +1,86 @@
+// Refunds for failed analyses: a dead letter refunds once, and a retry of a refunded order that
+// fails again neither refunds nor promises a refund a second time.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRefundService } = require('../lib/refunds');
+const { createAnalysisQueue } = require('../lib/analysis-queue');
+const { createJobStore } = require('../lib/job-store');
+
+// Stripe keeps the checkout "paid" after a refund and rejects a second refund of the payment.
+function setup(order) {
+    const orders = new Map([[order.session_id, order]]);
+    const stripe = { refunds: 0, refunded: false, fails: false };
+    const manual = [];
+    const refundService = createRefundService({
+        getOrder: (sessionId) => orders.get(sessionId) || null,
+        issueRefund: async (sessionId) => {
+            if (stripe.fails || stripe.refunded) return false;
+            stripe.refunds++;
+            stripe.refunded = true;
+            orders.set(sessionId, { ...orders.get(sessionId), refund_status: 'refunded' });
+            return true;
+        },
+        onManualRefund: (sessionId, details) => {
+            manual.push([sessionId, details]);
+            orders.set(sessionId, { ...orders.get(sessionId), refund_status: 'manual_required' });
+        },
+    });
+    return { refundService, orders, stripe, manual };
+}
+
+test('dead letter → retry → dead letter refunds once and promises nothing the second time', async () => {
+    const ctx = setup({ session_id: 'cs_a', gross_eur: 9.99, payment_status: 'paid', refund_status: 'none' });
+    const outcomes = [];
+    const queue = createAnalysisQueue({
+        store: createJobStore({ backend: 'memory' }).collection('queue'),
+        handler: async () => { throw Object.assign(new Error('abgeschnitten'), { retryable: false }); },
+        isRetryable: (err) => err.retryable !== false,
+        onDeadLetter: async (sessionId) => {
+            outcomes.push(await ctx.refundService.refundFailedAnalysis(sessionId, { reason: 'analysis_failed', fallbackEur: 4.99 }));
+        },
+    });
+
+    queue.enqueue('cs_a');
+    await queue.tick();
+    // /api/retry-analysis re-enqueues the dead job.
+    queue.enqueue('cs_a');
+    await queue.tick();
+
+    assert.deepEqual(outcomes, [
+        { erstattung: 'erstattet', paidEur: 9.99 },
+        { erstattung: 'bereits', paidEur: 9.99 },
+    ]);
+    assert.equal(ctx.stripe.refunds, 1);
+    assert.deepEqual(ctx.manual, []);
+    assert.equal(ctx.orders.get('cs_a').refund_status, 'refunded');
+});
+
+test('a refund Stripe refuses is flagged for a manual one, unless the caller opts out', async () => {
+    const ctx = setup({ session_id: 'cs_a', gross_eur: '14,99', refund_status: 'none' });
+    ctx.stripe.fails = true;
+    assert.deepEqual(
+        await ctx.refundService.refundFailedAnalysis('cs_a', { reason: 'validation_unvollstaendig', manual: false }),
+        { erstattung: null, paidEur: 14.99 },
+    );
+    assert.deepEqual(ctx.manual, []);
+
+    assert.deepEqual(
+        await ctx.refundService.refundFailedAnalysis('cs_a', { reason: 'analysis_failed' }),
+        { erstattung: 'manuell', paidEur: 14.99 },
+    );
+    assert.deepEqual(ctx.manual, [['cs_a', { reason: 'analysis_failed', paidEur: 14.99 }]]);
+
+    // Still not refunded, so a later failure tries Stripe again.
+    ctx.stripe.fails = false;
+    assert.equal((await ctx.refundService.refundFailedAnalysis('cs_a', { reason: 'analysis_failed' })).erstattung, 'erstattet');
+});
+
+test('a free order has nothing to refund; without an order the plan price counts', async () => {
+    const ctx = setup({ session_id: 'cs_gratis', gross_eur: 0, refund_status: 'none' });
+    assert.deepEqual(await ctx.refundService.refundFailedAnalysis('cs_gratis', { reason: 'analysis_failed', fallbackEur: 4.99 }), { erstattung: null, paidEur: 0 });
+    assert.equal(ctx.stripe.refunds, 0);
+
+    const ohne = await ctx.refundService.refundFailedAnalysis('cs_unbekannt', { reason: 'analysis_failed', fallbackEur: 4.99 });
+    assert.deepEqual(ohne, { erstattung: 'erstattet', paidEur: 4.99 });
+});
@@ -0,0 +1,81 @@
+// Report links: owner and share tokens, scopes, expiry, revocation and the lock on raw session IDs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReportTokenService } = require('../lib/report-tokens');
+const { createJobStore } = require('../lib/job-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function setup(secret = 'test-secret') {
+    const clock = { now: Date.UTC(2026, 9, 19) };
+    const service = createReportTokenService({
+        store: createJobStore({ backend: 'memory' }).collection('report_tokens'),
+        secret,
+        now: () => clock.now,
+    });
+    return { service, clock };
+}
+
+test('the owner token opens view and pdf and locks the raw session ID', () => {
+    const { service } = setup();
+    assert.equal(service.isLocked('cs_1'), false);
+    const token = service.issueOwnerToken('cs_1');
+    assert.equal(service.isLocked('cs_1'), true);
+    assert.equal(service.isLocked('cs_2'), false);
+
+    const access = service.resolve(token, 'pdf');
+    assert.deepEqual(access, { ok: true, sessionId: 'cs_1', art: 'owner', scopes: ['view', 'pdf'] });
+    assert.equal(service.resolve(`${token}x`, 'view').ok, false);
+});
+
+test('a share link carries no session ID and is limited to its scope', () => {
+    const { service } = setup();
+    service.issueOwnerToken('cs_1');
+    const share = service.createShare('cs_1', { tage: 7 });
+    assert.equal(share.ok, true);
+    const payload = Buffer.from(share.token.split('.')[0], 'base64url').toString('utf8');
+    assert.ok(!payload.includes('cs_1'));
+
+    assert.equal(service.resolve(share.token, 'view').sessionId, 'cs_1');
+    assert.equal(service.resolve(share.token, 'view').art, 'share');
+    assert.match(service.resolve(share.token, 'pdf').error, /berechtigt nicht/);
+    assert.equal(service.resolve(service.createShare('cs_1', { pdf: true, tage: 30 }).token, 'pdf').ok, true);
+    assert.match(service.createShare('cs_1', { tage: 365 }).error, /Laufzeit/);
+});
+
+test('share links expire and can be revoked, owner tokens cannot', () => {
+    const { service, clock } = setup();
+    const owner = service.issueOwnerToken('cs_1');
+    const kurz = service.createShare('cs_1', { tage: 7 });
+    const lang = service.createShare('cs_1', { tage: 30 });
+    assert.deepEqual(service.listShares('cs_1').map((l) => l.id).sort(), [kurz.id, lang.id].sort());
+
+    assert.equal(service.revokeShare('cs_1', lang.id), true);
+    assert.equal(service.revokeShare('cs_1', lang.id), false);
+    assert.equal(service.revokeShare('cs_2', kurz.id), false);
+    assert.match(service.resolve(lang.token, 'view').error, /widerrufen/);
+    assert.deepEqual(service.listShares('cs_1').map((l) => l.id), [kurz.id]);
+
+    const ownerId = JSON.parse(Buffer.from(owner.split('.')[0], 'base64url').toString('utf8')).id;
+    assert.equal(service.revokeShare('cs_1', ownerId), false);
+
+    clock.now += 7 * DAY_MS;
+    assert.equal(service.resolve(kurz.token, 'view').ok, false);
+    assert.deepEqual(service.listShares('cs_1'), []);
+    assert.equal(service.resolve(owner, 'view').ok, true);
+});
+
+test('no more than ten active share links per report', () => {
+    const { service } = setup();
+    for (let i = 0; i < 10; i++) assert.equal(service.createShare('cs_1', { tage: 7 }).ok, true);
+    assert.match(service.createShare('cs_1', { tage: 7 }).error, /bereits 10/);
+});
+
+test('without a secret nothing is issued and nothing is locked', () => {
+    const { service } = setup('');
+    assert.equal(service.issueOwnerToken('cs_1'), null);
+    assert.equal(service.isLocked('cs_1'), false);
+    assert.equal(service.createShare('cs_1', { tage: 7 }).ok, false);
+    assert.equal(service.resolve('abc.def', 'view').ok, false);
+});
@@ -0,0 +1,112 @@
+// The deterministic re-check of the model's verdicts: E1 keywords, the E2 recalculation,
+// the E5 heating split and the savings total. The computed checks (Frist, heating, Gewerbe, lease, payments, cost
+// per m²) are tested next to their modules.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyRuleEngine, findNonAllocableKeyword, totalSavings } = require('../lib/rule-engine');
+
+function item(patch) {
+    return { posten: 'Posten', posten_index: 0, betrag: '100,00 €', status: 'ok', fehlercode: null, titel: '', erklaerung: '', beweis: 'Zeile aus der Abrechnung', ersparnis_geschaetzt: 0, ...patch };
+}
+
+function check(patch, extra = {}) {
+    return applyRuleEngine({ ergebnisse: [item(patch)], ...extra }).ergebnisse[0];
+}
+
+test('E1: keywords, negations, mixed items and the special cases', () => {
+    assert.equal(findNonAllocableKeyword('Verwaltungskosten'), 'verwaltungskosten');
+    assert.equal(findNonAllocableKeyword('Reparatur Eingangstür'), 'reparatur');
+    assert.equal(findNonAllocableKeyword('Wartung Aufzug (ohne Reparatur)'), null);
+    assert.equal(findNonAllocableKeyword('Aufzug inkl. Reparatur'), null);
+    assert.equal(findNonAllocableKeyword('Hausmeister (inkl. Verwaltung)'), null);
+    assert.equal(findNonAllocableKeyword('Sonstige Kosten Instandhaltung'), null);
+    assert.equal(findNonAllocableKeyword('Grundsteuer'), null);
+});
+
+test('E1: a non-allocable item becomes a fehler with its full amount', () => {
+    const result = check({ posten: 'Verwaltungskosten', betrag: '120,00 €' });
+    assert.equal(result.status, 'fehler');
+    assert.equal(result.fehlercode, 'E1');
+    assert.equal(result.ersparnis_geschaetzt, 120);
+    assert.equal(result.regelpruefung[0].regel, 'E1');
+
+    // Below 5 € the keyword alone doesn't make a fehler.
+    assert.equal(check({ posten: 'Kontoführung', betrag: '4,50 €' }).status, 'ok');
+});
+
+test('E1: a model fehler without a clear keyword needs a breakdown', () => {
+    for (const posten of ['Wartung Aufzug (ohne Reparatur)', 'Aufzug Wartung inkl. Reparatur', 'Hausmeister']) {
+        const result = check({ posten, status: 'fehler', fehlercode: 'E1', ersparnis_geschaetzt: 80 });
+        assert.equal(result.status, 'unklar', posten);
+        assert.equal(result.ersparnis_geschaetzt, 0, posten);
+    }
+});
+
+test('E2: recalculation within 0,05 € is ok, under 5 € a warnung, from 5 € a fehler', () => {
+    const berechnung = { gesamtkosten: '1.200,00', gesamtverteiler: '600', anteil: '60' };
+    const cases = [
+        [{ betrag: '120,05 €', status: 'fehler', fehlercode: 'E2', ersparnis_geschaetzt: 10 }, 'ok', 0],
+        [{ betrag: '110,00 €', status: 'fehler', fehlercode: 'E2', ersparnis_geschaetzt: 10 }, 'ok', 0],
+        [{ betrag: '120,06 €' }, 'warnung', 0],
+        [{ betrag: '124,99 €', status: 'fehler', fehlercode: 'E2', ersparnis_geschaetzt: 4.99 }, 'warnung', 0],
+        [{ betrag: '125,00 €' }, 'fehler', 5],
+        [{ betrag: '150,00 €', status: 'fehler', fehlercode: 'E2', ersparnis_geschaetzt: 50 }, 'fehler', 30],
+    ];
+    for (const [patch, status, ersparnis] of cases) {
+        const result = check({ posten: 'Müllabfuhr', berechnung, ...patch });
+        assert.equal(result.status, status, patch.betrag);
+        assert.equal(result.ersparnis_geschaetzt, ersparnis, patch.betrag);
+    }
+});
+
+test('E2: a fehler whose calculation cannot be read becomes unklar', () => {
+    const result = check({ posten: 'Müllabfuhr', status: 'fehler', fehlercode: 'E2', ersparnis_geschaetzt: 20, berechnung: { gesamtkosten: '1.200,00' } });
+    assert.equal(result.status, 'unklar');
+    assert.equal(result.ersparnis_geschaetzt, 0);
+});
+
+test('E5: a consumption share between 50 and 70 % is allowed', () => {
+    const fehler = { posten: 'Heizkosten', status: 'fehler', fehlercode: 'E5', titel: 'Verbrauchsanteil unzulässig', ersparnis_geschaetzt: 40 };
+    for (const verbrauch of [50, 70]) {
+        const result = check(fehler, { heizkosten_aufteilung: { verbrauch_prozent: verbrauch, grundkosten_prozent: 100 - verbrauch } });
+        assert.equal(result.status, 'ok', `${verbrauch} %`);
+    }
+    // In range, but the model's finding is about something else.
+    const co2 = check({ ...fehler, titel: 'CO2-Kosten nicht aufgeteilt' }, { heizkosten_aufteilung: { verbrauch_prozent: 70 } });
+    assert.equal(co2.status, 'fehler');
+});
+
+test('E5: outside 50–70 % is a warnung, and a fehler needs a heating item with a readable split', () => {
+    for (const verbrauch of ['49', '71']) {
+        const result = check({ posten: 'Heizkosten' }, { heizkosten_aufteilung: { verbrauch_prozent: verbrauch } });
+        assert.equal(result.status, 'warnung', `${verbrauch} %`);
+        assert.equal(result.fehlercode, 'E5');
+    }
+    const fehler = { status: 'fehler', fehlercode: 'E5', titel: 'Verbrauchsanteil unzulässig', ersparnis_geschaetzt: 40 };
+    assert.equal(check({ ...fehler, posten: 'Grundsteuer' }, { heizkosten_aufteilung: { verbrauch_prozent: 30 } }).status, 'warnung');
+    assert.equal(check({ ...fehler, posten: 'Heizkosten' }).status, 'warnung');
+    // 60 + 30 isn't a split of 100 %.
+    assert.equal(check({ ...fehler, posten: 'Heizkosten' }, { heizkosten_aufteilung: { verbrauch_prozent: 60, grundkosten_prozent: 30 } }).status, 'warnung');
+});
+
+test('a missed deadline caps the total at the Nachzahlung instead of adding the other fehler', () => {
+    // Fristende 31.12.2025, Zugang 05.01.2026: the 300 € Nachzahlung is void, and the 120 € of
+    // Verwaltungskosten are part of it.
+    const result = applyRuleEngine({
+        ergebnisse: [item({ posten: 'Verwaltungskosten', betrag: '120,00 €' })],
+        fristcheck: { status: 'frist_ueberschritten', fristende: '31.12.2025', erklaerung: 'Zu spät zugegangen.', rechenweg: 'Zugang 05.01.2026 nach Fristende 31.12.2025' },
+        saldo: { art: 'nachzahlung', betrag: 300 },
+    });
+    const frist = result.ergebnisse.find((e) => e.titel === 'Abrechnungsfrist überschritten');
+    assert.equal(frist.status, 'fehler');
+    assert.equal(frist.ersparnis_geschaetzt, 300);
+    assert.equal(totalSavings(result.ergebnisse), 300);
+
+    // Findings worth more than the Nachzahlung (the tenant had a Guthaben coming) still count in full.
+    const mehr = [...result.ergebnisse, item({ posten: 'Reparaturen', status: 'fehler', fehlercode: 'E1', ersparnis_geschaetzt: 250 })];
+    assert.equal(totalSavings(mehr), 370);
+
+    // Without the deadline the fehler add up.
+    assert.equal(totalSavings([item({ status: 'fehler', ersparnis_geschaetzt: 120 }), item({ status: 'fehler', ersparnis_geschaetzt: 80.5 })]), 200.5);
+});
@@ -0,0 +1,81 @@
+// Vorauszahlungen against the tenant's payments: what the tenant paid for the period must be
+// credited in full on the statement.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectMietzahlungen, reconcileVorauszahlungen } = require('../lib/vorauszahlungen');
+const { normalizeExtraction } = require('../lib/extraction');
+const { applyRuleEngine } = require('../lib/rule-engine');
+
+const JAHR_2024 = '01.01.2024 - 31.12.2024';
+
+function abgleich({ zeitraum = JAHR_2024, vorauszahlungen, zahlungen, format = 'manuell', kaltmiete = null }) {
+    const extraction = normalizeExtraction({ kopfdaten: { abrechnungszeitraum: zeitraum, vorauszahlungen }, kostenposten: [] });
+    return reconcileVorauszahlungen(extraction, { format, label: format, zahlungen, kaltmiete });
+}
+
+function monatlich(betrag, tage) {
+    return tage.map((datum) => ({ datum, betrag }));
+}
+
+const ERSTE_IM_MONAT = ['01.01.2024', '01.02.2024', '01.03.2024', '01.04.2024', '01.05.2024', '01.06.2024',
+    '01.07.2024', '01.08.2024', '01.09.2024', '01.10.2024', '01.11.2024', '01.12.2024'];
+
+// Warmmiete 830 € by standing order: January paid early on 28.12.2023, and January 2025 already
+// on 30.12.2024.
+const WARMMIETE_SPARKASSE = monatlich(830, ['28.12.2023', ...ERSTE_IM_MONAT.slice(1), '30.12.2024']);
+
+test('twelve payments of 180 € match a credit of 2.160 €', () => {
+    const result = abgleich({ vorauszahlungen: 2160, zahlungen: monatlich(180, ERSTE_IM_MONAT) });
+    assert.equal(result.bewertung, 'passt');
+    assert.equal(result.summe_gezahlt, 2160);
+    assert.equal(result.monate, 12);
+});
+
+test('a credit two months short is a fehler for the missing 360 €', () => {
+    // 830 € Warmmiete − 650 € Kaltmiete = 180 € a month. Counted by the month paid for:
+    // 12 × 180 € = 2.160 €, credited 1.800 € — 360 € too little.
+    const result = abgleich({ vorauszahlungen: 1800, zahlungen: WARMMIETE_SPARKASSE, format: 'sparkasse', kaltmiete: 650 });
+    assert.equal(result.bewertung, 'zu_wenig_angerechnet');
+    assert.equal(result.summe_gezahlt, 2160);
+    assert.equal(result.differenz, 360);
+    assert.equal(result.befund.status, 'fehler');
+});
+
+test('credited more than paid is reported as a negative difference', () => {
+    // 1.800 € paid, 2.160 € credited: −360 €, in the tenant's favour.
+    const result = abgleich({ vorauszahlungen: 2160, zahlungen: [{ datum: '01.01.2024', betrag: 1800 }] });
+    assert.equal(result.bewertung, 'mehr_angerechnet');
+    assert.equal(result.differenz, -360);
+});
+
+test('nothing to compare without the Kaltmiete to split a Warmmiete, or without a credit', () => {
+    const warm = abgleich({ zeitraum: '2024', vorauszahlungen: 2160, zahlungen: monatlich(1030, ERSTE_IM_MONAT.slice(0, 4)), format: 'ing' });
+    assert.equal(warm.bewertung, 'nicht_pruefbar');
+    assert.equal(abgleich({ vorauszahlungen: null, zahlungen: monatlich(180, ERSTE_IM_MONAT.slice(0, 1)) }).bewertung, 'nicht_pruefbar');
+});
+
+test('only outgoing transfers to the landlord are kept', () => {
+    const buchungen = [
+        { datum: '01.01.2024', betrag: -850, empfaenger: 'Hausverwaltung Muster GmbH', verwendungszweck: 'Dauerauftrag' },
+        { datum: '02.01.2024', betrag: -45.9, empfaenger: 'Stromanbieter', verwendungszweck: 'Abschlag Strom' },
+        { datum: '03.01.2024', betrag: 850, empfaenger: 'Hausverwaltung Muster GmbH', verwendungszweck: 'Erstattung' },
+        { datum: '04.01.2024', betrag: -1500, empfaenger: 'Hausverwaltung Muster GmbH', verwendungszweck: 'Mietkaution' },
+    ];
+    assert.deepEqual(selectMietzahlungen(buchungen, { empfaenger: 'Hausverwaltung Muster' }).map((z) => z.betrag), [850]);
+    // Without a recipient the purpose and the recipient's name decide.
+    assert.deepEqual(selectMietzahlungen(buchungen).map((z) => z.empfaenger), ['Hausverwaltung Muster GmbH']);
+});
+
+test('rule engine: a shortfall takes over the model item on the Vorauszahlungen', () => {
+    const vorauszahlungsabgleich = abgleich({ vorauszahlungen: 1800, zahlungen: WARMMIETE_SPARKASSE, format: 'sparkasse', kaltmiete: 650 });
+    const result = applyRuleEngine({
+        ergebnisse: [{ posten: 'Vorauszahlungen', posten_index: null, betrag: '1.800,00 €', status: 'ok', fehlercode: null, titel: 'Korrekt angerechnet', erklaerung: '', beweis: null, ersparnis_geschaetzt: 0 }],
+        vorauszahlungsabgleich,
+    });
+    const twice = applyRuleEngine(result);
+    assert.equal(twice.ergebnisse.length, 1);
+    assert.equal(twice.ergebnisse[0].status, 'fehler');
+    assert.equal(twice.ergebnisse[0].ersparnis_geschaetzt, 360);
+    assert.match(twice.ergebnisse[0].beweis, /13 Zahlung|12 Zahlung/);
+});
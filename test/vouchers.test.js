@@ -0,0 +1,82 @@
+// Voucher codes: validity period, plan restriction, max_uses (counting open checkouts), the
+// Stripe minimum charge and the 100 % code that skips payment.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVoucherService, countRedemptions, normalizeVoucherCode, CHECKOUT_RESERVATION_MS } = require('../lib/vouchers');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+function setup(t, definitions, orders = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nk-vouchers-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'vouchers.json');
+    fs.writeFileSync(filePath, JSON.stringify(definitions));
+    const service = createVoucherService({ filePath, countRedemptions: (code) => countRedemptions(orders, code, NOW) });
+    return (code, plan = 'basic', amountCents = 999) => service.validate({ code, plan, amountCents, now: NOW });
+}
+
+test('codes are case-insensitive; unknown and malformed codes are rejected', (t) => {
+    const validate = setup(t, [{ code: 'Mieterbund20', percent: '20', campaign: 'mieterbund' }, { code: 'kaputt' }]);
+    const result = validate(' mieterbund20 ');
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.voucher, { code: 'MIETERBUND20', campaign: 'mieterbund', type: 'percent', value: 20 });
+    // 20 % of 9,99 € = 2,00 € (rounded to the cent).
+    assert.equal(result.discountCents, 200);
+    assert.equal(result.amountCents, 799);
+
+    assert.equal(validate('KAPUTT').error, 'Dieser Gutscheincode ist ungültig.');
+    assert.equal(validate('UNBEKANNT').ok, false);
+    assert.equal(normalizeVoucherCode('a b'), null);
+});
+
+test('valid_from and valid_until are whole days, valid_until inclusive', (t) => {
+    const validate = setup(t, [
+        { code: 'HERBST', amount_eur: '3,50', valid_from: '2026-10-01', valid_until: '2026-10-19' },
+        { code: 'WINTER', amount_eur: 3, valid_from: '2026-12-01' },
+        { code: 'SOMMER', amount_eur: 3, valid_until: '2026-10-18' },
+    ]);
+    assert.equal(validate('HERBST').amountCents, 649);
+    assert.equal(validate('WINTER').error, 'Dieser Gutscheincode ist noch nicht gültig.');
+    assert.equal(validate('SOMMER').error, 'Dieser Gutscheincode ist abgelaufen.');
+});
+
+test('a code limited to plans is refused for the others', (t) => {
+    const validate = setup(t, [{ code: 'PREMIUM5', amount_eur: 5, plans: ['premium'] }]);
+    assert.equal(validate('PREMIUM5', 'premium', 1499).amountCents, 999);
+    assert.equal(validate('PREMIUM5', 'basic').error, 'Dieser Gutscheincode gilt nicht für den gewählten Tarif.');
+});
+
+test('max_uses counts paid orders and checkouts opened within the last hour', (t) => {
+    const iso = (msAgo) => new Date(NOW - msAgo).toISOString();
+    const orders = [
+        { voucher_code: 'PARTNER', payment_status: 'paid', created_at: iso(5 * 24 * 60 * 60 * 1000) },
+        { voucher_code: 'PARTNER', payment_status: 'pending', created_at: iso(10 * 60 * 1000) },
+        { voucher_code: 'PARTNER', payment_status: 'pending', created_at: iso(CHECKOUT_RESERVATION_MS) },
+        { voucher_code: 'ANDERER', payment_status: 'paid', created_at: iso(0) },
+    ];
+    assert.equal(countRedemptions(orders, 'PARTNER', NOW), 2);
+
+    const validate = setup(t, [{ code: 'PARTNER', percent: 10, max_uses: 2 }, { code: 'GROSS', percent: 10, max_uses: 3 }], orders);
+    assert.equal(validate('PARTNER').error, 'Dieser Gutscheincode wurde bereits zu oft eingelöst.');
+    assert.equal(validate('GROSS').ok, true);
+});
+
+test('a discount never leaves less than the Stripe minimum of 0,50 €', (t) => {
+    const validate = setup(t, [{ code: 'FAST', amount_eur: '9,70' }, { code: 'MEHR', amount_eur: 20 }]);
+    // 9,99 € − 9,70 € = 0,29 € → raised to 0,50 €; the discount shrinks to 9,49 €.
+    assert.deepEqual([validate('FAST').amountCents, validate('FAST').discountCents], [50, 949]);
+    // A discount above the price makes the order free instead.
+    assert.deepEqual([validate('MEHR').amountCents, validate('MEHR').discountCents], [0, 999]);
+});
+
+test('a 100 % code makes the order free, which skips Stripe', (t) => {
+    const validate = setup(t, [{ code: 'GRATIS', percent: 100 }, { code: 'ZUVIEL', percent: 120 }]);
+    const result = validate('GRATIS', 'premium', 1499);
+    assert.equal(result.amountCents, 0);
+    assert.equal(result.discountCents, 1499);
+    assert.equal(validate('ZUVIEL').ok, false);
+});
@@ -0,0 +1,67 @@
+// Year-over-year comparison: how items are matched to last year's, and which ones are flagged
+// as new, dropped or jumped.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareYears } = require('../lib/year-comparison');
+
+function statement(rows) {
+    return { kostenposten: rows.map(([posten, betrag], index) => ({ index, posten, betrag })) };
+}
+
+function byPosten(result) {
+    return Object.fromEntries(result.zeilen.map((z) => [z.posten, z]));
+}
+
+test('renamed items are matched through synonyms and specific words', () => {
+    const result = compareYears(
+        statement([['Hausmeister', 300], ['Müllabfuhr', 200], ['Kosten Hauswart Außenanlagen', 50], ['Gebäudeversicherung', 180]]),
+        statement([['Hauswart', 280], ['Abfallabfuhr', 190], ['Außenanlagen', 45], ['Sachversicherung', 175]]),
+    );
+    const zeilen = byPosten(result);
+    assert.equal(zeilen.Hausmeister.posten_vorjahr, 'Hauswart');
+    assert.equal(zeilen['Müllabfuhr'].posten_vorjahr, 'Abfallabfuhr');
+    assert.equal(zeilen['Kosten Hauswart Außenanlagen'].posten_vorjahr, 'Außenanlagen');
+    assert.equal(zeilen['Gebäudeversicherung'].posten_vorjahr, 'Sachversicherung');
+    assert.ok(result.zeilen.every((z) => z.hinweis === null));
+});
+
+test('an item that shares only a generic word with last year is new, not a match', () => {
+    const result = compareYears(
+        statement([['Kosten Gartenpflege', 120], ['Allgemeine Kosten Hausreinigung', 400]]),
+        statement([['Kosten Hausreinigung', 390]]),
+    );
+    const zeilen = byPosten(result);
+    assert.equal(zeilen['Kosten Gartenpflege'].hinweis, 'neu');
+    assert.equal(zeilen['Kosten Gartenpflege'].posten_vorjahr, null);
+    assert.equal(zeilen['Allgemeine Kosten Hausreinigung'].posten_vorjahr, 'Kosten Hausreinigung');
+    assert.equal(result.auffaellig_anzahl, 1);
+});
+
+test('items missing this year are listed as dropped', () => {
+    const result = compareYears(
+        statement([['Grundsteuer', 150]]),
+        statement([['Grundsteuer', 150], ['Kabelgebühren', 96]]),
+    );
+    const dropped = result.zeilen.find((z) => z.hinweis === 'entfallen');
+    assert.equal(dropped.posten, 'Kabelgebühren');
+    assert.equal(dropped.betrag_vorjahr, 96);
+    assert.equal(dropped.betrag_aktuell, null);
+    assert.equal(result.summe_vorjahr, 246);
+    assert.equal(result.summe_aktuell, 150);
+});
+
+test('a jump needs both the percentage and the euro amount', () => {
+    const result = compareYears(
+        statement([['Hausmeister', 420], ['Straßenreinigung', 12]]),
+        statement([['Hausmeister', 300], ['Straßenreinigung', 6]]),
+    );
+    const zeilen = byPosten(result);
+    assert.equal(zeilen.Hausmeister.hinweis, 'sprung');
+    assert.equal(zeilen.Hausmeister.differenz_prozent, 40);
+    assert.equal(zeilen['Straßenreinigung'].hinweis, null);
+});
+
+test('without a previous statement there is no comparison', () => {
+    assert.equal(compareYears(statement([['Grundsteuer', 150]]), null), null);
+});